@@ -1,30 +1,62 @@
 // Main application entry point
 
 import { WsClient } from './ws-client.js';
-import { buildTopicFromComponents, parseNodeId } from './message-builder.js';
+import { buildTopicFromComponents, parseTopicComponents, parseNodeId } from './message-builder.js';
 import { $, $$, bindInputs, copyToClipboard, updateConnectionStatus, showToast } from './ui.js';
 import { Catalog, isBuiltinId, deriveKeyType } from './catalog.js';
 import { Observations } from './observations.js';
-import { DerivedState } from './derived.js';
+import { DerivedState, buildTracerouteHops, TELEMETRY_HISTORY_MAX, GATEWAY_GAP_MS } from './derived.js';
+import { buildSeries, renderLineChart } from './charts.js';
+import { ChatState } from './chat.js';
+import { RangeTestState, getSessionStats, sessionToCsv } from './range-test.js';
+import {
+  PortNum, Priority, HardwareModel, Role, ROLE_LABELS, RegionCode, ModemPreset, MODEM_PRESET_LABELS,
+  ROUTING_ERROR_LABELS, enumName,
+} from '../../shared/meshtastic-enums.js';
 
 // =============== State ===============
 
 const catalog = new Catalog();
 const observations = new Observations();
 const derived = new DerivedState();
+// Our own nodes are the catalog's; read marks are loaded in init()
+const chat = new ChatState({ isOwnNode: nodeId => !!catalog.findNodeByNodeId(nodeId) });
+const rangeTest = new RangeTestState({ distanceKm: getNodeDistanceKm });
 
 const state = {
   filter: 'all',
   nodeFilters: { from: [], to: [] },
+  // { networkId, topic } for every broker's subscriptions
   subscriptions: [],
+  // Per-broker connection status from the server, one entry per catalog network
+  brokers: [],
+  // Signed-in user from /api/config; role 'viewer' can only watch
+  user: { enabled: false, username: null, role: 'admin' },
   activeView: 'watch',
   sidebarCollapsed: false,
   subscriptionVisibility: {},
   selectedMessage: null,
+  // Packet id of the latest want_ack send, shown under the Send button
+  lastAckedSend: null,
+  // The Send preview follows whichever composer was edited last; requestId
+  // matches the server's encoded_custom reply to the latest edit, whose
+  // envelope waits in `pending` for the bytes
+  sendPreview: { custom: false, requestId: 0, pending: null },
   // Nodes view state
-  nodesView: { selectedNodeId: null, searchQuery: '', sortBy: 'lastSeenAt' },
+  nodesView: { selectedNodeId: null, searchQuery: '', sortBy: 'lastSeenAt', chartRangeHours: 24 },
+  // Latest traceroute started from the node dashboard:
+  // { targetNodeId, fromNodeId, networkId, packetId, status, startedAt, hops }
+  traceroute: null,
+  // Chat view state: open conversation id
+  chat: { activeId: null },
+  rangeTest: { activeId: null },
+  gatewaysView: { selectedId: null },
   // Map view state
-  mapView: { map: null, markers: {}, lines: [], autoFit: true, showLinks: true, maxLinkAgeHours: 24, initialized: false },
+  mapView: {
+    map: null, markers: {}, lines: [], autoFit: true, showLinks: true, maxLinkAgeHours: 24, initialized: false,
+    waypointMarkers: {}, showWaypoints: true, placingWaypoint: false, tracerouteLayer: null,
+    coverageLayer: null, coverageGatewayId: null,
+  },
   // Manage (Settings) view state
   manage: {
     selectedType: null,  // 'network' | 'key' | 'channel' | 'node'
@@ -35,13 +67,23 @@ const state = {
 };
 
 const UI_PREFS_KEY = 'mqttMeshtastic.ui.v1';
+const CHAT_READ_KEY = 'mqttMeshtastic.chatRead.v1';
+const CLIENT_ID_KEY = 'mqttMeshtastic.clientId.v1';
 
 const FILTERS = ['all', 'text', 'position', 'telemetry', 'nodeinfo', 'routing', 'neighbor'];
 const NODE_FILTER_FIELDS = ['from', 'to'];
 const MAX_LOG_BUFFER = 10000;
 const MAX_LOG_DOM = 1000;
+// Give up on a traceroute reply after a minute
+const TRACEROUTE_TIMEOUT_MS = 60000;
+// Tapbacks offered in the detail panel: thumbs up, heart, laugh, surprise, sad, pray
+const QUICK_REACTIONS = ['\u{1F44D}', '\u{2764}\u{FE0F}', '\u{1F602}', '\u{1F62E}', '\u{1F622}', '\u{1F64F}'];
 const messageBuffer = [];
 
+// Ports offered by the advanced composer; any 0-511 may be typed
+const COMPOSER_PORTS = Object.entries(PortNum).filter(([name]) => name !== 'UNKNOWN_APP' && name !== 'MAX');
+const PACKET_PRIORITIES = Object.entries(Priority);
+
 const FILTER_MATCHERS = {
   all: () => true,
   text: (portName) => portName === 'TEXT_MESSAGE' || portName === 'sent',
@@ -59,13 +101,123 @@ const ACTIVITY_PLACEHOLDER = `
   </div>
 `;
 
-const HW_MODEL_NAMES = {
-  0: 'UNSET', 1: 'TLORA_V2', 2: 'TLORA_V1', 3: 'TLORA_V2_1_1P6',
-  4: 'TBEAM', 5: 'HELTEC_V2_0', 6: 'TBEAM_V0P7', 7: 'T_ECHO',
-  8: 'TLORA_V1_1P3', 9: 'RAK4631', 10: 'HELTEC_V2_1', 11: 'HELTEC_V1',
-  12: 'LILYGO_TBEAM_S3_CORE', 13: 'RAK11200', 14: 'NANO_G1',
-  15: 'TLORA_V2_1_1P8', 255: 'PRIVATE_HW',
-};
+// History replay on connect: how far back to rebuild nodes/map/links from the server store
+const HISTORY_REPLAY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// NodeInfo auto-announce: firmware default broadcast interval is 3 hours.
+// The server sends these on the schedule the browser pushes (syncSchedules).
+const NODEINFO_DEFAULT_INTERVAL_MIN = 180;
+const WAYPOINT_EXPIRY_CHECK_MS = 60 * 1000;
+// MapReport auto-publish for gateway nodes: firmware default is hourly
+const MAP_REPORT_DEFAULT_INTERVAL_MIN = 60;
+
+// Telemetry variants and their fields as [key, label, format]. Shared by
+// the log card and the node dashboard; fields a packet leaves out are skipped.
+const fixed = (digits, unit = '') => value => `${value.toFixed(digits)}${unit}`;
+const TELEMETRY_SECTIONS = [
+  { key: 'deviceMetrics', title: 'Device', fields: [
+    // Firmware reports 101 while running from external power
+    ['batteryLevel', 'Battery', value => (value > 100 ? 'Powered' : `${value}%`)],
+    ['voltage', 'Voltage', fixed(2, 'V')],
+    ['channelUtilization', 'Channel Util', fixed(1, '%')],
+    ['airUtilTx', 'Air Util TX', fixed(1, '%')],
+    ['uptimeSeconds', 'Uptime', formatUptime],
+  ] },
+  { key: 'environmentMetrics', title: 'Environment', fields: [
+    ['temperature', 'Temperature', fixed(1, '&deg;C')],
+    ['relativeHumidity', 'Humidity', fixed(0, '%')],
+    ['barometricPressure', 'Pressure', fixed(0, ' hPa')],
+    ['gasResistance', 'Gas Resistance', fixed(2, ' M&Omega;')],
+    ['iaq', 'IAQ', String],
+    ['voltage', 'Voltage', fixed(2, 'V')],
+    ['current', 'Current', fixed(1, ' mA')],
+    ['lux', 'Light', fixed(0, ' lx')],
+    ['whiteLux', 'White Light', fixed(0, ' lx')],
+    ['irLux', 'IR Light', fixed(0, ' lx')],
+    ['uvLux', 'UV Light', fixed(0, ' lx')],
+    ['windDirection', 'Wind Direction', value => `${value}&deg;`],
+    ['windSpeed', 'Wind Speed', fixed(1, ' m/s')],
+    ['windGust', 'Wind Gust', fixed(1, ' m/s')],
+    ['windLull', 'Wind Lull', fixed(1, ' m/s')],
+    ['rainfall1h', 'Rain 1h', fixed(1, ' mm')],
+    ['rainfall24h', 'Rain 24h', fixed(1, ' mm')],
+    ['soilMoisture', 'Soil Moisture', value => `${value}%`],
+    ['soilTemperature', 'Soil Temp', fixed(1, '&deg;C')],
+    ['distance', 'Distance', fixed(0, ' mm')],
+    ['weight', 'Weight', fixed(2, ' kg')],
+    ['radiation', 'Radiation', fixed(2, ' &micro;R/h')],
+  ] },
+  { key: 'powerMetrics', title: 'Power', fields: [1, 2, 3, 4, 5, 6, 7, 8].flatMap(ch => [
+    [`ch${ch}Voltage`, `Ch${ch} Voltage`, fixed(2, 'V')],
+    [`ch${ch}Current`, `Ch${ch} Current`, fixed(1, ' mA')],
+  ]) },
+  { key: 'airQualityMetrics', title: 'Air Quality', fields: [
+    ['pm10Standard', 'PM1.0', value => `${value} &micro;g/m&sup3;`],
+    ['pm25Standard', 'PM2.5', value => `${value} &micro;g/m&sup3;`],
+    ['pm100Standard', 'PM10', value => `${value} &micro;g/m&sup3;`],
+    ['pm10Environmental', 'PM1.0 (env)', value => `${value} &micro;g/m&sup3;`],
+    ['pm25Environmental', 'PM2.5 (env)', value => `${value} &micro;g/m&sup3;`],
+    ['pm100Environmental', 'PM10 (env)', value => `${value} &micro;g/m&sup3;`],
+    ['particles03um', '&gt;0.3&micro;m', value => `${value}/dL`],
+    ['particles05um', '&gt;0.5&micro;m', value => `${value}/dL`],
+    ['particles10um', '&gt;1.0&micro;m', value => `${value}/dL`],
+    ['particles25um', '&gt;2.5&micro;m', value => `${value}/dL`],
+    ['particles50um', '&gt;5.0&micro;m', value => `${value}/dL`],
+    ['particles100um', '&gt;10&micro;m', value => `${value}/dL`],
+    ['co2', 'CO&#8322;', value => `${value} ppm`],
+    ['co2Temperature', 'CO&#8322; Sensor Temp', fixed(1, '&deg;C')],
+    ['co2Humidity', 'CO&#8322; Sensor Humidity', fixed(0, '%')],
+  ] },
+  { key: 'localStats', title: 'Local Stats', fields: [
+    ['uptimeSeconds', 'Uptime', formatUptime],
+    ['channelUtilization', 'Channel Util', fixed(1, '%')],
+    ['airUtilTx', 'Air Util TX', fixed(1, '%')],
+    ['numOnlineNodes', 'Online Nodes', String],
+    ['numTotalNodes', 'Total Nodes', String],
+    ['numPacketsTx', 'Packets TX', String],
+    ['numPacketsRx', 'Packets RX', String],
+    ['numPacketsRxBad', 'Bad RX', String],
+    ['numRxDupe', 'Duplicate RX', String],
+    ['numTxRelay', 'Relayed', String],
+    ['numTxRelayCanceled', 'Relays Canceled', String],
+    ['numTxDropped', 'TX Dropped', String],
+    ['heapFreeBytes', 'Heap Free', formatBytes],
+    ['heapTotalBytes', 'Heap Total', formatBytes],
+  ] },
+  { key: 'healthMetrics', title: 'Health', fields: [
+    ['heartBpm', 'Heart Rate', value => `${value} bpm`],
+    ['spO2', 'SpO&#8322;', value => `${value}%`],
+    ['temperature', 'Body Temp', fixed(1, '&deg;C')],
+  ] },
+  { key: 'hostMetrics', title: 'Host', fields: [
+    ['uptimeSeconds', 'Uptime', formatUptime],
+    ['freememBytes', 'Free Memory', formatBytes],
+    ['diskfree1Bytes', 'Disk Free (/)', formatBytes],
+    ['diskfree2Bytes', 'Disk Free 2', formatBytes],
+    ['diskfree3Bytes', 'Disk Free 3', formatBytes],
+    // Load averages are sent multiplied by 100
+    ['load1', 'Load 1m', value => (value / 100).toFixed(2)],
+    ['load5', 'Load 5m', value => (value / 100).toFixed(2)],
+    ['load15', 'Load 15m', value => (value / 100).toFixed(2)],
+    ['userString', 'Info', escapeHtml],
+  ] },
+];
+
+// Telemetry history charts on the node dashboard
+const TELEMETRY_CHART_RANGES_HOURS = [6, 24, 72, 168];
+const TELEMETRY_CHART_SERIES = [
+  // 101 means external power, which would flatten the battery curve
+  { label: 'Battery', color: '#89d185', format: v => `${Math.round(v)}%`, pick: t => (t.deviceMetrics?.batteryLevel <= 100 ? t.deviceMetrics.batteryLevel : undefined) },
+  { label: 'Voltage', color: '#cca700', format: v => `${v.toFixed(2)}V`, pick: t => t.deviceMetrics?.voltage },
+  { label: 'Channel Util', color: '#569cd6', format: v => `${v.toFixed(1)}%`, pick: t => t.deviceMetrics?.channelUtilization },
+  { label: 'Air Util TX', color: '#4ec9b0', format: v => `${v.toFixed(1)}%`, pick: t => t.deviceMetrics?.airUtilTx },
+  { label: 'Temperature', color: '#f48771', format: v => `${v.toFixed(1)}&deg;C`, pick: t => t.environmentMetrics?.temperature },
+  { label: 'Humidity', color: '#9cdcfe', format: v => `${v.toFixed(0)}%`, pick: t => t.environmentMetrics?.relativeHumidity },
+  { label: 'Pressure', color: '#c586c0', format: v => `${v.toFixed(0)} hPa`, pick: t => t.environmentMetrics?.barometricPressure },
+];
+// Per-node telemetry fetches, keyed "nodeId|hours"; refetched after a few minutes
+const TELEMETRY_REFETCH_MS = 5 * 60 * 1000;
+const telemetryFetchedAt = new Map();
 
 const DEFAULT_PORT_CONFIG = {
   bgClass: 'bg-gray-800/50', borderClass: 'border-gray-600',
@@ -101,23 +253,17 @@ const PORT_CONFIGS = {
     bgClass: 'bg-purple-900/30', borderClass: 'border-purple-500',
     iconClass: 'text-purple-400', labelClass: 'text-purple-400', icon: '&#128202;',
     content: ({ payload }) => {
-      if (!payload) return '<div class="text-gray-500 mt-1 italic">No telemetry data</div>';
-      let html = '<div class="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 text-[10px]">';
-      if (payload.deviceMetrics) {
-        const dm = payload.deviceMetrics;
-        if (dm.batteryLevel) html += `<div><span class="text-gray-500">Battery:</span> <span class="text-purple-300 font-mono">${dm.batteryLevel}%</span></div>`;
-        if (dm.voltage) html += `<div><span class="text-gray-500">Voltage:</span> <span class="text-purple-300 font-mono">${dm.voltage.toFixed(2)}V</span></div>`;
-        if (dm.channelUtilization) html += `<div><span class="text-gray-500">Ch Util:</span> <span class="text-purple-300 font-mono">${dm.channelUtilization.toFixed(1)}%</span></div>`;
-        if (dm.airUtilTx) html += `<div><span class="text-gray-500">Air Util:</span> <span class="text-purple-300 font-mono">${dm.airUtilTx.toFixed(1)}%</span></div>`;
-        if (dm.uptimeSeconds) html += `<div><span class="text-gray-500">Uptime:</span> <span class="text-purple-300 font-mono">${formatUptime(dm.uptimeSeconds)}</span></div>`;
-      }
-      if (payload.environmentMetrics) {
-        const em = payload.environmentMetrics;
-        if (em.temperature) html += `<div><span class="text-gray-500">Temp:</span> <span class="text-purple-300 font-mono">${em.temperature.toFixed(1)}&deg;C</span></div>`;
-        if (em.relativeHumidity) html += `<div><span class="text-gray-500">Humidity:</span> <span class="text-purple-300 font-mono">${em.relativeHumidity.toFixed(0)}%</span></div>`;
-        if (em.barometricPressure) html += `<div><span class="text-gray-500">Pressure:</span> <span class="text-purple-300 font-mono">${em.barometricPressure.toFixed(0)}hPa</span></div>`;
+      const sections = payload ? getTelemetrySections(payload) : [];
+      if (sections.length === 0) return '<div class="text-gray-500 mt-1 italic">No telemetry data</div>';
+      let html = '';
+      for (const { title, rows } of sections) {
+        html += `<div class="mt-2 text-[10px] text-gray-500 uppercase">${title}</div>`;
+        html += '<div class="mt-1 grid grid-cols-2 gap-x-4 gap-y-1 text-[10px]">';
+        for (const { label, value } of rows) {
+          html += `<div><span class="text-gray-500">${label}:</span> <span class="text-purple-300 font-mono">${value}</span></div>`;
+        }
+        html += '</div>';
       }
-      html += '</div>';
       return html;
     },
   },
@@ -131,6 +277,7 @@ const PORT_CONFIGS = {
           <div><span class="text-gray-500">Name:</span> <span class="text-cyan-300 font-bold">${escapeHtml(payload.longName || '?')}</span> <span class="text-cyan-400/70">(${escapeHtml(payload.shortName || '?')})</span></div>
           <div><span class="text-gray-500">ID:</span> <span class="text-cyan-300 font-mono">${escapeHtml(payload.id || '?')}</span></div>
           ${payload.hwModel ? `<div><span class="text-gray-500">Hardware:</span> <span class="text-cyan-300">${getHwModelName(payload.hwModel)}</span></div>` : ''}
+          ${payload.role ? `<div><span class="text-gray-500">Role:</span> <span class="text-cyan-300">${getRoleName(payload.role)}</span></div>` : ''}
         </div>
       `;
     },
@@ -141,7 +288,7 @@ const PORT_CONFIGS = {
     content: ({ payload }) => {
       if (!payload) return '<div class="text-gray-500 mt-1 text-[10px] italic">Routing message</div>';
       let html = '<div class="mt-2 text-[10px]">';
-      if (payload.errorReason && payload.errorReason !== 0) html += `<div class="text-red-400"><span class="text-gray-500">Error:</span> ${payload.errorName || payload.errorReason}</div>`;
+      if (payload.errorReason && payload.errorReason !== 0) html += `<div class="text-red-400"><span class="text-gray-500">Error:</span> ${escapeHtml(getRoutingErrorLabel(payload.errorName || `ERROR_${payload.errorReason}`))} <span class="text-gray-500 font-mono">(${escapeHtml(payload.errorName || String(payload.errorReason))})</span></div>`;
       if (payload.routeRequest?.route?.length > 0) html += `<div><span class="text-gray-500">Route Request:</span> <span class="text-amber-300 font-mono">${payload.routeRequest.route.map(n => formatNodeIdShort(n)).join(' &rarr; ')}</span></div>`;
       if (payload.routeReply?.route?.length > 0) html += `<div><span class="text-gray-500">Route Reply:</span> <span class="text-amber-300 font-mono">${payload.routeReply.route.map(n => formatNodeIdShort(n)).join(' &rarr; ')}</span></div>`;
       html += '</div>';
@@ -192,6 +339,9 @@ const PORT_CONFIGS = {
       }
       if (payload.altitude) html += `<div><span class="text-gray-500">Alt:</span> <span class="text-teal-300 font-mono">${payload.altitude}m</span></div>`;
       if (payload.hwModel) html += `<div><span class="text-gray-500">HW:</span> <span class="text-teal-300">${getHwModelName(payload.hwModel)}</span></div>`;
+      if (payload.role) html += `<div><span class="text-gray-500">Role:</span> <span class="text-teal-300">${getRoleName(payload.role)}</span></div>`;
+      if (payload.region) html += `<div><span class="text-gray-500">Region:</span> <span class="text-teal-300">${getRegionName(payload.region)}</span></div>`;
+      if (payload.modemPreset !== undefined) html += `<div><span class="text-gray-500">Preset:</span> <span class="text-teal-300">${getModemPresetName(payload.modemPreset)}</span></div>`;
       if (payload.firmwareVersion) html += `<div><span class="text-gray-500">FW:</span> <span class="text-teal-300 font-mono">${escapeHtml(payload.firmwareVersion)}</span></div>`;
       if (payload.numOnlineLocalNodes) html += `<div><span class="text-gray-500">Online:</span> <span class="text-teal-300">${payload.numOnlineLocalNodes} nodes</span></div>`;
       html += '</div>';
@@ -206,20 +356,70 @@ const PORT_CONFIGS = {
   },
   ENCRYPTED: { bgClass: 'bg-gray-800/50', borderClass: 'border-gray-600', iconClass: 'text-gray-500', labelClass: 'text-gray-500', icon: '&#128274;', content: () => '<div class="text-gray-500 mt-1 text-[10px] italic">Encrypted (different key)</div>' },
   ADMIN: { bgClass: 'bg-red-900/30', borderClass: 'border-red-600', iconClass: 'text-red-400', labelClass: 'text-red-400', icon: '&#9881;', content: () => '<div class="text-gray-500 mt-1 text-[10px] italic">Admin message</div>' },
-  WAYPOINT: { bgClass: 'bg-pink-900/30', borderClass: 'border-pink-500', iconClass: 'text-pink-400', labelClass: 'text-pink-400', icon: '&#128204;', content: () => '<div class="text-gray-500 mt-1 text-[10px] italic">Waypoint</div>' },
-  STORE_FORWARD: { bgClass: 'bg-orange-900/30', borderClass: 'border-orange-500', iconClass: 'text-orange-400', labelClass: 'text-orange-400', icon: '&#128190;', content: () => '<div class="text-gray-500 mt-1 text-[10px] italic">Store & Forward</div>' },
-  RANGE_TEST: { bgClass: 'bg-lime-900/30', borderClass: 'border-lime-500', iconClass: 'text-lime-400', labelClass: 'text-lime-400', icon: '&#128207;', content: () => '<div class="text-gray-500 mt-1 text-[10px] italic">Range test</div>' },
-  DETECTION_SENSOR: { bgClass: 'bg-rose-900/30', borderClass: 'border-rose-500', iconClass: 'text-rose-400', labelClass: 'text-rose-400', icon: '&#128680;', content: () => '<div class="text-gray-500 mt-1 text-[10px] italic">Detection sensor</div>' },
+  WAYPOINT: {
+    bgClass: 'bg-pink-900/30', borderClass: 'border-pink-500',
+    iconClass: 'text-pink-400', labelClass: 'text-pink-400', icon: '&#128204;',
+    content: ({ payload }) => {
+      if (!payload) return '<div class="text-gray-500 mt-1 text-[10px] italic">Waypoint</div>';
+      const deleted = payload.expire && payload.expire * 1000 <= Date.now();
+      let html = '<div class="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 text-[10px]">';
+      html += `<div class="col-span-2"><span>${getWaypointIcon(payload.icon)}</span> <span class="text-pink-300 font-bold">${escapeHtml(payload.name || '(unnamed)')}</span> <span class="text-gray-500 font-mono">#${payload.id}</span>${deleted ? ' <span class="text-red-400">deleted/expired</span>' : ''}</div>`;
+      if (payload.description) html += `<div class="col-span-2 text-gray-300">${escapeHtml(payload.description)}</div>`;
+      html += `<div><span class="text-gray-500">Lat:</span> <span class="text-pink-300 font-mono">${payload.latitude.toFixed(6)}&deg;</span></div>`;
+      html += `<div><span class="text-gray-500">Lon:</span> <span class="text-pink-300 font-mono">${payload.longitude.toFixed(6)}&deg;</span></div>`;
+      if (payload.expire && !deleted) html += `<div><span class="text-gray-500">Expires:</span> <span class="text-pink-300">${new Date(payload.expire * 1000).toLocaleString()}</span></div>`;
+      if (payload.lockedTo) html += `<div><span class="text-gray-500">Locked to:</span> <span class="text-pink-300 font-mono">${formatNodeIdShort(payload.lockedTo)}</span></div>`;
+      html += '</div>';
+      return html;
+    },
+  },
+  STORE_FORWARD: {
+    bgClass: 'bg-orange-900/30', borderClass: 'border-orange-500', iconClass: 'text-orange-400', labelClass: 'text-orange-400', icon: '&#128190;',
+    content: ({ payload, text }) => {
+      if (!payload) return '<div class="text-gray-500 mt-1 text-[10px] italic">Store & Forward</div>';
+      // Replayed texts read like any other message
+      if (text) return `<div class="mt-2 text-gray-200">${escapeHtml(text)}</div><div class="text-gray-500 text-[10px] italic">replayed by Store & Forward</div>`;
+      const details = [];
+      if (payload.heartbeat?.period) details.push(`heartbeat every ${Math.round(payload.heartbeat.period / 60)} min`);
+      if (payload.stats) details.push(`${payload.stats.messagesSaved ?? 0}/${payload.stats.messagesMax ?? '?'} stored, ${payload.stats.requestsHistory ?? 0} history requests`);
+      if (payload.history) details.push(`${payload.history.historyMessages ?? 0} messages from the last ${payload.history.window ?? '?'} min`);
+      return `<div class="mt-1 text-[10px]"><span class="text-orange-300 font-mono">${escapeHtml(payload.rrName)}</span>${details.length ? ` <span class="text-gray-400">${escapeHtml(details.join(' \u00b7 '))}</span>` : ''}</div>`;
+    },
+  },
+  RANGE_TEST: { bgClass: 'bg-lime-900/30', borderClass: 'border-lime-500', iconClass: 'text-lime-400', labelClass: 'text-lime-400', icon: '&#128207;', content: ({ payload }) => `<div class="text-gray-500 mt-1 text-[10px] italic">Range test${Number.isInteger(payload?.seq) ? ` #${payload.seq}` : ''}</div>` },
+  DETECTION_SENSOR: {
+    bgClass: 'bg-rose-900/30', borderClass: 'border-rose-500', iconClass: 'text-rose-400', labelClass: 'text-rose-400', icon: '&#128680;',
+    content: ({ payload }) => payload?.text
+      ? `<div class="mt-2 text-gray-200">${escapeHtml(payload.text)}</div>`
+      : '<div class="text-gray-500 mt-1 text-[10px] italic">Detection sensor</div>',
+  },
+  PAXCOUNTER: {
+    bgClass: 'bg-sky-900/30', borderClass: 'border-sky-500', iconClass: 'text-sky-400', labelClass: 'text-sky-400', icon: '&#128101;',
+    content: ({ payload }) => {
+      if (!payload) return '<div class="text-gray-500 mt-1 text-[10px] italic">Paxcounter</div>';
+      return `<div class="grid grid-cols-2 gap-2 mt-2 text-[11px]">
+        <div><span class="text-gray-500">WiFi:</span> <span class="text-sky-300">${payload.wifi ?? 0}</span></div>
+        <div><span class="text-gray-500">BLE:</span> <span class="text-sky-300">${payload.ble ?? 0}</span></div>
+      </div>`;
+    },
+  },
 };
 
 let wsClient = null;
+let tracerouteTimer = null;
 
 // =============== Init ===============
 
 async function init() {
   try {
     const res = await fetch('/api/config');
+    // Authentication is on and this browser has no session yet
+    if (res.status === 401) {
+      location.href = '/login.html';
+      return;
+    }
     const serverConfig = await res.json();
+    if (serverConfig.auth) state.user = serverConfig.auth;
 
     // Load catalog from localStorage, or create from seed
     const loaded = catalog.load();
@@ -231,6 +431,8 @@ async function init() {
 
     // Load UI prefs
     loadUiPrefs();
+    loadChatReadMarks();
+    applyUserRole();
 
     // Populate all dropdowns from catalog
     populateDropdowns();
@@ -245,38 +447,85 @@ async function init() {
     }
 
     // WebSocket
-    const wsUrl = `ws://${location.hostname}:${serverConfig.wsPort}`;
+    // The server picks the URL: same origin at /ws (wss:// under TLS) or the legacy WS_PORT
+    const wsUrl = serverConfig.wsUrl || `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`;
     wsClient = new WsClient(wsUrl);
 
     wsClient
-      .on('onStatusChange', updateConnectionStatus)
+      .on('onStatusChange', (status) => {
+        updateConnectionStatus(status);
+        // A refused WebSocket upgrade usually means the session expired
+        if (status === 'error' && state.user.enabled) checkSession();
+        if (status === 'connected' && canPublish()) {
+          registerPkiKeys();
+          syncSchedules();
+        }
+      })
+      .on('onBrokerStatus', renderBrokerStatus)
       .on('onMessage', handleIncomingMessage)
-      .on('onPublished', ({ topic, packetId, text, from, to }) => {
-        showToast(`Sent! ID: ${packetId}`);
-        addToLog('out', { text, topic });
+      .on('onGatewayStatus', (msg) => {
+        if (derived.updateGatewayStatus(msg)) renderGateways();
+      })
+      .on('onPublished', ({ networkId, topic, packetId, text, from, to, portnum, portName, payload, wantAck, replyId, emoji, compressed, custom, scheduled }) => {
+        // Scheduled announcements reach every tab; log them without a toast
+        if (!scheduled) showToast(packetId ? `Sent! ID: ${packetId}` : 'Sent!');
+        const delivery = wantAck ? { status: 'pending', attempt: 1 } : undefined;
+        // Our own reaction decorates the message it reacts to, like anyone else's
+        if (!(emoji && attachLogReaction(replyId, { emoji: text, from }))) {
+          addToLog('out', {
+            text: describePublished({ text, portnum, portName, payload, custom }),
+            topic,
+            networkId,
+            packetId,
+            to,
+            delivery,
+            portnum: portnum ?? 1,
+            replyId,
+            emoji,
+            compressed,
+            // Text keeps the legacy 'sent' marker so the Text filter still matches it
+            portName: portnum && portnum !== 1 ? portName : undefined,
+          });
+        }
+        if (delivery) {
+          state.lastAckedSend = packetId;
+          renderSendDeliveryStatus(delivery);
+        }
+        if (portnum === 70) onTraceroutePublished({ packetId, to });
         // Record tx observation — resolve channel from topic
         const txChName = topic ? topic.split('/').slice(-2, -1)[0] : null;
         const txCh = txChName ? catalog.findChannelByName(txChName) : null;
-        const sendNetId = $('#send-network-select')?.value || null;
+        const sendNetId = networkId || $('#send-network-select')?.value || null;
+        // A custom packet's payload is raw bytes, not the port's decoded message
         const obs = Observations.normalizeTxEvent(
-          { topic, packetId, text, from, to },
+          { topic, packetId, text, from, to, portnum, payload: custom ? null : payload, replyId, emoji },
           { networkId: sendNetId, channelId: txCh?.id || null }
         );
         const event = observations.append(obs);
         derived.update(event);
+        onChatUpdated(chat.update(event));
       })
-      .on('onSubscribed', ({ topic }) => showToast(`Subscribed: ${topic}`))
-      .on('onUnsubscribed', ({ topic }) => showToast(`Unsubscribed: ${topic}`))
-      .on('onSubscriptions', ({ topics }) => {
-        state.subscriptions = topics || [];
-        for (const t of state.subscriptions) {
-          if (!(t in state.subscriptionVisibility)) state.subscriptionVisibility[t] = true;
+      .on('onSubscribed', ({ networkId, topic }) => showToast(`Subscribed: ${topic}${describeBrokerSuffix(networkId)}`))
+      .on('onUnsubscribed', ({ networkId, topic }) => showToast(`Unsubscribed: ${topic}${describeBrokerSuffix(networkId)}`))
+      .on('onSubscriptions', ({ networkId, topics }) => {
+        // Each broker reports its own list; replace just that network's entries
+        state.subscriptions = [
+          ...state.subscriptions.filter(sub => sub.networkId !== networkId),
+          ...(topics || []).map(topic => ({ networkId, topic })),
+        ];
+        for (const { topic } of state.subscriptions) {
+          if (!(topic in state.subscriptionVisibility)) state.subscriptionVisibility[topic] = true;
         }
         for (const t of Object.keys(state.subscriptionVisibility)) {
-          if (!state.subscriptions.includes(t)) delete state.subscriptionVisibility[t];
+          if (!state.subscriptions.some(sub => sub.topic === t)) delete state.subscriptionVisibility[t];
         }
         renderSubscriptions();
       })
+      .on('onOpen', requestHistory)
+      .on('onHistory', applyHistory)
+      .on('onKeypair', fillGeneratedKeypair)
+      .on('onEncodedCustom', renderCustomPreviewBytes)
+      .on('onDelivery', applyDelivery)
       .on('onError', ({ message }) => showToast(`Error: ${message}`));
 
     wsClient.connect();
@@ -353,7 +602,11 @@ async function init() {
   });
 
   // Message textarea
-  $('#message-text')?.addEventListener('input', generatePreview);
+  $('#message-text')?.addEventListener('input', () => { state.sendPreview.custom = false; generatePreview(); });
+  $('#message-text')?.addEventListener('focus', () => { state.sendPreview.custom = false; generatePreview(); });
+  $('#send-pki')?.addEventListener('change', generatePreview);
+  $('#send-want-ack')?.addEventListener('change', generatePreview);
+  $('#send-compress')?.addEventListener('change', generatePreview);
 
   // Copy buttons
   $('#copy-topic').addEventListener('click', () => copyToClipboard($('#out-topic').textContent));
@@ -361,6 +614,8 @@ async function init() {
 
   // Send / Subscribe
   $('#send-btn').addEventListener('click', sendMessage);
+  $('#send-position-btn')?.addEventListener('click', sendPosition);
+  setupCustomComposer();
   $('#subscribe-btn').addEventListener('click', subscribeFromInputs);
 
   // Activity bar
@@ -385,9 +640,14 @@ async function init() {
   catalog.onChange(() => {
     populateDropdowns();
     renderManageLists();
+    registerPkiKeys();
+    syncSchedules();
   });
 
-  // Nodes/Map sidebar controls
+  // Chat/Range test/Gateways/Nodes/Map sidebar controls
+  setupChatView();
+  setupRangeTestView();
+  setupGatewaysView();
   setupNodesView();
   setupMapView();
 
@@ -405,7 +665,7 @@ async function init() {
   let mapDirty = false;           // any event since last map redraw
   let mapPositionDirty = false;   // position/nodeinfo/neighbor event since last redraw
 
-  const MAP_PORTNUM_TRIGGERS = new Set([3, 4, 70, 71, 73]); // position, nodeinfo, traceroute, neighbor, mapreport
+  const MAP_PORTNUM_TRIGGERS = new Set([3, 4, 8, 70, 71, 73]); // position, nodeinfo, waypoint, traceroute, neighbor, mapreport
 
   derived.onChange((event) => {
     // Nodes view + status bar: 500ms throttle
@@ -413,13 +673,14 @@ async function init() {
       nodesUpdateTimer = setTimeout(() => {
         nodesUpdateTimer = null;
         if (state.activeView === 'nodes') renderNodesList();
+        if (state.activeView === 'gateways') renderGateways();
         updateStatusBarNodeCount();
       }, 500);
     }
 
     // Track what kind of data changed for the map
     mapDirty = true;
-    if (event && MAP_PORTNUM_TRIGGERS.has(event.portnum)) {
+    if (!event || MAP_PORTNUM_TRIGGERS.has(event.portnum)) {
       mapPositionDirty = true;
     }
 
@@ -461,6 +722,34 @@ function loadUiPrefs() {
   } catch { /* ignore */ }
 }
 
+function loadChatReadMarks() {
+  try {
+    const raw = localStorage.getItem(CHAT_READ_KEY);
+    if (raw) chat.readMarks = JSON.parse(raw) || {};
+  } catch { /* ignore */ }
+}
+
+function saveChatReadMarks() {
+  try {
+    localStorage.setItem(CHAT_READ_KEY, JSON.stringify(chat.readMarks));
+  } catch { /* ignore */ }
+}
+
+// Identifies this browser's catalog to the server, so its scheduled
+// announcements replace only its own
+function getClientId() {
+  try {
+    let id = localStorage.getItem(CLIENT_ID_KEY);
+    if (!id) {
+      id = `client_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem(CLIENT_ID_KEY, id);
+    }
+    return id;
+  } catch {
+    return 'client_default';
+  }
+}
+
 function saveUiPrefs() {
   try {
     localStorage.setItem(UI_PREFS_KEY, JSON.stringify({
@@ -694,7 +983,13 @@ function setupActivityBar() {
       $(`#main-${view}`).classList.add('active');
 
       // View activation hooks
-      if (view === 'nodes') {
+      if (view === 'chat') {
+        renderChat();
+      } else if (view === 'range') {
+        renderRangeTest();
+      } else if (view === 'gateways') {
+        renderGateways();
+      } else if (view === 'nodes') {
         renderNodesList();
       } else if (view === 'map') {
         initMapView();
@@ -802,15 +1097,23 @@ function generatePreview() {
 
   const key = catalog.resolveChannelKey(ch.id);
   const isJson = path === '2/json';
+  const pki = !isJson && ($('#send-pki')?.checked ?? false);
+  const wantAck = !isJson && ($('#send-want-ack')?.checked ?? false);
+  const compress = !isJson && ($('#send-compress')?.checked ?? false);
 
   const topic = buildTopicFromComponents({
     root: net?.mqttRoot || 'msh',
     region,
     path,
-    channel: ch.name,
+    channel: pki ? 'PKI' : ch.name,
     gatewayId: gwNode?.nodeId || '!ffffffff',
   });
 
+  if (state.sendPreview.custom) {
+    generateCustomPreview({ net, ch, key, region, path, gwNode, fromNode, toNode, pki, wantAck, topic });
+    return;
+  }
+
   let preview;
   if (isJson) {
     preview = {
@@ -826,12 +1129,16 @@ function generatePreview() {
           from: fromNode?.nodeId || '?',
           to: toNode?.nodeId || '^all',
           channel: 0, hopLimit: 0, viaMqtt: true,
-          encrypted: '<AES256-CTR encrypted Data>',
+          ...(wantAck ? { wantAck: true } : {}),
+          ...(pki
+            ? { pkiEncrypted: true, publicKey: '<sender public key>', encrypted: '<X25519 + AES256-CCM encrypted Data>' }
+            : { encrypted: '<AES256-CTR encrypted Data>' }),
         },
-        channelId: ch.name,
+        channelId: pki ? 'PKI' : ch.name,
         gatewayId: gwNode?.nodeId || '?',
       },
-      dataPayload: { portnum: 1, payload: message },
+      // The server picks TEXT_MESSAGE_COMPRESSED (7) only when it is shorter
+      dataPayload: { portnum: compress ? '1 or 7' : 1, payload: message },
     };
   }
 
@@ -842,6 +1149,74 @@ function generatePreview() {
   if (payloadLabel) payloadLabel.textContent = isJson ? 'Payload (JSON - unencrypted)' : 'Payload (before encryption)';
 }
 
+// The advanced composer's packet: the server encodes it (exactly as it will
+// publish it) and answers with encoded_custom
+function generateCustomPreview({ net, ch, key, region, path, gwNode, fromNode, toNode, pki, wantAck, topic }) {
+  const custom = getCustomPacketFields();
+  const requestId = ++state.sendPreview.requestId;
+  state.sendPreview.pending = {
+    serviceEnvelope: {
+      packet: {
+        from: fromNode?.nodeId || '?',
+        to: toNode?.nodeId || '^all',
+        channel: custom.channelHash ?? '<derived>',
+        hopLimit: custom.hopLimit || 0,
+        hopStart: custom.hopLimit || 0,
+        priority: custom.priority,
+        viaMqtt: true,
+        ...(wantAck ? { wantAck: true } : {}),
+        ...(pki ? { pkiEncrypted: true, encrypted: '<X25519 + AES256-CCM encrypted Data>' } : { encrypted: '<AES256-CTR encrypted Data>' }),
+      },
+      channelId: pki ? 'PKI' : ch.name,
+      gatewayId: gwNode?.nodeId || '?',
+    },
+  };
+
+  $('#out-topic').textContent = topic;
+  $('#payload-label').textContent = 'Packet (Data bytes before encryption)';
+  if (path === '2/json') {
+    $('#out-payload').textContent = 'Custom packets can only be sent in protobuf mode';
+    return;
+  }
+  const sent = wsClient?.encodeCustom({
+    requestId,
+    networkId: net?.id,
+    root: net?.mqttRoot || 'msh',
+    region,
+    path,
+    channel: ch.name,
+    gatewayId: gwNode?.nodeId || '!ffffffff',
+    from: fromNode?.nodeId || gwNode?.nodeId || '!ffffffff',
+    to: toNode?.nodeId || '^all',
+    key,
+    pki,
+    custom,
+  });
+  $('#out-payload').textContent = sent ? 'Encoding…' : 'Connect to the server to encode the packet';
+}
+
+function formatHexBytes(hex) {
+  return (hex.match(/../g) || []).join(' ');
+}
+
+function renderCustomPreviewBytes({ requestId, error, portnum, portName, payloadHex, dataHex, channelHash, dest }) {
+  // Ignore replies to edits that have been superseded
+  if (!state.sendPreview.custom || requestId !== state.sendPreview.requestId) return;
+  if (error) {
+    $('#out-payload').textContent = `Error: ${error}`;
+    return;
+  }
+  const preview = state.sendPreview.pending;
+  preview.serviceEnvelope.packet.channel = channelHash;
+  preview.dataPayload = {
+    portnum: `${portnum} (${portName})`,
+    ...(dest ? { dest } : {}),
+    payload: `${payloadHex.length / 2} bytes: ${formatHexBytes(payloadHex)}`,
+  };
+  preview.dataBytes = formatHexBytes(dataHex);
+  $('#out-payload').textContent = JSON.stringify(preview, null, 2);
+}
+
 // =============== Filters ===============
 
 function setupFilterButtons() {
@@ -1017,6 +1392,76 @@ function clearLog() {
 
 // =============== Messages ===============
 
+// Normalize a decoded server message into an observation — resolve channel from message
+function buildRxObservation(msg) {
+  const rxChName = msg.channelId || msg.channel;
+  const rxCh = rxChName ? catalog.findChannelByName(rxChName) : null;
+  // The server tags messages with the broker they arrived on; stored history
+  // from before multi-broker support falls back to the watched network
+  const watchNetId = msg.networkId || $('#watch-network-select')?.value || null;
+  return Observations.normalizeRxEvent(msg, {
+    networkId: watchNetId,
+    channelId: rxCh?.id || null,
+  });
+}
+
+// =============== History Replay ===============
+
+function requestHistory() {
+  wsClient?.getHistory({ since: Date.now() - HISTORY_REPLAY_WINDOW_MS });
+}
+
+// The same reception live and in stored history: one gateway's copy of a packet
+function getReceptionKey(event) {
+  if (event.direction !== 'rx' || !event.packetId || !event.fromNodeId) return null;
+  return `${event.networkId || ''}:${event.fromNodeId}:${event.packetId}:${event.gatewayId || ''}`;
+}
+
+// Merge the server's stored packets into the observations and rebuild
+// derived state. Runs on every (re)connect, so events the store does not
+// have survive: our own sends, and receptions outside the replayed range or
+// missing from it.
+function applyHistory(reply) {
+  // Telemetry fetched for one node's charts, not a full replay
+  if (reply.nodeId && reply.portnum === 67) {
+    applyNodeTelemetry(reply);
+    return;
+  }
+
+  const { messages = [], truncated = false } = reply;
+  const replayed = messages
+    .filter(msg => msg.type === 'message')
+    .map(msg => ({ ...buildRxObservation(msg), ts: msg.timestamp || Date.now() }));
+  const oldestTs = replayed.length > 0 ? replayed[0].ts : Infinity;
+  const newestTs = replayed.length > 0 ? replayed[replayed.length - 1].ts : 0;
+  const storedKeys = new Set(replayed.map(getReceptionKey).filter(Boolean));
+  const kept = observations.getAllReceptions().filter(event => {
+    if (event.direction !== 'rx') return true;
+    const key = getReceptionKey(event);
+    return key ? !storedKeys.has(key) : event.ts < oldestTs || event.ts > newestTs;
+  });
+
+  observations.clear();
+  const merged = [...replayed, ...kept].sort((a, b) => a.ts - b.ts);
+  for (const event of merged) observations.append(event);
+  const receptions = observations.getAllReceptions();
+  derived.rebuildFromObservations(receptions);
+  for (const msg of messages) {
+    if (msg.type === 'gateway_status') derived.updateGatewayStatus(msg);
+  }
+  // The rebuild dropped telemetry fetched for charts
+  telemetryFetchedAt.clear();
+  chat.rebuild(receptions);
+  renderChat();
+  rangeTest.rebuild(receptions);
+  renderRangeTest();
+  renderGateways();
+
+  if (replayed.length > 0) {
+    showToast(`Loaded ${replayed.length} stored packets${truncated ? ' (most recent only)' : ''}`);
+  }
+}
+
 function handleIncomingMessage(msg) {
   console.log('[MSG]', msg);
 
@@ -1045,25 +1490,31 @@ function handleIncomingMessage(msg) {
   const portName = msg.portName || 'UNKNOWN';
   const decryptionStatus = msg.decryptionStatus || 'unknown';
 
-  addToLog('in', {
-    from, to, channel: channelId, text: text || `[${portName}]`,
-    portName, portnum: msg.portnum, decryptionStatus,
-    packetId: msg.packetId, payload: msg.payload,
-    hopLimit: msg.hopLimit, hopStart: msg.hopStart, viaMqtt: msg.viaMqtt,
-    topic: msg.topic, gatewayId: msg.gatewayId, timestamp: msg.timestamp,
-    decodeError: msg.decodeError || null,
-  });
+  const event = observations.append(buildRxObservation(msg));
+
+  // Another gateway's copy of a logged packet only extends its gateway list.
+  // Reactions decorate the message they react to instead of logging a stray
+  // emoji; one whose message we never saw is logged with a quote header.
+  if (event.duplicate) {
+    refreshLogReceptions(event.receptions);
+  } else if (!(msg.emoji && attachLogReaction(msg.replyId, { emoji: text, from }))) {
+    addToLog('in', {
+      from, to, channel: channelId, text: text || `[${portName}]`,
+      portName, portnum: msg.portnum, decryptionStatus,
+      packetId: msg.packetId, payload: msg.payload,
+      hopLimit: msg.hopLimit, hopStart: msg.hopStart, viaMqtt: msg.viaMqtt,
+      topic: msg.topic, gatewayId: msg.gatewayId, timestamp: msg.timestamp,
+      networkId: msg.networkId, replyId: msg.replyId, emoji: msg.emoji, compressed: msg.compressed,
+      decodeError: msg.decodeError || null,
+      // Shared with the observation, so later copies show up here too
+      receptions: event.receptions || null,
+    });
+  }
 
-  // Record observation — resolve channel from message
-  const rxChName = msg.channelId || msg.channel;
-  const rxCh = rxChName ? catalog.findChannelByName(rxChName) : null;
-  const watchNetId = $('#watch-network-select')?.value || null;
-  const obs = Observations.normalizeRxEvent(msg, {
-    networkId: watchNetId,
-    channelId: rxCh?.id || null,
-  });
-  const event = observations.append(obs);
   derived.update(event);
+  onChatUpdated(chat.update(event));
+  onRangeTestUpdated(rangeTest.update(event));
+  matchTracerouteReply(msg);
 }
 
 function createLogEntry(direction, data, ts) {
@@ -1080,6 +1531,7 @@ function createLogEntry(direction, data, ts) {
   if (isIn && data.from) {
     const statusIcon = data.decryptionStatus === 'success' ? '&#128275;' :
                        data.decryptionStatus === 'failed' ? '&#128274;' :
+                       data.decryptionStatus === 'pki' ? '&#128273;' :
                        data.decryptionStatus === 'plaintext' ? '&#128221;' :
                        data.decryptionStatus === 'json' ? '&#129534;' : '&#10067;';
 
@@ -1105,7 +1557,10 @@ function createLogEntry(direction, data, ts) {
         <button type="button" class="log-node-link log-node-to font-mono" data-node-role="to" title="Filter by receiver">${escapeHtml(data.to)}</button>
         <span class="text-yellow-500/70 ml-2 text-[10px]">${data.channel || ''}</span>
       </div>
+      ${renderLogReplyQuote(data)}
       ${portConfig.content}
+      ${renderLogReactions(data)}
+      ${renderLogReceptions(data)}
     `;
   } else if (data.raw) {
     entry.className = 'text-xs p-2 rounded bg-red-900/20 border-l-2 border-red-500';
@@ -1123,9 +1578,14 @@ function createLogEntry(direction, data, ts) {
     entry.innerHTML = `
       <div class="flex justify-between">
         <span class="text-gray-500 text-[10px]">${time}</span>
-        <span class="text-green-400 text-[10px]">&rarr; sent</span>
+        <span class="text-[10px]">
+          <span class="text-green-400">&rarr; sent</span>
+          ${data.delivery ? `<span class="delivery-${data.delivery.status}">&middot; ${escapeHtml(describeDelivery(data.delivery))}</span>` : ''}
+        </span>
       </div>
+      ${renderLogReplyQuote(data)}
       <div class="text-gray-200 mt-1">${escapeHtml(data.text)}</div>
+      ${renderLogReactions(data)}
     `;
   }
 
@@ -1148,6 +1608,92 @@ function createLogEntry(direction, data, ts) {
   return entry;
 }
 
+function logNodeLabel(nodeId) {
+  return derived.getNodeLabel(nodeId) || nodeId;
+}
+
+// Quote header for a reply, or for a reaction whose message we never saw
+function renderLogReplyQuote(data) {
+  if (!data.replyId) return '';
+  const original = messageBuffer.findLast(m => m.data.packetId === data.replyId && !m.data.emoji);
+  const quoted = original
+    ? `${escapeHtml(original.data.from ? logNodeLabel(original.data.from) : 'you')}: ${escapeHtml(original.data.text || '')}`
+    : `#${data.replyId}`;
+  return `<div class="log-reply-quote"><i class="fas fa-reply"></i> ${data.emoji ? 'reacted to' : 'reply to'} ${quoted}</div>`;
+}
+
+// Expandable "heard by N gateways" row: every copy with its signal, hops
+// and delay after the first one
+function renderLogReceptions(data) {
+  const receptions = data.receptions || [];
+  if (receptions.length < 2) return '';
+  const gatewayCount = new Set(receptions.map(r => r.gatewayId)).size;
+  const firstTs = receptions[0].ts;
+  const rows = receptions.map(r => `
+    <tr>
+      <td class="font-mono">${escapeHtml(r.gatewayId ? logNodeLabel(r.gatewayId) : '?')}</td>
+      <td>${r.rxSnr != null ? `${r.rxSnr} dB` : '–'}</td>
+      <td>${r.rxRssi ? `${r.rxRssi} dBm` : '–'}</td>
+      <td>${r.hopStart > 0 ? `${r.hopStart - (r.hopLimit || 0)}/${r.hopStart}` : '–'}</td>
+      <td>+${((r.ts - firstTs) / 1000).toFixed(1)}s</td>
+    </tr>
+  `).join('');
+  const copies = receptions.length > gatewayCount ? ` (${receptions.length} copies)` : '';
+  return `
+    <details class="log-receptions">
+      <summary>heard by ${gatewayCount} gateway${gatewayCount === 1 ? '' : 's'}${copies}</summary>
+      <table><thead><tr><th>Gateway</th><th>SNR</th><th>RSSI</th><th>Hops</th><th>Delay</th></tr></thead><tbody>${rows}</tbody></table>
+    </details>
+  `;
+}
+
+// Reactions grouped by emoji, with who sent them in the tooltip
+function renderLogReactions(data) {
+  if (!data.reactions?.length) return '';
+  const groups = new Map();
+  for (const { emoji, from } of data.reactions) {
+    if (!groups.has(emoji)) groups.set(emoji, []);
+    groups.get(emoji).push(from ? logNodeLabel(from) : 'you');
+  }
+  const chips = [...groups].map(([emoji, senders]) =>
+    `<span class="log-reaction" title="${escapeHtml(senders.join(', '))}">${escapeHtml(emoji)}${senders.length > 1 ? ` ${senders.length}` : ''}</span>`
+  );
+  return `<div class="log-reactions">${chips.join('')}</div>`;
+}
+
+// Re-render a buffered message's log entry in place (delivery status, reactions)
+function refreshLogEntry(item) {
+  const log = $('#activity-log');
+  const existing = Array.from(log?.children || []).find(el => el._messageData === item.data);
+  if (!existing) return;
+  const entry = createLogEntry(item.direction, item.data, item.ts);
+  if (existing.classList.contains('selected')) entry.classList.add('selected');
+  if (existing.querySelector('.log-receptions')?.open) entry.querySelector('.log-receptions')?.setAttribute('open', '');
+  existing.replaceWith(entry);
+}
+
+// A new copy of a logged packet arrived from another gateway
+function refreshLogReceptions(receptions) {
+  const item = messageBuffer.findLast(m => m.data.receptions === receptions);
+  if (!item) return;
+  refreshLogEntry(item);
+  if (state.selectedMessage === item.data) renderDetailPanel(item.data);
+}
+
+// Attach a reaction to the logged message it reacts to. Returns false when
+// that message is not in the log.
+function attachLogReaction(packetId, { emoji, from }) {
+  if (!packetId) return false;
+  const targets = messageBuffer.filter(m => m.data.packetId === packetId && !m.data.emoji);
+  for (const item of targets) {
+    const reactions = item.data.reactions ||= [];
+    if (reactions.some(r => r.from === from && r.emoji === emoji)) continue;
+    reactions.push({ emoji, from });
+    refreshLogEntry(item);
+  }
+  return targets.length > 0;
+}
+
 function addToLog(direction, data) {
   const log = $('#activity-log');
   if (!log) return;
@@ -1216,6 +1762,10 @@ function renderDetailPanel(data) {
   }
   if (data.channel) html += `<div class="detail-row"><div class="detail-label">Channel</div><div class="detail-value">${escapeHtml(data.channel)}</div></div>`;
   if (data.gatewayId) html += `<div class="detail-row"><div class="detail-label">Gateway</div><div class="detail-value">${escapeHtml(data.gatewayId)}</div></div>`;
+  if (data.receptions?.length > 1) {
+    const gateways = [...new Set(data.receptions.map(r => r.gatewayId || '?'))];
+    html += `<div class="detail-row"><div class="detail-label">Heard By</div><div class="detail-value">${escapeHtml(gateways.join(', '))}</div></div>`;
+  }
   if (data.topic) html += `<div class="detail-row"><div class="detail-label">Topic</div><div class="detail-value" style="font-size:10px">${escapeHtml(data.topic)}</div></div>`;
 
   if (data.raw) {
@@ -1230,15 +1780,36 @@ function renderDetailPanel(data) {
   }
 
   if (data.portName) html += `<div class="detail-row"><div class="detail-label">Port</div><div class="detail-value">${escapeHtml(data.portName)} (${data.portnum ?? '?'})</div></div>`;
+  if (data.compressed) html += `<div class="detail-row"><div class="detail-label">Compression</div><div class="detail-value">Unishox2 (TEXT_MESSAGE_COMPRESSED)</div></div>`;
   if (data.packetId) html += `<div class="detail-row"><div class="detail-label">Packet ID</div><div class="detail-value">${data.packetId}</div></div>`;
   if (data.decryptionStatus) {
-    const statusColors = { success: '#89d185', failed: '#f44747', plaintext: '#cca700', json: '#3cb4ff' };
+    const statusColors = { success: '#89d185', pki: '#c586c0', failed: '#f44747', plaintext: '#cca700', json: '#3cb4ff' };
     const color = statusColors[data.decryptionStatus] || '#858585';
     html += `<div class="detail-row"><div class="detail-label">Decryption</div><div class="detail-value" style="color:${color}">${data.decryptionStatus}</div></div>`;
   }
   if (data.hopStart !== undefined) html += `<div class="detail-row"><div class="detail-label">Hops</div><div class="detail-value">${(data.hopStart || 0) - (data.hopLimit || 0)} / ${data.hopStart || 0}</div></div>`;
   if (data.viaMqtt !== undefined) html += `<div class="detail-row"><div class="detail-label">Via MQTT</div><div class="detail-value">${data.viaMqtt ? 'Yes' : 'No'}</div></div>`;
   if (data.text && data.portName === 'TEXT_MESSAGE') html += `<div class="detail-row"><div class="detail-label">Text</div><div class="detail-value" style="color:#e5e5e5">${escapeHtml(data.text)}</div></div>`;
+  if (data.replyId) html += `<div class="detail-row"><div class="detail-label">${data.emoji ? 'Reaction To' : 'Reply To'}</div><div class="detail-value">${data.replyId}</div></div>`;
+  if (data.reactions?.length) {
+    const reactions = data.reactions.map(r => `${r.emoji} ${r.from ? logNodeLabel(r.from) : 'you'}`).join(', ');
+    html += `<div class="detail-row"><div class="detail-label">Reactions</div><div class="detail-value">${escapeHtml(reactions)}</div></div>`;
+  }
+  const replyable = isReplyableMessage(data);
+  if (replyable) {
+    html += `
+      <div class="detail-row" data-requires-publish>
+        <div class="detail-label">Reply</div>
+        <div class="detail-reactions">
+          ${QUICK_REACTIONS.map(emoji => `<button type="button" class="detail-reaction-btn" data-reaction="${emoji}" title="React with ${emoji}">${emoji}</button>`).join('')}
+        </div>
+        <div class="detail-reply">
+          <input type="text" id="detail-reply-input" class="sidebar-input" placeholder="Reply to this message...">
+          <button type="button" id="detail-reply-btn" class="sidebar-btn sidebar-btn-primary"><i class="fas fa-reply"></i> Reply</button>
+        </div>
+      </div>
+    `;
+  }
 
   // Position map
   const hasPosition = data.portName === 'POSITION' && data.payload?.latitude && data.payload?.longitude;
@@ -1254,6 +1825,21 @@ function renderDetailPanel(data) {
 
   content.innerHTML = html;
 
+  if (replyable) {
+    content.querySelectorAll('[data-reaction]').forEach(button => {
+      button.addEventListener('click', () => replyToMessage(data, { text: button.dataset.reaction, emoji: true }));
+    });
+    const input = $('#detail-reply-input');
+    const sendReply = () => {
+      const text = input.value.trim();
+      if (text && replyToMessage(data, { text })) input.value = '';
+    };
+    $('#detail-reply-btn')?.addEventListener('click', sendReply);
+    input?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') sendReply();
+    });
+  }
+
   // Wire "Show on Map" links in detail panel
   content.querySelectorAll('[data-show-on-map]').forEach(link => {
     link.addEventListener('click', (e) => {
@@ -1278,6 +1864,53 @@ function renderDetailPanel(data) {
   }
 }
 
+// Text messages with a packet id and topic can be replied to or reacted to
+function isReplyableMessage(data) {
+  if (data.raw || data.emoji || !data.packetId || !data.topic) return false;
+  return data.portName === 'TEXT_MESSAGE' || (!data.from && data.portnum === 1);
+}
+
+// Replies and reactions go back the way the message came: same network, topic
+// prefix and channel (or PKI); to everyone for broadcasts, else to the other side
+function replyToMessage(data, { text, emoji = false }) {
+  if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return false; }
+
+  const topic = parseTopicComponents(data.topic);
+  if (!topic) { showToast('Cannot tell where this message came from'); return false; }
+  if (topic.path === '2/json') { showToast('Replies and reactions require protobuf mode'); return false; }
+
+  const pki = topic.channel === 'PKI';
+  const channelName = pki ? getSelectedSendChannel()?.name || topic.channel : topic.channel;
+  const ch = catalog.findChannelByName(channelName);
+  const gwNode = getSelectedSendGatewayNode();
+  const broadcast = data.to === '^all';
+  // Outgoing entries carry no sender; incoming ones may be our own echo
+  const fromOwn = !data.from || !!catalog.findNodeByNodeId(data.from);
+  const to = broadcast ? '^all' : (fromOwn ? data.to : data.from);
+  // A direct message to one of our nodes is answered as that node
+  const from = !broadcast && !fromOwn && catalog.findNodeByNodeId(data.to)
+    ? data.to
+    : getSelectedSendFrom()?.nodeId || gwNode?.nodeId || '!ffffffff';
+
+  wsClient.publish({
+    networkId: data.networkId || getSelectedNetwork('send')?.id,
+    root: topic.root,
+    region: topic.region,
+    path: topic.path,
+    channel: channelName,
+    gatewayId: gwNode?.nodeId || '!ffffffff',
+    from,
+    to,
+    text,
+    key: ch ? catalog.resolveChannelKey(ch.id) : undefined,
+    pki,
+    publicKey: pki ? catalog.findNodeByNodeId(to)?.publicKey || undefined : undefined,
+    replyId: data.packetId,
+    emoji,
+  });
+  return true;
+}
+
 function closeDetailPanel() {
   const panel = $('#detail-panel');
   if (panel) panel.classList.add('hidden');
@@ -1299,8 +1932,35 @@ function formatNodeIdShort(num) {
   return `!${(num >>> 0).toString(16).slice(-4)}`;
 }
 
+// Waypoint.icon is a unicode codepoint; fall back to a round pushpin
+function getWaypointIcon(icon) {
+  try {
+    return icon ? escapeHtml(String.fromCodePoint(icon)) : '&#128205;';
+  } catch {
+    return '&#128205;';
+  }
+}
+
 function getHwModelName(hwModel) {
-  return HW_MODEL_NAMES[hwModel] || `HW_${hwModel}`;
+  return enumName(HardwareModel, hwModel, 'HW');
+}
+
+function getRoleName(role) {
+  const name = enumName(Role, role, 'ROLE');
+  return ROLE_LABELS[name] || name;
+}
+
+function getRegionName(region) {
+  return enumName(RegionCode, region, 'REGION');
+}
+
+function getModemPresetName(preset) {
+  const name = enumName(ModemPreset, preset, 'PRESET');
+  return MODEM_PRESET_LABELS[name] || name;
+}
+
+function getRoutingErrorLabel(errorName) {
+  return ROUTING_ERROR_LABELS[errorName] || errorName;
 }
 
 function formatUptime(seconds) {
@@ -1310,6 +1970,28 @@ function formatUptime(seconds) {
   return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
 }
 
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MiB`;
+  return `${(bytes / 1024 ** 3).toFixed(1)} GiB`;
+}
+
+// [{ title, rows: [{ label, value }] }] for the variants present in a
+// Telemetry payload (or a node's merged latest telemetry)
+function getTelemetrySections(telemetry) {
+  const sections = [];
+  for (const { key, title, fields } of TELEMETRY_SECTIONS) {
+    const metrics = telemetry[key];
+    if (!metrics) continue;
+    const rows = fields
+      .filter(([name]) => metrics[name] !== undefined && metrics[name] !== null && metrics[name] !== '')
+      .map(([name, label, format]) => ({ label, value: format(metrics[name]) }));
+    if (rows.length > 0) sections.push({ title, rows });
+  }
+  return sections;
+}
+
 function escapeHtml(str) {
   if (!str) return '';
   return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
@@ -1333,8 +2015,17 @@ function sendMessage() {
   const net = getSelectedNetwork('send');
   const key = catalog.resolveChannelKey(ch.id);
   const isJson = path === '2/json';
+  const pki = !isJson && ($('#send-pki')?.checked ?? false);
+  const wantAck = !isJson && ($('#send-want-ack')?.checked ?? false);
+  const compress = !isJson && ($('#send-compress')?.checked ?? false);
+
+  if ((pki || wantAck) && (!toNode || toNode.nodeId === '^all')) {
+    showToast(`${pki ? 'PKI' : 'ACK'} needs a direct message receiver`);
+    return;
+  }
 
   wsClient.publish({
+    networkId: net?.id,
     root: net?.mqttRoot || 'msh',
     region,
     path,
@@ -1344,87 +2035,530 @@ function sendMessage() {
     to: toNode?.nodeId || '^all',
     text: message,
     key: isJson ? undefined : key,
+    pki,
+    // A public key stored on the receiver's catalog entry overrides the learned one
+    publicKey: pki ? toNode.publicKey || undefined : undefined,
+    wantAck,
+    compress,
   });
 }
 
-function subscribeFromInputs() {
+function setupCustomComposer() {
+  const portSelect = $('#custom-port-select');
+  const portInput = $('#custom-portnum');
+  if (!portSelect || !portInput) return;
+
+  portSelect.innerHTML = COMPOSER_PORTS
+    .map(([name, value]) => `<option value="${value}">${name} (${value})</option>`)
+    .join('') + '<option value="">Other…</option>';
+  portSelect.value = portInput.value;
+  $('#custom-priority').innerHTML = PACKET_PRIORITIES
+    .map(([name, value]) => `<option value="${value}"${name === 'UNSET' ? ' selected' : ''}>${name} (${value})</option>`)
+    .join('');
+
+  portSelect.addEventListener('change', () => {
+    if (portSelect.value !== '') portInput.value = portSelect.value;
+  });
+  portInput.addEventListener('input', () => {
+    portSelect.value = COMPOSER_PORTS.some(([, value]) => String(value) === portInput.value) ? portInput.value : '';
+  });
+
+  // Editing any composer field switches the preview to the custom packet
+  $$('.custom-input').forEach(el => {
+    const showCustom = () => { state.sendPreview.custom = true; generatePreview(); };
+    el.addEventListener('input', showCustom);
+    el.addEventListener('change', showCustom);
+    el.addEventListener('focus', showCustom);
+  });
+
+  $('#send-custom-btn')?.addEventListener('click', sendCustomPacket);
+}
+
+function getCustomPacketFields() {
+  const optionalInt = (selector) => {
+    const value = $(selector)?.value.trim();
+    return value === '' || value === undefined ? null : Number(value);
+  };
+  return {
+    portnum: optionalInt('#custom-portnum'),
+    encoding: $('#custom-encoding')?.value || 'hex',
+    payload: $('#custom-payload')?.value || '',
+    wantResponse: $('#custom-want-response')?.checked ?? false,
+    dest: $('#custom-dest')?.value.trim() || null,
+    hopLimit: optionalInt('#custom-hop-limit'),
+    priority: optionalInt('#custom-priority'),
+    channelHash: optionalInt('#custom-channel-hash'),
+  };
+}
+
+function sendCustomPacket() {
   if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return; }
 
-  const ch = getSelectedWatchChannel();
+  const ch = getSelectedSendChannel();
+  const gwNode = getSelectedSendGatewayNode();
+  const fromNode = getSelectedSendFrom();
+  const toNode = getSelectedSendTo();
+  const region = $('#send-region-select')?.value || 'EU_868';
+  const path = $('#send-path-select')?.value || '2/e';
+
   if (!ch) { showToast('No channel selected'); return; }
+  if (path === '2/json') { showToast('Custom packets need a protobuf path (not 2/json)'); return; }
 
-  const net = getSelectedNetwork('watch');
-  const key = catalog.resolveChannelKey(ch.id);
-  const region = $('#watch-region-select')?.value || net?.defaultRegion || 'EU_868';
-  const path = $('#watch-path-select')?.value || net?.defaultPath || '2/e';
+  const net = getSelectedNetwork('send');
+  const pki = $('#send-pki')?.checked ?? false;
+  const wantAck = $('#send-want-ack')?.checked ?? false;
+  if ((pki || wantAck) && (!toNode || toNode.nodeId === '^all')) {
+    showToast(`${pki ? 'PKI' : 'ACK'} needs a direct message receiver`);
+    return;
+  }
 
-  const topic = buildTopicFromComponents({
+  wsClient.publishCustom({
+    networkId: net?.id,
     root: net?.mqttRoot || 'msh',
     region,
     path,
     channel: ch.name,
-    gatewayId: '#',
+    gatewayId: gwNode?.nodeId || '!ffffffff',
+    from: fromNode?.nodeId || gwNode?.nodeId || '!ffffffff',
+    to: toNode?.nodeId || '^all',
+    key: catalog.resolveChannelKey(ch.id),
+    pki,
+    publicKey: pki ? toNode.publicKey || undefined : undefined,
+    wantAck,
+    custom: getCustomPacketFields(),
   });
-
-  wsClient.subscribe(topic, ch.name, key);
 }
 
-function unsubscribeFromTopic(topic) {
+function sendPosition() {
   if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return; }
-  wsClient.unsubscribe(topic);
-}
 
-function toggleSubscriptionVisibility(topic) {
-  state.subscriptionVisibility[topic] = !state.subscriptionVisibility[topic];
-  renderSubscriptions();
-  applyFilter();
-}
+  const ch = getSelectedSendChannel();
+  const gwNode = getSelectedSendGatewayNode();
+  const fromNode = getSelectedSendFrom();
+  const toNode = getSelectedSendTo();
+  const region = $('#send-region-select')?.value || 'EU_868';
+  const path = $('#send-path-select')?.value || '2/e';
 
-function renderSubscriptions() {
-  const container = $('#subscription-list');
-  if (!container) return;
+  if (!ch) { showToast('No channel selected'); return; }
 
-  if (state.subscriptions.length === 0) {
-    container.innerHTML = '<span class="sidebar-empty">No active subscriptions</span>';
+  const latitude = parseFloat($('#position-lat')?.value);
+  const longitude = parseFloat($('#position-lon')?.value);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    showToast('Latitude must be between -90 and 90');
+    return;
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    showToast('Longitude must be between -180 and 180');
     return;
   }
 
-  container.innerHTML = state.subscriptions.map(topic => {
-    const parts = topic.split('/');
-    const shortLabel = parts.length >= 5 ? `${parts[1]}/${parts.slice(2, -1).join('/')}` : topic;
-    const isVisible = state.subscriptionVisibility[topic] !== false;
-    const eyeIcon = isVisible ? 'fa-eye' : 'fa-eye-slash';
-    const eyeClass = isVisible ? 'sub-eye-btn visible' : 'sub-eye-btn';
-    return `
-      <div class="sub-item" title="${escapeHtml(topic)}">
-        <span class="sub-item-label">${escapeHtml(shortLabel)}</span>
-        <button class="${eyeClass}" data-eye-topic="${escapeHtml(topic)}" title="${isVisible ? 'Hide messages' : 'Show messages'}">
-          <i class="fas ${eyeIcon}"></i>
-        </button>
-        <button class="sub-unsub-btn" data-unsub-topic="${escapeHtml(topic)}" title="Unsubscribe">&times;</button>
-      </div>
-    `;
-  }).join('');
+  const net = getSelectedNetwork('send');
+  const key = catalog.resolveChannelKey(ch.id);
+  const isJson = path === '2/json';
 
-  container.querySelectorAll('[data-eye-topic]').forEach(btn => {
-    btn.addEventListener('click', e => { e.stopPropagation(); toggleSubscriptionVisibility(btn.dataset.eyeTopic); });
-  });
-  container.querySelectorAll('[data-unsub-topic]').forEach(btn => {
-    btn.addEventListener('click', e => { e.stopPropagation(); unsubscribeFromTopic(btn.dataset.unsubTopic); });
+  wsClient.publishPosition({
+    networkId: net?.id,
+    root: net?.mqttRoot || 'msh',
+    region,
+    path,
+    channel: ch.name,
+    gatewayId: gwNode?.nodeId || '!ffffffff',
+    from: fromNode?.nodeId || gwNode?.nodeId || '!ffffffff',
+    to: toNode?.nodeId || '^all',
+    key: isJson ? undefined : key,
+    position: {
+      latitude,
+      longitude,
+      altitude: parseInt($('#position-alt')?.value, 10) || 0,
+      precisionBits: parseInt($('#position-precision')?.value, 10) || 32,
+    },
   });
 }
 
-// =============== Manage View ===============
-
-function setupManageView() {
-  // Validate stored activeCategory
-  const validCategories = ['networks', 'keys', 'channels', 'nodes'];
-  if (!validCategories.includes(state.manage.activeCategory)) {
-    state.manage.activeCategory = 'networks';
-  }
+// Waypoints go out on the Send view's network/channel/sender, like positions
+function sendWaypoint(waypoint) {
+  if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return false; }
 
-  // Menu item switching
-  $$('.settings-menu-item').forEach(item => {
+  const ch = getSelectedSendChannel();
+  const gwNode = getSelectedSendGatewayNode();
+  const fromNode = getSelectedSendFrom();
+  const region = $('#send-region-select')?.value || 'EU_868';
+  const path = $('#send-path-select')?.value || '2/e';
+
+  if (!ch) { showToast('No channel selected in the Send view'); return false; }
+  if (path === '2/json') { showToast('Waypoints need a protobuf path (not 2/json)'); return false; }
+  if (!waypoint.delete && !waypoint.name.trim()) { showToast('Waypoint name is required'); return false; }
+
+  const net = getSelectedNetwork('send');
+  return wsClient.publishWaypoint({
+    networkId: net?.id,
+    root: net?.mqttRoot || 'msh',
+    region,
+    path,
+    channel: ch.name,
+    gatewayId: gwNode?.nodeId || '!ffffffff',
+    from: fromNode?.nodeId || gwNode?.nodeId || '!ffffffff',
+    to: '^all',
+    key: catalog.resolveChannelKey(ch.id),
+    waypoint,
+  });
+}
+
+// One-line summary of a published packet for the activity log
+function describePublished({ text, portnum, portName, payload, custom }) {
+  if (custom) return `${portName} packet (${payload.size} bytes)`;
+  if (portnum === 3 && payload) {
+    return `Position ${payload.latitude.toFixed(5)}, ${payload.longitude.toFixed(5)}${payload.altitude ? ` (${payload.altitude}m)` : ''}`;
+  }
+  if (portnum === 4 && payload) {
+    return `NodeInfo ${payload.longName}${payload.shortName ? ` (${payload.shortName})` : ''}`;
+  }
+  if (portnum === 8 && payload) {
+    const deleted = payload.expire && payload.expire * 1000 <= Date.now();
+    return `${deleted ? 'Delete waypoint' : 'Waypoint'} ${payload.name || `#${payload.id}`}`;
+  }
+  if (portnum === 70) return 'Traceroute request';
+  if (portnum === 65) return `Store & Forward history request${payload?.window ? ` (last ${payload.window} min)` : ''}`;
+  return text;
+}
+
+// =============== Delivery Tracking ===============
+
+function describeDelivery({ status, attempt, maxAttempts, errorName, ackFrom }) {
+  switch (status) {
+    case 'pending': return 'waiting for ack';
+    case 'retrying': return `retry ${attempt}/${maxAttempts}`;
+    case 'acked': return ackFrom ? `acked by ${ackFrom}` : 'acked';
+    case 'nak': return `NAK: ${getRoutingErrorLabel(errorName)}`;
+    case 'timeout': return `timed out after ${attempt} ${attempt === 1 ? 'try' : 'tries'}`;
+    case 'failed': return 'retry failed';
+    default: return status;
+  }
+}
+
+function renderSendDeliveryStatus(delivery) {
+  const el = $('#send-delivery-status');
+  if (!el) return;
+  el.classList.remove('hidden');
+  el.innerHTML = `Last ACK send: <span class="delivery-${delivery.status}">${escapeHtml(describeDelivery(delivery))}</span>`;
+}
+
+// Server 'delivery' event: update the matching outgoing log entry in place
+function applyDelivery({ packetId, status, attempt, maxAttempts, errorName, ackFrom }) {
+  const delivery = { status, attempt, maxAttempts, errorName, ackFrom };
+
+  const item = messageBuffer.findLast(m => m.direction === 'out' && m.data.packetId === packetId);
+  if (item) {
+    item.data.delivery = delivery;
+    refreshLogEntry(item);
+  }
+
+  if (packetId === state.lastAckedSend) renderSendDeliveryStatus(delivery);
+  if (status === 'acked') showToast(`Packet ${packetId} acknowledged`);
+  if (status === 'nak') showToast(`Packet ${packetId} rejected: ${getRoutingErrorLabel(errorName)}`);
+  if (status === 'timeout') showToast(`Packet ${packetId} was not acknowledged`);
+}
+
+// =============== PKI Keys ===============
+
+// Hand the private keys of our catalog nodes to the server so it can decrypt
+// direct messages addressed to them and sign outgoing ones.
+function registerPkiKeys() {
+  if (!wsClient?.isConnected || !canPublish()) return;
+  const keys = catalog.listNodes()
+    .filter(n => n.privateKey && !isBuiltinId(n.id))
+    .map(n => ({ nodeId: n.nodeId, privateKey: n.privateKey }));
+  if (keys.length > 0) wsClient.registerPkiKeys(keys);
+}
+
+function fillGeneratedKeypair({ publicKey, privateKey }) {
+  const form = $('#entity-form');
+  const pubInput = form?.querySelector('[name="publicKey"]');
+  const privInput = form?.querySelector('[name="privateKey"]');
+  if (!pubInput || !privInput) return;
+  pubInput.value = publicKey;
+  privInput.value = privateKey;
+  showToast('Keypair generated — save to keep it');
+}
+
+// =============== NodeInfo Announce ===============
+
+// The NODEINFO_APP publish request for a catalog node, so other clients can
+// name it. Uses the node's announce channel (or the default send channel) on
+// the default network; null without a long name or channel.
+function buildNodeInfoRequest(node) {
+  if (!node?.longName) return null;
+
+  const ch = catalog.getChannel(node.announceChannelId) || catalog.getChannel(catalog.data.defaults.sendChannelId);
+  if (!ch) return null;
+
+  const net = catalog.getNetwork(catalog.data.defaults.networkId);
+  // NodeInfo has no JSON downlink form, so never announce on 2/json
+  const path = net?.defaultPath && net.defaultPath !== '2/json' ? net.defaultPath : '2/e';
+
+  return {
+    networkId: net?.id,
+    root: net?.mqttRoot || 'msh',
+    region: net?.defaultRegion || 'EU_868',
+    path,
+    channel: ch.name,
+    gatewayId: node.nodeId,
+    from: node.nodeId,
+    to: '^all',
+    key: catalog.resolveChannelKey(ch.id),
+    user: {
+      longName: node.longName,
+      shortName: node.shortName || '',
+      hwModel: Number(node.hwModel) || 0,
+      role: Number(node.role) || 0,
+    },
+  };
+}
+
+// Announce a node right away ("Announce Now")
+function announceNodeInfo(node) {
+  const request = buildNodeInfoRequest(node);
+  return Boolean(request && wsClient?.isConnected && wsClient.publishNodeInfo(request));
+}
+
+// Hand this browser's auto-announce nodes and MapReport gateways to the
+// server, which publishes them on their interval whether or not a tab is
+// open. Sent on connect and on every catalog change; the list replaces only
+// what this browser scheduled before, and the server keeps each node's last
+// send time.
+function syncSchedules() {
+  if (!wsClient?.isConnected || !canPublish()) return;
+  const schedules = [];
+  for (const node of catalog.listNodes()) {
+    if (!node.announce || isBuiltinId(node.id)) continue;
+    const request = buildNodeInfoRequest(node);
+    if (!request) continue;
+    schedules.push({
+      kind: 'nodeinfo',
+      intervalMin: Number(node.announceIntervalMin) || NODEINFO_DEFAULT_INTERVAL_MIN,
+      ...request,
+    });
+  }
+  for (const node of catalog.listGatewayNodes()) {
+    if (!node.mapReport || !node.longName || isBuiltinId(node.id)) continue;
+    // Without a configured position the server reports the node's last heard one
+    const request = buildMapReportRequest(node, getConfiguredMapPosition(node) || {});
+    schedules.push({
+      kind: 'map_report',
+      intervalMin: Number(node.mapReportIntervalMin) || MAP_REPORT_DEFAULT_INTERVAL_MIN,
+      ...request,
+    });
+  }
+  wsClient.setSchedules(getClientId(), schedules);
+}
+
+// =============== MapReport Publish ===============
+
+// The map position configured on a gateway node, if any
+function getConfiguredMapPosition(node) {
+  const lat = parseFloat(node.mapLatitude);
+  const lon = parseFloat(node.mapLongitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  return { latitude: lat, longitude: lon, altitude: parseFloat(node.mapAltitude) || 0 };
+}
+
+// Where a gateway node reports itself: its configured map position, else the
+// last position it sent
+function getMapReportPosition(node) {
+  const configured = getConfiguredMapPosition(node);
+  if (configured) return configured;
+  const pos = derived.getNodeStats(node.nodeId)?.lastPosition;
+  return pos ? { latitude: pos.lat, longitude: pos.lon, altitude: pos.alt || 0 } : null;
+}
+
+// The MapReport publish request for a gateway node on the default network's
+// 2/map topic. The channel (announce channel or default send channel) sets
+// the reported modem preset.
+function buildMapReportRequest(node, reportFields = {}) {
+  const ch = catalog.getChannel(node.announceChannelId) || catalog.getChannel(catalog.data.defaults.sendChannelId);
+  const net = catalog.getNetwork(catalog.data.defaults.networkId);
+  return {
+    networkId: net?.id,
+    root: net?.mqttRoot || 'msh',
+    region: net?.defaultRegion || 'EU_868',
+    channel: ch?.name || 'LongFast',
+    gatewayId: node.nodeId,
+    from: node.nodeId,
+    report: {
+      longName: node.longName,
+      shortName: node.shortName || '',
+      hwModel: Number(node.hwModel) || 0,
+      role: Number(node.role) || 0,
+      ...reportFields,
+    },
+  };
+}
+
+// Publish a MapReport right away ("Publish Now")
+function publishMapReport(node) {
+  if (!wsClient?.isConnected || !node?.longName) return false;
+  const position = getMapReportPosition(node);
+  if (!position) return false;
+
+  // Nodes this gateway heard over the air in the last two hours (firmware's
+  // notion of "online")
+  const heard = derived.getGatewayStats(node.nodeId)?.nodesHeard || {};
+  const cutoff = Date.now() - 2 * 3600000;
+  const numOnlineLocalNodes = Object.values(heard).filter(h => h.lastSeenAt > cutoff).length;
+
+  return wsClient.publishMapReport(buildMapReportRequest(node, { ...position, numOnlineLocalNodes }));
+}
+
+function subscribeFromInputs() {
+  if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return; }
+
+  const ch = getSelectedWatchChannel();
+  if (!ch) { showToast('No channel selected'); return; }
+
+  const net = getSelectedNetwork('watch');
+  const key = catalog.resolveChannelKey(ch.id);
+  const region = $('#watch-region-select')?.value || net?.defaultRegion || 'EU_868';
+  const path = $('#watch-path-select')?.value || net?.defaultPath || '2/e';
+
+  const topic = buildTopicFromComponents({
+    root: net?.mqttRoot || 'msh',
+    region,
+    path,
+    channel: ch.name,
+    gatewayId: '#',
+  });
+
+  wsClient.subscribe(topic, ch.name, key, net?.id);
+}
+
+function unsubscribeFromTopic(topic, networkId) {
+  if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return; }
+  wsClient.unsubscribe(topic, networkId);
+}
+
+function toggleSubscriptionVisibility(topic) {
+  state.subscriptionVisibility[topic] = !state.subscriptionVisibility[topic];
+  renderSubscriptions();
+  applyFilter();
+}
+
+function renderSubscriptions() {
+  const container = $('#subscription-list');
+  if (!container) return;
+
+  if (state.subscriptions.length === 0) {
+    container.innerHTML = '<span class="sidebar-empty">No active subscriptions</span>';
+    return;
+  }
+
+  // Only name the broker when there is more than one to tell apart
+  const showNetwork = state.brokers.length > 1;
+  container.innerHTML = state.subscriptions.map(({ networkId, topic }) => {
+    const parts = topic.split('/');
+    const shortLabel = parts.length >= 5 ? `${parts[1]}/${parts.slice(2, -1).join('/')}` : topic;
+    const networkName = getBrokerName(networkId);
+    const isVisible = state.subscriptionVisibility[topic] !== false;
+    const eyeIcon = isVisible ? 'fa-eye' : 'fa-eye-slash';
+    const eyeClass = isVisible ? 'sub-eye-btn visible' : 'sub-eye-btn';
+    return `
+      <div class="sub-item" title="${escapeHtml(`${networkName}: ${topic}`)}">
+        ${showNetwork ? `<span class="sub-item-network">${escapeHtml(networkName)}</span>` : ''}
+        <span class="sub-item-label">${escapeHtml(shortLabel)}</span>
+        <button class="${eyeClass}" data-eye-topic="${escapeHtml(topic)}" title="${isVisible ? 'Hide messages' : 'Show messages'}">
+          <i class="fas ${eyeIcon}"></i>
+        </button>
+        <button class="sub-unsub-btn" data-requires-publish data-unsub-topic="${escapeHtml(topic)}" data-unsub-network="${escapeHtml(networkId || '')}" title="Unsubscribe">&times;</button>
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('[data-eye-topic]').forEach(btn => {
+    btn.addEventListener('click', e => { e.stopPropagation(); toggleSubscriptionVisibility(btn.dataset.eyeTopic); });
+  });
+  container.querySelectorAll('[data-unsub-topic]').forEach(btn => {
+    btn.addEventListener('click', e => {
+      e.stopPropagation();
+      unsubscribeFromTopic(btn.dataset.unsubTopic, btn.dataset.unsubNetwork || undefined);
+    });
+  });
+}
+
+// =============== Session ===============
+
+function canPublish() {
+  return state.user.role === 'admin';
+}
+
+// Viewers get the watch-only UI: publishing, subscribing and Settings
+// (which holds keys) are hidden, and the server refuses them anyway
+function applyUserRole() {
+  document.body.classList.toggle('role-viewer', !canPublish());
+  if (!canPublish() && (state.activeView === 'send' || state.activeView === 'manage')) {
+    state.activeView = 'watch';
+  }
+
+  const userItem = $('#statusbar-user');
+  if (!userItem || !state.user.enabled) return;
+  $('#statusbar-user-text').textContent = `${state.user.username} (${state.user.role})`;
+  userItem.classList.remove('hidden');
+  $('#logout-btn')?.addEventListener('click', logout);
+}
+
+async function logout() {
+  try {
+    await fetch('/api/logout', { method: 'POST' });
+  } finally {
+    location.href = '/login.html';
+  }
+}
+
+async function checkSession() {
+  try {
+    const res = await fetch('/api/session');
+    if (res.status === 401) location.href = '/login.html';
+  } catch { /* server unreachable; the WebSocket keeps retrying */ }
+}
+
+// =============== Broker Status ===============
+
+function getBrokerName(networkId) {
+  const broker = state.brokers.find(b => b.networkId === networkId);
+  return catalog.getNetwork(networkId)?.name || broker?.name || networkId || 'default';
+}
+
+function describeBrokerSuffix(networkId) {
+  return state.brokers.length > 1 ? ` (${getBrokerName(networkId)})` : '';
+}
+
+// One dot + host per broker connection in the status bar
+function renderBrokerStatus(brokers) {
+  state.brokers = brokers;
+  const container = $('#statusbar-brokers');
+  if (!container || brokers.length === 0) return;
+
+  container.innerHTML = '<i class="fas fa-server"></i>' + brokers.map(b => {
+    const title = `${getBrokerName(b.networkId)} — ${b.host}:${b.port} ${b.connected ? 'connected' : 'disconnected'}`;
+    return `
+      <span class="statusbar-broker" title="${escapeHtml(title)}">
+        <span class="statusbar-dot ${b.connected ? 'dot-connected' : 'dot-disconnected'}"></span>
+        ${escapeHtml(b.host)}
+      </span>
+    `;
+  }).join('');
+  renderSubscriptions();
+}
+
+// =============== Manage View ===============
+
+function setupManageView() {
+  // Validate stored activeCategory
+  const validCategories = ['networks', 'keys', 'channels', 'nodes'];
+  if (!validCategories.includes(state.manage.activeCategory)) {
+    state.manage.activeCategory = 'networks';
+  }
+
+  // Menu item switching
+  $$('.settings-menu-item').forEach(item => {
     item.addEventListener('click', () => {
       const category = item.dataset.settingsCategory;
       state.manage.activeCategory = category;
@@ -1708,12 +2842,83 @@ function renderNodeEditor(entity) {
       <div class="manage-form-field">
         <label class="manage-checkbox-label"><input type="checkbox" name="isGateway" ${isGateway ? 'checked' : ''}> This node is a gateway</label>
       </div>
+      ${renderNodeInfoFields(entity)}
+      ${renderMapReportFields(entity)}
+      ${renderPkiFields(entity)}
       ` : ''}
       <button type="submit" class="sidebar-btn sidebar-btn-primary">Save</button>
     </form>
   `;
 }
 
+function renderNodeInfoFields(entity) {
+  const channels = catalog.listChannels();
+  const hwModel = Number(entity?.hwModel) || 0;
+  const role = Number(entity?.role) || 0;
+  return `
+      <div class="manage-form-section">NodeInfo</div>
+      <div class="manage-form-row">
+        <div class="manage-form-field"><label>Long Name</label><input type="text" name="longName" value="${escapeHtml(entity?.longName || '')}" class="sidebar-input" maxlength="39"></div>
+        <div class="manage-form-field"><label>Short Name</label><input type="text" name="shortName" value="${escapeHtml(entity?.shortName || '')}" class="sidebar-input" maxlength="4"></div>
+      </div>
+      <div class="manage-form-row">
+        <div class="manage-form-field"><label>Hardware</label>
+          <div class="sidebar-select-wrap"><select name="hwModel" class="sidebar-input sidebar-select">
+            ${Object.entries(HardwareModel).map(([name, value]) => `<option value="${value}" ${value === hwModel ? 'selected' : ''}>${name}</option>`).join('')}
+          </select><i class="fas fa-chevron-down sidebar-select-icon"></i></div>
+        </div>
+        <div class="manage-form-field"><label>Role</label>
+          <div class="sidebar-select-wrap"><select name="role" class="sidebar-input sidebar-select">
+            ${Object.entries(Role).map(([name, value]) => `<option value="${value}" ${value === role ? 'selected' : ''}>${ROLE_LABELS[name]}</option>`).join('')}
+          </select><i class="fas fa-chevron-down sidebar-select-icon"></i></div>
+        </div>
+      </div>
+      <div class="manage-form-field">
+        <label class="manage-checkbox-label"><input type="checkbox" name="announce" ${entity?.announce ? 'checked' : ''}> Auto-announce NodeInfo</label>
+      </div>
+      <div class="manage-form-row">
+        <div class="manage-form-field"><label>Announce Channel</label>
+          <div class="sidebar-select-wrap"><select name="announceChannelId" class="sidebar-input sidebar-select">
+            <option value="">Default send channel</option>
+            ${channels.map(c => `<option value="${c.id}" ${entity?.announceChannelId === c.id ? 'selected' : ''}>${escapeHtml(c.name)}</option>`).join('')}
+          </select><i class="fas fa-chevron-down sidebar-select-icon"></i></div>
+        </div>
+        <div class="manage-form-field"><label>Every (min)</label><input type="number" name="announceIntervalMin" value="${entity?.announceIntervalMin || NODEINFO_DEFAULT_INTERVAL_MIN}" min="5" class="sidebar-input"></div>
+      </div>
+      ${entity ? '<button type="button" class="sidebar-btn sidebar-btn-send nodeinfo-announce-btn"><i class="fas fa-bullhorn"></i> Announce Now</button>' : ''}
+  `;
+}
+
+// Gateway nodes only; the names come from the NodeInfo fields above
+function renderMapReportFields(entity) {
+  return `
+      <div class="manage-form-section">Map Report</div>
+      <div class="manage-form-field">
+        <label class="manage-checkbox-label"><input type="checkbox" name="mapReport" ${entity?.mapReport ? 'checked' : ''}> Publish MapReport (gateway nodes)</label>
+      </div>
+      <div class="manage-form-row">
+        <div class="manage-form-field"><label>Latitude</label><input type="number" name="mapLatitude" value="${escapeHtml(String(entity?.mapLatitude ?? ''))}" step="any" min="-90" max="90" class="sidebar-input" placeholder="Last sent position"></div>
+        <div class="manage-form-field"><label>Longitude</label><input type="number" name="mapLongitude" value="${escapeHtml(String(entity?.mapLongitude ?? ''))}" step="any" min="-180" max="180" class="sidebar-input" placeholder="Last sent position"></div>
+      </div>
+      <div class="manage-form-row">
+        <div class="manage-form-field"><label>Altitude (m)</label><input type="number" name="mapAltitude" value="${escapeHtml(String(entity?.mapAltitude ?? ''))}" step="1" class="sidebar-input"></div>
+        <div class="manage-form-field"><label>Every (min)</label><input type="number" name="mapReportIntervalMin" value="${entity?.mapReportIntervalMin || MAP_REPORT_DEFAULT_INTERVAL_MIN}" min="15" class="sidebar-input"></div>
+      </div>
+      ${entity ? '<button type="button" class="sidebar-btn sidebar-btn-send map-report-btn"><i class="fas fa-map-marker-alt"></i> Publish Now</button>' : ''}
+  `;
+}
+
+function renderPkiFields(entity) {
+  return `
+      <div class="manage-form-section">PKI (Direct Messages)</div>
+      <div class="manage-form-field"><label>Public Key</label><input type="text" name="publicKey" value="${escapeHtml(entity?.publicKey || '')}" class="sidebar-input font-mono" placeholder="Learned from NodeInfo if empty"></div>
+      <div class="manage-form-field"><label>Private Key (own nodes only)</label>
+        <input type="password" name="privateKey" value="${escapeHtml(entity?.privateKey || '')}" class="sidebar-input font-mono" autocomplete="off">
+        <div class="sidebar-presets" style="margin-top:4px"><button type="button" class="preset-btn pki-gen-btn"><i class="fas fa-dice"></i> Generate Keypair</button></div>
+      </div>
+  `;
+}
+
 function generateRandomKeyBase64(byteLength) {
   const bytes = new Uint8Array(byteLength);
   crypto.getRandomValues(bytes);
@@ -1752,6 +2957,25 @@ function setupEditorEvents(type, entity, { stateRef, renderList, renderEditor, c
     }
   });
 
+  // PKI keypair generation happens server-side (X25519); the reply fills the form
+  form.querySelector('.pki-gen-btn')?.addEventListener('click', () => {
+    if (!wsClient?.generateKeypair()) showToast('Not connected to server');
+  });
+
+  // Publish NodeInfo for the saved node right away
+  form.querySelector('.nodeinfo-announce-btn')?.addEventListener('click', () => {
+    const node = catalog.getNode(st.selectedId);
+    if (!node?.longName) { showToast('Save a long name first'); return; }
+    if (!announceNodeInfo(node)) showToast('Not connected or no channel to announce on');
+  });
+
+  form.querySelector('.map-report-btn')?.addEventListener('click', () => {
+    const node = catalog.getNode(st.selectedId);
+    if (!node?.longName) { showToast('Save a long name first'); return; }
+    if (!getMapReportPosition(node)) { showToast('Save a map position first'); return; }
+    if (!publishMapReport(node)) showToast('Not connected to server');
+  });
+
   // Tag list interactions (regions, paths)
   if (type === 'network') {
     // Click tag -> set as default
@@ -1834,6 +3058,29 @@ function setupEditorEvents(type, entity, { stateRef, renderList, renderEditor, c
     if (type === 'channel') data.enabled = form.querySelector('[name="enabled"]')?.checked ?? true;
     if (type === 'node') {
       data.isGateway = form.querySelector('[name="isGateway"]')?.checked ?? false;
+      if ('hwModel' in data) {
+        data.announce = form.querySelector('[name="announce"]')?.checked ?? false;
+        data.hwModel = parseInt(data.hwModel, 10) || 0;
+        data.role = parseInt(data.role, 10) || 0;
+        data.announceIntervalMin = Math.max(5, parseInt(data.announceIntervalMin, 10) || NODEINFO_DEFAULT_INTERVAL_MIN);
+        if (!data.announceChannelId) data.announceChannelId = null;
+        if (data.announce && !data.longName) {
+          showToast('Long name is required for auto-announce');
+          return;
+        }
+        data.mapReport = form.querySelector('[name="mapReport"]')?.checked ?? false;
+        data.mapReportIntervalMin = Math.max(15, parseInt(data.mapReportIntervalMin, 10) || MAP_REPORT_DEFAULT_INTERVAL_MIN);
+        for (const field of ['mapLatitude', 'mapLongitude', 'mapAltitude']) {
+          const value = parseFloat(data[field]);
+          data[field] = Number.isFinite(value) ? value : null;
+        }
+        if (data.mapReport && (!data.isGateway || !data.longName)) {
+          showToast('MapReports need a gateway node with a long name');
+          return;
+        }
+        data.publicKey = (data.publicKey || '').trim();
+        data.privateKey = (data.privateKey || '').trim();
+      }
     }
     if (type === 'network') {
       data.mqttPort = parseInt(data.mqttPort, 10) || 1883;
@@ -1853,31 +3100,565 @@ function setupEditorEvents(type, entity, { stateRef, renderList, renderEditor, c
     if (type === 'key') data.type = data.type || deriveKeyType(data.value);
     if (type === 'channel' && !data.keyId) data.keyId = null;
 
-    const addMap = { network: 'addNetwork', key: 'addKey', channel: 'addChannel', node: 'addNode' };
-    const updateMap = { network: 'updateNetwork', key: 'updateKey', channel: 'updateChannel', node: 'updateNode' };
+    const addMap = { network: 'addNetwork', key: 'addKey', channel: 'addChannel', node: 'addNode' };
+    const updateMap = { network: 'updateNetwork', key: 'updateKey', channel: 'updateChannel', node: 'updateNode' };
+
+    if (st.isNew) {
+      const result = catalog[addMap[type]](data);
+      if (result?.error === 'duplicate') {
+        showToast('A channel with this name already exists');
+        return;
+      }
+      st.selectedId = result.id;
+      st.isNew = false;
+    } else {
+      const result = catalog[updateMap[type]](st.selectedId, data);
+      if (result?.error === 'duplicate') {
+        showToast('A channel with this name already exists');
+        return;
+      }
+    }
+
+    reRenderList();
+    reRenderEditor();
+    showToast('Saved');
+  });
+}
+
+
+// =============== Chat View ===============
+
+function setupChatView() {
+  $('#chat-send-btn')?.addEventListener('click', sendChatMessage);
+  $('#chat-input')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      sendChatMessage();
+    }
+  });
+}
+
+// Called with the conversation a new message landed in (or null)
+function onChatUpdated(conversation) {
+  if (!conversation) return;
+  if (state.activeView === 'chat') {
+    // A message in the open conversation counts as read
+    if (conversation.id === state.chat.activeId && chat.markRead(conversation.id)) saveChatReadMarks();
+    renderChatList();
+    if (conversation.id === state.chat.activeId) renderChatConversation();
+  }
+  updateChatUnreadBadge();
+}
+
+function renderChat() {
+  updateChatUnreadBadge();
+  if (state.activeView !== 'chat') return;
+  renderChatList();
+  renderChatConversation();
+}
+
+function updateChatUnreadBadge() {
+  const badge = $('#chat-unread-badge');
+  if (!badge) return;
+  const unread = chat.totalUnread();
+  badge.textContent = unread > 99 ? '99+' : String(unread);
+  badge.classList.toggle('hidden', unread === 0);
+}
+
+function getConversationLabel(conversation) {
+  if (conversation.kind === 'channel') return `# ${conversation.channelName}`;
+  const label = nodeId => derived.getNodeLabel(nodeId) || nodeId;
+  if (conversation.peerNodeId) return label(conversation.peerNodeId);
+  return conversation.participants.map(label).join(' \u2194 ');
+}
+
+function renderChatList() {
+  const container = $('#chat-conversations');
+  const countBadge = $('#chat-count-badge');
+  if (!container) return;
+
+  const conversations = chat.list();
+  if (countBadge) countBadge.textContent = conversations.length;
+
+  if (conversations.length === 0) {
+    container.innerHTML = '<span class="sidebar-empty" style="padding:8px 12px">No text messages yet</span>';
+    return;
+  }
+
+  container.innerHTML = conversations.map(conversation => {
+    const last = conversation.messages[conversation.messages.length - 1];
+    const unread = chat.unreadCount(conversation);
+    const selected = conversation.id === state.chat.activeId ? ' node-list-item-selected' : '';
+    const icon = conversation.kind === 'channel' ? 'fa-hashtag' : (conversation.pki ? 'fa-lock' : 'fa-user');
+    return `
+      <div class="node-list-item chat-conversation${selected}" data-conversation-id="${escapeHtml(conversation.id)}">
+        <i class="fas ${icon} chat-conversation-icon"></i>
+        <div class="node-list-item-info">
+          <span class="node-list-item-name">${escapeHtml(getConversationLabel(conversation))}</span>
+          <span class="chat-conversation-preview">${escapeHtml(last?.text || '')}</span>
+        </div>
+        ${unread > 0 ? `<span class="chat-unread-count">${unread}</span>` : `<span class="node-list-item-time">${formatTimeAgo(conversation.lastTs)}</span>`}
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.chat-conversation').forEach(el => {
+    el.addEventListener('click', () => openChatConversation(el.dataset.conversationId));
+  });
+}
+
+function openChatConversation(id) {
+  state.chat.activeId = id;
+  if (chat.markRead(id)) saveChatReadMarks();
+  renderChat();
+  $('#chat-input')?.focus();
+}
+
+// Direct messages between two foreign nodes can be read but not answered
+function canReplyInConversation(conversation) {
+  return conversation.kind === 'channel' || !!conversation.peerNodeId;
+}
+
+function renderChatConversation() {
+  const container = $('#chat-messages');
+  const titleEl = $('#chat-title');
+  const composer = $('#chat-composer');
+  if (!container) return;
+
+  const conversation = chat.get(state.chat.activeId);
+  if (!conversation) {
+    if (titleEl) titleEl.textContent = 'Chat';
+    composer?.classList.add('hidden');
+    container.innerHTML = '<div class="manage-placeholder"><i class="fas fa-comments"></i><span>Select a conversation from the sidebar.</span></div>';
+    return;
+  }
+
+  if (titleEl) {
+    const via = conversation.kind === 'dm' ? (conversation.pki ? ' (PKI)' : conversation.channelName ? ` via ${conversation.channelName}` : '') : '';
+    titleEl.textContent = `${getConversationLabel(conversation)}${via}`;
+  }
+  composer?.classList.toggle('hidden', !canReplyInConversation(conversation));
+
+  const label = nodeId => derived.getNodeLabel(nodeId) || nodeId;
+  container.innerHTML = conversation.messages.map(message => {
+    const time = new Date(message.ts).toLocaleTimeString();
+    const heardBy = message.gatewayIds.size > 1 ? ` \u00b7 heard by ${message.gatewayIds.size} gateways` : '';
+    const stored = message.storeForward ? ' \u00b7 via Store & Forward' : '';
+    const original = message.replyId ? chat.findMessage(conversation, message.replyId) : null;
+    let quote = '';
+    if (message.replyId) {
+      const quoted = original ? `${label(original.fromNodeId)}: ${original.text}` : `#${message.replyId}`;
+      quote = `<div class="chat-message-quote">${message.emoji ? 'reacted to ' : ''}${escapeHtml(quoted)}</div>`;
+    }
+    const reactions = message.reactions.length > 0
+      ? `<div class="chat-message-reactions">${message.reactions.map(r => `<span class="log-reaction" title="${escapeHtml(label(r.fromNodeId))}">${escapeHtml(r.emoji)}</span>`).join('')}</div>`
+      : '';
+    return `
+      <div class="chat-message${message.own ? ' chat-message-own' : ''}">
+        <div class="chat-message-meta">
+          <span class="chat-message-sender" data-node-id="${escapeHtml(message.fromNodeId)}">${escapeHtml(label(message.fromNodeId))}</span>
+          <span>${time}${stored}${heardBy}</span>
+        </div>
+        ${quote}
+        <div class="chat-message-text">${escapeHtml(message.text)}</div>
+        ${reactions}
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.chat-message-sender').forEach(el => {
+    el.addEventListener('click', () => navigateToNodeDetail(el.dataset.nodeId));
+  });
+  container.scrollTop = container.scrollHeight;
+}
+
+// Replies go out the way the conversation was last heard: same network,
+// topic prefix and channel (or PKI), to the peer or to everyone
+function sendChatMessage() {
+  if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return; }
+
+  const conversation = chat.get(state.chat.activeId);
+  if (!conversation || !canReplyInConversation(conversation)) return;
+  const input = $('#chat-input');
+  const text = input?.value.trim() || '';
+  if (!text) return;
+
+  const channelName = conversation.channelName || getSelectedSendChannel()?.name;
+  if (!channelName) { showToast('No channel to send on'); return; }
+  const ch = catalog.findChannelByName(channelName);
+  const isJson = conversation.path === '2/json';
+  if (conversation.pki && isJson) { showToast('PKI direct messages require protobuf mode'); return; }
+
+  const gwNode = getSelectedSendGatewayNode();
+  const fromNodeId = conversation.ownNodeId || getSelectedSendFrom()?.nodeId || gwNode?.nodeId || '!ffffffff';
+  const peer = conversation.peerNodeId ? catalog.findNodeByNodeId(conversation.peerNodeId) : null;
+
+  wsClient.publish({
+    networkId: conversation.networkId || undefined,
+    root: conversation.root,
+    region: conversation.region,
+    path: conversation.path,
+    channel: channelName,
+    gatewayId: gwNode?.nodeId || '!ffffffff',
+    from: fromNodeId,
+    to: conversation.kind === 'channel' ? '^all' : conversation.peerNodeId,
+    text,
+    key: isJson || !ch ? undefined : catalog.resolveChannelKey(ch.id),
+    pki: conversation.pki,
+    publicKey: conversation.pki ? peer?.publicKey || undefined : undefined,
+  });
+  input.value = '';
+}
+
+// =============== Range Test View ===============
+
+function setupRangeTestView() {
+  $('#range-export-btn')?.addEventListener('click', exportRangeTestCsv);
+}
+
+// Distance from a range test sender to the gateway that heard it
+function getNodeDistanceKm(nodeIdA, nodeIdB) {
+  const a = derived.getNodeStats(nodeIdA)?.lastPosition;
+  const b = derived.getNodeStats(nodeIdB)?.lastPosition;
+  if (!a || !b) return null;
+  return haversineKm(a.lat, a.lon, b.lat, b.lon);
+}
+
+// Called with the session a range test packet landed in (or null)
+function onRangeTestUpdated(session) {
+  if (!session || state.activeView !== 'range') return;
+  renderRangeTestList();
+  if (session.id === state.rangeTest.activeId) renderRangeTestSession();
+}
+
+function renderRangeTest() {
+  if (state.activeView !== 'range') return;
+  renderRangeTestList();
+  renderRangeTestSession();
+}
+
+function renderRangeTestList() {
+  const container = $('#range-sessions');
+  const countBadge = $('#range-count-badge');
+  if (!container) return;
+
+  const sessions = rangeTest.list();
+  if (countBadge) countBadge.textContent = sessions.length;
+
+  if (sessions.length === 0) {
+    container.innerHTML = '<span class="sidebar-empty" style="padding:8px 12px">No range test packets yet</span>';
+    return;
+  }
+
+  container.innerHTML = sessions.map(session => {
+    const stats = getSessionStats(session);
+    const selected = session.id === state.rangeTest.activeId ? ' node-list-item-selected' : '';
+    return `
+      <div class="node-list-item range-session${selected}" data-session-id="${escapeHtml(session.id)}">
+        <i class="fas fa-ruler-horizontal chat-conversation-icon"></i>
+        <div class="node-list-item-info">
+          <span class="node-list-item-name">${escapeHtml(derived.getNodeLabel(session.fromNodeId) || session.fromNodeId)}</span>
+          <span class="chat-conversation-preview">${stats.received}/${stats.expected} received · ${stats.lossPercent.toFixed(0)}% loss</span>
+        </div>
+        <span class="node-list-item-time">${formatTimeAgo(session.lastTs)}</span>
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.range-session').forEach(el => {
+    el.addEventListener('click', () => {
+      state.rangeTest.activeId = el.dataset.sessionId;
+      renderRangeTest();
+    });
+  });
+}
+
+// Collapse runs of missed sequence numbers: 3, 5-6, 9
+function formatSeqRanges(seqs) {
+  const ranges = [];
+  for (const seq of seqs) {
+    const last = ranges[ranges.length - 1];
+    if (last && seq === last[1] + 1) last[1] = seq;
+    else ranges.push([seq, seq]);
+  }
+  return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`)).join(', ');
+}
+
+function renderRangeTestSession() {
+  const container = $('#range-session');
+  const titleEl = $('#range-title');
+  const exportBtn = $('#range-export-btn');
+  if (!container) return;
+
+  const session = rangeTest.get(state.rangeTest.activeId);
+  exportBtn?.classList.toggle('hidden', !session);
+  if (!session) {
+    if (titleEl) titleEl.textContent = 'Range Test';
+    container.innerHTML = '<div class="manage-placeholder"><i class="fas fa-ruler-horizontal"></i><span>Select a range test session from the sidebar.</span></div>';
+    return;
+  }
+
+  const label = nodeId => derived.getNodeLabel(nodeId) || nodeId;
+  if (titleEl) titleEl.textContent = `${label(session.fromNodeId)} · ${new Date(session.startTs).toLocaleString()}`;
+
+  const stats = getSessionStats(session);
+  const row = (name, value) => `<div class="detail-row"><div class="detail-label">${name}</div><div class="detail-value">${value}</div></div>`;
+  let summary = '';
+  summary += row('Sender', escapeHtml(`${label(session.fromNodeId)} (${session.fromNodeId})`));
+  summary += row('Sequence', `${stats.firstSeq} – ${stats.lastSeq}`);
+  summary += row('Received', `${stats.received} / ${stats.expected}`);
+  summary += row('Packet Loss', `${stats.lossPercent.toFixed(1)}%`);
+  summary += row('Missed', stats.missed.length > 0 ? escapeHtml(formatSeqRanges(stats.missed)) : 'none');
+  summary += row('Duration', `${new Date(session.startTs).toLocaleTimeString()} – ${new Date(session.lastTs).toLocaleTimeString()}`);
+
+  const packets = [...session.packets.values()].sort((a, b) => b.seq - a.seq);
+  const formatNumber = (value, unit, digits = 1) => (value === null ? '?' : `${value.toFixed(digits)} ${unit}`);
+  const rows = packets.flatMap(packet => packet.receptions.map(r => `
+    <tr>
+      <td>${packet.seq}</td>
+      <td>${new Date(r.ts).toLocaleTimeString()}</td>
+      <td>${escapeHtml(r.gatewayId ? label(r.gatewayId) : '?')}</td>
+      <td>${formatNumber(r.rxSnr, 'dB', 2)}</td>
+      <td>${formatNumber(r.rxRssi, 'dBm', 0)}</td>
+      <td>${r.hops ?? '?'}</td>
+      <td>${formatNumber(r.distanceKm, 'km', 2)}</td>
+    </tr>
+  `)).join('');
+
+  container.innerHTML = `
+    <div class="node-dashboard-grid">
+      <div class="node-card"><div class="node-card-header"><i class="fas fa-chart-pie"></i> Summary</div><div class="node-card-body">${summary}</div></div>
+      <div class="node-card node-card-wide">
+        <div class="node-card-header"><i class="fas fa-list-ol"></i> Packets</div>
+        <div class="node-card-body">
+          <table class="range-test-table">
+            <thead><tr><th>Seq</th><th>Time</th><th>Gateway</th><th>SNR</th><th>RSSI</th><th>Hops</th><th>Distance</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function exportRangeTestCsv() {
+  const session = rangeTest.get(state.rangeTest.activeId);
+  if (!session) return;
+  const url = URL.createObjectURL(new Blob([sessionToCsv(session)], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `rangetest-${session.fromNodeId.replace('!', '')}-${new Date(session.startTs).toISOString().replace(/[:.]/g, '-')}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// =============== Gateways View ===============
+
+function setupGatewaysView() {
+  $('#gateway-map-btn')?.addEventListener('click', () => {
+    const gatewayId = state.gatewaysView.selectedId;
+    if (!gatewayId) return;
+    if (state.mapView.coverageGatewayId === gatewayId) {
+      clearGatewayCoverageOnMap();
+      renderGatewayCoverage();
+      return;
+    }
+    navigateToGatewayCoverage(gatewayId);
+  });
+}
+
+function renderGateways() {
+  if (state.activeView !== 'gateways') return;
+  renderGatewaysList();
+  renderGatewayCoverage();
+}
+
+function renderGatewaysList() {
+  const container = $('#gateways-list');
+  const countBadge = $('#gateways-count-badge');
+  if (!container) return;
+
+  const gateways = Object.values(derived.gateways)
+    .filter(gw => gw.rxCount > 0)
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  if (countBadge) countBadge.textContent = gateways.length;
+
+  if (gateways.length === 0) {
+    container.innerHTML = '<span class="sidebar-empty" style="padding:8px 12px">No gateways heard yet</span>';
+    return;
+  }
+
+  container.innerHTML = gateways.map(gw => {
+    const coverage = derived.getGatewayCoverage(gw.gatewayId);
+    const offline = derived.getGatewayStatus(gw.gatewayId)?.status === 'offline';
+    const selected = gw.gatewayId === state.gatewaysView.selectedId ? ' node-list-item-selected' : '';
+    return `
+      <div class="node-list-item gateway-list-item${selected}" data-gateway-id="${escapeHtml(gw.gatewayId)}">
+        <span class="node-list-item-dot ${offline ? 'dot-stale' : getNodeActivityClass(gw.lastSeenAt)}"></span>
+        <div class="node-list-item-info">
+          <span class="node-list-item-name">${escapeHtml(derived.getNodeLabel(gw.gatewayId) || gw.gatewayId)}</span>
+          <span class="chat-conversation-preview">${offline ? 'offline · ' : ''}${coverage.nodesHeard} nodes · ${coverage.packetsPerHour.toFixed(1)} pkt/h</span>
+        </div>
+        <span class="node-list-item-time">${formatTimeAgo(gw.lastSeenAt)}</span>
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.gateway-list-item').forEach(el => {
+    el.addEventListener('click', () => {
+      state.gatewaysView.selectedId = el.dataset.gatewayId;
+      renderGateways();
+    });
+  });
+}
+
+function formatGapDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 120) return `${minutes}m`;
+  const hours = minutes / 60;
+  return hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+}
 
-    if (st.isNew) {
-      const result = catalog[addMap[type]](data);
-      if (result?.error === 'duplicate') {
-        showToast('A channel with this name already exists');
-        return;
-      }
-      st.selectedId = result.id;
-      st.isNew = false;
-    } else {
-      const result = catalog[updateMap[type]](st.selectedId, data);
-      if (result?.error === 'duplicate') {
-        showToast('A channel with this name already exists');
-        return;
-      }
-    }
+function renderGatewayCoverage() {
+  const container = $('#gateway-coverage');
+  const titleEl = $('#gateway-title');
+  const mapBtn = $('#gateway-map-btn');
+  if (!container) return;
 
-    reRenderList();
-    reRenderEditor();
-    showToast('Saved');
+  const gatewayId = state.gatewaysView.selectedId;
+  const gw = gatewayId ? derived.getGatewayStats(gatewayId) : null;
+  mapBtn?.classList.toggle('hidden', !gw);
+  if (!gw) {
+    if (titleEl) titleEl.textContent = 'Gateways';
+    container.innerHTML = '<div class="manage-placeholder"><i class="fas fa-broadcast-tower"></i><span>Select a gateway from the sidebar.</span></div>';
+    return;
+  }
+
+  const label = nodeId => derived.getNodeLabel(nodeId) || nodeId;
+  if (titleEl) titleEl.textContent = label(gatewayId);
+  if (mapBtn) {
+    const shown = state.mapView.coverageGatewayId === gatewayId;
+    mapBtn.innerHTML = shown
+      ? '<i class="fas fa-map-marked-alt"></i> Hide from Map'
+      : '<i class="fas fa-map-marked-alt"></i> Show on Map';
+  }
+
+  const coverage = derived.getGatewayCoverage(gatewayId);
+  const formatNumber = (value, unit, digits = 1) => (value === null ? '?' : `${value.toFixed(digits)} ${unit}`);
+  const row = (name, value) => `<div class="detail-row"><div class="detail-label">${name}</div><div class="detail-value">${value}</div></div>`;
+  let summary = '';
+  summary += row('Gateway', escapeHtml(`${label(gatewayId)} (${gatewayId})`));
+  const status = derived.getGatewayStatus(gatewayId);
+  summary += row('Status', status
+    ? `<span class="gateway-status gateway-status-${escapeHtml(status.status)}">${escapeHtml(status.status)}</span> since ${new Date(status.ts).toLocaleString()}`
+    : 'unknown (no 2/stat announcement)');
+  summary += row('Packets', `${gw.rxCount} received · ${coverage.packetsPerHour.toFixed(1)} / hour`);
+  summary += row('Nodes Heard', `${coverage.nodesHeard} (${coverage.directNodes.length} direct)`);
+  summary += row('Direct / Relayed', coverage.directRatio === null
+    ? 'no hop info'
+    : `${gw.directCount} / ${gw.relayedCount} (${(coverage.directRatio * 100).toFixed(0)}% direct)`);
+  summary += row('Direct SNR', formatNumber(coverage.avgDirectSnr, 'dB'));
+  summary += row('Direct RSSI', formatNumber(coverage.avgDirectRssi, 'dBm', 0));
+  summary += row('Channels', escapeHtml(gw.channelsSeen.join(', ') || '?'));
+  summary += row('First Seen', gw.firstSeenAt ? new Date(gw.firstSeenAt).toLocaleString() : '?');
+  summary += row('Last Seen', `${formatTimeAgo(gw.lastSeenAt)} ago`);
+
+  const directRows = coverage.directNodes
+    .sort((a, b) => b.directCount - a.directCount)
+    .map(h => `
+      <tr class="gateway-node-row" data-node-id="${escapeHtml(h.nodeId)}">
+        <td>${escapeHtml(label(h.nodeId))}</td>
+        <td>${h.directCount} / ${h.rxCount}</td>
+        <td>${formatNumber(h.lastSnr, 'dB', 2)}</td>
+        <td>${formatNumber(h.lastRssi, 'dBm', 0)}</td>
+        <td>${formatNumber(getNodeDistanceKm(h.nodeId, gatewayId), 'km', 2)}</td>
+        <td>${formatTimeAgo(h.lastSeenAt)}</td>
+      </tr>
+    `).join('');
+
+  // Ongoing silence counts as a gap too
+  const gaps = [...coverage.gaps];
+  if (gw.lastRxAt && Date.now() - gw.lastRxAt > GATEWAY_GAP_MS) gaps.push({ from: gw.lastRxAt, to: null });
+  const gapRows = gaps.reverse().map(gap => `
+    <tr>
+      <td>${new Date(gap.from).toLocaleString()}</td>
+      <td>${gap.to ? new Date(gap.to).toLocaleString() : 'now'}</td>
+      <td>${formatGapDuration((gap.to ?? Date.now()) - gap.from)}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="node-dashboard-grid">
+      <div class="node-card"><div class="node-card-header"><i class="fas fa-chart-pie"></i> Coverage</div><div class="node-card-body">${summary}</div></div>
+      <div class="node-card">
+        <div class="node-card-header"><i class="fas fa-pause-circle"></i> Uptime Gaps</div>
+        <div class="node-card-body">
+          ${gapRows ? `
+            <table class="range-test-table">
+              <thead><tr><th>Silent From</th><th>Until</th><th>Duration</th></tr></thead>
+              <tbody>${gapRows}</tbody>
+            </table>
+          ` : `<span class="sidebar-empty">No silences longer than ${formatGapDuration(GATEWAY_GAP_MS)}</span>`}
+        </div>
+      </div>
+      <div class="node-card node-card-wide">
+        <div class="node-card-header"><i class="fas fa-wifi"></i> Heard Directly</div>
+        <div class="node-card-body">
+          ${directRows ? `
+            <table class="range-test-table">
+              <thead><tr><th>Node</th><th>Direct / All</th><th>Last SNR</th><th>Last RSSI</th><th>Distance</th><th>Last Heard</th></tr></thead>
+              <tbody>${directRows}</tbody>
+            </table>
+          ` : '<span class="sidebar-empty">No zero-hop receptions with hop info yet</span>'}
+        </div>
+      </div>
+    </div>
+  `;
+
+  container.querySelectorAll('.gateway-node-row').forEach(el => {
+    el.addEventListener('click', () => navigateToNodeDetail(el.dataset.nodeId));
   });
 }
 
+// Lines from the gateway to every positioned node it hears directly, coloured
+// by the last SNR. Returns the drawn points.
+function showGatewayCoverageOnMap(gatewayId) {
+  const map = state.mapView.map;
+  const coverage = derived.getGatewayCoverage(gatewayId);
+  if (!map || !coverage) return [];
+
+  clearGatewayCoverageOnMap();
+  const gwPos = derived.getNodeStats(gatewayId)?.lastPosition;
+  if (!gwPos) return [];
+  const origin = [gwPos.lat, gwPos.lon];
+
+  const layer = L.layerGroup();
+  const points = [origin];
+  for (const h of coverage.directNodes) {
+    const pos = derived.getNodeStats(h.nodeId)?.lastPosition;
+    if (!pos) continue;
+    const point = [pos.lat, pos.lon];
+    points.push(point);
+    L.polyline([origin, point], { color: getSnrColor(h.lastSnr), weight: 3, opacity: 0.9 })
+      .bindTooltip(`${escapeHtml(derived.getNodeLabel(h.nodeId) || h.nodeId)}: ${h.directCount} direct, SNR ${h.lastSnr ?? '?'} dB`, { sticky: true, className: 'node-map-label' })
+      .addTo(layer);
+  }
+  L.circleMarker(origin, { radius: 10, color: '#38bdf8', weight: 3, fillOpacity: 0.2 })
+    .bindTooltip(escapeHtml(derived.getNodeLabel(gatewayId) || gatewayId), { className: 'node-map-label' })
+    .addTo(layer);
+  layer.addTo(map);
+  state.mapView.coverageLayer = layer;
+  state.mapView.coverageGatewayId = gatewayId;
+  return points;
+}
+
+function clearGatewayCoverageOnMap() {
+  if (state.mapView.coverageLayer && state.mapView.map) {
+    state.mapView.map.removeLayer(state.mapView.coverageLayer);
+  }
+  state.mapView.coverageLayer = null;
+  state.mapView.coverageGatewayId = null;
+}
 
 // =============== Nodes View ===============
 
@@ -1930,7 +3711,7 @@ function renderNodesList() {
       <div class="node-list-item${selected}" data-node-id="${escapeHtml(node.nodeId)}">
         <span class="node-list-item-dot ${dotClass}"></span>
         <div class="node-list-item-info">
-          <span class="node-list-item-name">${escapeHtml(label)}</span>
+          <span class="node-list-item-name">${escapeHtml(label)}${node.storeForward ? ' <i class="fas fa-database node-list-item-badge" title="Store & Forward router"></i>' : ''}</span>
           <span class="node-list-item-id">${escapeHtml(shortId)}</span>
         </div>
         <span class="node-list-item-time">${timeAgo}</span>
@@ -1977,6 +3758,11 @@ function renderNodeDashboard(nodeId) {
     cards += renderTelemetryCard(node);
   }
 
+  // Telemetry history charts
+  if (node.telemetryHistory.length > 0) {
+    cards += renderTelemetryChartsCard(node);
+  }
+
   // Connections card
   const links = derived.getNodeLinks(nodeId);
   if (links.length > 0) {
@@ -1993,6 +3779,23 @@ function renderNodeDashboard(nodeId) {
     cards += renderMapReportCard(node);
   }
 
+  // Detection sensor card
+  if (node.lastDetection) {
+    cards += renderDetectionCard(node);
+  }
+
+  // Paxcounter card
+  if (node.lastPaxcount) {
+    cards += renderPaxcounterCard(node);
+  }
+
+  // Store & Forward card
+  if (node.storeForward) {
+    cards += renderStoreForwardCard(nodeId, node);
+  }
+
+  cards += renderTracerouteCard(nodeId);
+
   dashboard.innerHTML = `<div class="node-dashboard-grid">${cards}</div>`;
 
   // Initialize mini map if position card exists
@@ -2030,6 +3833,11 @@ function renderNodeDashboard(nodeId) {
       navigateToMapNode(el.dataset.showOnMap);
     });
   });
+
+  wireTracerouteCard(nodeId);
+  wireStoreForwardCard(nodeId);
+  wireTelemetryChartsCard(nodeId);
+  requestNodeTelemetry(nodeId);
 }
 
 function renderIdentityCard(node) {
@@ -2039,7 +3847,7 @@ function renderIdentityCard(node) {
   if (ni?.longName) rows += `<div class="detail-row"><div class="detail-label">Long Name</div><div class="detail-value">${escapeHtml(ni.longName)}</div></div>`;
   if (ni?.shortName) rows += `<div class="detail-row"><div class="detail-label">Short Name</div><div class="detail-value">${escapeHtml(ni.shortName)}</div></div>`;
   if (ni?.hwModel !== undefined) rows += `<div class="detail-row"><div class="detail-label">Hardware</div><div class="detail-value">${getHwModelName(ni.hwModel)}</div></div>`;
-  if (ni?.role !== undefined) rows += `<div class="detail-row"><div class="detail-label">Role</div><div class="detail-value">${ni.role}</div></div>`;
+  if (ni?.role !== undefined) rows += `<div class="detail-row"><div class="detail-label">Role</div><div class="detail-value">${getRoleName(ni.role)}</div></div>`;
   if (node.firstSeenAt) rows += `<div class="detail-row"><div class="detail-label">First Seen</div><div class="detail-value">${new Date(node.firstSeenAt).toLocaleString()}</div></div>`;
   if (node.lastSeenAt) rows += `<div class="detail-row"><div class="detail-label">Last Seen</div><div class="detail-value">${new Date(node.lastSeenAt).toLocaleString()} (${formatTimeAgo(node.lastSeenAt)})</div></div>`;
   rows += `<div class="detail-row"><div class="detail-label">Messages</div><div class="detail-value">RX: ${node.messageCountRx} / TX: ${node.messageCountTx}</div></div>`;
@@ -2067,25 +3875,93 @@ function renderPositionCard(node) {
 function renderTelemetryCard(node) {
   const t = node.lastTelemetry;
   let rows = '';
-  if (t.deviceMetrics) {
-    const dm = t.deviceMetrics;
-    if (dm.batteryLevel !== undefined) rows += `<div class="detail-row"><div class="detail-label">Battery</div><div class="detail-value">${dm.batteryLevel}%</div></div>`;
-    if (dm.voltage !== undefined) rows += `<div class="detail-row"><div class="detail-label">Voltage</div><div class="detail-value">${dm.voltage.toFixed(2)}V</div></div>`;
-    if (dm.channelUtilization !== undefined) rows += `<div class="detail-row"><div class="detail-label">Channel Util</div><div class="detail-value">${dm.channelUtilization.toFixed(1)}%</div></div>`;
-    if (dm.airUtilTx !== undefined) rows += `<div class="detail-row"><div class="detail-label">Air Util TX</div><div class="detail-value">${dm.airUtilTx.toFixed(1)}%</div></div>`;
-    if (dm.uptimeSeconds !== undefined) rows += `<div class="detail-row"><div class="detail-label">Uptime</div><div class="detail-value">${formatUptime(dm.uptimeSeconds)}</div></div>`;
-  }
-  if (t.environmentMetrics) {
-    const em = t.environmentMetrics;
-    if (em.temperature !== undefined) rows += `<div class="detail-row"><div class="detail-label">Temperature</div><div class="detail-value">${em.temperature.toFixed(1)}&deg;C</div></div>`;
-    if (em.relativeHumidity !== undefined) rows += `<div class="detail-row"><div class="detail-label">Humidity</div><div class="detail-value">${em.relativeHumidity.toFixed(0)}%</div></div>`;
-    if (em.barometricPressure !== undefined) rows += `<div class="detail-row"><div class="detail-label">Pressure</div><div class="detail-value">${em.barometricPressure.toFixed(0)} hPa</div></div>`;
+  for (const { title, rows: fields } of getTelemetrySections(t)) {
+    rows += `<div class="node-card-subheader">${title}</div>`;
+    for (const { label, value } of fields) {
+      rows += `<div class="detail-row"><div class="detail-label">${label}</div><div class="detail-value">${value}</div></div>`;
+    }
   }
   if (t._ts) rows += `<div class="detail-row"><div class="detail-label">Updated</div><div class="detail-value">${formatTimeAgo(t._ts)}</div></div>`;
 
   return `<div class="node-card"><div class="node-card-header"><i class="fas fa-chart-bar"></i> Telemetry</div><div class="node-card-body">${rows}</div></div>`;
 }
 
+function formatChartRange(hours) {
+  return hours < 48 ? `${hours}h` : `${hours / 24}d`;
+}
+
+function renderTelemetryChartsCard(node) {
+  const hours = state.nodesView.chartRangeHours;
+  const until = Date.now();
+  const since = until - hours * 3600000;
+
+  const rangeButtons = TELEMETRY_CHART_RANGES_HOURS.map(h => (
+    `<button class="telemetry-range-btn${h === hours ? ' telemetry-range-active' : ''}" data-chart-range="${h}">${formatChartRange(h)}</button>`
+  )).join('');
+
+  let charts = '';
+  for (const series of TELEMETRY_CHART_SERIES) {
+    const points = buildSeries(node.telemetryHistory, series.pick, since);
+    if (points.length === 0) continue;
+    const latest = series.format(points[points.length - 1].v);
+    charts += `
+      <div class="telemetry-chart-item">
+        <div class="telemetry-chart-title">${series.label} <span class="telemetry-chart-latest">${latest}</span></div>
+        ${renderLineChart(points, { since, until, color: series.color, format: series.format })}
+      </div>
+    `;
+  }
+  if (!charts) charts = `<span class="sidebar-empty">No readings in the last ${formatChartRange(hours)}</span>`;
+
+  return `<div class="node-card node-card-wide" id="node-telemetry-charts"><div class="node-card-header"><i class="fas fa-chart-line"></i> Telemetry History<span class="telemetry-range">${rangeButtons}</span></div><div class="node-card-body telemetry-charts">${charts}</div></div>`;
+}
+
+function wireTelemetryChartsCard(nodeId) {
+  $$('#node-telemetry-charts [data-chart-range]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.nodesView.chartRangeHours = parseInt(btn.dataset.chartRange, 10);
+      refreshTelemetryChartsCard(nodeId);
+      requestNodeTelemetry(nodeId);
+    });
+  });
+}
+
+function refreshTelemetryChartsCard(nodeId) {
+  if (state.nodesView.selectedNodeId !== nodeId) return;
+  const card = $('#node-telemetry-charts');
+  if (!card) {
+    // The fetch brought this node's first readings; add the card
+    renderNodeDashboard(nodeId);
+    return;
+  }
+  card.outerHTML = renderTelemetryChartsCard(derived.getNodeStats(nodeId));
+  wireTelemetryChartsCard(nodeId);
+}
+
+// The history replay is capped by packet count, so on a busy mesh it may
+// miss a node's older readings; fetch the node's own telemetry for the
+// chosen range from the packet store
+function requestNodeTelemetry(nodeId) {
+  const hours = state.nodesView.chartRangeHours;
+  const key = `${nodeId}|${hours}`;
+  if (Date.now() - (telemetryFetchedAt.get(key) || 0) < TELEMETRY_REFETCH_MS) return;
+
+  const sent = wsClient?.getHistory({
+    since: Date.now() - hours * 3600000,
+    nodeId,
+    portnum: 67,
+    limit: TELEMETRY_HISTORY_MAX,
+  });
+  if (sent) telemetryFetchedAt.set(key, Date.now());
+}
+
+function applyNodeTelemetry({ nodeId, messages = [] }) {
+  const entries = messages
+    .filter(msg => msg.type === 'message' && msg.from === nodeId && msg.payload)
+    .map(msg => ({ ...msg.payload, _ts: msg.timestamp, _packetId: msg.packetId ?? null }));
+  if (derived.mergeTelemetryHistory(nodeId, entries) > 0) refreshTelemetryChartsCard(nodeId);
+}
+
 function renderConnectionsCard(nodeId, links) {
   const sorted = [...links].sort((a, b) => b.packetCount - a.packetCount);
   let rows = '';
@@ -2129,8 +4005,10 @@ function renderMapReportCard(node) {
   const mr = node.lastMapReport;
   let rows = '';
   if (mr.firmwareVersion) rows += `<div class="detail-row"><div class="detail-label">Firmware</div><div class="detail-value">${escapeHtml(mr.firmwareVersion)}</div></div>`;
-  if (mr.region !== undefined) rows += `<div class="detail-row"><div class="detail-label">Region</div><div class="detail-value">${mr.region}</div></div>`;
-  if (mr.modemPreset !== undefined) rows += `<div class="detail-row"><div class="detail-label">Modem Preset</div><div class="detail-value">${mr.modemPreset}</div></div>`;
+  if (mr.region !== undefined) rows += `<div class="detail-row"><div class="detail-label">Region</div><div class="detail-value">${getRegionName(mr.region)}</div></div>`;
+  if (mr.modemPreset !== undefined) rows += `<div class="detail-row"><div class="detail-label">Modem Preset</div><div class="detail-value">${getModemPresetName(mr.modemPreset)}</div></div>`;
+  if (mr.hwModel) rows += `<div class="detail-row"><div class="detail-label">Hardware</div><div class="detail-value">${getHwModelName(mr.hwModel)}</div></div>`;
+  if (mr.role !== undefined) rows += `<div class="detail-row"><div class="detail-label">Role</div><div class="detail-value">${getRoleName(mr.role)}</div></div>`;
   if (mr.numOnlineLocalNodes !== undefined) rows += `<div class="detail-row"><div class="detail-label">Online Local Nodes</div><div class="detail-value">${mr.numOnlineLocalNodes}</div></div>`;
   if (mr.hasDefaultChannel !== undefined) rows += `<div class="detail-row"><div class="detail-label">Default Channel</div><div class="detail-value">${mr.hasDefaultChannel ? 'Yes' : 'No'}</div></div>`;
   if (mr._ts) rows += `<div class="detail-row"><div class="detail-label">Updated</div><div class="detail-value">${formatTimeAgo(mr._ts)}</div></div>`;
@@ -2138,6 +4016,330 @@ function renderMapReportCard(node) {
   return `<div class="node-card"><div class="node-card-header"><i class="fas fa-map"></i> Map Report</div><div class="node-card-body">${rows}</div></div>`;
 }
 
+// =============== Traceroute ===============
+
+function describeTracerouteStatus(tr) {
+  switch (tr.status) {
+    case 'sending': return 'Sending request…';
+    case 'pending': return `Waiting for reply to packet ${tr.packetId}…`;
+    case 'timeout': return `No reply within ${TRACEROUTE_TIMEOUT_MS / 1000}s`;
+    case 'done': return `Reply after ${((tr.completedAt - tr.startedAt) / 1000).toFixed(1)}s`;
+    default: return tr.status;
+  }
+}
+
+function renderTracerouteHops(title, hops) {
+  const rows = hops.map((hop, i) => {
+    const label = derived.getNodeLabel(hop.nodeId) || hop.nodeId;
+    const snr = i === 0 ? '' : (hop.snr === null ? '?' : `${hop.snr.toFixed(2)} dB`);
+    return `<tr data-traceroute-node-id="${escapeHtml(hop.nodeId)}"><td>${i}</td><td>${escapeHtml(label)}</td><td>${snr}</td></tr>`;
+  }).join('');
+  return `
+    <div class="traceroute-title">${title}</div>
+    <table class="traceroute-table">
+      <thead><tr><th>#</th><th>Node</th><th>SNR</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Viewers cannot publish, so the whole card is hidden for them
+function renderTracerouteCard(nodeId) {
+  const tr = state.traceroute?.targetNodeId === nodeId ? state.traceroute : null;
+  const selectedFrom = catalog.findNodeByNodeId(state.traceroute?.fromNodeId)?.id || catalog.data.defaults.sendFromNodeId;
+  const fromOptions = catalog.listNodes()
+    .filter(n => n.id !== 'node_broadcast' && n.nodeId !== nodeId)
+    .map(n => `<option value="${escapeHtml(n.id)}"${n.id === selectedFrom ? ' selected' : ''}>${escapeHtml(n.label)} (${escapeHtml(n.nodeId)})</option>`)
+    .join('');
+  const busy = tr && (tr.status === 'sending' || tr.status === 'pending');
+
+  let body = `
+    <div class="traceroute-controls">
+      <select id="traceroute-from-select" class="sidebar-input sidebar-select" title="Catalog node the request is sent from">${fromOptions}</select>
+      <button id="traceroute-run-btn" class="sidebar-btn sidebar-btn-primary"${busy ? ' disabled' : ''}><i class="fas fa-route"></i> Run</button>
+    </div>
+    <div class="sidebar-hint">Sent on the Send view's network, channel and gateway</div>
+  `;
+  if (tr) {
+    body += `<div class="traceroute-status traceroute-${tr.status}">${escapeHtml(describeTracerouteStatus(tr))}</div>`;
+  }
+  if (tr?.hops) {
+    body += renderTracerouteHops('Towards destination', tr.hops.forward);
+    body += tr.hops.back.length > 0
+      ? renderTracerouteHops('Back to sender', tr.hops.back)
+      : '<div class="sidebar-hint">The reply did not record its return path</div>';
+    body += `<a href="#" id="traceroute-show-on-map" style="color:#007acc;font-size:11px"><i class="fas fa-map-marked-alt"></i> Show route on map</a>`;
+  }
+
+  return `<div class="node-card" id="node-traceroute-card" data-requires-publish><div class="node-card-header"><i class="fas fa-route"></i> Traceroute</div><div class="node-card-body">${body}</div></div>`;
+}
+
+function wireTracerouteCard(nodeId) {
+  const card = $('#node-traceroute-card');
+  if (!card) return;
+
+  card.querySelector('#traceroute-run-btn')?.addEventListener('click', () => {
+    startTraceroute(nodeId, catalog.getNode(card.querySelector('#traceroute-from-select')?.value));
+  });
+  card.querySelector('#traceroute-show-on-map')?.addEventListener('click', (evt) => {
+    evt.preventDefault();
+    navigateToTraceroute();
+  });
+  card.querySelectorAll('[data-traceroute-node-id]').forEach(el => {
+    el.addEventListener('click', () => navigateToNodeDetail(el.dataset.tracerouteNodeId));
+  });
+}
+
+// Re-render just the traceroute card when its node's dashboard is open
+function refreshTracerouteCard() {
+  const nodeId = state.traceroute?.targetNodeId;
+  const card = $('#node-traceroute-card');
+  if (!card || state.nodesView.selectedNodeId !== nodeId) return;
+  card.outerHTML = renderTracerouteCard(nodeId);
+  wireTracerouteCard(nodeId);
+}
+
+// Traceroutes go out like positions and waypoints: on the Send view's
+// network/channel/gateway, here from a catalog node picked on the card
+function startTraceroute(targetNodeId, fromNode) {
+  if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return; }
+
+  const ch = getSelectedSendChannel();
+  const gwNode = getSelectedSendGatewayNode();
+  const region = $('#send-region-select')?.value || 'EU_868';
+  const path = $('#send-path-select')?.value || '2/e';
+
+  if (!ch) { showToast('No channel selected in the Send view'); return; }
+  if (path === '2/json') { showToast('Traceroutes need a protobuf path (not 2/json)'); return; }
+
+  const net = getSelectedNetwork('send');
+  const from = fromNode?.nodeId || gwNode?.nodeId || '!ffffffff';
+  const sent = wsClient.publishTraceroute({
+    networkId: net?.id,
+    root: net?.mqttRoot || 'msh',
+    region,
+    path,
+    channel: ch.name,
+    gatewayId: gwNode?.nodeId || '!ffffffff',
+    from,
+    to: targetNodeId,
+    key: catalog.resolveChannelKey(ch.id),
+  });
+  if (!sent) return;
+
+  clearTimeout(tracerouteTimer);
+  clearTracerouteOnMap();
+  state.traceroute = {
+    targetNodeId,
+    fromNodeId: from,
+    networkId: net?.id || null,
+    packetId: null,
+    status: 'sending',
+    startedAt: Date.now(),
+    hops: null,
+  };
+  refreshTracerouteCard();
+}
+
+// The server's 'published' reply carries the packet id the answer will reference
+function onTraceroutePublished({ packetId, to }) {
+  const tr = state.traceroute;
+  if (tr?.status !== 'sending' || tr.targetNodeId !== to) return;
+  tr.packetId = packetId;
+  tr.status = 'pending';
+  tracerouteTimer = setTimeout(() => {
+    tr.status = 'timeout';
+    refreshTracerouteCard();
+  }, TRACEROUTE_TIMEOUT_MS);
+  refreshTracerouteCard();
+}
+
+function matchTracerouteReply(msg) {
+  const tr = state.traceroute;
+  if (tr?.status !== 'pending' || msg.portnum !== 70 || msg.requestId !== tr.packetId) return;
+  if (msg.networkId && tr.networkId && msg.networkId !== tr.networkId) return;
+
+  clearTimeout(tracerouteTimer);
+  tr.status = 'done';
+  tr.completedAt = Date.now();
+  tr.hops = buildTracerouteHops(msg);
+  refreshTracerouteCard();
+  showTracerouteOnMap();
+}
+
+// Highlight the last traceroute on the main map: solid towards the
+// destination, dashed on the way back. Hops without a known position are
+// skipped. Returns the drawn points.
+function showTracerouteOnMap() {
+  const map = state.mapView.map;
+  const hops = state.traceroute?.hops;
+  if (!map || !hops) return [];
+
+  clearTracerouteOnMap();
+  const toLatLngs = (list) => list
+    .map(hop => derived.getNodeStats(hop.nodeId)?.lastPosition)
+    .filter(Boolean)
+    .map(pos => [pos.lat, pos.lon]);
+  const forward = toLatLngs(hops.forward);
+  const back = toLatLngs(hops.back);
+
+  const layer = L.layerGroup();
+  if (forward.length > 1) {
+    L.polyline(forward, { color: '#f59e0b', weight: 5, opacity: 0.9 })
+      .bindTooltip('Traceroute towards destination', { sticky: true, className: 'node-map-label' })
+      .addTo(layer);
+  }
+  if (back.length > 1) {
+    L.polyline(back, { color: '#f59e0b', weight: 3, opacity: 0.9, dashArray: '8 6' })
+      .bindTooltip('Traceroute back to sender', { sticky: true, className: 'node-map-label' })
+      .addTo(layer);
+  }
+  layer.addTo(map);
+  state.mapView.tracerouteLayer = layer;
+  return [...forward, ...back];
+}
+
+function clearTracerouteOnMap() {
+  if (state.mapView.tracerouteLayer && state.mapView.map) {
+    state.mapView.map.removeLayer(state.mapView.tracerouteLayer);
+  }
+  state.mapView.tracerouteLayer = null;
+}
+
+// =============== Detection Sensor & Paxcounter ===============
+
+const DETECTION_RECENT_MAX = 5;
+
+function renderDetectionCard(node) {
+  const row = (name, value) => `<div class="detail-row"><div class="detail-label">${name}</div><div class="detail-value">${value}</div></div>`;
+  const latest = node.lastDetection;
+  let rows = '';
+  rows += row('Latest', escapeHtml(latest.text));
+  rows += row('Detected', `${new Date(latest._ts).toLocaleString()} (${formatTimeAgo(latest._ts)} ago)`);
+
+  const earlier = node.detectionHistory.slice(0, -1).slice(-DETECTION_RECENT_MAX).reverse();
+  if (earlier.length > 0) {
+    rows += '<div class="node-card-subheader">Earlier</div>';
+    for (const d of earlier) rows += row(formatTimeAgo(d._ts), escapeHtml(d.text));
+  }
+
+  return `<div class="node-card"><div class="node-card-header"><i class="fas fa-bell"></i> Detection Sensor</div><div class="node-card-body">${rows}</div></div>`;
+}
+
+// Counts over the same range as the telemetry charts
+const PAX_CHART_SERIES = [
+  { label: 'WiFi', color: '#569cd6', pick: p => p.wifi },
+  { label: 'BLE', color: '#4ec9b0', pick: p => p.ble },
+];
+
+function renderPaxcounterCard(node) {
+  const hours = state.nodesView.chartRangeHours;
+  const until = Date.now();
+  const since = until - hours * 3600000;
+  const pax = node.lastPaxcount;
+
+  let rows = '';
+  rows += `<div class="detail-row"><div class="detail-label">Updated</div><div class="detail-value">${formatTimeAgo(pax._ts)}${pax.uptime ? ` (uptime ${formatUptime(pax.uptime)})` : ''}</div></div>`;
+
+  let charts = '';
+  for (const series of PAX_CHART_SERIES) {
+    const points = buildSeries(node.paxHistory, series.pick, since);
+    if (points.length === 0) continue;
+    charts += `
+      <div class="telemetry-chart-item">
+        <div class="telemetry-chart-title">${series.label} <span class="telemetry-chart-latest">${series.pick(pax) ?? 0}</span></div>
+        ${renderLineChart(points, { since, until, color: series.color, format: v => String(Math.round(v)) })}
+      </div>
+    `;
+  }
+  if (!charts) charts = `<span class="sidebar-empty">No counts in the last ${formatChartRange(hours)}</span>`;
+
+  return `<div class="node-card node-card-wide"><div class="node-card-header"><i class="fas fa-users"></i> Paxcounter</div><div class="node-card-body">${rows}<div class="telemetry-charts">${charts}</div></div></div>`;
+}
+
+// =============== Store & Forward ===============
+
+// Routers announce themselves with heartbeats; viewers see the stats but
+// cannot ask for history
+function renderStoreForwardCard(nodeId, node) {
+  const sf = node.storeForward;
+  const row = (name, value) => `<div class="detail-row"><div class="detail-label">${name}</div><div class="detail-value">${value}</div></div>`;
+  let rows = '';
+  rows += row('Last Seen', `${escapeHtml(sf.lastRrName)} (${formatTimeAgo(sf._ts)})`);
+  if (sf.heartbeat?.period) rows += row('Heartbeat', `every ${Math.round(sf.heartbeat.period / 60)} min${sf.heartbeat.secondary ? ' (secondary)' : ''}`);
+  if (sf.stats) {
+    const stats = sf.stats;
+    rows += row('Stored', `${stats.messagesSaved ?? 0} / ${stats.messagesMax ?? '?'} (${stats.messagesTotal ?? 0} total)`);
+    rows += row('Requests', `${stats.requests ?? 0} (${stats.requestsHistory ?? 0} history)`);
+    if (stats.returnWindow) rows += row('Returns', `up to ${stats.returnMax ?? '?'} messages from ${stats.returnWindow} min`);
+    if (stats.upTime) rows += row('Uptime', `${Math.round(stats.upTime / 3600)} h`);
+  }
+  if (sf.lastHistory) rows += row('Last History', `${sf.lastHistory.historyMessages ?? 0} messages from ${sf.lastHistory.window ?? '?'} min`);
+
+  const selectedFrom = catalog.data.defaults.sendFromNodeId;
+  const fromOptions = catalog.listNodes()
+    .filter(n => n.id !== 'node_broadcast' && n.nodeId !== nodeId)
+    .map(n => `<option value="${escapeHtml(n.id)}"${n.id === selectedFrom ? ' selected' : ''}>${escapeHtml(n.label)} (${escapeHtml(n.nodeId)})</option>`)
+    .join('');
+
+  const controls = `
+    <div data-requires-publish>
+      <div class="node-card-subheader">Request history</div>
+      <div class="traceroute-controls">
+        <select id="sf-from-select" class="sidebar-input sidebar-select" title="Catalog node the replayed texts are sent to">${fromOptions}</select>
+        <input type="number" id="sf-window-input" class="sidebar-input sf-window-input" min="1" placeholder="min" title="Minutes of history (empty: the router's default)">
+        <button id="sf-request-btn" class="sidebar-btn sidebar-btn-primary"><i class="fas fa-history"></i> Request</button>
+      </div>
+      <div class="sidebar-hint">Sent on the Send view's network, channel and gateway. Routers refuse history on the default public channel.</div>
+    </div>
+  `;
+
+  return `<div class="node-card" id="node-store-forward-card"><div class="node-card-header"><i class="fas fa-database"></i> Store &amp; Forward Router</div><div class="node-card-body">${rows}${controls}</div></div>`;
+}
+
+function wireStoreForwardCard(nodeId) {
+  const card = $('#node-store-forward-card');
+  if (!card) return;
+  card.querySelector('#sf-request-btn')?.addEventListener('click', () => {
+    requestStoreForwardHistory(
+      nodeId,
+      catalog.getNode(card.querySelector('#sf-from-select')?.value),
+      card.querySelector('#sf-window-input')?.value
+    );
+  });
+}
+
+// The router replays missed texts to `fromNode`; they show up in the log and
+// chat like the originals
+function requestStoreForwardHistory(routerNodeId, fromNode, windowMinutes) {
+  if (!wsClient?.isConnected) { showToast('Not connected to MQTT broker'); return; }
+
+  const ch = getSelectedSendChannel();
+  const gwNode = getSelectedSendGatewayNode();
+  const region = $('#send-region-select')?.value || 'EU_868';
+  const path = $('#send-path-select')?.value || '2/e';
+
+  if (!ch) { showToast('No channel selected in the Send view'); return; }
+  if (path === '2/json') { showToast('Store & Forward needs a protobuf path (not 2/json)'); return; }
+
+  const minutes = windowMinutes ? parseInt(windowMinutes, 10) : undefined;
+  if (minutes !== undefined && !(minutes > 0)) { showToast('History window must be a positive number of minutes'); return; }
+
+  const net = getSelectedNetwork('send');
+  wsClient.requestStoreForwardHistory({
+    networkId: net?.id,
+    root: net?.mqttRoot || 'msh',
+    region,
+    path,
+    channel: ch.name,
+    gatewayId: gwNode?.nodeId || '!ffffffff',
+    from: fromNode?.nodeId || gwNode?.nodeId || '!ffffffff',
+    to: routerNodeId,
+    key: catalog.resolveChannelKey(ch.id),
+    window: minutes,
+  });
+}
+
 // =============== Map View ===============
 
 function setupMapView() {
@@ -2171,6 +4373,15 @@ function setupMapView() {
   $('#map-fit-btn')?.addEventListener('click', () => {
     fitMapBounds();
   });
+
+  $('#map-show-waypoints')?.addEventListener('change', (e) => {
+    state.mapView.showWaypoints = e.target.checked;
+    updateMapWaypoints();
+  });
+
+  $('#map-add-waypoint-btn')?.addEventListener('click', () => {
+    setWaypointPlacing(!state.mapView.placingWaypoint);
+  });
 }
 
 function initMapView() {
@@ -2216,8 +4427,34 @@ function initMapView() {
       navigateToActivityFiltered(filterTo.dataset.filterNodeTo, 'to');
       return;
     }
+    const publishWp = e.target.closest('[data-publish-waypoint]');
+    if (publishWp) {
+      e.preventDefault();
+      e.stopPropagation();
+      publishWaypointFromForm(publishWp.closest('.waypoint-form'));
+      return;
+    }
+    const deleteWp = e.target.closest('[data-delete-waypoint]');
+    if (deleteWp) {
+      e.preventDefault();
+      e.stopPropagation();
+      deleteWaypoint(Number(deleteWp.dataset.deleteWaypoint));
+      return;
+    }
+  });
+
+  map.on('click', (e) => {
+    if (!state.mapView.placingWaypoint) return;
+    setWaypointPlacing(false);
+    L.popup({ className: 'node-popup-container', minWidth: 220 })
+      .setLatLng(e.latlng)
+      .setContent(createWaypointFormHtml(e.latlng))
+      .openOn(map);
   });
 
+  // Drop waypoints once their expiry passes, even without new traffic
+  setInterval(updateMapWaypoints, WAYPOINT_EXPIRY_CHECK_MS);
+
   // Disable auto-fit on user interaction
   map.on('dragstart', () => {
     state.mapView.autoFit = false;
@@ -2288,6 +4525,8 @@ function updateMapMarkers() {
     updateMapLinks();
   }
 
+  updateMapWaypoints();
+
   // Auto-fit
   if (state.mapView.autoFit && bounds.length > 0) {
     map.fitBounds(bounds, { padding: [40, 40], maxZoom: 12 });
@@ -2345,7 +4584,7 @@ function createNodePopupHtml(node) {
   let rows = '';
   rows += `<div class="node-popup-row"><span class="node-popup-label">Node ID</span><span class="node-popup-value">${escapeHtml(node.nodeId)}</span></div>`;
   if (ni?.hwModel !== undefined) rows += `<div class="node-popup-row"><span class="node-popup-label">Hardware</span><span class="node-popup-value">${getHwModelName(ni.hwModel)}</span></div>`;
-  if (ni?.role !== undefined) rows += `<div class="node-popup-row"><span class="node-popup-label">Role</span><span class="node-popup-value">${ni.role}</span></div>`;
+  if (ni?.role !== undefined) rows += `<div class="node-popup-row"><span class="node-popup-label">Role</span><span class="node-popup-value">${getRoleName(ni.role)}</span></div>`;
   if (pos) {
     rows += `<div class="node-popup-row"><span class="node-popup-label">Position</span><span class="node-popup-value">${pos.lat.toFixed(5)}, ${pos.lon.toFixed(5)}</span></div>`;
     if (pos.alt) rows += `<div class="node-popup-row"><span class="node-popup-label">Altitude</span><span class="node-popup-value">${pos.alt}m</span></div>`;
@@ -2576,6 +4815,134 @@ function renderMapNodesList() {
   });
 }
 
+// =============== Map Waypoints ===============
+
+function updateMapWaypoints() {
+  const map = state.mapView.map;
+  if (!map) return;
+
+  const active = state.mapView.showWaypoints ? derived.getActiveWaypoints() : [];
+  const activeIds = new Set(active.map(wp => String(wp.id)));
+
+  for (const [id, marker] of Object.entries(state.mapView.waypointMarkers)) {
+    if (!activeIds.has(id)) {
+      map.removeLayer(marker);
+      delete state.mapView.waypointMarkers[id];
+    }
+  }
+
+  for (const wp of active) {
+    const existing = state.mapView.waypointMarkers[wp.id];
+    if (existing) {
+      existing.setLatLng([wp.lat, wp.lon]);
+      existing.setIcon(createWaypointIcon(wp));
+      existing.setPopupContent(createWaypointPopupHtml(wp));
+      existing.setTooltipContent(escapeHtml(wp.name || `#${wp.id}`));
+    } else {
+      const marker = L.marker([wp.lat, wp.lon], { icon: createWaypointIcon(wp) });
+      marker.bindPopup(createWaypointPopupHtml(wp), { className: 'node-popup-container' });
+      marker.bindTooltip(escapeHtml(wp.name || `#${wp.id}`), {
+        direction: 'right',
+        offset: [10, 0],
+        className: 'node-map-label',
+      });
+      marker.addTo(map);
+      state.mapView.waypointMarkers[wp.id] = marker;
+    }
+  }
+}
+
+function createWaypointIcon(wp) {
+  return L.divIcon({
+    className: '',
+    html: `<div class="waypoint-marker">${getWaypointIcon(wp.icon)}</div>`,
+    iconSize: [20, 20],
+    iconAnchor: [10, 10],
+    popupAnchor: [0, -10],
+  });
+}
+
+function createWaypointPopupHtml(wp) {
+  let rows = '';
+  if (wp.description) rows += `<div class="node-popup-row"><span class="node-popup-value">${escapeHtml(wp.description)}</span></div>`;
+  rows += `<div class="node-popup-row"><span class="node-popup-label">Position</span><span class="node-popup-value">${wp.lat.toFixed(5)}, ${wp.lon.toFixed(5)}</span></div>`;
+  rows += `<div class="node-popup-row"><span class="node-popup-label">Expires</span><span class="node-popup-value">${wp.expire ? new Date(wp.expire * 1000).toLocaleString() : 'never'}</span></div>`;
+  if (wp.lockedTo) rows += `<div class="node-popup-row"><span class="node-popup-label">Locked to</span><span class="node-popup-value">${escapeHtml(normalizeMapNodeId(wp.lockedTo))}</span></div>`;
+  rows += `<div class="node-popup-row"><span class="node-popup-label">From</span><span class="node-popup-value">${escapeHtml(wp.fromNodeId)}</span></div>`;
+  rows += `<div class="node-popup-row"><span class="node-popup-label">Updated</span><span class="node-popup-value">${formatTimeAgo(wp.ts)}</span></div>`;
+
+  rows += `<div style="margin-top:6px;padding-top:4px;border-top:1px solid #ddd;display:flex;gap:8px">`;
+  rows += `<a href="#" data-requires-publish data-delete-waypoint="${wp.id}" style="color:#c72e2e;font-size:11px;text-decoration:none"><i class="fas fa-trash"></i> Delete</a>`;
+  rows += `</div>`;
+
+  return `<div class="node-popup"><div class="node-popup-name">${getWaypointIcon(wp.icon)} ${escapeHtml(wp.name || `#${wp.id}`)}</div>${rows}</div>`;
+}
+
+function createWaypointFormHtml(latlng) {
+  return `
+    <div class="node-popup waypoint-form" data-lat="${latlng.lat}" data-lon="${latlng.lng}">
+      <div class="node-popup-name">New waypoint</div>
+      <div class="node-popup-row"><span class="node-popup-label">Position</span><span class="node-popup-value">${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}</span></div>
+      <input name="name" class="waypoint-form-input" placeholder="Name" maxlength="29">
+      <input name="description" class="waypoint-form-input" placeholder="Description (optional)" maxlength="99">
+      <div style="display:flex;gap:4px">
+        <input name="icon" class="waypoint-form-input" placeholder="Emoji" value="&#128205;" style="width:52px">
+        <select name="expireHours" class="waypoint-form-input">
+          <option value="0">Never expires</option>
+          <option value="1">Expires in 1 h</option>
+          <option value="8">Expires in 8 h</option>
+          <option value="24" selected>Expires in 24 h</option>
+          <option value="168">Expires in 7 days</option>
+        </select>
+      </div>
+      <label style="display:flex;align-items:center;gap:4px;font-size:11px"><input type="checkbox" name="locked"> Only the sender can edit</label>
+      <button type="button" class="waypoint-form-btn" data-publish-waypoint><i class="fas fa-paper-plane"></i> Publish</button>
+    </div>
+  `;
+}
+
+function setWaypointPlacing(placing) {
+  state.mapView.placingWaypoint = placing;
+  $('#map-container')?.classList.toggle('map-placing-waypoint', placing);
+  const btn = $('#map-add-waypoint-btn');
+  if (btn) btn.innerHTML = placing
+    ? '<i class="fas fa-times"></i> Cancel Placing'
+    : '<i class="fas fa-map-pin"></i> Add Waypoint';
+  if (placing) showToast('Click the map to place the waypoint');
+}
+
+function publishWaypointFromForm(form) {
+  if (!form) return;
+  const field = (name) => form.querySelector(`[name="${name}"]`);
+  const expireHours = Number(field('expireHours')?.value) || 0;
+
+  const sent = sendWaypoint({
+    latitude: Number(form.dataset.lat),
+    longitude: Number(form.dataset.lon),
+    name: field('name')?.value || '',
+    description: field('description')?.value || '',
+    icon: field('icon')?.value || '',
+    expire: expireHours ? Math.floor(Date.now() / 1000) + expireHours * 3600 : 0,
+    locked: field('locked')?.checked || false,
+  });
+  if (sent) state.mapView.map?.closePopup();
+}
+
+function deleteWaypoint(id) {
+  const wp = derived.waypoints[id];
+  if (!wp) return;
+  const sent = sendWaypoint({
+    id: wp.id,
+    latitude: wp.lat,
+    longitude: wp.lon,
+    name: wp.name,
+    description: wp.description,
+    icon: wp.icon,
+    delete: true,
+  });
+  if (sent) state.mapView.map?.closePopup();
+}
+
 // =============== Shared Helpers ===============
 
 function getNodeActivityClass(lastSeenAt) {
@@ -2639,6 +5006,38 @@ function navigateToActivityFiltered(nodeId, field) {
   addNodeFilter(field, nodeId);
 }
 
+function navigateToTraceroute() {
+  navigateToView('map');
+  initMapView();
+  setTimeout(() => {
+    if (!state.mapView.map) return;
+    state.mapView.map.invalidateSize();
+    const points = showTracerouteOnMap();
+    if (points.length > 1) {
+      state.mapView.map.fitBounds(points, { padding: [40, 40], maxZoom: 14 });
+    } else {
+      showToast('Not enough hops have a known position to draw the route');
+    }
+  }, 100);
+}
+
+function navigateToGatewayCoverage(gatewayId) {
+  navigateToView('map');
+  initMapView();
+  setTimeout(() => {
+    if (!state.mapView.map) return;
+    state.mapView.map.invalidateSize();
+    const points = showGatewayCoverageOnMap(gatewayId);
+    if (points.length > 1) {
+      state.mapView.map.fitBounds(points, { padding: [40, 40], maxZoom: 14 });
+    } else if (points.length === 0) {
+      showToast('The gateway has no known position');
+    } else {
+      showToast('No directly heard node has a known position');
+    }
+  }, 100);
+}
+
 function navigateToMapNode(nodeId) {
   navigateToView('map');
   initMapView();
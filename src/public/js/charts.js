@@ -0,0 +1,81 @@
+// Charts — small inline-SVG time-series charts for the node dashboard.
+// Hand-rolled so the UI needs no charting library or CDN.
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 90;
+const PAD = { left: 40, right: 6, top: 6, bottom: 16 };
+
+// A gap this many times longer than the median sample interval breaks the
+// line, so a node that was offline overnight does not get a straight ramp
+const GAP_FACTOR = 4;
+
+function defaultTimeLabel(ts) {
+  return new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// [{ t, v }] points from history entries ({ ..., _ts }), oldest first.
+// `pick` returns the value for an entry, or undefined when it has none.
+export function buildSeries(entries, pick, since = 0) {
+  const points = [];
+  for (const entry of entries) {
+    if (!entry?._ts || entry._ts < since) continue;
+    const v = pick(entry);
+    if (typeof v === 'number' && Number.isFinite(v)) points.push({ t: entry._ts, v });
+  }
+  return points.sort((a, b) => a.t - b.t);
+}
+
+// SVG markup for one series over [since, until]: min/max on the y axis,
+// start/end time below. Returns '' when there is nothing to draw.
+export function renderLineChart(points, {
+  since,
+  until,
+  color = '#007acc',
+  format = String,
+  timeLabel = defaultTimeLabel,
+} = {}) {
+  if (points.length === 0) return '';
+
+  const values = points.map(p => p.v);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const start = since ?? points[0].t;
+  const end = until ?? points[points.length - 1].t;
+  const span = end - start || 1;
+
+  const plotWidth = CHART_WIDTH - PAD.left - PAD.right;
+  const plotHeight = CHART_HEIGHT - PAD.top - PAD.bottom;
+  const x = t => (PAD.left + ((t - start) / span) * plotWidth).toFixed(1);
+  const y = v => (PAD.top + (1 - (v - min) / (max - min)) * plotHeight).toFixed(1);
+
+  const maxGap = median(points.slice(1).map((p, i) => p.t - points[i].t)) * GAP_FACTOR;
+  const path = points.map((p, i) => {
+    const breaks = i === 0 || (maxGap > 0 && p.t - points[i - 1].t > maxGap);
+    return `${breaks ? 'M' : 'L'}${x(p.t)},${y(p.v)}`;
+  }).join('');
+  const last = points[points.length - 1];
+
+  const bottom = CHART_HEIGHT - PAD.bottom;
+  return `
+    <svg class="telemetry-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">
+      <line class="telemetry-chart-grid" x1="${PAD.left}" y1="${PAD.top}" x2="${CHART_WIDTH - PAD.right}" y2="${PAD.top}" />
+      <line class="telemetry-chart-grid" x1="${PAD.left}" y1="${bottom}" x2="${CHART_WIDTH - PAD.right}" y2="${bottom}" />
+      <text class="telemetry-chart-label" x="${PAD.left - 4}" y="${PAD.top + 4}" text-anchor="end">${format(max)}</text>
+      <text class="telemetry-chart-label" x="${PAD.left - 4}" y="${bottom}" text-anchor="end">${format(min)}</text>
+      <path d="${path}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" />
+      <circle cx="${x(last.t)}" cy="${y(last.v)}" r="2" fill="${color}" />
+      <text class="telemetry-chart-label" x="${PAD.left}" y="${CHART_HEIGHT - 3}">${timeLabel(start)}</text>
+      <text class="telemetry-chart-label" x="${CHART_WIDTH - PAD.right}" y="${CHART_HEIGHT - 3}" text-anchor="end">${timeLabel(end)}</text>
+    </svg>
+  `;
+}
@@ -0,0 +1,178 @@
+// Chat State — TEXT_MESSAGE_APP traffic grouped into conversations: one per
+// channel for broadcasts and one per direct-message peer. Built from the same
+// observation events as DerivedState, so a history replay restores the chat.
+// Read marks are plain { conversationId: ts } so the app can persist them.
+
+import { parseTopicComponents } from './message-builder.js';
+
+const TEXT_MESSAGE_APP = 1;
+const STORE_FORWARD_APP = 65;
+const SF_ROUTER_TEXT_DIRECT = 8;
+const SF_ROUTER_TEXT_BROADCAST = 9;
+const BROADCAST = '^all';
+// Topic channel segment used for PKI-encrypted direct messages
+const PKI_CHANNEL = 'PKI';
+
+function isStoreForwardReplay(event) {
+  const rr = event?.decodedPayload?.rr;
+  return event?.portnum === STORE_FORWARD_APP && (rr === SF_ROUTER_TEXT_DIRECT || rr === SF_ROUTER_TEXT_BROADCAST);
+}
+
+// A Store & Forward router replays stored texts with the original sender and
+// packet id but addressed to whoever asked; broadcasts go back to the channel
+function fromStoreForwardReplay(event) {
+  return {
+    ...event,
+    portnum: TEXT_MESSAGE_APP,
+    text: event.decodedPayload.text,
+    toNodeId: event.decodedPayload.rr === SF_ROUTER_TEXT_BROADCAST ? BROADCAST : event.toNodeId,
+    storeForward: true,
+  };
+}
+
+export class ChatState {
+  // isOwnNode(nodeId): true for nodes this browser sends as (catalog nodes)
+  constructor({ isOwnNode = () => false, readMarks = {} } = {}) {
+    this.isOwnNode = isOwnNode;
+    this.readMarks = { ...readMarks };
+    this.conversations = {}; // keyed by conversation id
+  }
+
+  rebuild(events) {
+    this.conversations = {};
+    for (const event of events) this.update(event);
+  }
+
+  // Add a text observation; returns its conversation, or null when the
+  // event is not a chat message (or a duplicate from another gateway)
+  update(event) {
+    if (isStoreForwardReplay(event)) event = fromStoreForwardReplay(event);
+    if (event?.portnum !== TEXT_MESSAGE_APP || !event.text) return null;
+    const topic = parseTopicComponents(event.topic);
+    if (!topic || !event.fromNodeId || !event.toNodeId) return null;
+
+    const conversation = this._ensureConversation(event, topic);
+    const own = event.direction === 'tx' || this.isOwnNode(event.fromNodeId);
+
+    // Reactions decorate the message they react to; one whose target we never
+    // saw is kept as a message of its own
+    const target = event.emoji && event.replyId ? this.findMessage(conversation, event.replyId) : null;
+    if (target) {
+      if (target.reactions.some(r => r.fromNodeId === event.fromNodeId && r.emoji === event.text)) return null;
+      target.reactions.push({ emoji: event.text, fromNodeId: event.fromNodeId, own });
+      return conversation;
+    }
+
+    // The same packet arrives once per gateway, and our own sends echo back
+    const existing = event.packetId && conversation.messages.find(m => m.packetId === event.packetId);
+    if (existing) {
+      if (event.gatewayId) existing.gatewayIds.add(event.gatewayId);
+      return null;
+    }
+
+    conversation.messages.push({
+      packetId: event.packetId || null,
+      fromNodeId: event.fromNodeId,
+      toNodeId: event.toNodeId,
+      text: event.text,
+      ts: event.ts,
+      own,
+      replyId: event.replyId || null,
+      emoji: !!event.emoji,
+      reactions: [],
+      storeForward: !!event.storeForward,
+      gatewayIds: new Set(event.gatewayId && event.direction === 'rx' ? [event.gatewayId] : []),
+    });
+    // Replayed history can interleave with live messages
+    if (conversation.lastTs > event.ts) conversation.messages.sort((a, b) => a.ts - b.ts);
+    conversation.lastTs = Math.max(conversation.lastTs, event.ts);
+    return conversation;
+  }
+
+  _ensureConversation(event, topic) {
+    const networkId = event.networkId || '';
+    let id;
+    let fields;
+
+    if (event.toNodeId === BROADCAST) {
+      id = `channel:${networkId}:${topic.channel}`;
+      fields = { kind: 'channel', channelName: topic.channel };
+    } else {
+      // Key DMs by the peer when one side is ours; otherwise by the pair
+      const fromOwn = event.direction === 'tx' || this.isOwnNode(event.fromNodeId);
+      const toOwn = this.isOwnNode(event.toNodeId);
+      let peerNodeId = null;
+      let ownNodeId = null;
+      if (fromOwn && !toOwn) {
+        peerNodeId = event.toNodeId;
+        ownNodeId = event.fromNodeId;
+      } else if (toOwn && !fromOwn) {
+        peerNodeId = event.fromNodeId;
+        ownNodeId = event.toNodeId;
+      }
+      id = peerNodeId
+        ? `dm:${networkId}:${peerNodeId}`
+        : `dm:${networkId}:${[event.fromNodeId, event.toNodeId].sort().join('|')}`;
+      fields = { kind: 'dm', peerNodeId, ownNodeId, participants: [event.fromNodeId, event.toNodeId].sort() };
+    }
+
+    let conversation = this.conversations[id];
+    if (!conversation) {
+      conversation = this.conversations[id] = {
+        id,
+        networkId: event.networkId || null,
+        root: topic.root,
+        region: topic.region,
+        path: topic.path,
+        channelName: null,
+        pki: false,
+        messages: [],
+        lastTs: 0,
+        ...fields,
+      };
+    }
+
+    // Replies go out the way the latest message came in
+    if (event.ts >= conversation.lastTs) {
+      conversation.root = topic.root;
+      conversation.region = topic.region;
+      conversation.path = topic.path;
+      if (conversation.kind === 'dm') {
+        conversation.pki = topic.channel === PKI_CHANNEL;
+        if (!conversation.pki) conversation.channelName = topic.channel;
+        if (fields.ownNodeId) conversation.ownNodeId = fields.ownNodeId;
+      }
+    }
+    return conversation;
+  }
+
+  findMessage(conversation, packetId) {
+    return conversation.messages.find(m => m.packetId === packetId) || null;
+  }
+
+  get(id) {
+    return this.conversations[id] || null;
+  }
+
+  // Most recent conversation first
+  list() {
+    return Object.values(this.conversations).sort((a, b) => b.lastTs - a.lastTs);
+  }
+
+  unreadCount(conversation) {
+    const readTs = this.readMarks[conversation.id] || 0;
+    return conversation.messages.filter(m => !m.own && m.ts > readTs).length;
+  }
+
+  totalUnread() {
+    return this.list().reduce((sum, conversation) => sum + this.unreadCount(conversation), 0);
+  }
+
+  markRead(id) {
+    const conversation = this.conversations[id];
+    if (!conversation) return false;
+    if ((this.readMarks[id] || 0) >= conversation.lastTs) return false;
+    this.readMarks[id] = conversation.lastTs;
+    return true;
+  }
+}
@@ -3,7 +3,12 @@
 // Stored in memory only.
 
 const HISTORY_MAX = 50;
+// Telemetry history feeds the dashboard charts, so it keeps days, not minutes
+export const TELEMETRY_HISTORY_MAX = 2000;
 const RF_LINK_SNR_WINDOW = 20;
+// A gateway that uplinks nothing for this long is reported as having a gap
+export const GATEWAY_GAP_MS = 30 * 60 * 1000;
+const GATEWAY_GAPS_MAX = 50;
 
 function formatNodeIdHex(num) {
   if (!num) return null;
@@ -28,12 +33,41 @@ function isRealNodeId(nodeId) {
   return Boolean(nodeId) && nodeId !== '?' && nodeId !== '^all';
 }
 
+// RouteDiscovery reports INT8_MIN quarter-dB when a hop's SNR is unknown
+const TRACEROUTE_UNKNOWN_SNR = -128 / 4;
+
+// Hops of a traceroute reply (from = destination, to = requester) as
+// { forward, back } lists of { nodeId, snr }. The first entry of each list is
+// where that direction starts (snr null); every later entry carries the SNR
+// it heard the previous hop at. `back` is empty when the replying firmware
+// does not record the return path.
+export function buildTracerouteHops({ from, to, payload }) {
+  const requester = normalizeNodeId(to);
+  const destination = normalizeNodeId(from);
+  const toHops = (chain, snrs = []) => chain.map((nodeId, i) => {
+    const snr = i > 0 ? snrs[i - 1] : undefined;
+    return { nodeId, snr: snr === undefined || snr === TRACEROUTE_UNKNOWN_SNR ? null : snr };
+  });
+
+  const route = (payload?.route || []).map(normalizeNodeId);
+  const routeBack = (payload?.routeBack || []).map(normalizeNodeId);
+  const hasBack = routeBack.length > 0 || (payload?.snrBack || []).length > 0;
+  return {
+    forward: toHops([requester, ...route, destination], payload?.snrTowards),
+    back: hasBack ? toHops([destination, ...routeBack, requester], payload.snrBack) : [],
+  };
+}
+
 export class DerivedState {
   constructor() {
     this.nodes = {};     // keyed by nodeId ("!hex")
     this.gateways = {};  // keyed by gatewayId ("!hex")
     this.links = {};     // keyed by "from->to"
     this.rfLinks = {};   // keyed by "a|b" (sorted pair) — RF link evidence
+    this.waypoints = {}; // keyed by waypoint id — latest version, incl. deleted ones
+    // keyed by gatewayId — latest 2/stat announcement { status, ts, networkId }.
+    // Not packet-derived, so a rebuild keeps it.
+    this.gatewayStatus = {};
     this._listeners = [];
   }
 
@@ -57,10 +91,14 @@ export class DerivedState {
     this.gateways = {};
     this.links = {};
     this.rfLinks = {};
+    this.waypoints = {};
 
     for (const event of events) {
       this._processEvent(event, true);
     }
+
+    // null event = everything may have changed
+    this._notify(null);
   }
 
   // Incremental update from a single new observation
@@ -68,6 +106,33 @@ export class DerivedState {
     this._processEvent(event, false);
   }
 
+  // A gateway's online/offline announcement; older ones (history replayed
+  // after a live update) are ignored. Nothing on the map depends on it, so
+  // listeners are not notified; returns whether it changed anything.
+  updateGatewayStatus({ gatewayId, status, networkId = null, timestamp }) {
+    const ts = timestamp || Date.now();
+    const current = this.gatewayStatus[gatewayId];
+    if (!gatewayId || (current && current.ts > ts)) return false;
+    this.gatewayStatus[gatewayId] = { status, ts, networkId };
+    return true;
+  }
+
+  // Add telemetry fetched separately for one node (a longer range than the
+  // history replay) as { ...payload, _ts, _packetId } entries. Packets the
+  // history already holds are skipped; returns how many were added.
+  mergeTelemetryHistory(nodeId, entries) {
+    const node = this._ensureNode(nodeId);
+    const keyOf = entry => entry._packetId ?? `ts:${entry._ts}`;
+    const known = new Set(node.telemetryHistory.map(keyOf));
+    const added = entries.filter(entry => !known.has(keyOf(entry)));
+    if (added.length === 0) return 0;
+
+    node.telemetryHistory = [...node.telemetryHistory, ...added]
+      .sort((a, b) => a._ts - b._ts)
+      .slice(-TELEMETRY_HISTORY_MAX);
+    return added.length;
+  }
+
   _processEvent(event, isBulk = false) {
     const ts = event.ts || Date.now();
     const hasGateway = Boolean(event.gatewayId && event.gatewayId !== '?');
@@ -82,12 +147,13 @@ export class DerivedState {
         node.lastPortnum = event.portnum ?? node.lastPortnum;
       }
 
-      if (event.direction === 'rx') node.messageCountRx++;
+      // Further copies of a packet (one per gateway) only add the gateway
+      if (event.direction === 'rx' && !event.duplicate) node.messageCountRx++;
       if (event.direction === 'tx') node.messageCountTx++;
       if (hasGateway) node.gatewaysSeen.add(event.gatewayId);
 
       // Extract position/telemetry/nodeinfo from decoded payload
-      if (event.decodedPayload) {
+      if (event.decodedPayload && !event.duplicate) {
         // Position (portnum 3)
         if (event.portnum === 3 && event.decodedPayload.latitude) {
           node.lastPosition = {
@@ -100,13 +166,47 @@ export class DerivedState {
         }
         // Telemetry (portnum 67)
         if (event.portnum === 67) {
-          node.lastTelemetry = { ...event.decodedPayload, _ts: ts };
-          this._pushHistory(node.telemetryHistory, { ...node.lastTelemetry });
+          // One variant per packet (device, environment, power, ...); keep the latest of each
+          const variants = Object.entries(event.decodedPayload).filter(([, value]) => value !== null);
+          node.lastTelemetry = { ...node.lastTelemetry, ...Object.fromEntries(variants), _ts: ts };
+          this._pushHistory(
+            node.telemetryHistory,
+            { ...event.decodedPayload, _ts: ts, _packetId: event.packetId ?? null },
+            TELEMETRY_HISTORY_MAX
+          );
         }
         // NodeInfo (portnum 4)
         if (event.portnum === 4) {
           node.lastNodeInfo = { ...event.decodedPayload, _ts: ts };
         }
+        // Detection sensor (portnum 10): the sensor's alert text
+        if (event.portnum === 10 && event.decodedPayload.text) {
+          node.lastDetection = { text: event.decodedPayload.text, _ts: ts, _packetId: event.packetId ?? null };
+          this._pushHistory(node.detectionHistory, node.lastDetection);
+        }
+        // Paxcounter (portnum 34): wifi/ble devices seen around the node
+        if (event.portnum === 34) {
+          const { wifi, ble, uptime } = event.decodedPayload;
+          node.lastPaxcount = { wifi, ble, uptime, _ts: ts };
+          this._pushHistory(node.paxHistory, node.lastPaxcount, TELEMETRY_HISTORY_MAX);
+        }
+        // Waypoint (portnum 8)
+        if (event.portnum === 8) {
+          this._applyWaypoint(event.fromNodeId, event.decodedPayload, ts);
+        }
+        // Store & Forward (portnum 65): ROUTER_ERROR..ROUTER_STATS come from
+        // the router itself; replayed texts (8/9) keep their original sender
+        if (event.portnum === 65 && event.decodedPayload.rr >= 1 && event.decodedPayload.rr <= 7) {
+          const { rrName, heartbeat, stats, history } = event.decodedPayload;
+          const sf = node.storeForward || {};
+          node.storeForward = {
+            lastRrName: rrName,
+            heartbeat: heartbeat || sf.heartbeat || null,
+            stats: stats || sf.stats || null,
+            lastHistory: history || sf.lastHistory || null,
+            _ts: ts,
+          };
+        }
         // Traceroute (portnum 70)
         if (event.portnum === 70) {
           node.lastTraceroute = { ...event.decodedPayload, _ts: ts };
@@ -166,7 +266,7 @@ export class DerivedState {
         gw.lastSeenAt = ts;
         gw.networkId = event.networkId || gw.networkId;
       }
-      if (event.direction === 'rx') gw.rxCount++;
+      if (event.direction === 'rx') this._updateGatewayCoverage(gw, event, ts);
       if (event.direction === 'tx') gw.txCount++;
 
       if (event.channelId) {
@@ -177,7 +277,7 @@ export class DerivedState {
     }
 
     // Update link state
-    if (isRealNodeId(event.fromNodeId) && isRealNodeId(event.toNodeId)) {
+    if (isRealNodeId(event.fromNodeId) && isRealNodeId(event.toNodeId) && !event.duplicate) {
       const linkId = `${event.fromNodeId}->${event.toNodeId}`;
       const link = this._ensureLink(linkId, event.fromNodeId, event.toNodeId);
       if (!link.firstSeenAt || ts < link.firstSeenAt) link.firstSeenAt = ts;
@@ -200,6 +300,13 @@ export class DerivedState {
       }
     }
 
+    // Only the gateway differs between copies of a packet; its payload and
+    // addressing count once
+    if (event.duplicate) {
+      if (!isBulk) this._notify(event);
+      return;
+    }
+
     // 2. NeighborInfo (portnum 71): each neighbor is a confirmed RF link
     if (event.portnum === 71 && event.decodedPayload?.neighbors) {
       const reporterNodeId = event.fromNodeId;
@@ -264,9 +371,31 @@ export class DerivedState {
     }
   }
 
-  _pushHistory(arr, item) {
+  _pushHistory(arr, item, max = HISTORY_MAX) {
     arr.push(item);
-    if (arr.length > HISTORY_MAX) arr.shift();
+    if (arr.length > max) arr.shift();
+  }
+
+  _applyWaypoint(fromNodeId, payload, ts) {
+    if (!payload.id) return;
+    const existing = this.waypoints[payload.id];
+    // Replayed history may arrive after a newer version
+    if (existing && existing.ts > ts) return;
+    // Like the firmware, only the locking node may change a locked waypoint
+    if (existing?.lockedTo && formatNodeIdHex(existing.lockedTo) !== fromNodeId) return;
+
+    this.waypoints[payload.id] = {
+      id: payload.id,
+      lat: payload.latitude,
+      lon: payload.longitude,
+      name: payload.name || '',
+      description: payload.description || '',
+      icon: payload.icon || 0,
+      expire: payload.expire || 0,
+      lockedTo: payload.lockedTo || 0,
+      fromNodeId,
+      ts,
+    };
   }
 
   _ensureNode(nodeId) {
@@ -286,8 +415,13 @@ export class DerivedState {
         lastNeighborInfo: null,
         lastMapReport: null,
         lastTraceroute: null,
+        storeForward: null,
+        lastDetection: null,
+        lastPaxcount: null,
         positionHistory: [],
         telemetryHistory: [],
+        detectionHistory: [],
+        paxHistory: [],
       };
     }
     return this.nodes[nodeId];
@@ -299,14 +433,66 @@ export class DerivedState {
         gatewayId,
         networkId: null,
         lastSeenAt: null,
+        firstSeenAt: null,
+        lastRxAt: null,
         rxCount: 0,
         txCount: 0,
         channelsSeen: [],
+        // Coverage: what the gateway hears over the air, own packets excluded
+        directCount: 0,   // zero-hop: hop_start == hop_limit
+        relayedCount: 0,  // hop_limit below hop_start
+        directSnr: { sum: 0, count: 0 },
+        directRssi: { sum: 0, count: 0 },
+        nodesHeard: {},   // nodeId -> { rxCount, directCount, lastSeenAt, lastSnr, lastRssi }
+        gaps: [],         // { from, to } silences longer than GATEWAY_GAP_MS
       };
     }
     return this.gateways[gatewayId];
   }
 
+  // Every copy counts here, duplicates included: each one is a separate
+  // reception by its own gateway
+  _updateGatewayCoverage(gw, event, ts) {
+    gw.rxCount++;
+    if (!gw.firstSeenAt || ts < gw.firstSeenAt) gw.firstSeenAt = ts;
+    if (gw.lastRxAt && ts - gw.lastRxAt > GATEWAY_GAP_MS) {
+      gw.gaps.push({ from: gw.lastRxAt, to: ts });
+      if (gw.gaps.length > GATEWAY_GAPS_MAX) gw.gaps.shift();
+    }
+    if (!gw.lastRxAt || ts > gw.lastRxAt) gw.lastRxAt = ts;
+
+    // Packets that reached the gateway over MQTT were never on its radio
+    if (!isRealNodeId(event.fromNodeId) || event.fromNodeId === gw.gatewayId || event.viaMqtt) return;
+    let heard = gw.nodesHeard[event.fromNodeId];
+    if (!heard) {
+      heard = { rxCount: 0, directCount: 0, lastSeenAt: null, lastSnr: null, lastRssi: null };
+      gw.nodesHeard[event.fromNodeId] = heard;
+    }
+    heard.rxCount++;
+    if (!heard.lastSeenAt || ts >= heard.lastSeenAt) {
+      heard.lastSeenAt = ts;
+      heard.lastSnr = event.rxSnr ?? heard.lastSnr;
+      heard.lastRssi = event.rxRssi ?? heard.lastRssi;
+    }
+
+    // Firmware without hop_start leaves the hop count unknown
+    if (!(event.hopStart > 0) || event.hopLimit == null) return;
+    if (event.hopLimit < event.hopStart) {
+      gw.relayedCount++;
+      return;
+    }
+    gw.directCount++;
+    heard.directCount++;
+    if (event.rxSnr != null && Number.isFinite(event.rxSnr)) {
+      gw.directSnr.sum += event.rxSnr;
+      gw.directSnr.count++;
+    }
+    if (event.rxRssi != null && Number.isFinite(event.rxRssi)) {
+      gw.directRssi.sum += event.rxRssi;
+      gw.directRssi.count++;
+    }
+  }
+
   _ensureLink(linkId, fromNodeId, toNodeId) {
     if (!this.links[linkId]) {
       this.links[linkId] = {
@@ -397,6 +583,32 @@ export class DerivedState {
     return this.gateways[gatewayId] || null;
   }
 
+  // { status: 'online' | 'offline', ts, networkId }, or null for gateways
+  // that never announced themselves
+  getGatewayStatus(gatewayId) {
+    return this.gatewayStatus[gatewayId] || null;
+  }
+
+  // Summary for the Gateways view. Packets/hour averages over the time the
+  // gateway has been seen; the direct ratio ignores receptions without hop info.
+  getGatewayCoverage(gatewayId) {
+    const gw = this.gateways[gatewayId];
+    if (!gw) return null;
+    const hours = Math.max((gw.lastSeenAt - gw.firstSeenAt) / 3600000, 1);
+    const withHops = gw.directCount + gw.relayedCount;
+    const heard = Object.entries(gw.nodesHeard);
+    return {
+      gatewayId,
+      packetsPerHour: gw.firstSeenAt ? gw.rxCount / hours : 0,
+      nodesHeard: heard.length,
+      directNodes: heard.filter(([, h]) => h.directCount > 0).map(([nodeId, h]) => ({ nodeId, ...h })),
+      directRatio: withHops > 0 ? gw.directCount / withHops : null,
+      avgDirectSnr: gw.directSnr.count > 0 ? gw.directSnr.sum / gw.directSnr.count : null,
+      avgDirectRssi: gw.directRssi.count > 0 ? gw.directRssi.sum / gw.directRssi.count : null,
+      gaps: gw.gaps,
+    };
+  }
+
   getLinkStats(fromNodeId, toNodeId) {
     return this.links[`${fromNodeId}->${toNodeId}`] || null;
   }
@@ -417,6 +629,11 @@ export class DerivedState {
     return Object.values(this.nodes).filter(n => n.lastPosition);
   }
 
+  // Waypoints that are neither expired nor deleted (expire = 0 means never)
+  getActiveWaypoints(now = Date.now()) {
+    return Object.values(this.waypoints).filter(wp => !wp.expire || wp.expire * 1000 > now);
+  }
+
   getNodeLinks(nodeId) {
     return Object.values(this.links).filter(
       l => l.fromNodeId === nodeId || l.toNodeId === nodeId
@@ -0,0 +1,35 @@
+// Login page: trade a username/password or the access token for a session cookie
+
+const form = document.getElementById('login-form');
+const errorBox = document.getElementById('login-error');
+
+function showError(message) {
+  errorBox.textContent = message;
+  errorBox.classList.remove('hidden');
+}
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  errorBox.classList.add('hidden');
+
+  const token = form.token.value.trim();
+  const body = token
+    ? { token }
+    : { username: form.username.value.trim(), password: form.password.value };
+
+  try {
+    const res = await fetch('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.ok) {
+      location.href = '/';
+      return;
+    }
+    const { error } = await res.json();
+    showError(error || `Login failed (${res.status})`);
+  } catch (err) {
+    showError(`Login failed: ${err.message}`);
+  }
+});
@@ -12,6 +12,20 @@ export function buildTopicFromComponents({ root, region, path, channel, gatewayI
   return `${root}/${region}/${path}/${channel}/${gatewayId}`;
 }
 
+// Inverse of buildTopicFromComponents. Parsed from the right so multi-segment
+// roots (msh/custom/EU_868/2/e/LongFast/!gw) keep their full prefix.
+export function parseTopicComponents(topic) {
+  const parts = typeof topic === 'string' ? topic.split('/') : [];
+  if (parts.length < 6) return null;
+  return {
+    root: parts.slice(0, -5).join('/'),
+    region: parts[parts.length - 5],
+    path: parts.slice(-4, -2).join('/'),
+    channel: parts[parts.length - 2],
+    gatewayId: parts[parts.length - 1],
+  };
+}
+
 export function parseTopic(topic) {
   // msh/EU_868/2/e/LongFast/!b2a73a2c
   const parts = topic.split('/');
@@ -1,7 +1,15 @@
-// Observations — append-only normalized event log per MQTT packet
+// Observations — append-only normalized event log per mesh packet
 // In-memory only; not persisted across page refreshes.
+//
+// On a public broker the same packet arrives once per gateway that heard it.
+// Those copies are kept as one observation with a `receptions` list; append()
+// still returns a per-copy view (flagged `duplicate`) so consumers that track
+// gateways and links see every copy.
 
 const MAX_EVENTS = 10000;
+// Copies arrive within seconds; packet ids are random, so the same id after
+// this long is a new packet
+const DUPLICATE_WINDOW_MS = 5 * 60 * 1000;
 
 const PORT_CLASS_MAP = {
   1: 'Text',
@@ -25,6 +33,27 @@ function getPortClass(portnum) {
   return PORT_CLASS_MAP[portnum] || 'Other';
 }
 
+// Received packets with an id group by sender and id; sends and JSON
+// messages without an id never do
+function getPacketKey(obs) {
+  if (obs.direction !== 'rx' || !obs.packetId || !obs.fromNodeId) return null;
+  return `${obs.networkId || ''}:${obs.fromNodeId}:${obs.packetId}`;
+}
+
+// The fields that differ between copies of one packet
+function getReception(obs) {
+  return {
+    gatewayId: obs.gatewayId ?? null,
+    topic: obs.topic ?? null,
+    rxSnr: obs.rxSnr ?? null,
+    rxRssi: obs.rxRssi ?? null,
+    hopStart: obs.hopStart ?? null,
+    hopLimit: obs.hopLimit ?? null,
+    viaMqtt: obs.viaMqtt ?? null,
+    ts: obs.ts,
+  };
+}
+
 function extractGatewayIdFromTopic(topic) {
   if (typeof topic !== 'string') return null;
   const parts = topic.split('/').filter(Boolean);
@@ -37,6 +66,7 @@ function extractGatewayIdFromTopic(topic) {
 export class Observations {
   constructor() {
     this.events = [];
+    this.packets = new Map(); // packet key -> observation, for DUPLICATE_WINDOW_MS
   }
 
   load() {
@@ -45,13 +75,28 @@ export class Observations {
   }
 
   append(event) {
+    // Per-copy views (from getAllReceptions) may be appended again
+    const { receptions: _receptions, duplicate: _duplicate, ...fields } = event;
     const obs = {
       id: generateObsId(),
       ts: Date.now(),
-      ...event,
+      ...fields,
       portClass: event.portClass || getPortClass(event.portnum),
     };
 
+    const key = getPacketKey(obs);
+    const original = key ? this.packets.get(key) : null;
+    if (original && obs.ts - original.ts <= DUPLICATE_WINDOW_MS) {
+      const reception = getReception(obs);
+      original.receptions.push(reception);
+      return { ...original, ...reception, duplicate: true };
+    }
+
+    if (key) {
+      obs.receptions = [getReception(obs)];
+      this.packets.set(key, obs);
+      this._prunePackets(obs.ts);
+    }
     this.events.push(obs);
 
     // Ring buffer eviction
@@ -82,6 +127,8 @@ export class Observations {
       rxSnr: msg.rxSnr ?? null,
       rxRssi: msg.rxRssi ?? null,
       text: msg.text || null,
+      replyId: msg.replyId || null,
+      emoji: !!msg.emoji,
       decodedPayload: msg.payload || null,
       rawBase64: null,
     };
@@ -98,24 +145,45 @@ export class Observations {
       fromNodeId: msg.from || null,
       toNodeId: msg.to || null,
       packetId: msg.packetId || null,
-      portnum: 1, // TEXT_MESSAGE_APP
-      portClass: 'Text',
+      portnum: msg.portnum ?? 1, // Default: TEXT_MESSAGE_APP
+      portClass: getPortClass(msg.portnum ?? 1),
       decryptionStatus: 'success',
       hopStart: null,
       hopLimit: null,
       viaMqtt: true,
       text: msg.text || null,
-      decodedPayload: null,
+      replyId: msg.replyId || null,
+      emoji: !!msg.emoji,
+      decodedPayload: msg.payload || null,
       rawBase64: null,
     };
   }
 
+  // Map is in insertion order, so expired keys are at the front
+  _prunePackets(now) {
+    for (const [key, obs] of this.packets) {
+      if (now - obs.ts <= DUPLICATE_WINDOW_MS) break;
+      this.packets.delete(key);
+    }
+  }
+
   getAll() {
     return this.events;
   }
 
+  // One event per copy heard, as append() returned them live; for rebuilding
+  // state that tracks gateways
+  getAllReceptions() {
+    return this.events.flatMap(obs => (
+      obs.receptions
+        ? obs.receptions.map((reception, i) => (i === 0 ? obs : { ...obs, ...reception, duplicate: true }))
+        : [obs]
+    ));
+  }
+
   clear() {
     this.events = [];
+    this.packets.clear();
   }
 
   get length() {
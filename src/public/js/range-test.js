@@ -0,0 +1,138 @@
+// Range Test State — RANGE_TEST_APP packets ("seq <n>") grouped into one
+// session per sender run. Built from observation events like ChatState, so a
+// history replay restores the sessions. Every gateway that hears a packet adds
+// a reception with its SNR/RSSI and distance to the sender.
+
+const RANGE_TEST_APP = 66;
+// A sender that stays quiet this long starts a new session when it resumes
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+export class RangeTestState {
+  // distanceKm(fromNodeId, gatewayId): km between sender and gateway, or null
+  // while either position is unknown
+  constructor({ distanceKm = () => null } = {}) {
+    this.distanceKm = distanceKm;
+    this.sessions = {}; // keyed by session id
+    this.latest = {}; // sender key -> id of its newest session
+  }
+
+  rebuild(events) {
+    this.sessions = {};
+    this.latest = {};
+    for (const event of events) this.update(event);
+  }
+
+  // Add a range test observation; returns its session, or null when the
+  // event is not a range test packet
+  update(event) {
+    if (event?.portnum !== RANGE_TEST_APP || event.direction !== 'rx' || !event.fromNodeId) return null;
+    const seq = event.decodedPayload?.seq;
+    if (!Number.isInteger(seq)) return null;
+
+    const session = this._ensureSession(event, seq);
+    let packet = session.packets.get(seq);
+    if (!packet) {
+      packet = { seq, packetId: event.packetId || null, ts: event.ts, receptions: [] };
+      session.packets.set(seq, packet);
+    }
+
+    // The same packet arrives once per gateway
+    const gatewayId = event.gatewayId || null;
+    if (!packet.receptions.some(r => r.gatewayId === gatewayId)) {
+      packet.receptions.push({
+        gatewayId,
+        ts: event.ts,
+        rxSnr: event.rxSnr ?? null,
+        rxRssi: event.rxRssi ?? null,
+        hops: event.hopStart != null && event.hopLimit != null ? event.hopStart - event.hopLimit : null,
+        distanceKm: gatewayId ? this.distanceKm(event.fromNodeId, gatewayId) : null,
+      });
+    }
+    session.lastTs = Math.max(session.lastTs, event.ts);
+    return session;
+  }
+
+  _ensureSession(event, seq) {
+    const senderKey = `${event.networkId || ''}:${event.fromNodeId}`;
+    const current = this.sessions[this.latest[senderKey]];
+
+    // A sequence that goes back (or repeats under a new packet id) means the
+    // sender restarted its test
+    const known = current?.packets.get(seq);
+    const restarted = current && (
+      event.ts - current.lastTs > SESSION_GAP_MS
+      || seq < current.firstSeq
+      || (known && event.packetId && known.packetId && known.packetId !== event.packetId)
+    );
+    if (current && !restarted) return current;
+
+    const id = `${senderKey}:${event.ts}`;
+    this.latest[senderKey] = id;
+    return this.sessions[id] = {
+      id,
+      networkId: event.networkId || null,
+      fromNodeId: event.fromNodeId,
+      firstSeq: seq,
+      startTs: event.ts,
+      lastTs: event.ts,
+      packets: new Map(), // seq -> { seq, packetId, ts, receptions }
+    };
+  }
+
+  get(id) {
+    return this.sessions[id] || null;
+  }
+
+  // Most recent session first
+  list() {
+    return Object.values(this.sessions).sort((a, b) => b.lastTs - a.lastTs);
+  }
+}
+
+// Received / missed sequence numbers between the first and last one heard
+export function getSessionStats(session) {
+  const seqs = [...session.packets.keys()].sort((a, b) => a - b);
+  const firstSeq = seqs[0];
+  const lastSeq = seqs[seqs.length - 1];
+  const expected = lastSeq - firstSeq + 1;
+  const missed = [];
+  for (let seq = firstSeq; seq <= lastSeq; seq++) {
+    if (!session.packets.has(seq)) missed.push(seq);
+  }
+  return {
+    firstSeq,
+    lastSeq,
+    received: seqs.length,
+    expected,
+    missed,
+    lossPercent: expected > 0 ? (missed.length / expected) * 100 : 0,
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One row per reception, oldest packet first
+export function sessionToCsv(session) {
+  const rows = [['seq', 'time', 'packet_id', 'from', 'gateway', 'rx_snr', 'rx_rssi', 'hops', 'distance_km']];
+  const packets = [...session.packets.values()].sort((a, b) => a.seq - b.seq);
+  for (const packet of packets) {
+    for (const r of packet.receptions) {
+      rows.push([
+        packet.seq,
+        new Date(r.ts).toISOString(),
+        packet.packetId,
+        session.fromNodeId,
+        r.gatewayId,
+        r.rxSnr,
+        r.rxRssi,
+        r.hops,
+        r.distanceKm != null ? r.distanceKm.toFixed(3) : null,
+      ]);
+    }
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
@@ -17,6 +17,7 @@ export class WsClient {
 
     this.#ws.onopen = () => {
       console.log('[WS] Connected to server');
+      this.#handlers.onOpen?.();
     };
 
     this.#ws.onmessage = (event) => {
@@ -44,6 +45,7 @@ export class WsClient {
       case 'status':
         this.#connected = msg.connected;
         this.#handlers.onStatusChange?.(msg.connected ? 'connected' : 'disconnected');
+        this.#handlers.onBrokerStatus?.(msg.brokers || []);
         break;
 
       case 'message':
@@ -51,10 +53,30 @@ export class WsClient {
         this.#handlers.onMessage?.(msg);
         break;
 
+      case 'gateway_status':
+        this.#handlers.onGatewayStatus?.(msg);
+        break;
+
       case 'published':
         this.#handlers.onPublished?.(msg);
         break;
 
+      case 'delivery':
+        this.#handlers.onDelivery?.(msg);
+        break;
+
+      case 'keypair':
+        this.#handlers.onKeypair?.(msg);
+        break;
+
+      case 'encoded_custom':
+        this.#handlers.onEncodedCustom?.(msg);
+        break;
+
+      case 'history':
+        this.#handlers.onHistory?.(msg);
+        break;
+
 
       case 'subscribed':
         this.#handlers.onSubscribed?.(msg);
@@ -87,9 +109,10 @@ export class WsClient {
     return false;
   }
 
-  publish({ root, region, path, channel, gatewayId, from, to, text, key }) {
+  publish({ networkId, root, region, path, channel, gatewayId, from, to, text, key, pki = false, publicKey, wantAck = false, replyId, emoji = false, compress = false }) {
     return this.send({
       type: 'publish',
+      networkId,
       root,
       region,
       path,
@@ -99,19 +122,183 @@ export class WsClient {
       to,
       text,
       key,
+      pki,
+      publicKey,
+      wantAck,
+      replyId,
+      emoji,
+      compress,
+    });
+  }
+
+  publishPosition({ networkId, root, region, path, channel, gatewayId, from, to, key, position }) {
+    return this.send({
+      type: 'publish_position',
+      networkId,
+      root,
+      region,
+      path,
+      channel,
+      gatewayId,
+      from,
+      to,
+      key,
+      position,
+    });
+  }
+
+  publishNodeInfo({ networkId, root, region, path, channel, gatewayId, from, to, key, user }) {
+    return this.send({
+      type: 'publish_nodeinfo',
+      networkId,
+      root,
+      region,
+      path,
+      channel,
+      gatewayId,
+      from,
+      to,
+      key,
+      user,
+    });
+  }
+
+  publishMapReport({ networkId, root, region, channel, gatewayId, from, report }) {
+    return this.send({
+      type: 'publish_map_report',
+      networkId,
+      root,
+      region,
+      channel,
+      gatewayId,
+      from,
+      report,
+    });
+  }
+
+  publishWaypoint({ networkId, root, region, path, channel, gatewayId, from, to, key, waypoint }) {
+    return this.send({
+      type: 'publish_waypoint',
+      networkId,
+      root,
+      region,
+      path,
+      channel,
+      gatewayId,
+      from,
+      to,
+      key,
+      waypoint,
+    });
+  }
+
+  publishTraceroute({ networkId, root, region, path, channel, gatewayId, from, to, key }) {
+    return this.send({
+      type: 'publish_traceroute',
+      networkId,
+      root,
+      region,
+      path,
+      channel,
+      gatewayId,
+      from,
+      to,
+      key,
+    });
+  }
+
+  requestStoreForwardHistory({ networkId, root, region, path, channel, gatewayId, from, to, key, window }) {
+    return this.send({
+      type: 'publish_store_forward_history',
+      networkId,
+      root,
+      region,
+      path,
+      channel,
+      gatewayId,
+      from,
+      to,
+      key,
+      window,
+    });
+  }
+
+  // Advanced composer: any portnum, payload as hex / base64 / utf8 / json
+  publishCustom({ networkId, root, region, path, channel, gatewayId, from, to, key, pki = false, publicKey, wantAck = false, custom }) {
+    return this.send({
+      type: 'publish_custom',
+      networkId,
+      root,
+      region,
+      path,
+      channel,
+      gatewayId,
+      from,
+      to,
+      key,
+      pki,
+      publicKey,
+      wantAck,
+      ...custom,
+    });
+  }
+
+  // Same fields as publishCustom; the server answers with the encoded bytes
+  encodeCustom({ requestId, networkId, root, region, path, channel, gatewayId, from, to, key, pki = false, custom }) {
+    return this.send({
+      type: 'encode_custom',
+      requestId,
+      networkId,
+      root,
+      region,
+      path,
+      channel,
+      gatewayId,
+      from,
+      to,
+      key,
+      pki,
+      ...custom,
+    });
+  }
+
+  generateKeypair() {
+    return this.send({ type: 'generate_keypair' });
+  }
+
+  registerPkiKeys(keys) {
+    return this.send({ type: 'register_pki_keys', keys });
+  }
+
+  // [{ kind, intervalMin, ...publish request }] the server sends periodically;
+  // replaces what the browser with this clientId scheduled before
+  setSchedules(clientId, schedules) {
+    return this.send({ type: 'set_schedules', clientId, schedules });
+  }
+
+  getHistory({ since, until, channelId, nodeId, portnum, limit } = {}) {
+    return this.send({
+      type: 'get_history',
+      since,
+      until,
+      channelId,
+      nodeId,
+      portnum,
+      limit,
     });
   }
 
-  subscribe(topic, channel, key) {
-    const msg = { type: 'subscribe', topic };
+  subscribe(topic, channel, key, networkId) {
+    const msg = { type: 'subscribe', networkId, topic };
     if (channel) msg.channel = channel;
     if (key) msg.key = key;
     return this.send(msg);
   }
 
-  unsubscribe(topic) {
+  unsubscribe(topic, networkId) {
     return this.send({
       type: 'unsubscribe',
+      networkId,
       topic,
     });
   }
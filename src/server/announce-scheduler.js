@@ -0,0 +1,207 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { publishMapReport, publishNodeInfo, resolveNetworkTarget } from './mqtt-actions.js';
+
+// Periodic announcements for catalog nodes: NodeInfo for any node and
+// MapReports for gateway nodes. The catalog lives in each browser, so every
+// browser pushes its own schedule with 'set_schedules' under an owner id;
+// the server publishes the union of them whether or not a tab is open, and
+// only once per node however many tabs or browsers list it. Entries and
+// their last send time are kept in a JSON file so a restart neither loses
+// the schedule nor re-sends early.
+//
+// An entry is { kind, intervalMin, request, lastSentAt, owners }, where
+// request holds the same fields as the matching WebSocket publish message
+// and owners lists the browsers that scheduled it. When several owners
+// schedule the same node, the latest push sets its request and interval.
+
+const MIN_INTERVAL_MIN = {
+  nodeinfo: 5,
+  map_report: 15,
+};
+
+// Firmware counts a node as online for two hours after hearing it
+const ONLINE_NODE_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+async function publishNodeInfoEntry(brokers, request) {
+  const { mqttClient, root, region, path } = resolveNetworkTarget(brokers, request);
+  const { channel, gatewayId, from, to = '^all', key, user } = request;
+  return publishNodeInfo(mqttClient, { root, region, path, channel, gatewayId, from, to, key, user });
+}
+
+// The gateway's own numbers come from what the server heard: nodes it
+// uplinked over the air recently and, without a configured map position,
+// the last position it sent. Returns null (try again later) while there is
+// no position to report.
+async function publishMapReportEntry(brokers, request, { nodeRegistry, now }) {
+  const { mqttClient, root, region } = resolveNetworkTarget(brokers, request);
+  const { channel, gatewayId, from, report = {} } = request;
+  const node = from || gatewayId;
+
+  let position = { latitude: report.latitude, longitude: report.longitude, altitude: report.altitude };
+  if (!Number.isFinite(report.latitude) || !Number.isFinite(report.longitude)) {
+    position = nodeRegistry?.get(node)?.position;
+    if (!position) return null;
+  }
+  const numOnlineLocalNodes = nodeRegistry?.countHeardBy(gatewayId || node, now - ONLINE_NODE_WINDOW_MS) ?? 0;
+
+  return publishMapReport(mqttClient, {
+    root,
+    region,
+    channel,
+    gatewayId,
+    from,
+    report: {
+      ...report,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      altitude: position.altitude || 0,
+      numOnlineLocalNodes,
+    },
+  });
+}
+
+const PUBLISHERS = {
+  nodeinfo: publishNodeInfoEntry,
+  map_report: publishMapReportEntry,
+};
+
+function entryKey(kind, request) {
+  return `${kind}:${request.from || request.gatewayId}`;
+}
+
+export function createAnnounceScheduler({ brokers, broadcast, nodeRegistry = null, file = null, checkIntervalMs = 60 * 1000 }) {
+  const entries = new Map(); // "kind:nodeId" -> entry
+  let timer = null;
+  let running = null; // in-flight tick
+  let rerun = false;
+
+  function load() {
+    if (!file) return;
+    let saved;
+    try {
+      saved = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[Schedule] Failed to read ${file}:`, err.message);
+      return;
+    }
+    for (const entry of Array.isArray(saved) ? saved : []) {
+      if (!PUBLISHERS[entry?.kind] || !entry.request || !Array.isArray(entry.owners)) continue;
+      entries.set(entryKey(entry.kind, entry.request), entry);
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    try {
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, JSON.stringify(list(), null, 2));
+    } catch (err) {
+      console.warn(`[Schedule] Failed to write ${file}:`, err.message);
+    }
+  }
+
+  function list() {
+    return Array.from(entries.values());
+  }
+
+  // Replace one owner's part of the schedule with [{ kind, intervalMin,
+  // ...request }]; other owners' entries are untouched. Entries are updated
+  // in place and keep their last send time, so every tab can push the same
+  // list on connect without triggering extra announcements.
+  function replace(owner, schedules) {
+    const wanted = new Map();
+    for (const { kind, intervalMin, ...request } of Array.isArray(schedules) ? schedules : []) {
+      if (!PUBLISHERS[kind] || !(request.from || request.gatewayId)) continue;
+      wanted.set(entryKey(kind, request), {
+        kind,
+        intervalMin: Math.max(MIN_INTERVAL_MIN[kind], Number(intervalMin) || 0),
+        request,
+      });
+    }
+
+    for (const [key, entry] of entries) {
+      if (wanted.has(key) || !entry.owners.includes(owner)) continue;
+      entry.owners = entry.owners.filter(o => o !== owner);
+      if (entry.owners.length === 0) entries.delete(key);
+    }
+    for (const [key, { kind, intervalMin, request }] of wanted) {
+      const entry = entries.get(key);
+      if (entry) {
+        entry.intervalMin = intervalMin;
+        entry.request = request;
+        if (!entry.owners.includes(owner)) entry.owners.push(owner);
+      } else {
+        entries.set(key, { kind, intervalMin, request, lastSentAt: 0, owners: [owner] });
+      }
+    }
+    save();
+    return wanted.size;
+  }
+
+  // Publish every entry that is due. An entry is marked sent before the
+  // publish is awaited and unmarked if it fails (logged, retried on the next
+  // check) or has nothing to report yet; entries on a disconnected broker
+  // wait for it quietly.
+  async function publishDue(now) {
+    let sent = 0;
+    for (const entry of list()) {
+      if (now - entry.lastSentAt < entry.intervalMin * 60 * 1000) continue;
+      const previousSentAt = entry.lastSentAt;
+      try {
+        if (!brokers.get(entry.request.networkId).connected) continue;
+        entry.lastSentAt = now;
+        const reply = await PUBLISHERS[entry.kind](brokers, entry.request, { nodeRegistry, now });
+        if (!reply) {
+          entry.lastSentAt = previousSentAt;
+          continue;
+        }
+        sent++;
+        broadcast({ ...reply, scheduled: true });
+      } catch (err) {
+        entry.lastSentAt = previousSentAt;
+        console.warn(`[Schedule] Failed to publish ${entry.kind} for ${entry.request.from || entry.request.gatewayId}:`, err.message);
+      }
+    }
+    return sent;
+  }
+
+  // One check at a time: a tick requested while one runs (timer, or tabs
+  // pushing schedules together) joins it, and the running check makes one
+  // more pass for entries added in the meantime.
+  function tick(now = null) {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      let sent = 0;
+      do {
+        rerun = false;
+        sent += await publishDue(now ?? Date.now());
+      } while (rerun);
+      if (sent > 0) save();
+      return sent;
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch(err => console.error('[Schedule] Check failed:', err.message));
+    }, checkIntervalMs);
+    timer.unref?.();
+  }
+
+  function close() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  load();
+
+  return { replace, list, tick, start, close };
+}
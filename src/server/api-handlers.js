@@ -0,0 +1,269 @@
+import { config } from './config.js';
+import { canPublish } from './auth.js';
+import { parseNodeId, formatNodeId } from '../shared/node-id.js';
+import { publishText, subscribeTopic, unsubscribeTopic } from './mqtt-actions.js';
+import { parseHistoryFilters } from './packet-store.js';
+
+// REST endpoints for scripts. They drive the same MQTT actions, decode
+// pipeline and packet store as the WebSocket handlers; every response,
+// including errors, is a JSON body.
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw httpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+  } catch {
+    throw httpError(400, 'Request body must be valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+// Accept "!aabbccdd", "aabbccdd", "0xaabbccdd" or a decimal node number
+function normalizeNodeParam(value) {
+  const str = value.trim();
+  const num = /^[0-9a-f]{1,8}$/i.test(str) && !/^\d+$/.test(str)
+    ? parseNodeId(`!${str}`)
+    : parseNodeId(str);
+  if (!num || num === 0xffffffff) throw httpError(400, `Invalid node id: ${value}`);
+  return formatNodeId(num);
+}
+
+// since / until are epoch milliseconds; absent means unbounded
+function parseTimeParam(searchParams, name) {
+  const value = searchParams.get(name);
+  if (value === null || value.trim() === '') return null;
+  const ms = Number(value);
+  if (!Number.isFinite(ms) || ms < 0) throw httpError(400, `"${name}" must be a timestamp in milliseconds`);
+  return ms;
+}
+
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw httpError(400, 'Malformed URL path');
+  }
+}
+
+// Publishing and subscribing change what the gateway does; viewers may only read
+function requirePublisher(req) {
+  if (!canPublish(req.user)) throw httpError(403, 'Viewer accounts cannot publish or subscribe');
+}
+
+export function createApiHandlers({ brokers, broadcast, packetStore = null, nodeRegistry = null, deliveryTracker = null, auth = null }) {
+  // Subscription endpoints take ?network= (or "networkId" in the body) and
+  // default to the default catalog network
+  function getBroker(networkId) {
+    try {
+      return brokers.get(networkId || null);
+    } catch (err) {
+      throw httpError(400, err.message);
+    }
+  }
+
+  async function getNodes() {
+    return { status: 200, body: { nodes: nodeRegistry ? nodeRegistry.list() : [] } };
+  }
+
+  async function getNode(id) {
+    const nodeId = normalizeNodeParam(decodePathParam(id));
+    const node = nodeRegistry?.get(nodeId);
+    if (!node) throw httpError(404, `Node ${nodeId} has not been heard`);
+    return { status: 200, body: node };
+  }
+
+  // The brokers view publishText sends through: a disconnected broker is a
+  // 503 and a publish the broker fails is a 502, so neither reads as a bad
+  // request
+  function publishingBrokers(networkId) {
+    const mqttClient = getBroker(networkId);
+    if (!mqttClient.connected) {
+      throw httpError(503, `MQTT broker of network ${mqttClient.networkId} is not connected`);
+    }
+    const client = Object.create(mqttClient, {
+      publish: {
+        value: (topic, payload) => mqttClient.publish(topic, payload).catch((err) => {
+          throw httpError(502, `MQTT publish failed: ${err.message}`);
+        }),
+      },
+    });
+    return { get: () => client, getNetwork: (id) => brokers.getNetwork(id) };
+  }
+
+  async function getMessages(searchParams) {
+    if (!packetStore) throw httpError(503, 'Packet store is disabled (PACKET_STORE_ENABLED=false)');
+    const node = searchParams.get('node');
+    const filters = parseHistoryFilters({
+      since: parseTimeParam(searchParams, 'since'),
+      until: parseTimeParam(searchParams, 'until'),
+      channelId: searchParams.get('channel'),
+      nodeId: node ? normalizeNodeParam(node) : null,
+      portnum: searchParams.get('portnum'),
+      limit: searchParams.get('limit'),
+    });
+    const { messages, truncated } = await packetStore.query(filters);
+    return { status: 200, body: { ...filters, messages, truncated } };
+  }
+
+  async function postMessage(req) {
+    requirePublisher(req);
+    const body = await readJsonBody(req);
+    if (typeof body.text !== 'string' || !body.text) {
+      throw httpError(400, '"text" is required');
+    }
+
+    // Scripts may omit the target; fall back to the server's defaults
+    let published;
+    try {
+      published = await publishText(publishingBrokers(body.networkId), {
+        ...body,
+        channel: body.channel || config.meshtastic.defaultChannel,
+        gatewayId: body.gatewayId || config.meshtastic.gatewayId,
+        to: body.to || '^all',
+      }, { deliveryTracker });
+    } catch (err) {
+      // Broker trouble already carries its status; the rest is bad input
+      throw err.status ? err : httpError(400, err.message);
+    }
+    const { type, ...result } = published;
+    return { status: 201, body: result };
+  }
+
+  async function getSubscriptions(searchParams) {
+    const mqttClient = getBroker(searchParams.get('network'));
+    return { status: 200, body: { networkId: mqttClient.networkId, topics: mqttClient.getSubscriptions() } };
+  }
+
+  async function postSubscription(req) {
+    requirePublisher(req);
+    const body = await readJsonBody(req);
+    if (body.topic !== undefined && (typeof body.topic !== 'string' || !body.topic)) {
+      throw httpError(400, '"topic" must be a non-empty string');
+    }
+    const mqttClient = getBroker(body.networkId);
+    const topic = await subscribeTopic(brokers, broadcast, { ...body, networkId: mqttClient.networkId });
+    return { status: 201, body: { networkId: mqttClient.networkId, topic, topics: mqttClient.getSubscriptions() } };
+  }
+
+  async function deleteSubscription(req, encodedTopic, searchParams) {
+    requirePublisher(req);
+    const topic = decodePathParam(encodedTopic);
+    const mqttClient = getBroker(searchParams.get('network'));
+    const { networkId } = mqttClient;
+    if (!mqttClient.getSubscriptions().includes(topic)) {
+      throw httpError(404, `Not subscribed to ${topic}`);
+    }
+    await unsubscribeTopic(brokers, broadcast, { networkId, topic });
+    return { status: 200, body: { networkId, topic, topics: mqttClient.getSubscriptions() } };
+  }
+
+  // Body: { username, password } for a users-file account or { token }
+  async function postLogin(req) {
+    if (!auth?.enabled) throw httpError(404, 'Authentication is disabled');
+    const body = await readJsonBody(req);
+    const result = auth.login(body);
+    if (!result) throw httpError(401, 'Invalid credentials');
+    return {
+      status: 200,
+      body: result.user,
+      headers: { 'Set-Cookie': auth.sessionCookie(result.sessionId, req) },
+    };
+  }
+
+  async function postLogout(req) {
+    auth?.logout(req);
+    return {
+      status: 200,
+      body: { loggedOut: true },
+      headers: auth ? { 'Set-Cookie': auth.clearedSessionCookie(req) } : {},
+    };
+  }
+
+  async function getSession(req) {
+    return { status: 200, body: { authEnabled: Boolean(auth?.enabled), ...req.user } };
+  }
+
+  // Returns { status, body, headers? } for a matched route, or null when the path is unknown
+  async function route(req, url) {
+    const { pathname, searchParams } = url;
+    const nodeMatch = pathname.match(/^\/api\/nodes\/([^/]+)$/);
+    const subscriptionMatch = pathname.match(/^\/api\/subscriptions\/(.+)$/);
+    const allow = (...methods) => {
+      if (!methods.includes(req.method)) throw httpError(405, `Method ${req.method} not allowed on ${pathname}`);
+    };
+
+    if (pathname === '/api/login') {
+      allow('POST');
+      return postLogin(req);
+    }
+    if (pathname === '/api/logout') {
+      allow('POST');
+      return postLogout(req);
+    }
+    if (pathname === '/api/session') {
+      allow('GET');
+      return getSession(req);
+    }
+    if (pathname === '/api/nodes') {
+      allow('GET');
+      return getNodes();
+    }
+    if (nodeMatch) {
+      allow('GET');
+      return getNode(nodeMatch[1]);
+    }
+    if (pathname === '/api/messages') {
+      allow('GET', 'POST');
+      return req.method === 'POST' ? postMessage(req) : getMessages(searchParams);
+    }
+    if (pathname === '/api/subscriptions') {
+      allow('GET', 'POST');
+      return req.method === 'POST' ? postSubscription(req) : getSubscriptions(searchParams);
+    }
+    if (subscriptionMatch) {
+      allow('DELETE');
+      return deleteSubscription(req, subscriptionMatch[1], searchParams);
+    }
+    return null;
+  }
+
+  async function handleApiRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      const result = await route(req, url);
+      if (!result) throw httpError(404, `Unknown endpoint ${url.pathname}`);
+      sendJson(res, result.status, result.body, result.headers);
+    } catch (err) {
+      const status = err.status || 500;
+      if (!err.status) console.error(`[API] ${req.method} ${url.pathname} failed:`, err);
+      sendJson(res, status, { error: err.message });
+    }
+  }
+
+  return { handleApiRequest };
+}
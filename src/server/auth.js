@@ -0,0 +1,167 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+// Optional login for the web UI, REST API and WebSocket. Identities come
+// from either or both of:
+//  - AUTH_USERS_FILE: JSON array of { username, passwordHash, role }, with
+//    hashes made by `npm run hash-password -- <password>`
+//  - AUTH_TOKEN: a static bearer token acting with AUTH_TOKEN_ROLE
+// Browsers log in once and carry a session cookie; scripts send
+// "Authorization: Bearer <token>" (or ?token= on the WebSocket URL).
+//
+// 'admin' may do everything; 'viewer' watches decoded traffic but cannot
+// publish, subscribe or see channel keys.
+
+export const ROLES = ['admin', 'viewer'];
+
+// Who every request acts as while authentication is disabled
+export const OPEN_ACCESS_USER = Object.freeze({ username: null, role: 'admin' });
+
+const SESSION_COOKIE = 'meshtastic_session';
+const SCRYPT_KEY_BYTES = 32;
+
+export function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(String(password), salt, SCRYPT_KEY_BYTES);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  // Garbage that decodes to nothing would compare equal to an empty key
+  if (expected.length !== SCRYPT_KEY_BYTES) return false;
+  const actual = scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Whether the browser reached us over TLS, directly or through a
+// TLS-terminating proxy that sets X-Forwarded-Proto. A forged header can
+// only make the session cookie stricter (Secure), never weaker.
+export function isSecureRequest(req) {
+  const forwardedProto = String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim();
+  return forwardedProto ? forwardedProto === 'https' : Boolean(req.socket?.encrypted);
+}
+
+export function canPublish(user) {
+  return user?.role === 'admin';
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function loadUsers(usersFile) {
+  const parsed = JSON.parse(readFileSync(usersFile, 'utf-8'));
+  if (!Array.isArray(parsed)) {
+    throw new Error(`${usersFile} must contain a JSON array of users`);
+  }
+
+  const users = new Map();
+  for (const user of parsed) {
+    if (!user?.username || !user.passwordHash) continue;
+    if (!ROLES.includes(user.role)) {
+      throw new Error(`Unknown role "${user.role}" for user ${user.username} (expected ${ROLES.join(' or ')})`);
+    }
+    users.set(user.username, user);
+  }
+  return users;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  }
+  return cookies;
+}
+
+function presentedToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  // Browsers cannot set headers on a WebSocket, so scripts may use the URL
+  return new URL(req.url || '/', 'http://localhost').searchParams.get('token');
+}
+
+export function createAuth({ usersFile = '', token = '', tokenRole = 'admin', sessionTtlMs }) {
+  if (!ROLES.includes(tokenRole)) {
+    throw new Error(`Invalid AUTH_TOKEN_ROLE "${tokenRole}" (expected ${ROLES.join(' or ')})`);
+  }
+
+  const users = usersFile ? loadUsers(usersFile) : new Map();
+  const sessions = new Map(); // sessionId -> { username, role, expiresAt }
+  const enabled = Boolean(usersFile || token);
+
+  function createSession(user) {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(id);
+    }
+    const sessionId = randomBytes(32).toString('base64url');
+    sessions.set(sessionId, { username: user.username, role: user.role, expiresAt: now + sessionTtlMs });
+    return sessionId;
+  }
+
+  // Check a username/password pair or the static token; returns
+  // { sessionId, user } or null
+  function login({ username, password, token: loginToken } = {}) {
+    let user = null;
+    if (loginToken !== undefined) {
+      if (token && safeEqual(loginToken, token)) user = { username: 'token', role: tokenRole };
+    } else {
+      const entry = users.get(String(username || ''));
+      if (entry && verifyPassword(password, entry.passwordHash)) user = { username: entry.username, role: entry.role };
+    }
+    if (!user) return null;
+    return { sessionId: createSession(user), user };
+  }
+
+  function getSession(req) {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return { sessionId, session };
+  }
+
+  // The user behind an HTTP request or WebSocket upgrade, or null
+  function authenticate(req) {
+    if (!enabled) return OPEN_ACCESS_USER;
+
+    const presented = presentedToken(req);
+    if (presented) {
+      return token && safeEqual(presented, token) ? { username: 'token', role: tokenRole } : null;
+    }
+    const found = getSession(req);
+    return found ? { username: found.session.username, role: found.session.role } : null;
+  }
+
+  function logout(req) {
+    const found = getSession(req);
+    if (found) sessions.delete(found.sessionId);
+  }
+
+  // Secure when the login came in over HTTPS, so the browser never sends
+  // the session over plain HTTP
+  function cookieAttributes(req) {
+    return `Path=/; HttpOnly; SameSite=Strict${req && isSecureRequest(req) ? '; Secure' : ''}`;
+  }
+
+  function sessionCookie(sessionId, req = null) {
+    const maxAge = Math.floor(sessionTtlMs / 1000);
+    return `${SESSION_COOKIE}=${sessionId}; ${cookieAttributes(req)}; Max-Age=${maxAge}`;
+  }
+
+  function clearedSessionCookie(req = null) {
+    return `${SESSION_COOKIE}=; ${cookieAttributes(req)}; Max-Age=0`;
+  }
+
+  return { enabled, login, authenticate, logout, sessionCookie, clearedSessionCookie };
+}
@@ -69,9 +69,31 @@ if (defaultChannel && defaultKey && !channelKeys[defaultChannel]) {
   channelKeys[defaultChannel] = defaultKey;
 }
 
+// Integer of at least `min` from an env var; unset, non-numeric or smaller
+// values fall back to the default
+function intEnv(name, fallback, min, description) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  if (Number.isInteger(value) && value >= min) return value;
+  console.warn(`[Config] ${name} must be ${description}, using ${fallback}`);
+  return fallback;
+}
+
+function positiveIntEnv(name, fallback) {
+  return intEnv(name, fallback, 1, 'a positive integer');
+}
+
+function nonNegativeIntEnv(name, fallback) {
+  return intEnv(name, fallback, 0, 'a non-negative integer');
+}
+
 export const config = {
   port: parseInt(process.env.PORT || '3000', 10),
-  wsPort: parseInt(process.env.WS_PORT || '8080', 10),
+  // WebSockets upgrade on the HTTP port at wsPath; setting WS_PORT brings
+  // back the legacy separate WebSocket listener
+  wsPort: process.env.WS_PORT ? parseInt(process.env.WS_PORT, 10) : null,
+  wsPath: process.env.WS_PATH || '/ws',
 
   mqtt: {
     host: process.env.MQTT_HOST || 'mqtt.meshtastic.org',
@@ -91,6 +113,36 @@ export const config = {
     defaultKey,
     channelKeys,
     gatewayId: process.env.GATEWAY_ID || '!ffffffff',
+    // With MQTT_PUBLISH_STAT=true our gateway announces itself online/offline
+    // (retained) on {root}/{region}/2/stat/!id; off by default
+    statGatewayId: process.env.GATEWAY_ID && process.env.MQTT_PUBLISH_STAT === 'true'
+      ? canonicalizeNodeId(process.env.GATEWAY_ID)
+      : null,
+  },
+
+  packetStore: {
+    enabled: process.env.PACKET_STORE_ENABLED !== 'false',
+    dir: process.env.PACKET_STORE_DIR || join(__dirname, '../../data/packets'),
+    maxSegmentBytes: positiveIntEnv('PACKET_STORE_SEGMENT_MB', 16) * 1024 * 1024,
+    maxSegments: positiveIntEnv('PACKET_STORE_MAX_SEGMENTS', 32),
+  },
+
+  // Periodic NodeInfo and MapReports pushed by the browsers
+  schedules: {
+    file: process.env.SCHEDULES_FILE || join(__dirname, '../../data/schedules.json'),
+  },
+
+  delivery: {
+    ackTimeoutMs: positiveIntEnv('ACK_TIMEOUT_SECONDS', 30) * 1000,
+    maxRetries: nonNegativeIntEnv('ACK_MAX_RETRIES', 2),
+  },
+
+  // Authentication is off unless a users file or a token is configured
+  auth: {
+    usersFile: process.env.AUTH_USERS_FILE || '',
+    token: process.env.AUTH_TOKEN || '',
+    tokenRole: process.env.AUTH_TOKEN_ROLE || 'admin',
+    sessionTtlMs: positiveIntEnv('AUTH_SESSION_HOURS', 12) * 60 * 60 * 1000,
   },
 };
 
@@ -133,7 +185,39 @@ function parseCatalogDefaultsJson(raw) {
 // Generate catalog seed from config for the frontend.
 // If CATALOG_*_JSON env vars are present, use those directly.
 // Otherwise, generate seed from legacy env vars.
+// Broker credentials stay on the server; the browser never connects to MQTT.
 export function buildCatalogSeed() {
+  const seed = buildServerCatalog();
+  seed.networks = seed.networks.map(({ mqttUsername, mqttPassword, ...net }) => net);
+  return seed;
+}
+
+// Connection settings for every catalog network; the server keeps one MQTT
+// connection per network. Networks on the MQTT_HOST broker reuse the
+// MQTT_USERNAME/MQTT_PASSWORD credentials unless they bring their own.
+export function getBrokerNetworks() {
+  const { networks, defaults } = buildServerCatalog();
+  return {
+    defaultNetworkId: defaults.networkId,
+    networks: networks.map(net => {
+      const host = net.mqttHost || config.mqtt.host;
+      const sameBroker = host === config.mqtt.host;
+      return {
+        id: net.id,
+        name: net.name || net.id,
+        host,
+        port: parseInt(net.mqttPort, 10) || 1883,
+        username: net.mqttUsername ?? (sameBroker ? config.mqtt.username : undefined),
+        password: net.mqttPassword ?? (sameBroker ? config.mqtt.password : undefined),
+        root: net.mqttRoot || config.meshtastic.mqttRoot,
+        region: net.defaultRegion,
+        path: net.defaultPath,
+      };
+    }),
+  };
+}
+
+function buildServerCatalog() {
   const catalogNetworks = parseCatalogJson(process.env.CATALOG_NETWORKS_JSON);
   const catalogKeys = parseCatalogJson(process.env.CATALOG_KEYS_JSON);
   const catalogChannels = parseCatalogJson(process.env.CATALOG_CHANNELS_JSON);
@@ -1,4 +1,13 @@
-import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  randomBytes,
+} from 'node:crypto';
 
 // Meshtastic firmware's default channel key ("AQ==" shorthand expands to this key).
 // Hex: d4 f1 bb 3a 20 29 07 59 f0 bc ff ab cf 4e 69 01
@@ -148,6 +157,128 @@ export function decrypt(ciphertext, keyBase64, packetId, fromNode) {
   return decrypted;
 }
 
+// --- PKI (direct messages) ---
+// Based on CryptoEngine::encryptCurve25519 / decryptCurve25519 in the firmware.
+//
+// Shared key: SHA-256(X25519(ourPrivate, theirPublic)), used as an AES-256 key.
+// Cipher: AES-256-CCM with an 8-byte auth tag and a 13-byte nonce (L = 2).
+//
+// Nonce (first 13 of 16 bytes):
+//   Bytes 0-3:  packetId (uint32_t little-endian)
+//   Bytes 4-7:  extraNonce (random uint32_t, sent with the packet)
+//   Bytes 8-11: fromNode (uint32_t little-endian)
+//   Byte 12:    zero
+//
+// Wire format: ciphertext || authTag (8 bytes) || extraNonce (4 bytes)
+
+const PKI_KEY_LENGTH = 32;
+const PKI_TAG_LENGTH = 8;
+const PKI_EXTRA_NONCE_LENGTH = 4;
+export const PKI_OVERHEAD = PKI_TAG_LENGTH + PKI_EXTRA_NONCE_LENGTH;
+
+function decodeCurve25519Key(keyBase64, label) {
+  const bytes = decodeBase64(keyBase64);
+  if (bytes.length !== PKI_KEY_LENGTH) {
+    throw new Error(`Invalid ${label} key length ${bytes.length} bytes (expected ${PKI_KEY_LENGTH})`);
+  }
+  return bytes;
+}
+
+// Node's KeyObject API has no raw X25519 import, so wrap the raw key bytes in
+// the fixed PKCS#8 / SPKI DER headers for the X25519 OID (1.3.101.110).
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+function importX25519PrivateKey(privateKeyBase64) {
+  const raw = decodeCurve25519Key(privateKeyBase64, 'private');
+  return createPrivateKey({ key: Buffer.concat([X25519_PKCS8_PREFIX, raw]), format: 'der', type: 'pkcs8' });
+}
+
+function importX25519PublicKey(publicKeyBase64) {
+  const raw = decodeCurve25519Key(publicKeyBase64, 'public');
+  return createPublicKey({ key: Buffer.concat([X25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+function exportX25519PublicKey(keyObject) {
+  return keyObject.export({ format: 'der', type: 'spki' }).subarray(X25519_SPKI_PREFIX.length).toString('base64');
+}
+
+/**
+ * Generate a Curve25519 keypair as raw 32-byte base64 strings (firmware format)
+ */
+export function generatePkiKeyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('x25519');
+  return {
+    publicKey: exportX25519PublicKey(publicKey),
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' })
+      .subarray(X25519_PKCS8_PREFIX.length)
+      .toString('base64'),
+  };
+}
+
+/**
+ * Derive the base64 public key belonging to a base64 Curve25519 private key
+ */
+export function derivePkiPublicKey(privateKeyBase64) {
+  return exportX25519PublicKey(createPublicKey(importX25519PrivateKey(privateKeyBase64)));
+}
+
+function derivePkiSharedKey(privateKeyBase64, publicKeyBase64) {
+  const shared = diffieHellman({
+    privateKey: importX25519PrivateKey(privateKeyBase64),
+    publicKey: importX25519PublicKey(publicKeyBase64),
+  });
+  return createHash('sha256').update(shared).digest();
+}
+
+function buildPkiNonce(packetId, fromNode, extraNonce) {
+  const nonce = Buffer.alloc(13);
+  nonce.writeUInt32LE(packetId >>> 0, 0);
+  extraNonce.copy(nonce, 4);
+  nonce.writeUInt32LE(fromNode >>> 0, 8);
+  return nonce;
+}
+
+/**
+ * Encrypt a direct message for a peer using Meshtastic's PKI scheme
+ */
+export function encryptPki(plaintext, { privateKey, publicKey }, packetId, fromNode) {
+  const key = derivePkiSharedKey(privateKey, publicKey);
+  const extraNonce = randomBytes(PKI_EXTRA_NONCE_LENGTH);
+  const nonce = buildPkiNonce(packetId, fromNode, extraNonce);
+
+  const cipher = createCipheriv('aes-256-ccm', key, nonce, { authTagLength: PKI_TAG_LENGTH });
+  const encrypted = Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final(),
+  ]);
+
+  return Buffer.concat([encrypted, cipher.getAuthTag(), extraNonce]);
+}
+
+/**
+ * Decrypt a direct message from a peer using Meshtastic's PKI scheme.
+ * Throws if the auth tag does not verify (wrong keys or corrupted payload).
+ */
+export function decryptPki(ciphertext, { privateKey, publicKey }, packetId, fromNode) {
+  if (ciphertext.length <= PKI_OVERHEAD) {
+    throw new Error(`PKI payload too short (${ciphertext.length} bytes)`);
+  }
+
+  const key = derivePkiSharedKey(privateKey, publicKey);
+  const bodyLength = ciphertext.length - PKI_OVERHEAD;
+  const authTag = ciphertext.subarray(bodyLength, bodyLength + PKI_TAG_LENGTH);
+  const extraNonce = ciphertext.subarray(bodyLength + PKI_TAG_LENGTH);
+  const nonce = buildPkiNonce(packetId, fromNode, extraNonce);
+
+  const decipher = createDecipheriv('aes-256-ccm', key, nonce, { authTagLength: PKI_TAG_LENGTH });
+  decipher.setAuthTag(authTag);
+  const decrypted = decipher.update(ciphertext.subarray(0, bodyLength));
+  decipher.final();
+
+  return decrypted;
+}
+
 /**
  * Generate a random packet ID (32-bit)
  */
@@ -0,0 +1,104 @@
+import { formatNodeId } from '../shared/node-id.js';
+import { PortNum } from './protobuf.js';
+
+// Follows packets sent with want_ack until the receiver answers. The ack is
+// a ROUTING_APP packet addressed back to the sender whose Data.request_id is
+// the original packet id: error_reason NONE means delivered, anything else
+// is a NAK. Unanswered packets are re-published unchanged (same packet id,
+// so the receiver deduplicates and just acks again) until retries run out.
+//
+// Every state change is broadcast as
+// { type: 'delivery', packetId, from, to, status, attempt, maxAttempts, ... }
+// with status 'retrying' | 'acked' | 'nak' | 'timeout' | 'failed'.
+// Retries go out on the broker connection the packet was first sent on.
+
+export function createDeliveryTracker({ brokers, broadcast, timeoutMs, maxRetries }) {
+  const pending = new Map(); // packetId -> entry
+
+  function emit(entry, status, extra = {}) {
+    broadcast({
+      type: 'delivery',
+      networkId: entry.networkId,
+      packetId: entry.packetId,
+      from: entry.from,
+      to: entry.to,
+      status,
+      attempt: entry.attempt,
+      maxAttempts: maxRetries + 1,
+      ...extra,
+      timestamp: Date.now(),
+    });
+  }
+
+  function settle(entry, status, extra) {
+    clearTimeout(entry.timer);
+    pending.delete(entry.packetId);
+    emit(entry, status, extra);
+  }
+
+  function schedule(entry) {
+    entry.timer = setTimeout(() => {
+      handleTimeout(entry).catch(err => settle(entry, 'failed', { error: err.message }));
+    }, timeoutMs);
+    entry.timer.unref?.();
+  }
+
+  async function handleTimeout(entry) {
+    if (pending.get(entry.packetId) !== entry) return;
+    if (entry.attempt > maxRetries) {
+      settle(entry, 'timeout');
+      return;
+    }
+
+    entry.attempt++;
+    await brokers.get(entry.networkId).publish(entry.topic, entry.envelope);
+    console.log(`[ACK] Retrying packet ${entry.packetId} (attempt ${entry.attempt}/${maxRetries + 1})`);
+    emit(entry, 'retrying');
+    schedule(entry);
+  }
+
+  // Start waiting for an ack to a packet that was just published
+  function track({ networkId = null, packetId, topic, envelope, fromNode, toNode }) {
+    const entry = {
+      networkId,
+      packetId,
+      topic,
+      envelope,
+      from: formatNodeId(fromNode),
+      to: formatNodeId(toNode),
+      attempt: 1,
+      timer: null,
+    };
+    const previous = pending.get(packetId);
+    if (previous) clearTimeout(previous.timer);
+    pending.set(packetId, entry);
+    schedule(entry);
+  }
+
+  // Feed every decoded MQTT message; routing replies to tracked packets settle them
+  function observe(msg) {
+    if (msg?.type !== 'message' || msg.portnum !== PortNum.ROUTING_APP || !msg.requestId) return;
+
+    const entry = pending.get(msg.requestId);
+    // Packet ids are only unique per sender, so the reply must come back to us
+    if (!entry || msg.to !== entry.from) return;
+    if (msg.networkId && entry.networkId && msg.networkId !== entry.networkId) return;
+
+    const errorReason = msg.payload?.errorReason || 0;
+    if (errorReason === 0) {
+      console.log(`[ACK] Packet ${entry.packetId} acknowledged by ${msg.from}`);
+      settle(entry, 'acked', { ackFrom: msg.from });
+    } else {
+      const errorName = msg.payload.errorName || `ERROR_${errorReason}`;
+      console.log(`[ACK] Packet ${entry.packetId} NAK from ${msg.from}: ${errorName}`);
+      settle(entry, 'nak', { ackFrom: msg.from, errorReason, errorName });
+    }
+  }
+
+  function close() {
+    for (const entry of pending.values()) clearTimeout(entry.timer);
+    pending.clear();
+  }
+
+  return { track, observe, close };
+}
@@ -0,0 +1,10 @@
+import { hashPassword } from './auth.js';
+
+// Print a passwordHash for an AUTH_USERS_FILE entry:
+//   npm run hash-password -- <password>
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+console.log(hashPassword(password));
@@ -3,6 +3,7 @@ import { readFile } from 'node:fs/promises';
 import { join, extname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { config, buildCatalogSeed } from './config.js';
+import { OPEN_ACCESS_USER, canPublish, isSecureRequest } from './auth.js';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
 const PUBLIC_DIR = join(__dirname, '../public');
@@ -29,25 +30,64 @@ async function serveFile(res, filePath) {
   }
 }
 
-export function createHttpServer() {
+// The WebSocket URL as seen by the browser. Behind a TLS-terminating proxy
+// the X-Forwarded-* headers carry the public scheme and host.
+function buildWsUrl(req) {
+  const secure = isSecureRequest(req);
+  const host = String(req.headers['x-forwarded-host'] || req.headers.host || 'localhost').split(',')[0].trim();
+  const scheme = secure ? 'wss' : 'ws';
+
+  if (config.wsPort) {
+    const hostname = new URL(`http://${host}`).hostname;
+    return `${scheme}://${hostname}:${config.wsPort}`;
+  }
+  return `${scheme}://${host}${config.wsPath}`;
+}
+
+// Viewers decode nothing themselves, so they never receive channel keys
+function buildClientCatalogSeed(user) {
+  const seed = buildCatalogSeed();
+  return canPublish(user) ? seed : { ...seed, keys: [] };
+}
+
+export function createHttpServer({ api = null, auth = null } = {}) {
   return createServer(async (req, res) => {
+    // Static files are public; every API call except logging in needs a user
+    const pathname = req.url?.split('?')[0] || '/';
+    if (pathname.startsWith('/api/') && pathname !== '/api/login') {
+      req.user = auth ? auth.authenticate(req) : OPEN_ACCESS_USER;
+      if (!req.user) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Login required' }));
+        return;
+      }
+    }
+
     if (req.url === '/api/config') {
+      const viewer = !canPublish(req.user);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
+        wsUrl: buildWsUrl(req),
         wsPort: config.wsPort,
         mqttRoot: config.meshtastic.mqttRoot,
         region: config.meshtastic.region,
         defaultPath: config.meshtastic.defaultPath,
         rootTopic: config.meshtastic.rootTopic,
         defaultChannel: config.meshtastic.defaultChannel,
-        defaultKey: config.meshtastic.defaultKey,
+        defaultKey: viewer ? null : config.meshtastic.defaultKey,
         gatewayId: config.meshtastic.gatewayId,
         mqttHost: config.mqtt.host,
-        catalogSeed: buildCatalogSeed(),
+        catalogSeed: buildClientCatalogSeed(req.user),
+        auth: { enabled: Boolean(auth?.enabled), username: req.user.username, role: req.user.role },
       }));
       return;
     }
 
+    if (api && req.url?.startsWith('/api/')) {
+      await api.handleApiRequest(req, res);
+      return;
+    }
+
     const isSharedRequest = req.url?.startsWith('/shared/');
     const url = req.url === '/' ? '/index.html' : req.url;
     const baseDir = isSharedRequest ? SHARED_DIR : PUBLIC_DIR;
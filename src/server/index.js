@@ -1,9 +1,15 @@
 import { WebSocketServer } from 'ws';
 import { createHttpServer } from './http-server.js';
-import { createMqttClient } from './mqtt-client.js';
-import { config } from './config.js';
+import { createMqttBrokers } from './mqtt-brokers.js';
+import { config, getBrokerNetworks } from './config.js';
 import { createMqttMessageHandler } from './mqtt-handlers.js';
 import { createWsHandlers } from './ws-handlers.js';
+import { createPacketStore } from './packet-store.js';
+import { createNodeRegistry } from './node-registry.js';
+import { createApiHandlers } from './api-handlers.js';
+import { createDeliveryTracker } from './delivery-tracker.js';
+import { createAuth } from './auth.js';
+import { createAnnounceScheduler } from './announce-scheduler.js';
 
 // Track connected WebSocket clients
 const wsClients = new Set();
@@ -18,42 +24,86 @@ function broadcast(data) {
   }
 }
 
-const handleMqttMessage = createMqttMessageHandler({ broadcast });
+// Persist decoded messages so browsers can replay history on connect
+const packetStore = config.packetStore.enabled ? createPacketStore(config.packetStore) : null;
+if (packetStore) {
+  console.log(`[Store] Persisting packets to ${config.packetStore.dir}`);
+}
 
-// Create MQTT client connected to mqtt.meshtastic.org
-const mqttClient = createMqttClient({
-  onConnect() {
-    broadcast({ type: 'status', connected: true });
-  },
-  onClose() {
-    broadcast({ type: 'status', connected: false });
+// Nodes heard on MQTT, served by /api/nodes; seeded from stored history
+const nodeRegistry = createNodeRegistry();
+async function loadNodesFromHistory() {
+  for await (const msg of packetStore.scan()) {
+    nodeRegistry.observe(msg);
+  }
+  console.log(`[Store] Loaded ${nodeRegistry.list().length} nodes from history`);
+}
+if (packetStore) {
+  loadNodesFromHistory().catch(err => console.error('[Store] Failed to load node history:', err.message));
+}
+
+// One MQTT connection per catalog network (public broker, private brokers, ...)
+const brokers = createMqttBrokers({
+  ...getBrokerNetworks(),
+  onStatusChange() {
+    broadcast({ type: 'status', ...brokers.status() });
   },
-  onMessage(topic, message) {
-    handleMqttMessage(topic, message);
+  onMessage(topic, message, networkId) {
+    handleMqttMessage(topic, message, networkId);
   },
 });
 
-// Create HTTP server for static files
-const httpServer = createHttpServer();
+// Follow want_ack sends until the receiver's routing ack arrives
+const deliveryTracker = createDeliveryTracker({
+  brokers,
+  broadcast,
+  timeoutMs: config.delivery.ackTimeoutMs,
+  maxRetries: config.delivery.maxRetries,
+});
+
+// Periodic NodeInfo and MapReports, sent by the server rather than each open tab
+const scheduler = createAnnounceScheduler({ brokers, broadcast, nodeRegistry, file: config.schedules.file });
+scheduler.start();
+
+const handleMqttMessage = createMqttMessageHandler({ broadcast, packetStore, nodeRegistry, deliveryTracker });
+
+// Optional login (AUTH_USERS_FILE / AUTH_TOKEN); open access when neither is set
+const auth = createAuth(config.auth);
+if (auth.enabled) {
+  console.log('[Auth] Login required for the API and WebSocket');
+}
+
+// Create HTTP server for static files and the REST API
+const api = createApiHandlers({ brokers, broadcast, packetStore, nodeRegistry, deliveryTracker, auth });
+const httpServer = createHttpServer({ api, auth });
 
 // Create WebSocket server for browser communication
-const wsServer = new WebSocketServer({ port: config.wsPort });
 const wsHandlers = createWsHandlers({
-  mqttClient,
+  brokers,
   broadcast,
   wsClients,
+  packetStore,
+  deliveryTracker,
+  auth,
+  scheduler,
 });
+// Same port as HTTP at WS_PATH, unless WS_PORT asks for the legacy listener
+const wsServer = config.wsPort
+  ? new WebSocketServer({ port: config.wsPort, verifyClient: wsHandlers.verifyClient })
+  : new WebSocketServer({ server: httpServer, path: config.wsPath, verifyClient: wsHandlers.verifyClient });
 
 wsServer.on('connection', wsHandlers.handleConnection);
 
 httpServer.listen(config.port, () => {
+  const wsAddress = config.wsPort ? `ws://localhost:${config.wsPort}` : `ws://localhost:${config.port}${config.wsPath}`;
+  const brokerAddresses = brokers.status().brokers.map(({ host, port }) => `${host}:${port}`).join(', ');
   console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║     Meshtastic MQTT Client                             ║
 ╠════════════════════════════════════════════════════════╣
 ║  Web UI:      http://localhost:${config.port}                    ║
-║  WebSocket:   ws://localhost:${config.wsPort}                    ║
-║  MQTT Broker: ${config.mqtt.host}:${config.mqtt.port}               ║
+║  WebSocket:   ${wsAddress}                    ║
+║  MQTT Broker: ${brokerAddresses}               ║
 ║  Channel:     ${config.meshtastic.defaultChannel.padEnd(25)}        ║
 ╚════════════════════════════════════════════════════════╝
   `);
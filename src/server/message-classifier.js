@@ -1,11 +1,13 @@
 import { decodeServiceEnvelope } from './protobuf.js';
 import { formatNodeId } from '../shared/node-id.js';
 
-const PROTO_TOPIC_PATHS = new Set(['e', 'c']);
+// ServiceEnvelope paths: encrypted/decoded channel traffic and map reports
+const PROTO_TOPIC_PATHS = new Set(['e', 'c', 'map']);
 const RAW_HEX_PREVIEW_LENGTH = 100;
 const RAW_TEXT_PREVIEW_LENGTH = 140;
 const PRINTABLE_RATIO_THRESHOLD = 0.85;
 const UTF8_REPLACEMENT_RATIO_THRESHOLD = 0.15;
+const GATEWAY_STATUSES = new Set(['online', 'offline']);
 
 export function parseTopicComponents(topic) {
   const parts = topic.split('/').filter(Boolean);
@@ -164,8 +166,39 @@ function getPacketPreview(packet) {
   return `${meta.from} -> ${meta.to} (id ${meta.id || 0})`;
 }
 
+// Firmware gateways announce themselves on <root>/2/stat/!id with a plain
+// "online", and leave "offline" as their last will. The gateway id sits where
+// other paths carry the channel.
+function classifyStatPayload(topic, rawMessage) {
+  const gatewayId = parseTopicComponents(topic).channel;
+  const text = rawMessage.toString('utf-8').trim();
+  const status = text.toLowerCase();
+
+  if (gatewayId.startsWith('!') && GATEWAY_STATUSES.has(status)) {
+    return {
+      kind: 'meshtastic.stat',
+      topicPath: 'stat',
+      gatewayId: gatewayId.toLowerCase(),
+      status,
+      previewText: status,
+      decodeError: null,
+    };
+  }
+
+  return {
+    kind: 'text/plain',
+    topicPath: 'stat',
+    previewText: truncatePreview(text),
+    decodeError: gatewayId.startsWith('!')
+      ? `Unknown gateway status "${truncatePreview(text, 20)}" (expected online/offline)`
+      : `Stat topic without a gateway id`,
+  };
+}
+
 export function classifyIncomingPayload(topic, rawMessage) {
   const topicPath = getTopicPath(topic);
+  if (topicPath === 'stat') return classifyStatPayload(topic, rawMessage);
+
   const jsonCandidate = parseJsonBuffer(rawMessage);
 
   // JSON topics are parsed as JSON first-class payloads and should not be protobuf-probed.
@@ -208,7 +241,7 @@ export function classifyIncomingPayload(topic, rawMessage) {
     };
   }
 
-  // For topic paths outside /2/e, /2/c, /2/json, avoid protobuf probing.
+  // For topic paths outside /2/e, /2/c, /2/map, /2/json, avoid protobuf probing.
   if (!PROTO_TOPIC_PATHS.has(topicPath)) {
     if (jsonCandidate.ok) {
       return {
@@ -216,7 +249,7 @@ export function classifyIncomingPayload(topic, rawMessage) {
         topicPath,
         json: jsonCandidate.value,
         previewText: truncatePreview(jsonCandidate.text),
-        decodeError: `Unsupported topic path "${topicPath}" (expected e/c/json)`,
+        decodeError: `Unsupported topic path "${topicPath}" (expected e/c/map/json/stat)`,
       };
     }
 
@@ -231,14 +264,14 @@ export function classifyIncomingPayload(topic, rawMessage) {
         kind: 'text/plain',
         topicPath,
         previewText: truncatePreview(rawMessage.toString('utf-8')),
-        decodeError: joinNotes(`Unsupported topic path "${topicPath}" (expected e/c/json)`, utf8CorruptionHint),
+        decodeError: joinNotes(`Unsupported topic path "${topicPath}" (expected e/c/map/json/stat)`, utf8CorruptionHint),
       };
     }
 
     return {
       kind: utf8CorruptionHint ? 'binary/utf8-corrupted' : 'binary',
       topicPath,
-      decodeError: joinNotes(`Unsupported topic path "${topicPath}" (expected e/c/json)`, utf8CorruptionHint),
+      decodeError: joinNotes(`Unsupported topic path "${topicPath}" (expected e/c/map/json/stat)`, utf8CorruptionHint),
     };
   }
 
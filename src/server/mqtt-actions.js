@@ -0,0 +1,934 @@
+import { encrypt, encryptPki, generatePacketId, generateChannelHash } from './crypto.js';
+import { config } from './config.js';
+import {
+  encodeServiceEnvelope,
+  encodeData,
+  encodePosition,
+  encodeUser,
+  encodeWaypoint,
+  encodeStoreAndForward,
+  encodeMapReport,
+  PortNum,
+  Priority,
+  StoreForwardRR,
+  RegionCode,
+  ModemPreset,
+} from './protobuf.js';
+import { unishox2Compress } from './unishox2.js';
+import { parseNodeId, formatNodeId } from '../shared/node-id.js';
+import {
+  rememberChannelKey,
+  rememberNodePublicKey,
+  getNodePrivateKey,
+  getNodePublicKey,
+  getPortName,
+  PKI_CHANNEL_ID,
+} from './packet-decoder.js';
+
+// What the browsers and the REST API do to the brokers: build, encrypt and
+// publish every packet type, and manage subscriptions. Publishers validate
+// their input and throw plain Errors; callers turn those into a WebSocket
+// 'error' or an HTTP 400.
+
+// Position.LocSource.LOC_MANUAL — coordinates entered by hand, not from GPS
+const LOC_MANUAL = 1;
+
+// Firmware stores User names in fixed char arrays (long_name[40], short_name[5])
+const MAX_LONG_NAME_BYTES = 39;
+const MAX_SHORT_NAME_BYTES = 4;
+
+// Waypoint strings are fixed char arrays too (name[30], description[100])
+const MAX_WAYPOINT_NAME_BYTES = 29;
+const MAX_WAYPOINT_DESCRIPTION_BYTES = 99;
+// Apps delete a waypoint by re-sending it with an expiry in the past
+const WAYPOINT_EXPIRE_DELETED = 1;
+
+// Data.payload is a fixed byte array in the firmware (DATA_PAYLOAD_LEN)
+const MAX_DATA_PAYLOAD_BYTES = 233;
+// Firmware caps hop_limit at 7 (HOP_MAX)
+const MAX_HOP_LIMIT = 7;
+
+function buildTopic({ root, region, path, channel, gatewayId }) {
+  return `${root}/${region}/${path}/${channel}/${gatewayId}`;
+}
+
+// Resolve the keys for a PKI direct message: our private key must have been
+// registered by a browser; the peer key comes from the client or was learned
+// from the peer's NodeInfo.
+function resolvePkiKeys(fromNode, toNode, peerPublicKey) {
+  if (toNode === 0xffffffff) {
+    throw new Error('PKI encryption requires a direct message recipient');
+  }
+  const privateKey = getNodePrivateKey(fromNode);
+  if (!privateKey) {
+    throw new Error(`No PKI private key registered for ${formatNodeId(fromNode)}`);
+  }
+  if (peerPublicKey) {
+    rememberNodePublicKey(toNode, peerPublicKey);
+  }
+  const publicKey = peerPublicKey || getNodePublicKey(toNode);
+  if (!publicKey) {
+    throw new Error(`Public key for ${formatNodeId(toNode)} is unknown (wait for its NodeInfo)`);
+  }
+  return { privateKey, publicKey };
+}
+
+// key: undefined/null = not specified (use default), '' = no encryption
+function resolveChannelKey(key) {
+  return key === '' ? null : (key || config.meshtastic.defaultKey);
+}
+
+// The Data message every protobuf-mode sender encrypts
+function buildDataMessage({ portnum, payload, wantResponse = false, dest = 0, replyId = 0, emoji = 0 }) {
+  return encodeData({
+    portnum,
+    payload,
+    wantResponse,
+    dest,
+    replyId,
+    emoji,
+    bitfield: 1, // Indicates sender capabilities
+  });
+}
+
+// Encrypt a Data message with the channel PSK (or PKI for direct messages),
+// wrap it in a ServiceEnvelope and publish it. Shared by every protobuf-mode
+// sender (text, position, ...).
+async function publishDataPacket(mqttClient, {
+  root,
+  region,
+  path,
+  channel,
+  gatewayId,
+  from,
+  to,
+  key,
+  pki = false,
+  publicKey: peerPublicKey,
+  portnum,
+  payload,
+  wantResponse = false,
+  wantAck = false,
+  replyId = 0,
+  emoji = 0,
+  dest = 0,
+  hopLimit = 0,
+  priority = 0,
+  channelHash = null,
+}) {
+  const fromNode = parseNodeId(from || gatewayId);
+  const toNode = parseNodeId(to);
+  const packetId = generatePacketId();
+
+  if (pki) {
+    return publishPkiDataPacket(mqttClient, {
+      root, region, path, gatewayId, fromNode, toNode, packetId, peerPublicKey, portnum, payload, wantResponse, wantAck,
+      replyId, emoji, dest, hopLimit, priority,
+    });
+  }
+  const effectiveKey = resolveChannelKey(key);
+  if (effectiveKey) {
+    rememberChannelKey(channel, effectiveKey);
+  }
+
+  // Build topic: msh/EU_868/2/e/LongFast/!gateway
+  const topic = buildTopic({ root, region, path, channel, gatewayId });
+
+  const dataMessage = buildDataMessage({ portnum, payload, wantResponse, dest, replyId, emoji });
+
+  // Encrypt the Data message (or pass plaintext if no key)
+  const encryptedData = effectiveKey
+    ? encrypt(dataMessage, effectiveKey, packetId, fromNode)
+    : dataMessage;
+
+  // Create ServiceEnvelope with MeshPacket
+  const envelope = encodeServiceEnvelope({
+    packet: {
+      from: fromNode,
+      to: toNode,
+      id: packetId,
+      // Hash of channel name XOR key, unless the advanced composer overrides it
+      channel: channelHash ?? generateChannelHash(channel, effectiveKey || ''),
+      hopLimit, // Zero-hop policy for public MQTT broker unless asked otherwise
+      hopStart: hopLimit, // Original hop count (0 = won't propagate beyond direct nodes)
+      wantAck, // Receiver answers with a ROUTING_APP ack (see delivery-tracker.js)
+      priority,
+      viaMqtt: true, // Indicates message came from MQTT gateway
+      encrypted: encryptedData,
+    },
+    channelId: channel,
+    gatewayId: gatewayId,
+  });
+
+  // Publish to MQTT
+  await mqttClient.publish(topic, envelope);
+
+  console.log(`[MQTT] Published ${getPortName(portnum)} protobuf to ${topic} (packet ${packetId})`);
+  return { networkId: mqttClient.networkId, topic, packetId, fromNode, toNode, envelope };
+}
+
+async function publishPkiDataPacket(mqttClient, {
+  root,
+  region,
+  path,
+  gatewayId,
+  fromNode,
+  toNode,
+  packetId,
+  peerPublicKey,
+  portnum,
+  payload,
+  wantResponse,
+  wantAck,
+  replyId,
+  emoji,
+  dest,
+  hopLimit,
+  priority,
+}) {
+  const keys = resolvePkiKeys(fromNode, toNode, peerPublicKey);
+
+  // Gateways uplink PKI traffic on the "PKI" pseudo channel
+  const topic = buildTopic({ root, region, path, channel: PKI_CHANNEL_ID, gatewayId });
+
+  const dataMessage = buildDataMessage({ portnum, payload, wantResponse, dest, replyId, emoji });
+
+  const envelope = encodeServiceEnvelope({
+    packet: {
+      from: fromNode,
+      to: toNode,
+      id: packetId,
+      channel: 0, // PKI packets carry no channel hash
+      hopLimit,
+      hopStart: hopLimit,
+      wantAck,
+      priority,
+      viaMqtt: true,
+      publicKey: Buffer.from(getNodePublicKey(fromNode), 'base64'),
+      pkiEncrypted: true,
+      encrypted: encryptPki(dataMessage, keys, packetId, fromNode),
+    },
+    channelId: PKI_CHANNEL_ID,
+    gatewayId: gatewayId,
+  });
+
+  await mqttClient.publish(topic, envelope);
+
+  console.log(`[MQTT] Published ${getPortName(portnum)} PKI message to ${topic} (packet ${packetId})`);
+  return { networkId: mqttClient.networkId, topic, packetId, fromNode, toNode, envelope, pki: true };
+}
+
+async function publishProtobufMessage(mqttClient, { text, wantAck, replyId, emoji, compress, ...target }, deliveryTracker) {
+  // Compression is only worth it when it saves airtime
+  const payload = Buffer.from(text, 'utf-8');
+  const compressedPayload = compress ? unishox2Compress(text) : null;
+  const compressed = !!compressedPayload && compressedPayload.length < payload.length;
+
+  const published = await publishDataPacket(mqttClient, {
+    ...target,
+    portnum: compressed ? PortNum.TEXT_MESSAGE_COMPRESSED_APP : PortNum.TEXT_MESSAGE_APP,
+    payload: compressed ? compressedPayload : payload,
+    wantAck,
+    replyId,
+    emoji: emoji ? 1 : 0,
+  });
+  const { networkId, topic, packetId, fromNode, toNode, pki = false } = published;
+  if (wantAck) deliveryTracker?.track(published);
+
+  return {
+    type: 'published',
+    mode: 'protobuf',
+    networkId,
+    topic,
+    packetId,
+    from: formatNodeId(fromNode),
+    to: formatNodeId(toNode),
+    portnum: PortNum.TEXT_MESSAGE_APP,
+    portName: getPortName(PortNum.TEXT_MESSAGE_APP),
+    pki,
+    wantAck,
+    replyId: replyId || null,
+    emoji: !!emoji,
+    compressed,
+    text,
+  };
+}
+
+// Validate browser-supplied coordinates and convert them to Position fields.
+// Precision truncation mirrors the firmware PositionModule: keep the top
+// precision_bits of each coordinate and move to the centre of the cell.
+function parseCoordinates(latitude, longitude) {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw new Error(`Invalid latitude: ${latitude}`);
+  }
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    throw new Error(`Invalid longitude: ${longitude}`);
+  }
+  return { lat, lon };
+}
+
+function buildPositionFields({ latitude, longitude, altitude, time, precisionBits }) {
+  const { lat, lon } = parseCoordinates(latitude, longitude);
+
+  const bits = precisionBits === undefined || precisionBits === null || precisionBits === ''
+    ? 32
+    : Number(precisionBits);
+  // Firmware treats 0 as "position sharing disabled", so it is not sendable
+  if (!Number.isInteger(bits) || bits < 1 || bits > 32) {
+    throw new Error(`Invalid precision bits: ${precisionBits} (expected 1-32)`);
+  }
+
+  let latitudeI = Math.round(lat * 1e7);
+  let longitudeI = Math.round(lon * 1e7);
+  if (bits < 32) {
+    const mask = (0xffffffff << (32 - bits)) | 0;
+    const halfCell = 1 << (31 - bits);
+    latitudeI = (latitudeI & mask) + halfCell;
+    longitudeI = (longitudeI & mask) + halfCell;
+  }
+
+  return {
+    latitudeI,
+    longitudeI,
+    altitude: Math.round(Number(altitude) || 0),
+    time: Number(time) > 0 ? Math.floor(Number(time)) : Math.floor(Date.now() / 1000),
+    precisionBits: bits,
+  };
+}
+
+export async function publishPosition(mqttClient, ws, { position, ...target }) {
+  const fields = buildPositionFields(position || {});
+  const isJson = target.path === '2/json';
+  let result;
+
+  if (isJson) {
+    // JSON downlink: msh/EU_868/2/json/mqtt/!gateway with type "sendposition"
+    const fromNode = parseNodeId(target.from || target.gatewayId);
+    const toNode = parseNodeId(target.to);
+    const topic = buildTopic({ ...target, path: '2/json' });
+    await mqttClient.publish(topic, JSON.stringify({
+      from: fromNode,
+      to: toNode,
+      type: 'sendposition',
+      payload: {
+        latitude_i: fields.latitudeI,
+        longitude_i: fields.longitudeI,
+        altitude: fields.altitude,
+        time: fields.time,
+      },
+    }));
+    console.log(`[MQTT] Published JSON position to ${topic}`);
+    result = { topic, packetId: null, fromNode, toNode };
+  } else {
+    result = await publishDataPacket(mqttClient, {
+      ...target,
+      portnum: PortNum.POSITION_APP,
+      payload: encodePosition({ ...fields, locationSource: LOC_MANUAL }),
+    });
+  }
+
+  ws.send(JSON.stringify({
+    type: 'published',
+    mode: isJson ? 'json' : 'protobuf',
+    networkId: mqttClient.networkId,
+    topic: result.topic,
+    packetId: result.packetId,
+    from: formatNodeId(result.fromNode),
+    to: formatNodeId(result.toNode),
+    portnum: PortNum.POSITION_APP,
+    portName: getPortName(PortNum.POSITION_APP),
+    payload: {
+      ...fields,
+      latitude: fields.latitudeI / 1e7,
+      longitude: fields.longitudeI / 1e7,
+    },
+  }));
+}
+
+function buildUserFields(fromNode, { longName, shortName, hwModel, role } = {}) {
+  const long = String(longName || '').trim();
+  const short = String(shortName || '').trim();
+  if (!long) {
+    throw new Error('Long name is required');
+  }
+  if (Buffer.byteLength(long, 'utf-8') > MAX_LONG_NAME_BYTES) {
+    throw new Error(`Long name exceeds ${MAX_LONG_NAME_BYTES} bytes`);
+  }
+  if (Buffer.byteLength(short, 'utf-8') > MAX_SHORT_NAME_BYTES) {
+    throw new Error(`Short name exceeds ${MAX_SHORT_NAME_BYTES} bytes`);
+  }
+
+  return {
+    // User.id must match the sending node so receivers attach the names to it
+    id: formatNodeId(fromNode),
+    longName: long,
+    shortName: short,
+    hwModel: Number(hwModel) || 0,
+    role: Number(role) || 0,
+    // Advertise our PKI key (if registered) so peers can send us direct messages
+    publicKey: getNodePrivateKey(fromNode) ? getNodePublicKey(fromNode) : '',
+  };
+}
+
+// Returns the 'published' reply; shared by 'publish_nodeinfo' and the
+// announce scheduler
+export async function publishNodeInfo(mqttClient, { user, ...target }) {
+  // The JSON downlink only understands sendtext/sendposition
+  if (target.path === '2/json') {
+    throw new Error('NodeInfo can only be published in protobuf mode');
+  }
+
+  const fields = buildUserFields(parseNodeId(target.from || target.gatewayId), user);
+  const { topic, packetId, fromNode, toNode } = await publishDataPacket(mqttClient, {
+    ...target,
+    portnum: PortNum.NODEINFO_APP,
+    payload: encodeUser(fields),
+  });
+
+  return {
+    type: 'published',
+    mode: 'protobuf',
+    networkId: mqttClient.networkId,
+    topic,
+    packetId,
+    from: formatNodeId(fromNode),
+    to: formatNodeId(toNode),
+    portnum: PortNum.NODEINFO_APP,
+    portName: getPortName(PortNum.NODEINFO_APP),
+    payload: fields,
+  };
+}
+
+// Validate a browser-supplied waypoint. `icon` may be an emoji or its
+// codepoint; `delete` re-sends the waypoint already expired; `locked`
+// restricts edits to the sending node.
+function buildWaypointFields(fromNode, {
+  id,
+  latitude,
+  longitude,
+  name,
+  description,
+  icon,
+  expire,
+  locked = false,
+  delete: remove = false,
+} = {}) {
+  const { lat, lon } = parseCoordinates(latitude, longitude);
+
+  const waypointId = id === undefined || id === null || id === '' ? generatePacketId() : Number(id);
+  if (!Number.isInteger(waypointId) || waypointId < 1 || waypointId > 0xffffffff) {
+    throw new Error(`Invalid waypoint id: ${id}`);
+  }
+
+  const waypointName = String(name || '').trim();
+  const waypointDescription = String(description || '').trim();
+  if (!waypointName && !remove) {
+    throw new Error('Waypoint name is required');
+  }
+  if (Buffer.byteLength(waypointName, 'utf-8') > MAX_WAYPOINT_NAME_BYTES) {
+    throw new Error(`Waypoint name exceeds ${MAX_WAYPOINT_NAME_BYTES} bytes`);
+  }
+  if (Buffer.byteLength(waypointDescription, 'utf-8') > MAX_WAYPOINT_DESCRIPTION_BYTES) {
+    throw new Error(`Waypoint description exceeds ${MAX_WAYPOINT_DESCRIPTION_BYTES} bytes`);
+  }
+
+  const expireSeconds = Number(expire) || 0;
+  if (!Number.isInteger(expireSeconds) || expireSeconds < 0) {
+    throw new Error(`Invalid waypoint expiry: ${expire}`);
+  }
+
+  return {
+    id: waypointId,
+    latitudeI: Math.round(lat * 1e7),
+    longitudeI: Math.round(lon * 1e7),
+    expire: remove ? WAYPOINT_EXPIRE_DELETED : expireSeconds,
+    lockedTo: locked ? fromNode : 0,
+    name: waypointName,
+    description: waypointDescription,
+    icon: typeof icon === 'string' ? (icon.codePointAt(0) || 0) : (Number(icon) >>> 0),
+  };
+}
+
+export async function publishWaypoint(mqttClient, ws, { waypoint, ...target }) {
+  // The JSON downlink only understands sendtext/sendposition
+  if (target.path === '2/json') {
+    throw new Error('Waypoints can only be published in protobuf mode');
+  }
+
+  const fields = buildWaypointFields(parseNodeId(target.from || target.gatewayId), waypoint);
+  const { topic, packetId, fromNode, toNode } = await publishDataPacket(mqttClient, {
+    ...target,
+    portnum: PortNum.WAYPOINT_APP,
+    payload: encodeWaypoint(fields),
+  });
+
+  ws.send(JSON.stringify({
+    type: 'published',
+    mode: 'protobuf',
+    networkId: mqttClient.networkId,
+    topic,
+    packetId,
+    from: formatNodeId(fromNode),
+    to: formatNodeId(toNode),
+    portnum: PortNum.WAYPOINT_APP,
+    portName: getPortName(PortNum.WAYPOINT_APP),
+    payload: {
+      ...fields,
+      latitude: fields.latitudeI / 1e7,
+      longitude: fields.longitudeI / 1e7,
+    },
+  }));
+}
+
+// Firmware names a preset's default channel after the preset
+const PRESET_CHANNEL_NAMES = {
+  LongFast: ModemPreset.LONG_FAST,
+  LongSlow: ModemPreset.LONG_SLOW,
+  VLongSlow: ModemPreset.VERY_LONG_SLOW,
+  VeryLongSlow: ModemPreset.VERY_LONG_SLOW,
+  MediumSlow: ModemPreset.MEDIUM_SLOW,
+  MediumFast: ModemPreset.MEDIUM_FAST,
+  ShortSlow: ModemPreset.SHORT_SLOW,
+  ShortFast: ModemPreset.SHORT_FAST,
+  LongMod: ModemPreset.LONG_MODERATE,
+  ShortTurbo: ModemPreset.SHORT_TURBO,
+};
+
+// A MapReport describes the node, its radio settings (taken from the topic
+// region and the channel it would use) and where it is. Positions follow the
+// same precision rules as POSITION_APP.
+function buildMapReportFields(fromNode, { region, channel }, report = {}) {
+  const { longName, shortName, hwModel, role } = buildUserFields(fromNode, report);
+  const position = buildPositionFields({
+    latitude: report.latitude,
+    longitude: report.longitude,
+    altitude: report.altitude,
+    precisionBits: report.positionPrecision,
+  });
+  const onlineNodes = Number(report.numOnlineLocalNodes) || 0;
+  // Own keys only: "toString" is a channel name, not a preset
+  const isPresetChannel = Object.hasOwn(PRESET_CHANNEL_NAMES, channel);
+
+  return {
+    longName,
+    shortName,
+    role,
+    hwModel,
+    firmwareVersion: String(report.firmwareVersion || '').trim(),
+    region: RegionCode[region] ?? RegionCode.UNSET,
+    modemPreset: isPresetChannel ? PRESET_CHANNEL_NAMES[channel] : ModemPreset.LONG_FAST,
+    hasDefaultChannel: isPresetChannel,
+    latitudeI: position.latitudeI,
+    longitudeI: position.longitudeI,
+    altitude: position.altitude,
+    positionPrecision: position.precisionBits,
+    numOnlineLocalNodes: Math.max(0, Math.floor(onlineNodes)),
+  };
+}
+
+// Map reports bypass the channels: firmware publishes them unencrypted to
+// <root>/<region>/2/map/, where map sites collect them. Returns the
+// 'published' reply; shared by 'publish_map_report' and the scheduler.
+export async function publishMapReport(mqttClient, { root, region, channel, gatewayId, from, report }) {
+  const fromNode = parseNodeId(from || gatewayId);
+  const packetId = generatePacketId();
+  const fields = buildMapReportFields(fromNode, { region, channel }, report);
+  const topic = `${root}/${region}/2/map/`;
+
+  const envelope = encodeServiceEnvelope({
+    packet: {
+      from: fromNode,
+      to: 0xffffffff,
+      id: packetId,
+      hopLimit: 0,
+      viaMqtt: true,
+      decoded: { portnum: PortNum.MAP_REPORT_APP, payload: encodeMapReport(fields) },
+    },
+    channelId: channel || '',
+    gatewayId: gatewayId || formatNodeId(fromNode),
+  });
+  await mqttClient.publish(topic, envelope);
+  console.log(`[MQTT] Published MAP_REPORT to ${topic} (packet ${packetId})`);
+
+  return {
+    type: 'published',
+    mode: 'protobuf',
+    networkId: mqttClient.networkId,
+    topic,
+    packetId,
+    from: formatNodeId(fromNode),
+    to: '^all',
+    portnum: PortNum.MAP_REPORT_APP,
+    portName: getPortName(PortNum.MAP_REPORT_APP),
+    payload: {
+      ...fields,
+      latitude: fields.latitudeI / 1e7,
+      longitude: fields.longitudeI / 1e7,
+    },
+  };
+}
+
+// Traceroute request: an empty RouteDiscovery with want_response. Each node
+// on the way appends itself to the route; the destination answers with a
+// TRACEROUTE_APP reply whose request_id is this packet id.
+export async function publishTraceroute(mqttClient, ws, target) {
+  if (target.path === '2/json') {
+    throw new Error('Traceroutes can only be sent in protobuf mode');
+  }
+  const destination = parseNodeId(target.to);
+  if (!destination || destination === 0xffffffff) {
+    throw new Error('Traceroute needs a single destination node');
+  }
+
+  const { topic, packetId, fromNode, toNode } = await publishDataPacket(mqttClient, {
+    ...target,
+    portnum: PortNum.TRACEROUTE_APP,
+    payload: Buffer.alloc(0),
+    wantResponse: true,
+  });
+
+  ws.send(JSON.stringify({
+    type: 'published',
+    mode: 'protobuf',
+    networkId: mqttClient.networkId,
+    topic,
+    packetId,
+    from: formatNodeId(fromNode),
+    to: formatNodeId(toNode),
+    portnum: PortNum.TRACEROUTE_APP,
+    portName: getPortName(PortNum.TRACEROUTE_APP),
+  }));
+}
+
+// Ask a Store & Forward router to replay the texts it stored for the channel
+// over the last `window` minutes (the router's own default when omitted).
+// Routers refuse history on the default public channel and answer with a text.
+export async function publishStoreForwardHistory(mqttClient, ws, { window, ...target }) {
+  if (target.path === '2/json') {
+    throw new Error('Store & Forward requests can only be sent in protobuf mode');
+  }
+  const router = parseNodeId(target.to);
+  if (!router || router === 0xffffffff) {
+    throw new Error('Store & Forward requests need a router node');
+  }
+  const minutes = window === undefined || window === null || window === '' ? 0 : Number(window);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 0xffff) {
+    throw new Error(`Invalid history window: ${window}`);
+  }
+
+  const { topic, packetId, fromNode, toNode } = await publishDataPacket(mqttClient, {
+    ...target,
+    portnum: PortNum.STORE_FORWARD_APP,
+    payload: encodeStoreAndForward({ rr: StoreForwardRR.CLIENT_HISTORY, history: minutes ? { window: minutes } : null }),
+  });
+
+  ws.send(JSON.stringify({
+    type: 'published',
+    mode: 'protobuf',
+    networkId: mqttClient.networkId,
+    topic,
+    packetId,
+    from: formatNodeId(fromNode),
+    to: formatNodeId(toNode),
+    portnum: PortNum.STORE_FORWARD_APP,
+    portName: getPortName(PortNum.STORE_FORWARD_APP),
+    payload: { rrName: 'CLIENT_HISTORY', window: minutes || null },
+  }));
+}
+
+// Advanced composer payloads: raw bytes entered as hex, base64 or UTF-8, or
+// a JSON description of a message type we can encode for the chosen port
+function parseCustomPayload(portnum, encoding, payload, fromNode) {
+  const text = String(payload ?? '');
+  switch (encoding) {
+    case 'hex': {
+      const hex = text.replace(/[\s:]/g, '');
+      if (!/^(?:[0-9a-fA-F]{2})*$/.test(hex)) {
+        throw new Error('Invalid hex payload (expected pairs of hex digits)');
+      }
+      return Buffer.from(hex, 'hex');
+    }
+    case 'base64': {
+      const base64 = text.replace(/\s/g, '');
+      if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 === 1) {
+        throw new Error('Invalid base64 payload');
+      }
+      return Buffer.from(base64, 'base64');
+    }
+    case 'utf8':
+      return Buffer.from(text, 'utf-8');
+    case 'json': {
+      let fields;
+      try {
+        fields = JSON.parse(text || '{}');
+      } catch (err) {
+        throw new Error(`Invalid JSON payload: ${err.message}`);
+      }
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new Error('JSON payload must be an object');
+      }
+      return encodeJsonPayload(portnum, fields, fromNode);
+    }
+    default:
+      throw new Error(`Unknown payload encoding: ${encoding}`);
+  }
+}
+
+// Same field names (and validation) as the dedicated publish messages
+function encodeJsonPayload(portnum, fields, fromNode) {
+  switch (portnum) {
+    case PortNum.TEXT_MESSAGE_APP:
+      return Buffer.from(String(fields.text ?? ''), 'utf-8');
+    case PortNum.POSITION_APP:
+      return encodePosition({ ...buildPositionFields(fields), locationSource: LOC_MANUAL });
+    case PortNum.NODEINFO_APP:
+      return encodeUser(buildUserFields(fromNode, fields));
+    case PortNum.WAYPOINT_APP:
+      return encodeWaypoint(buildWaypointFields(fromNode, fields));
+    case PortNum.STORE_FORWARD_APP:
+      return encodeStoreAndForward({ rr: Number(fields.rr) || 0, history: fields.history || null });
+    default:
+      throw new Error(`No JSON encoding for ${getPortName(portnum)}; use hex, base64 or UTF-8`);
+  }
+}
+
+// Optional small integer field; null when left empty
+function parseOptionalInt(value, label, max) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0 || num > max) {
+    throw new Error(`Invalid ${label}: ${value} (expected 0-${max})`);
+  }
+  return num;
+}
+
+// Validate an advanced composer request and build the Data message it
+// sends. The preview and the publish share this, so the bytes shown are the
+// bytes encrypted.
+function buildCustomPacket({
+  from,
+  gatewayId,
+  channel,
+  key,
+  pki = false,
+  portnum,
+  encoding = 'hex',
+  payload,
+  wantResponse = false,
+  dest,
+  hopLimit,
+  priority,
+  channelHash,
+}) {
+  const port = parseOptionalInt(portnum, 'portnum', PortNum.MAX);
+  if (port === null) {
+    throw new Error('A portnum is required');
+  }
+  const bytes = parseCustomPayload(port, encoding, payload, parseNodeId(from || gatewayId));
+  if (bytes.length > MAX_DATA_PAYLOAD_BYTES) {
+    throw new Error(`Payload exceeds ${MAX_DATA_PAYLOAD_BYTES} bytes (${bytes.length})`);
+  }
+
+  const fields = {
+    portnum: port,
+    payload: bytes,
+    wantResponse: !!wantResponse,
+    dest: dest ? parseNodeId(String(dest)) : 0,
+    hopLimit: parseOptionalInt(hopLimit, 'hop limit', MAX_HOP_LIMIT) ?? 0,
+    priority: typeof priority === 'string' && priority in Priority
+      ? Priority[priority]
+      : parseOptionalInt(priority, 'priority', Priority.MAX) ?? 0,
+    channelHash: parseOptionalInt(channelHash, 'channel hash', 0xff),
+  };
+  return {
+    fields,
+    dataMessage: buildDataMessage(fields),
+    // PKI packets carry no channel hash
+    channelHash: pki ? 0 : fields.channelHash ?? generateChannelHash(channel, resolveChannelKey(key) || ''),
+  };
+}
+
+// Preview for the advanced composer; errors are part of the reply so a
+// half-typed payload does not raise toasts
+export function encodeCustomPreview(msg) {
+  const reply = { type: 'encoded_custom', requestId: msg.requestId ?? null };
+  try {
+    if (msg.path === '2/json') {
+      throw new Error('Custom packets can only be sent in protobuf mode');
+    }
+    const { fields, dataMessage, channelHash } = buildCustomPacket(msg);
+    return {
+      ...reply,
+      portnum: fields.portnum,
+      portName: getPortName(fields.portnum),
+      payloadHex: fields.payload.toString('hex'),
+      dataHex: dataMessage.toString('hex'),
+      channelHash,
+      hopLimit: fields.hopLimit,
+      priority: fields.priority,
+      dest: fields.dest ? formatNodeId(fields.dest) : null,
+    };
+  } catch (err) {
+    return { ...reply, error: err.message };
+  }
+}
+
+export async function publishCustomPacket(mqttClient, { wantAck = false, ...request }, deliveryTracker) {
+  if (request.path === '2/json') {
+    throw new Error('Custom packets can only be sent in protobuf mode');
+  }
+  if (wantAck && parseNodeId(request.to) === 0xffffffff) {
+    throw new Error('Acknowledged delivery requires a direct message recipient');
+  }
+  const { fields } = buildCustomPacket(request);
+  const { root, region, path, channel, gatewayId, from, to, key, pki, publicKey } = request;
+
+  const published = await publishDataPacket(mqttClient, {
+    root, region, path, channel, gatewayId, from, to, key, pki, publicKey, wantAck, ...fields,
+  });
+  if (wantAck) deliveryTracker?.track(published);
+
+  return {
+    type: 'published',
+    mode: 'protobuf',
+    networkId: published.networkId,
+    topic: published.topic,
+    packetId: published.packetId,
+    from: formatNodeId(published.fromNode),
+    to: formatNodeId(published.toNode),
+    portnum: fields.portnum,
+    portName: getPortName(fields.portnum),
+    pki: published.pki ?? false,
+    wantAck,
+    custom: true,
+    payload: { size: fields.payload.length, hex: fields.payload.toString('hex') },
+  };
+}
+
+async function publishJsonMessage(mqttClient, { root, region, channel, gatewayId, from, to, text }) {
+  const fromNode = parseNodeId(from || gatewayId);
+  const toNode = parseNodeId(to);
+
+  // JSON mode always uses '2/json' path and typically 'mqtt' channel
+  // Build topic: msh/EU_868/2/json/mqtt/!gateway
+  const topic = buildTopic({ root, region, path: '2/json', channel, gatewayId });
+
+  // JSON downlink payload format
+  // See: https://meshtastic.org/docs/software/integrations/mqtt/
+  const payload = {
+    from: fromNode,
+    to: toNode,
+    type: 'sendtext',
+    payload: text,
+  };
+
+  // Publish JSON string to MQTT
+  await mqttClient.publish(topic, JSON.stringify(payload));
+
+  console.log(`[MQTT] Published JSON to ${topic}`);
+  return {
+    type: 'published',
+    mode: 'json',
+    networkId: mqttClient.networkId,
+    topic,
+    from: formatNodeId(fromNode),
+    to: formatNodeId(toNode),
+    portnum: PortNum.TEXT_MESSAGE_APP,
+    portName: getPortName(PortNum.TEXT_MESSAGE_APP),
+    text,
+  };
+}
+
+// Pick the broker connection a request targets and fill in its topic
+// prefix from that network's defaults.
+export function resolveNetworkTarget(brokers, { networkId, root, region, path }) {
+  const network = brokers.getNetwork(networkId);
+  return {
+    mqttClient: brokers.get(networkId),
+    root: root || network.root,
+    region: region || network.region,
+    path: path || network.path,
+  };
+}
+
+export function subscriptionsMessage(mqttClient) {
+  return { type: 'subscriptions', networkId: mqttClient.networkId, topics: mqttClient.getSubscriptions() };
+}
+
+// Packet ids are uint32; 0 / null means "not a reply"
+function parseReplyId(replyId) {
+  if (replyId === null || replyId === undefined || replyId === '' || replyId === 0) return 0;
+  const id = Number(replyId);
+  if (!Number.isInteger(id) || id < 0 || id > 0xffffffff) {
+    throw new Error(`Invalid reply id: ${replyId}`);
+  }
+  return id;
+}
+
+// Publish a text message and return the 'published' reply. Shared by the
+// WebSocket 'publish' message and POST /api/messages. With wantAck the
+// delivery tracker reports acked / NAK / timeout as 'delivery' broadcasts.
+export async function publishText(brokers, {
+  networkId,
+  root,
+  region,
+  path,
+  channel,
+  gatewayId,
+  from,
+  to,
+  text,
+  key,
+  pki = false,
+  publicKey,
+  wantAck = false,
+  replyId = null,
+  emoji = false,
+  compress = false,
+}, { deliveryTracker = null } = {}) {
+  const { mqttClient, ...prefix } = resolveNetworkTarget(brokers, { networkId, root, region, path });
+  const replyTo = parseReplyId(replyId);
+  if (emoji && !replyTo) {
+    throw new Error('A reaction needs the id of the message it reacts to');
+  }
+
+  // Only the addressed node acks; broadcasts would just time out
+  if (wantAck && parseNodeId(to) === 0xffffffff) {
+    throw new Error('Acknowledged delivery requires a direct message recipient');
+  }
+
+  // Route based on path - JSON mode or Protobuf mode
+  if (prefix.path === '2/json') {
+    if (pki) throw new Error('PKI direct messages require protobuf mode');
+    if (wantAck) throw new Error('Acknowledged delivery requires protobuf mode');
+    if (replyTo) throw new Error('Replies and reactions require protobuf mode');
+    return publishJsonMessage(mqttClient, { ...prefix, channel, gatewayId, from, to, text });
+  }
+  return publishProtobufMessage(
+    mqttClient,
+    { ...prefix, channel, gatewayId, from, to, text, key, pki, publicKey, wantAck, replyId: replyTo, emoji, compress },
+    deliveryTracker
+  );
+}
+
+// Subscribe a network's broker to an MQTT topic (remembering its channel key
+// for decryption) and tell every browser about the new subscription list.
+export async function subscribeTopic(brokers, broadcast, { networkId, topic, channel, key } = {}) {
+  const mqttClient = brokers.get(networkId);
+  const network = brokers.getNetwork(networkId);
+  const resolvedTopic = topic || `${network.root}/${network.region}/#`;
+  if (channel && key) {
+    rememberChannelKey(channel, key);
+  }
+  await mqttClient.subscribe(resolvedTopic);
+  broadcast(subscriptionsMessage(mqttClient));
+  return resolvedTopic;
+}
+
+export async function unsubscribeTopic(brokers, broadcast, { networkId, topic }) {
+  const mqttClient = brokers.get(networkId);
+  await mqttClient.unsubscribe(topic);
+  broadcast(subscriptionsMessage(mqttClient));
+}
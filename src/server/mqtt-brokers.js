@@ -0,0 +1,79 @@
+import { createMqttClient } from './mqtt-client.js';
+import { config } from './config.js';
+
+// One MQTT connection per catalog network (see getBrokerNetworks). Browser
+// and API requests name the network they target; requests without one go
+// to the default network. Every received message is reported with the id
+// of the network it arrived on.
+
+export function createMqttBrokers({
+  networks,
+  defaultNetworkId = null,
+  onMessage,
+  onStatusChange,
+  connect = createMqttClient,
+}) {
+  const brokers = new Map(); // networkId -> { network, client }
+
+  for (const network of networks) {
+    if (brokers.has(network.id)) continue;
+    const client = connect({
+      networkId: network.id,
+      host: network.host,
+      port: network.port,
+      username: network.username,
+      password: network.password,
+      defaultTopic: `${network.root}/${network.region}/${network.path}/${config.meshtastic.defaultChannel}/#`,
+      statTopic: config.meshtastic.statGatewayId
+        ? `${network.root}/${network.region}/2/stat/${config.meshtastic.statGatewayId}`
+        : null,
+      statSubscription: `${network.root}/${network.region}/2/stat/+`,
+      onConnect: () => onStatusChange?.(),
+      onClose: () => onStatusChange?.(),
+      onMessage: (topic, message) => onMessage?.(topic, message, network.id),
+    });
+    brokers.set(network.id, { network, client });
+  }
+
+  const fallbackId = brokers.has(defaultNetworkId) ? defaultNetworkId : brokers.keys().next().value;
+
+  function resolve(networkId) {
+    const broker = brokers.get(networkId || fallbackId);
+    if (!broker) {
+      throw new Error(`Network ${networkId} has no broker connection on the server (add it to CATALOG_NETWORKS_JSON)`);
+    }
+    return broker;
+  }
+
+  // Client for a network id; throws for networks the server does not know
+  function get(networkId) {
+    return resolve(networkId).client;
+  }
+
+  function getNetwork(networkId) {
+    return resolve(networkId).network;
+  }
+
+  function list() {
+    return Array.from(brokers.values(), ({ client }) => client);
+  }
+
+  // { connected, brokers } for the browsers' status bar; `connected` is true
+  // while any broker is reachable
+  function status() {
+    const entries = Array.from(brokers.values(), ({ network, client }) => ({
+      networkId: network.id,
+      name: network.name,
+      host: network.host,
+      port: network.port,
+      connected: client.connected,
+    }));
+    return { connected: entries.some(entry => entry.connected), brokers: entries };
+  }
+
+  function end() {
+    for (const { client } of brokers.values()) client.end();
+  }
+
+  return { defaultNetworkId: fallbackId, get, getNetwork, list, status, end };
+}
@@ -1,32 +1,59 @@
 import mqtt from 'mqtt';
 import { config } from './config.js';
 
-export function createMqttClient({ autoSubscribeDefault = true, ...handlers } = {}) {
-  const { host, port, username, password } = config.mqtt;
+const STAT_ROOT = `${config.meshtastic.mqttRoot}/${config.meshtastic.region}/2/stat`;
+
+// Connects to one broker. Defaults to the MQTT_* settings; the broker pool
+// passes a catalog network's settings and id instead.
+//
+// statTopic is our own gateway's liveness topic: "online" (retained) on every
+// connect, "offline" as the last will and on end(). null disables it.
+// statSubscription is seeded with the default topic so other gateways'
+// online/offline announcements arrive too.
+export function createMqttClient({
+  networkId = null,
+  host = config.mqtt.host,
+  port = config.mqtt.port,
+  username = config.mqtt.username,
+  password = config.mqtt.password,
+  defaultTopic = `${config.meshtastic.rootTopic}/${config.meshtastic.defaultChannel}/#`,
+  statTopic = config.meshtastic.statGatewayId ? `${STAT_ROOT}/${config.meshtastic.statGatewayId}` : null,
+  statSubscription = `${STAT_ROOT}/+`,
+  autoSubscribeDefault = true,
+  ...handlers
+} = {}) {
   const url = `mqtt://${host}:${port}`;
+  const tag = networkId ? `[MQTT ${networkId}]` : '[MQTT]';
 
-  console.log(`[MQTT] Connecting to ${url}...`);
+  console.log(`${tag} Connecting to ${url}...`);
 
   const activeSubscriptions = new Set();
 
   const client = mqtt.connect(url, {
     username,
     password,
-    clientId: `meshtastic-web-${Date.now()}`,
+    clientId: `meshtastic-web-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
     clean: true,
     reconnectPeriod: 5000,
+    ...(statTopic && { will: { topic: statTopic, payload: 'offline', qos: 0, retain: true } }),
   });
 
   let seededDefault = false;
 
   client.on('connect', () => {
-    console.log('[MQTT] Connected to broker');
+    console.log(`${tag} Connected to broker`);
     handlers.onConnect?.();
 
+    if (statTopic) {
+      client.publish(statTopic, 'online', { qos: 0, retain: true }, (err) => {
+        if (err) console.error(`${tag} Stat publish error for ${statTopic}:`, err);
+      });
+    }
+
     // Seed default topic on first connect (disable via autoSubscribeDefault: false)
     if (!seededDefault && autoSubscribeDefault) {
-      const defaultTopic = `${config.meshtastic.rootTopic}/${config.meshtastic.defaultChannel}/#`;
       activeSubscriptions.add(defaultTopic);
+      if (statSubscription) activeSubscriptions.add(statSubscription);
       seededDefault = true;
     }
 
@@ -34,9 +61,9 @@ export function createMqttClient({ autoSubscribeDefault = true, ...handlers } =
     for (const topic of activeSubscriptions) {
       client.subscribe(topic, (err) => {
         if (err) {
-          console.error(`[MQTT] Subscribe error for ${topic}:`, err);
+          console.error(`${tag} Subscribe error for ${topic}:`, err);
         } else {
-          console.log(`[MQTT] Subscribed to: ${topic}`);
+          console.log(`${tag} Subscribed to: ${topic}`);
         }
       });
     }
@@ -48,7 +75,7 @@ export function createMqttClient({ autoSubscribeDefault = true, ...handlers } =
     if (Buffer.isBuffer(message) && message.length >= 3) {
       for (let i = 0; i < message.length - 2; i++) {
         if (message[i] === 0xef && message[i + 1] === 0xbf && message[i + 2] === 0xbd) {
-          console.log(`[MQTT] UTF-8 corruption in raw payload from broker on ${topic} (${message.length}B) — gateway is mangling binary as text`);
+          console.log(`${tag} UTF-8 corruption in raw payload from broker on ${topic} (${message.length}B) — gateway is mangling binary as text`);
           return; // Drop the message — the protobuf is irrecoverable
         }
       }
@@ -57,20 +84,22 @@ export function createMqttClient({ autoSubscribeDefault = true, ...handlers } =
   });
 
   client.on('error', (err) => {
-    console.error('[MQTT] Error:', err.message);
+    console.error(`${tag} Error:`, err.message);
     handlers.onError?.(err);
   });
 
   client.on('close', () => {
-    console.log('[MQTT] Connection closed');
+    console.log(`${tag} Connection closed`);
     handlers.onClose?.();
   });
 
   client.on('reconnect', () => {
-    console.log('[MQTT] Reconnecting...');
+    console.log(`${tag} Reconnecting...`);
   });
 
   return {
+    networkId,
+
     publish(topic, payload) {
       return new Promise((resolve, reject) => {
         client.publish(topic, payload, { qos: 0 }, (err) => {
@@ -113,7 +142,12 @@ export function createMqttClient({ autoSubscribeDefault = true, ...handlers } =
     },
 
     end() {
-      client.end();
+      // A clean disconnect does not fire the will
+      if (statTopic && client.connected) {
+        client.publish(statTopic, 'offline', { qos: 0, retain: true }, () => client.end());
+      } else {
+        client.end();
+      }
     },
   };
 }
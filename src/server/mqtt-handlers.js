@@ -2,14 +2,67 @@ import { formatNodeId } from '../shared/node-id.js';
 import { classifyIncomingPayload, buildRawMessage, parseTopicSuffix } from './message-classifier.js';
 import { decodeMeshtasticJsonMessage, decodePacketContent, getPortName } from './packet-decoder.js';
 
-export function createMqttMessageHandler({ broadcast }) {
-  return function handleMqttMessage(topic, rawMessage) {
+// Every gateway that hears a packet uplinks its own copy within seconds. The
+// copies decode identically, so the first decode is reused for this long
+// (packet ids are random; the same id later is a new packet).
+const DUPLICATE_WINDOW_MS = 5 * 60 * 1000;
+// Only decodes that worked are reused: a corrupt first copy, or one that
+// arrived before its key was known, must not hide the good copies
+const REUSABLE_DECODE_STATUSES = new Set(['success', 'pki', 'plaintext']);
+
+export function createMqttMessageHandler({ broadcast, packetStore = null, nodeRegistry = null, deliveryTracker = null }) {
+  // "networkId|channelId|from|id" -> { content, ts }, oldest first
+  const recentDecodes = new Map();
+
+  // decodePacketContent without decrypting copies of a packet again
+  function decodeOnce(packet, channelId, networkId) {
+    if (!packet.id) return decodePacketContent(packet, { channelId });
+
+    const now = Date.now();
+    for (const [key, { ts }] of recentDecodes) {
+      if (now - ts <= DUPLICATE_WINDOW_MS) break;
+      recentDecodes.delete(key);
+    }
+
+    const key = `${networkId}|${channelId}|${packet.from}|${packet.id}`;
+    const cached = recentDecodes.get(key);
+    if (cached) return cached.content;
+    const content = decodePacketContent(packet, { channelId });
+    if (REUSABLE_DECODE_STATUSES.has(content.decryptionStatus)) {
+      recentDecodes.set(key, { content, ts: now });
+    }
+    return content;
+  }
+
+  // Last status per "networkId|gatewayId": retained announcements come back
+  // on every (re)subscribe and only changes are worth storing
+  const gatewayStatuses = new Map();
+
+  // Decoded messages are persisted before they go out so history replays match
+  function publishDecoded(msg) {
+    packetStore?.append(msg);
+    nodeRegistry?.observe(msg);
+    deliveryTracker?.observe(msg);
+    broadcast(msg);
+  }
+
+  // networkId names the catalog network (broker connection) the message arrived on
+  return function handleMqttMessage(topic, rawMessage, networkId = null) {
     const classification = classifyIncomingPayload(topic, rawMessage);
 
+    if (classification.kind === 'meshtastic.stat') {
+      const { gatewayId, status } = classification;
+      const key = `${networkId}|${gatewayId}`;
+      if (gatewayStatuses.get(key) === status) return;
+      gatewayStatuses.set(key, status);
+      publishDecoded({ type: 'gateway_status', networkId, topic, gatewayId, status, timestamp: Date.now() });
+      return;
+    }
+
     if (classification.kind === 'meshtastic.json') {
       try {
         const jsonMessage = decodeMeshtasticJsonMessage(topic, classification.json);
-        broadcast(jsonMessage);
+        publishDecoded({ ...jsonMessage, networkId });
         return;
       } catch (err) {
         classification.kind = 'json';
@@ -27,21 +80,29 @@ export function createMqttMessageHandler({ broadcast }) {
           return;
         }
 
-        const topicSuffix = (!channelId || !gatewayId) ? parseTopicSuffix(topic) : null;
-        const resolvedChannelId = channelId || topicSuffix.channel;
-        const resolvedGatewayId = gatewayId || topicSuffix.gateway;
+        // 2/map/ topics name neither channel nor gateway; the reporting node
+        // is its own gateway
+        const isMapReport = classification.topicPath === 'map';
+        const topicSuffix = (!channelId || !gatewayId) && !isMapReport ? parseTopicSuffix(topic) : null;
+        const resolvedChannelId = channelId || topicSuffix?.channel || null;
+        const resolvedGatewayId = gatewayId || topicSuffix?.gateway || formatNodeId(packet.from);
 
         const {
           decodedText,
           portnum,
+          compressed,
           decryptionStatus,
           decodedPayload,
           decodeError,
-        } = decodePacketContent(packet, { channelId: resolvedChannelId });
+          requestId,
+          replyId,
+          emoji,
+        } = decodeOnce(packet, resolvedChannelId, networkId);
 
         // Broadcast to WebSocket clients
-        broadcast({
+        publishDecoded({
           type: 'message',
+          networkId,
           topic,
           channelId: resolvedChannelId,
           gatewayId: resolvedGatewayId,
@@ -54,8 +115,13 @@ export function createMqttMessageHandler({ broadcast }) {
           rxSnr: packet.rxSnr,
           rxRssi: packet.rxRssi,
           viaMqtt: packet.viaMqtt,
+          wantAck: packet.wantAck,
+          requestId,
+          replyId,
+          emoji,
           portnum,
           portName: getPortName(portnum),
+          compressed,
           text: decodedText,
           payload: decodedPayload,
           decryptionStatus,
@@ -71,6 +137,6 @@ export function createMqttMessageHandler({ broadcast }) {
 
     const error = classification.decodeError || classification.kind;
     console.log(`[MQTT] Undecoded ${classification.kind} (${rawMessage.length}B) on ${topic}: ${error}`);
-    broadcast(buildRawMessage(topic, rawMessage, classification));
+    broadcast({ ...buildRawMessage(topic, rawMessage, classification), networkId });
   };
 }
@@ -0,0 +1,106 @@
+import { PortNum } from './protobuf.js';
+
+// Server-side view of every node heard on MQTT, fed from the same decoded
+// messages the browsers receive. Backs the /api/nodes endpoints.
+
+function isRealNodeId(nodeId) {
+  return Boolean(nodeId) && nodeId !== '?' && nodeId !== '^all';
+}
+
+export function createNodeRegistry() {
+  const nodes = new Map();
+  // gatewayId -> Map(nodeId -> last time the gateway heard it over the air)
+  const heardByGateway = new Map();
+
+  function ensureNode(nodeId) {
+    let node = nodes.get(nodeId);
+    if (!node) {
+      node = {
+        nodeId,
+        firstSeenAt: null,
+        lastSeenAt: null,
+        lastChannelId: null,
+        lastGatewayId: null,
+        lastPortnum: null,
+        packetCount: 0,
+        gateways: new Set(),
+        user: null,
+        position: null,
+        telemetry: null,
+      };
+      nodes.set(nodeId, node);
+    }
+    return node;
+  }
+
+  function observe(msg) {
+    if (msg?.type !== 'message' || !isRealNodeId(msg.from)) return;
+
+    const ts = msg.timestamp || Date.now();
+    const node = ensureNode(msg.from);
+    node.packetCount++;
+    if (!node.firstSeenAt || ts < node.firstSeenAt) node.firstSeenAt = ts;
+    if (!node.lastSeenAt || ts >= node.lastSeenAt) {
+      node.lastSeenAt = ts;
+      node.lastChannelId = msg.channelId || node.lastChannelId;
+      node.lastGatewayId = msg.gatewayId || node.lastGatewayId;
+      node.lastPortnum = msg.portnum ?? node.lastPortnum;
+    }
+    if (msg.gatewayId) node.gateways.add(msg.gatewayId);
+    // Packets that reached the gateway over MQTT were never on its radio
+    if (msg.gatewayId && msg.gatewayId !== msg.from && !msg.viaMqtt) {
+      let heard = heardByGateway.get(msg.gatewayId);
+      if (!heard) {
+        heard = new Map();
+        heardByGateway.set(msg.gatewayId, heard);
+      }
+      if (!(heard.get(msg.from) >= ts)) heard.set(msg.from, ts);
+    }
+
+    const payload = msg.payload;
+    if (!payload || typeof payload !== 'object') return;
+
+    if (msg.portnum === PortNum.NODEINFO_APP) {
+      node.user = { ...payload, updatedAt: ts };
+    } else if (msg.portnum === PortNum.POSITION_APP && payload.latitude && payload.longitude) {
+      node.position = {
+        latitude: payload.latitude,
+        longitude: payload.longitude,
+        altitude: payload.altitude || null,
+        updatedAt: ts,
+      };
+    } else if (msg.portnum === PortNum.TELEMETRY_APP) {
+      // One variant per packet (device, environment, power, ...); keep the latest of each
+      const variants = Object.entries(payload).filter(([, value]) => value !== null);
+      node.telemetry = { ...node.telemetry, ...Object.fromEntries(variants), updatedAt: ts };
+    }
+  }
+
+  function toJSON(node) {
+    return { ...node, gateways: Array.from(node.gateways) };
+  }
+
+  // Most recently heard first
+  function list() {
+    return Array.from(nodes.values())
+      .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0))
+      .map(toJSON);
+  }
+
+  function get(nodeId) {
+    const node = nodes.get(nodeId);
+    return node ? toJSON(node) : null;
+  }
+
+  // Distinct nodes a gateway heard over the air since a timestamp (a
+  // MapReport's num_online_local_nodes)
+  function countHeardBy(gatewayId, since) {
+    let count = 0;
+    for (const ts of heardByGateway.get(gatewayId)?.values() ?? []) {
+      if (ts >= since) count++;
+    }
+    return count;
+  }
+
+  return { observe, list, get, countHeardBy };
+}
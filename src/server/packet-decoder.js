@@ -1,4 +1,4 @@
-import { decrypt, generateChannelHash } from './crypto.js';
+import { decrypt, decryptPki, derivePkiPublicKey, generateChannelHash } from './crypto.js';
 import { config } from './config.js';
 import {
   decodeData,
@@ -9,9 +9,15 @@ import {
   decodeNeighborInfo,
   decodeTraceroute,
   decodeMapReport,
+  decodeWaypoint,
+  decodeStoreAndForward,
+  decodePaxcount,
   PortNum,
+  StoreForwardRR,
 } from './protobuf.js';
+import { unishox2Decompress } from './unishox2.js';
 import { parseNodeId, formatNodeId } from '../shared/node-id.js';
+import { HardwareModel, Role, RegionCode, ModemPreset, enumName } from '../shared/meshtastic-enums.js';
 import { parseTopicSuffix } from './message-classifier.js';
 
 const PORT_NAMES = Object.fromEntries(
@@ -21,6 +27,43 @@ const PORT_NAMES = Object.fromEntries(
 );
 const UNKNOWN_PORTNUM = -1;
 
+// Spell out enum fields next to their numbers so clients need no tables
+function withEnumNames(portnum, payload) {
+  if (!payload || typeof payload !== 'object') return payload;
+
+  if (portnum === PortNum.NODEINFO_APP) {
+    return {
+      ...payload,
+      hwModelName: enumName(HardwareModel, payload.hwModel, 'HW'),
+      roleName: enumName(Role, payload.role, 'ROLE'),
+    };
+  }
+
+  if (portnum === PortNum.MAP_REPORT_APP) {
+    return {
+      ...payload,
+      hwModelName: enumName(HardwareModel, payload.hwModel, 'HW'),
+      roleName: enumName(Role, payload.role, 'ROLE'),
+      regionName: enumName(RegionCode, payload.region, 'REGION'),
+      modemPresetName: enumName(ModemPreset, payload.modemPreset, 'PRESET'),
+    };
+  }
+
+  return payload;
+}
+
+// RANGE_TEST_APP senders transmit plain "seq <n>" text
+function decodeRangeTest(payload) {
+  const text = payload.toString('utf-8');
+  const match = /^seq (\d+)$/.exec(text.trim());
+  return { text, seq: match ? Number(match[1]) : null };
+}
+
+// DETECTION_SENSOR_APP carries the sensor's configured alert text as-is
+function decodeDetectionSensor(payload) {
+  return { text: payload.toString('utf-8') };
+}
+
 const PORT_PAYLOAD_DECODERS = {
   [PortNum.POSITION_APP]: decodePosition,
   [PortNum.NODEINFO_APP]: decodeUser,
@@ -29,6 +72,11 @@ const PORT_PAYLOAD_DECODERS = {
   [PortNum.NEIGHBORINFO_APP]: decodeNeighborInfo,
   [PortNum.TRACEROUTE_APP]: decodeTraceroute,
   [PortNum.MAP_REPORT_APP]: decodeMapReport,
+  [PortNum.WAYPOINT_APP]: decodeWaypoint,
+  [PortNum.RANGE_TEST_APP]: decodeRangeTest,
+  [PortNum.STORE_FORWARD_APP]: decodeStoreAndForward,
+  [PortNum.DETECTION_SENSOR_APP]: decodeDetectionSensor,
+  [PortNum.PAXCOUNTER_APP]: decodePaxcount,
 };
 const JSON_TYPE_TO_PORTNUM = {
   text: PortNum.TEXT_MESSAGE_APP,
@@ -40,6 +88,8 @@ const JSON_TYPE_TO_PORTNUM = {
   traceroute: PortNum.TRACEROUTE_APP,
   detection_sensor: PortNum.DETECTION_SENSOR_APP,
   detectionsensor: PortNum.DETECTION_SENSOR_APP,
+  detection: PortNum.DETECTION_SENSOR_APP, // Firmware JSON serializer name
+  paxcounter: PortNum.PAXCOUNTER_APP,
   remotehw: PortNum.REMOTE_HARDWARE_APP,
   remote_hardware: PortNum.REMOTE_HARDWARE_APP,
   mapreport: PortNum.MAP_REPORT_APP,
@@ -60,6 +110,49 @@ export function rememberChannelKey(channelName, keyBase64) {
   runtimeChannelKeys[channel] = key;
 }
 
+// PKI key material for direct messages, keyed by node number.
+// Private keys are registered by browsers for their catalog nodes; public keys
+// are learned from NodeInfo broadcasts and MeshPacket.public_key.
+const runtimeNodePrivateKeys = new Map();
+const runtimeNodePublicKeys = new Map();
+
+// MQTT gateways publish PKI direct messages under this pseudo channel name
+export const PKI_CHANNEL_ID = 'PKI';
+const BROADCAST_NODE = 0xffffffff;
+
+export function rememberNodePrivateKey(nodeId, privateKeyBase64) {
+  const nodeNum = normalizeNodeId(nodeId);
+  const key = String(privateKeyBase64 || '').trim();
+  if (!nodeNum || nodeNum === BROADCAST_NODE || !key) return false;
+  try {
+    // Validates the key and lets us answer public-key lookups for our own nodes
+    runtimeNodePublicKeys.set(nodeNum, derivePkiPublicKey(key));
+  } catch (err) {
+    console.warn(`[PKI] Ignoring invalid private key for ${formatNodeId(nodeNum)}: ${err.message}`);
+    return false;
+  }
+  runtimeNodePrivateKeys.set(nodeNum, key);
+  return true;
+}
+
+export function rememberNodePublicKey(nodeId, publicKey) {
+  const nodeNum = normalizeNodeId(nodeId);
+  const key = Buffer.isBuffer(publicKey) ? publicKey.toString('base64') : String(publicKey || '').trim();
+  if (!nodeNum || nodeNum === BROADCAST_NODE || !key) return;
+  // Never let a broadcast overwrite the key derived from our own private key
+  if (runtimeNodePrivateKeys.has(nodeNum)) return;
+  if (Buffer.from(key, 'base64').length !== 32) return;
+  runtimeNodePublicKeys.set(nodeNum, key);
+}
+
+export function getNodePrivateKey(nodeId) {
+  return runtimeNodePrivateKeys.get(normalizeNodeId(nodeId)) || null;
+}
+
+export function getNodePublicKey(nodeId) {
+  return runtimeNodePublicKeys.get(normalizeNodeId(nodeId)) || null;
+}
+
 function normalizeNodeId(value) {
   if (typeof value === 'string') return parseNodeId(value);
   if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
@@ -121,17 +214,45 @@ function normalizeMeshtasticJsonPayload(type, payload) {
     };
   }
 
+  if (type === 'waypoint') {
+    const latitudeI = toFiniteNumber(payload.latitude_i ?? payload.latitudeI, 0);
+    const longitudeI = toFiniteNumber(payload.longitude_i ?? payload.longitudeI, 0);
+
+    return {
+      ...payload,
+      id: toFiniteNumber(payload.id, 0),
+      latitudeI,
+      longitudeI,
+      latitude: latitudeI / 1e7,
+      longitude: longitudeI / 1e7,
+      expire: toFiniteNumber(payload.expire, 0),
+      lockedTo: toFiniteNumber(payload.locked_to ?? payload.lockedTo, 0),
+      name: payload.name ?? '',
+      description: payload.description ?? '',
+      icon: toFiniteNumber(payload.icon, 0),
+    };
+  }
+
   if (type === 'nodeinfo') {
     return {
       ...payload,
       id: payload.id ?? payload.user_id ?? payload.userId ?? '',
       longName: payload.long_name ?? payload.longname ?? payload.longName ?? '',
       shortName: payload.short_name ?? payload.shortname ?? payload.shortName ?? '',
-      hwModel: toFiniteNumber(payload.hw_model ?? payload.hwModel, 0),
+      hwModel: toFiniteNumber(payload.hw_model ?? payload.hwModel ?? payload.hardware, 0),
       role: toFiniteNumber(payload.role, 0),
     };
   }
 
+  if (type === 'paxcounter') {
+    return {
+      ...payload,
+      wifi: toFiniteNumber(payload.wifi_count ?? payload.wifi, 0),
+      ble: toFiniteNumber(payload.ble_count ?? payload.ble, 0),
+      uptime: toFiniteNumber(payload.uptime, 0),
+    };
+  }
+
   return payload;
 }
 
@@ -139,7 +260,7 @@ export function decodeMeshtasticJsonMessage(topic, jsonPayload) {
   const topicSuffix = parseTopicSuffix(topic);
   const type = resolveJsonType(jsonPayload?.type);
   const portnum = getJsonPortnum(type);
-  const payload = normalizeMeshtasticJsonPayload(type, jsonPayload?.payload ?? null);
+  const payload = withEnumNames(portnum, normalizeMeshtasticJsonPayload(type, jsonPayload?.payload ?? null));
   const fromNode = normalizeNodeId(jsonPayload?.from);
   const toNode = normalizeNodeId(jsonPayload?.to ?? 0xffffffff);
   const packetId = Number.isFinite(jsonPayload?.id) ? Number(jsonPayload.id) : 0;
@@ -170,12 +291,17 @@ export function decodeMeshtasticJsonMessage(topic, jsonPayload) {
 }
 
 export function decodePacketContent(packet, context = {}) {
+  // PKI packets carry the sender's public key; remember it for replies
+  if (packet.publicKey?.length) {
+    rememberNodePublicKey(packet.from, packet.publicKey);
+  }
+
   if (packet.encrypted?.length > 0) {
-    return decodeEncryptedPacket(packet, context);
+    return learnFromDecoded(packet, decodeEncryptedPacket(packet, context));
   }
 
   if (packet.decoded) {
-    return decodePlaintextPacket(packet);
+    return learnFromDecoded(packet, decodePlaintextPacket(packet));
   }
 
   return {
@@ -187,7 +313,50 @@ export function decodePacketContent(packet, context = {}) {
   };
 }
 
+function learnFromDecoded(packet, result) {
+  if (result.portnum === PortNum.NODEINFO_APP && result.decodedPayload?.publicKey) {
+    rememberNodePublicKey(packet.from, result.decodedPayload.publicKey);
+  }
+  return result;
+}
+
+// Returns a decode result for a PKI direct message, or null when we lack the
+// key material or the auth tag does not verify.
+function tryDecryptPki(packet) {
+  if ((packet.to >>> 0) === BROADCAST_NODE) return null;
+
+  const privateKey = getNodePrivateKey(packet.to);
+  const publicKey = packet.publicKey?.length
+    ? packet.publicKey.toString('base64')
+    : getNodePublicKey(packet.from);
+  if (!privateKey || !publicKey) return null;
+
+  try {
+    const decrypted = decryptPki(packet.encrypted, { privateKey, publicKey }, packet.id, packet.from);
+    const data = decodeData(decrypted);
+
+    console.log(
+      `[MQTT] ${formatNodeId(packet.from)} → ${formatNodeId(packet.to)} [${getPortName(data.portnum)}] (PKI)`
+    );
+
+    return buildDataResult(data, 'pki');
+  } catch {
+    return null;
+  }
+}
+
 function decodeEncryptedPacket(packet, context = {}) {
+  // PKI direct messages are flagged (or arrive on the PKI pseudo channel)
+  if (packet.pkiEncrypted || context.channelId === PKI_CHANNEL_ID) {
+    return tryDecryptPki(packet) || {
+      decodedText: null,
+      portnum: UNKNOWN_PORTNUM,
+      decryptionStatus: 'failed',
+      decodedPayload: null,
+      decodeError: getNodePrivateKey(packet.to) ? null : `PKI: no private key for ${formatNodeId(packet.to)}`,
+    };
+  }
+
   // Decryption can be channel-specific: same broker traffic may carry multiple
   // channels with different PSKs. Build candidate keys in priority order and
   // try them until protobuf Data decode succeeds.
@@ -202,52 +371,35 @@ function decodeEncryptedPacket(packet, context = {}) {
         packet.from
       );
 
-      const data = decodeData(decrypted);
-      const decodedText = data.portnum === PortNum.TEXT_MESSAGE_APP
-        ? data.payload.toString('utf-8')
-        : null;
+      const result = buildDataResult(decodeData(decrypted), 'success');
 
-      if (decodedText) {
-        console.log(`[MQTT] ${formatNodeId(packet.from)} → ${formatNodeId(packet.to)}: "${decodedText}"`);
+      if (result.decodedText) {
+        console.log(`[MQTT] ${formatNodeId(packet.from)} → ${formatNodeId(packet.to)}: "${result.decodedText}"`);
       }
 
-      const { payload: decodedPayload, decodeError } = decodePayloadByType(data.portnum, data.payload);
-
-      return {
-        decodedText,
-        portnum: data.portnum,
-        decryptionStatus: 'success',
-        decodedPayload,
-        decodeError,
-      };
+      return result;
     } catch {
       // Try next configured key candidate
     }
   }
 
+  // Unflagged direct message: the PKI auth tag rules out false positives
+  const pkiResult = tryDecryptPki(packet);
+  if (pkiResult) return pkiResult;
+
   // Fallback: some gateways publish plaintext Data in the 'encrypted' field
   // when their MQTT "Encryption Enabled" setting is OFF. Try decoding the raw
   // bytes as a Data protobuf before giving up.
   try {
     const data = decodeData(packet.encrypted);
     if (data.portnum > 0 && data.portnum <= PortNum.MAX && data.payload.length > 0) {
-      const decodedText = data.portnum === PortNum.TEXT_MESSAGE_APP
-        ? data.payload.toString('utf-8')
-        : null;
+      const result = buildDataResult(data, 'plaintext');
 
-      if (decodedText) {
-        console.log(`[MQTT] ${formatNodeId(packet.from)} → ${formatNodeId(packet.to)}: "${decodedText}" (plaintext in encrypted field)`);
+      if (result.decodedText) {
+        console.log(`[MQTT] ${formatNodeId(packet.from)} → ${formatNodeId(packet.to)}: "${result.decodedText}" (plaintext in encrypted field)`);
       }
 
-      const { payload: decodedPayload, decodeError } = decodePayloadByType(data.portnum, data.payload);
-
-      return {
-        decodedText,
-        portnum: data.portnum,
-        decryptionStatus: 'plaintext',
-        decodedPayload,
-        decodeError,
-      };
+      return result;
     }
   } catch {
     // Not valid plaintext either
@@ -319,23 +471,56 @@ function buildDecryptionAttempts(channelName, packetChannelHash) {
 }
 
 function decodePlaintextPacket(packet) {
-  const { portnum, payload } = packet.decoded;
-  const decodedText = portnum === PortNum.TEXT_MESSAGE_APP
-    ? payload.toString('utf-8')
-    : null;
-
   console.log(
-    `[MQTT] ${formatNodeId(packet.from)} → ${formatNodeId(packet.to)} [${getPortName(portnum)}] (plaintext)`
+    `[MQTT] ${formatNodeId(packet.from)} → ${formatNodeId(packet.to)} [${getPortName(packet.decoded.portnum)}] (plaintext)`
   );
 
-  const { payload: decodedPayload, decodeError } = decodePayloadByType(portnum, payload);
+  return buildDataResult(packet.decoded, 'plaintext');
+}
+
+// Compressed texts are reported as TEXT_MESSAGE_APP (as the firmware hands
+// them to clients) so the log, chat and filters treat them like any text
+function decompressText(data) {
+  try {
+    const text = unishox2Decompress(data.payload);
+    return { ...data, portnum: PortNum.TEXT_MESSAGE_APP, payload: Buffer.from(text, 'utf-8'), compressed: true };
+  } catch (err) {
+    return { ...data, decompressError: `TEXT_MESSAGE_COMPRESSED decode error: ${err.message}` };
+  }
+}
+
+function isStoreForwardReplay(portnum, payload) {
+  return portnum === PortNum.STORE_FORWARD_APP && payload?.text != null
+    && (payload.rr === StoreForwardRR.ROUTER_TEXT_DIRECT || payload.rr === StoreForwardRR.ROUTER_TEXT_BROADCAST);
+}
+
+// Shape a decoded Data message into the result every decode path returns
+function buildDataResult(data, decryptionStatus) {
+  if (data.portnum === PortNum.TEXT_MESSAGE_COMPRESSED_APP) data = decompressText(data);
+
+  const { payload: decodedPayload, decodeError } = decodePayloadByType(data.portnum, data.payload);
+
+  let decodedText = null;
+  if (data.portnum === PortNum.TEXT_MESSAGE_APP) {
+    decodedText = data.payload.toString('utf-8');
+  } else if (isStoreForwardReplay(data.portnum, decodedPayload)) {
+    // A router replaying a stored text keeps the original sender and packet id
+    decodedText = decodedPayload.text;
+  }
 
   return {
     decodedText,
-    portnum,
-    decryptionStatus: 'plaintext',
+    portnum: data.portnum,
+    compressed: !!data.compressed,
+    decryptionStatus,
     decodedPayload,
-    decodeError,
+    decodeError: data.decompressError || decodeError,
+    // Set on responses (e.g. ROUTING_APP acks) to the id of the original packet
+    requestId: data.requestId || null,
+    // Text replies point at the message they answer; with emoji set the text
+    // is a reaction (tapback) to that message rather than a message of its own
+    replyId: data.replyId || null,
+    emoji: !!data.emoji,
   };
 }
 
@@ -352,7 +537,7 @@ function decodePayloadByType(portnum, payload) {
   }
 
   try {
-    const decoded = decoder(payload);
+    const decoded = withEnumNames(portnum, decoder(payload));
     if (decoded?._decodeError) {
       return {
         payload: decoded,
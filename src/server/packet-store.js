@@ -0,0 +1,202 @@
+import { createReadStream, createWriteStream, mkdirSync, openSync, readdirSync, statSync, unlinkSync } from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+
+// Append-only packet store: one JSON message per line, split into segment
+// files named packets-<startMs>.jsonl. A segment is closed once it reaches
+// maxSegmentBytes; the oldest segments are deleted beyond maxSegments.
+
+const SEGMENT_PREFIX = 'packets-';
+const SEGMENT_SUFFIX = '.jsonl';
+const DEFAULT_QUERY_LIMIT = 5000;
+
+function segmentName(startMs) {
+  return `${SEGMENT_PREFIX}${startMs}${SEGMENT_SUFFIX}`;
+}
+
+function parseSegmentStart(fileName) {
+  if (!fileName.startsWith(SEGMENT_PREFIX) || !fileName.endsWith(SEGMENT_SUFFIX)) return null;
+  const start = Number(fileName.slice(SEGMENT_PREFIX.length, -SEGMENT_SUFFIX.length));
+  return Number.isFinite(start) ? start : null;
+}
+
+function matchesFilters(msg, { since, until, channelId, nodeId, portnum }) {
+  const ts = msg.timestamp || 0;
+  if (since && ts < since) return false;
+  if (until && ts > until) return false;
+  if (channelId && msg.channelId !== channelId) return false;
+  if (nodeId && msg.from !== nodeId && msg.to !== nodeId) return false;
+  if (portnum !== null && msg.portnum !== portnum) return false;
+  return true;
+}
+
+// Cap a single history reply; the browser can page with `until`
+const MAX_QUERY_LIMIT = 20000;
+
+// Normalize store filters from a WebSocket message or query string
+export function parseHistoryFilters({ since, until, channelId, nodeId, portnum, limit } = {}) {
+  const port = parseInt(portnum, 10);
+  return {
+    since: Number(since) || 0,
+    until: Number(until) || 0,
+    channelId: channelId || null,
+    nodeId: nodeId || null,
+    portnum: Number.isInteger(port) && port >= 0 ? port : null,
+    limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT),
+  };
+}
+
+export function createPacketStore({ dir, maxSegmentBytes, maxSegments }) {
+  mkdirSync(dir, { recursive: true });
+
+  let stream = null;
+  let streamBytes = 0;
+  // Set once writing fails (disk full, permissions); stored history stays readable
+  let disabled = false;
+
+  function disable(err) {
+    if (disabled) return;
+    disabled = true;
+    stream = null;
+    console.error(`[Store] Write failed, no longer persisting packets: ${err.message}`);
+  }
+
+  function listSegments() {
+    return readdirSync(dir)
+      .map(name => ({ name, start: parseSegmentStart(name) }))
+      .filter(seg => seg.start !== null)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  function pruneSegments() {
+    const segments = listSegments();
+    for (const seg of segments.slice(0, Math.max(0, segments.length - maxSegments))) {
+      try {
+        unlinkSync(join(dir, seg.name));
+        console.log(`[Store] Removed old segment ${seg.name}`);
+      } catch (err) {
+        console.error(`[Store] Failed to remove ${seg.name}:`, err.message);
+      }
+    }
+  }
+
+  // Open synchronously so the file is visible to listSegments() immediately
+  function openAppendStream(fileName) {
+    const appendStream = createWriteStream(null, { fd: openSync(join(dir, fileName), 'a') });
+    appendStream.on('error', disable);
+    return appendStream;
+  }
+
+  function openSegment(startMs, { resume }) {
+    const segments = listSegments();
+    const latest = segments[segments.length - 1];
+    // Keep appending to the newest segment across restarts until it is full
+    if (resume && latest) {
+      const size = statSync(join(dir, latest.name)).size;
+      if (size < maxSegmentBytes) {
+        stream = openAppendStream(latest.name);
+        streamBytes = size;
+        return;
+      }
+    }
+
+    // Segment names must stay unique and ordered even within one millisecond
+    const start = Math.max(startMs, (latest?.start ?? 0) + 1);
+    stream = openAppendStream(segmentName(start));
+    streamBytes = 0;
+    pruneSegments();
+  }
+
+  function append(msg) {
+    if (disabled) return;
+
+    const timestamp = msg.timestamp || Date.now();
+    const line = `${JSON.stringify({ ...msg, timestamp })}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    try {
+      if (!stream) {
+        openSegment(timestamp, { resume: true });
+      } else if (streamBytes + bytes > maxSegmentBytes && streamBytes > 0) {
+        stream.end();
+        openSegment(timestamp, { resume: false });
+      }
+    } catch (err) {
+      disable(err);
+      return;
+    }
+
+    stream.write(line);
+    streamBytes += bytes;
+  }
+
+  // Resolve once everything appended so far has reached the OS. Writes
+  // complete in order, so an empty write's callback marks the tail.
+  function flush() {
+    if (!stream) return Promise.resolve();
+    return new Promise(resolve => stream.write('', resolve));
+  }
+
+  function close() {
+    if (!stream) return Promise.resolve();
+    const closing = stream;
+    stream = null;
+    return new Promise(resolve => closing.end(resolve));
+  }
+
+  // Yield every stored message matching the filters, oldest first
+  async function* scan({ since = 0, until = 0, channelId = null, nodeId = null, portnum = null } = {}) {
+    await flush();
+
+    const filters = { since, until, channelId, nodeId, portnum };
+    const segments = listSegments();
+
+    for (let i = 0; i < segments.length; i++) {
+      // Segment i covers [start_i, start_{i+1}); skip ones outside the range
+      const nextStart = segments[i + 1]?.start ?? Infinity;
+      if (since && nextStart < since) continue;
+      if (until && segments[i].start > until) continue;
+
+      const lines = createInterface({
+        input: createReadStream(join(dir, segments[i].name), { encoding: 'utf-8' }),
+        crlfDelay: Infinity,
+      });
+
+      for await (const line of lines) {
+        if (!line) continue;
+        let msg;
+        try {
+          msg = JSON.parse(line);
+        } catch {
+          continue; // Partial line from an interrupted write
+        }
+        if (matchesFilters(msg, filters)) yield msg;
+      }
+    }
+  }
+
+  // Return up to `limit` matching messages, oldest first. When more match,
+  // the newest ones win and `truncated` is set.
+  async function query({ limit = DEFAULT_QUERY_LIMIT, ...filters } = {}) {
+    const messages = [];
+    let truncated = false;
+
+    for await (const msg of scan(filters)) {
+      messages.push(msg);
+      // Trim in batches to keep memory bounded without shifting per line
+      if (messages.length >= limit * 2) {
+        messages.splice(0, messages.length - limit);
+        truncated = true;
+      }
+    }
+
+    if (messages.length > limit) {
+      messages.splice(0, messages.length - limit);
+      truncated = true;
+    }
+
+    return { messages, truncated };
+  }
+
+  return { append, scan, query, flush, close };
+}
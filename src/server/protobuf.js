@@ -1,7 +1,10 @@
 // Minimal protobuf encoder/decoder for Meshtastic messages
 // Based on https://github.com/meshtastic/protobufs
 
+import { RoutingError, enumName } from '../shared/meshtastic-enums.js';
+
 export { formatNodeId, parseNodeId } from '../shared/node-id.js';
+export { PortNum, Priority, RegionCode, ModemPreset } from '../shared/meshtastic-enums.js';
 
 // Wire types
 const VARINT = 0;
@@ -9,36 +12,6 @@ const FIXED64 = 1;
 const LENGTH_DELIMITED = 2;
 const FIXED32 = 5;
 
-// PortNum enum (from portnums.proto)
-export const PortNum = {
-  UNKNOWN_APP: 0,
-  TEXT_MESSAGE_APP: 1,
-  REMOTE_HARDWARE_APP: 2,
-  POSITION_APP: 3,
-  NODEINFO_APP: 4,
-  ROUTING_APP: 5,
-  ADMIN_APP: 6,
-  TEXT_MESSAGE_COMPRESSED_APP: 7,
-  WAYPOINT_APP: 8,
-  AUDIO_APP: 9,
-  DETECTION_SENSOR_APP: 10,
-  REPLY_APP: 32,
-  IP_TUNNEL_APP: 33,
-  SERIAL_APP: 64,
-  STORE_FORWARD_APP: 65,
-  RANGE_TEST_APP: 66,
-  TELEMETRY_APP: 67,
-  ZPS_APP: 68,
-  SIMULATOR_APP: 69,
-  TRACEROUTE_APP: 70,
-  NEIGHBORINFO_APP: 71,
-  ATAK_PLUGIN: 72,
-  MAP_REPORT_APP: 73,
-  PRIVATE_APP: 256,
-  ATAK_FORWARDER: 257,
-  MAX: 511,
-};
-
 // --- Encoding helpers ---
 
 function encodeVarint(value) {
@@ -62,6 +35,26 @@ function encodeFixed32(value) {
   return buf;
 }
 
+function encodeSFixed32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeInt32LE(value | 0, 0);
+  return buf;
+}
+
+// int32 fields are sign-extended to 64 bits on the wire (10-byte varint for negatives)
+function encodeInt32Varint(value) {
+  const v = value | 0;
+  if (v >= 0) return encodeVarint(v);
+  const bytes = [];
+  let big = BigInt.asUintN(64, BigInt(v));
+  while (big > 0x7fn) {
+    bytes.push(Number((big & 0x7fn) | 0x80n));
+    big >>= 7n;
+  }
+  bytes.push(Number(big));
+  return Buffer.from(bytes);
+}
+
 function encodeString(str) {
   const bytes = Buffer.from(str, 'utf-8');
   return Buffer.concat([encodeVarint(bytes.length), bytes]);
@@ -85,7 +78,8 @@ class ProtoReader {
     let shift = 0;
     while (this.pos < this.buffer.length) {
       const byte = this.buffer[this.pos++];
-      result |= (byte & 0x7f) << shift;
+      // Bits past 32 only carry sign extension for int32 fields; ignore them
+      if (shift < 32) result |= (byte & 0x7f) << shift;
       if ((byte & 0x80) === 0) break;
       shift += 7;
       if (shift > 63) throw new Error('Varint too long');
@@ -198,7 +192,7 @@ function propagateChildDecodeError(result, fieldNumber, childResult, label) {
 //   fixed32 emoji = 8;
 // }
 
-export function encodeData({ portnum, payload, wantResponse = false, bitfield = 0 }) {
+export function encodeData({ portnum, payload, wantResponse = false, dest = 0, requestId = 0, replyId = 0, emoji = 0, bitfield = 0 }) {
   const parts = [];
 
   // Field 1: portnum (varint)
@@ -215,6 +209,30 @@ export function encodeData({ portnum, payload, wantResponse = false, bitfield =
     parts.push(encodeVarint(1));
   }
 
+  // Field 4: dest (fixed32) - final recipient when the packet is relayed on its behalf
+  if (dest) {
+    parts.push(encodeTag(4, FIXED32));
+    parts.push(encodeFixed32(dest));
+  }
+
+  // Field 6: request_id (fixed32) - id of the packet this one answers
+  if (requestId) {
+    parts.push(encodeTag(6, FIXED32));
+    parts.push(encodeFixed32(requestId));
+  }
+
+  // Field 7: reply_id (fixed32) - id of the text message this one replies to
+  if (replyId) {
+    parts.push(encodeTag(7, FIXED32));
+    parts.push(encodeFixed32(replyId));
+  }
+
+  // Field 8: emoji (fixed32) - nonzero marks the payload as a reaction to reply_id
+  if (emoji) {
+    parts.push(encodeTag(8, FIXED32));
+    parts.push(encodeFixed32(emoji));
+  }
+
   // Field 9: bitfield (varint) - indicates message capabilities
   if (bitfield) {
     parts.push(encodeTag(9, VARINT));
@@ -226,7 +244,7 @@ export function encodeData({ portnum, payload, wantResponse = false, bitfield =
 
 export function decodeData(buffer) {
   const reader = new ProtoReader(buffer);
-  const result = { portnum: 0, payload: Buffer.alloc(0), wantResponse: false };
+  const result = { portnum: 0, payload: Buffer.alloc(0), wantResponse: false, dest: 0, requestId: 0, replyId: 0, emoji: 0 };
 
   while (reader.hasMore()) {
     const tag = reader.readVarint();
@@ -244,11 +262,19 @@ export function decodeData(buffer) {
       case 3: // want_response (bool)
         result.wantResponse = reader.readVarint() !== 0;
         break;
-      case 4: // dest (fixed32)
-      case 5: // source (fixed32)
       case 6: // request_id (fixed32)
+        result.requestId = reader.readFixed32();
+        break;
       case 7: // reply_id (fixed32)
+        result.replyId = reader.readFixed32();
+        break;
       case 8: // emoji (fixed32)
+        result.emoji = reader.readFixed32();
+        break;
+      case 4: // dest (fixed32)
+        result.dest = reader.readFixed32();
+        break;
+      case 5: // source (fixed32)
         reader.readFixed32();
         break;
       default:
@@ -285,7 +311,10 @@ export function encodeMeshPacket({
   hopLimit = 3,
   hopStart = 0,
   wantAck = false,
+  priority = 0,
   viaMqtt = false,
+  publicKey = null,
+  pkiEncrypted = false,
   encrypted,
   decoded,
 }) {
@@ -333,6 +362,12 @@ export function encodeMeshPacket({
     parts.push(encodeVarint(1));
   }
 
+  // Field 11: priority (varint enum)
+  if (priority) {
+    parts.push(encodeTag(11, VARINT));
+    parts.push(encodeVarint(priority));
+  }
+
   // Field 14: via_mqtt (bool) - indicates message came from MQTT gateway
   if (viaMqtt) {
     parts.push(encodeTag(14, VARINT));
@@ -345,6 +380,18 @@ export function encodeMeshPacket({
     parts.push(encodeVarint(hopStart));
   }
 
+  // Field 16: public_key (bytes) - sender's Curve25519 key on PKI packets
+  if (publicKey?.length) {
+    parts.push(encodeTag(16, LENGTH_DELIMITED));
+    parts.push(encodeBytes(publicKey));
+  }
+
+  // Field 17: pki_encrypted (bool)
+  if (pkiEncrypted) {
+    parts.push(encodeTag(17, VARINT));
+    parts.push(encodeVarint(1));
+  }
+
   return Buffer.concat(parts);
 }
 
@@ -361,10 +408,13 @@ export function decodeMeshPacket(buffer, options = {}) {
     rxRssi: null,
     hopLimit: 0,
     wantAck: false,
+    priority: 0,
     encrypted: null,
     decoded: null,
     viaMqtt: false,
     hopStart: 0,
+    publicKey: null,
+    pkiEncrypted: false,
   };
 
   while (reader.hasMore()) {
@@ -408,7 +458,7 @@ export function decodeMeshPacket(buffer, options = {}) {
           result.wantAck = reader.readVarint() !== 0;
           break;
         case 11: // priority (varint)
-          reader.readVarint();
+          result.priority = reader.readVarint();
           break;
         case 12: { // rx_rssi (varint, signed)
           result.rxRssi = reader.readInt32Varint();
@@ -425,10 +475,10 @@ export function decodeMeshPacket(buffer, options = {}) {
           break;
         case 16: // public_key (bytes)
           const pkLen = reader.readVarint();
-          reader.readBytes(pkLen);
+          result.publicKey = reader.readBytes(pkLen);
           break;
         case 17: // pki_encrypted (bool)
-          reader.readVarint();
+          result.pkiEncrypted = reader.readVarint() !== 0;
           break;
         case 18: // next_hop (varint)
         case 19: // relay_node (varint)
@@ -556,9 +606,59 @@ export function decodeServiceEnvelope(buffer, options = {}) {
 //   sfixed32 longitude_i = 2;  // degrees * 1e7
 //   int32 altitude = 3;        // meters
 //   fixed32 time = 4;          // seconds since 1970
+//   LocSource location_source = 5;
 //   ...
+//   uint32 ground_speed = 15;
+//   uint32 ground_track = 16;
+//   uint32 sats_in_view = 19;
+//   uint32 precision_bits = 23;
 // }
 
+export function encodePosition({
+  latitudeI,
+  longitudeI,
+  altitude = 0,
+  time = 0,
+  locationSource = 0,
+  precisionBits = 0,
+}) {
+  const parts = [];
+
+  // Field 1: latitude_i (sfixed32)
+  parts.push(encodeTag(1, FIXED32));
+  parts.push(encodeSFixed32(latitudeI));
+
+  // Field 2: longitude_i (sfixed32)
+  parts.push(encodeTag(2, FIXED32));
+  parts.push(encodeSFixed32(longitudeI));
+
+  // Field 3: altitude (int32)
+  if (altitude) {
+    parts.push(encodeTag(3, VARINT));
+    parts.push(encodeInt32Varint(altitude));
+  }
+
+  // Field 4: time (fixed32)
+  if (time) {
+    parts.push(encodeTag(4, FIXED32));
+    parts.push(encodeFixed32(time));
+  }
+
+  // Field 5: location_source (enum, 1 = LOC_MANUAL)
+  if (locationSource) {
+    parts.push(encodeTag(5, VARINT));
+    parts.push(encodeVarint(locationSource));
+  }
+
+  // Field 23: precision_bits (uint32)
+  if (precisionBits) {
+    parts.push(encodeTag(23, VARINT));
+    parts.push(encodeVarint(precisionBits));
+  }
+
+  return Buffer.concat(parts);
+}
+
 export function decodePosition(buffer) {
   const reader = new ProtoReader(buffer);
   const result = {
@@ -566,6 +666,7 @@ export function decodePosition(buffer) {
     longitudeI: 0,
     altitude: 0,
     time: 0,
+    locationSource: 0,
     satsInView: 0,
     groundSpeed: 0,
     groundTrack: 0,
@@ -593,16 +694,19 @@ export function decodePosition(buffer) {
         case 4: // time (fixed32)
           result.time = reader.readFixed32();
           break;
-        case 8: // sats_in_view
-          result.satsInView = reader.readVarint();
+        case 5: // location_source (enum)
+          result.locationSource = reader.readVarint();
           break;
-        case 10: // ground_speed
+        case 15: // ground_speed
           result.groundSpeed = reader.readVarint();
           break;
-        case 11: // ground_track
+        case 16: // ground_track
           result.groundTrack = reader.readVarint();
           break;
-        case 12: // precision_bits
+        case 19: // sats_in_view
+          result.satsInView = reader.readVarint();
+          break;
+        case 23: // precision_bits
           result.precisionBits = reader.readVarint();
           break;
         default:
@@ -628,9 +732,52 @@ export function decodePosition(buffer) {
 //   string short_name = 3;
 //   bytes macaddr = 4;
 //   HardwareModel hw_model = 5;
+//   bool is_licensed = 6;
+//   Config.DeviceConfig.Role role = 7;
+//   bytes public_key = 8;
 //   ...
 // }
 
+export function encodeUser({ id, longName = '', shortName = '', hwModel = 0, role = 0, publicKey = null }) {
+  const parts = [];
+
+  // Field 1: id (string, "!xxxxxxxx")
+  parts.push(encodeTag(1, LENGTH_DELIMITED));
+  parts.push(encodeString(id));
+
+  // Field 2: long_name (string)
+  if (longName) {
+    parts.push(encodeTag(2, LENGTH_DELIMITED));
+    parts.push(encodeString(longName));
+  }
+
+  // Field 3: short_name (string)
+  if (shortName) {
+    parts.push(encodeTag(3, LENGTH_DELIMITED));
+    parts.push(encodeString(shortName));
+  }
+
+  // Field 5: hw_model (enum)
+  if (hwModel) {
+    parts.push(encodeTag(5, VARINT));
+    parts.push(encodeVarint(hwModel));
+  }
+
+  // Field 7: role (enum)
+  if (role) {
+    parts.push(encodeTag(7, VARINT));
+    parts.push(encodeVarint(role));
+  }
+
+  // Field 8: public_key (bytes, base64 string accepted)
+  if (publicKey?.length) {
+    parts.push(encodeTag(8, LENGTH_DELIMITED));
+    parts.push(encodeBytes(typeof publicKey === 'string' ? Buffer.from(publicKey, 'base64') : publicKey));
+  }
+
+  return Buffer.concat(parts);
+}
+
 export function decodeUser(buffer) {
   const reader = new ProtoReader(buffer);
   const result = {
@@ -639,6 +786,7 @@ export function decodeUser(buffer) {
     shortName: '',
     hwModel: 0,
     role: 0,
+    publicKey: '',
   };
 
   while (reader.hasMore()) {
@@ -666,6 +814,10 @@ export function decodeUser(buffer) {
         case 7: // role
           result.role = reader.readVarint();
           break;
+        case 8: // public_key (bytes, exposed as base64 for JSON transport)
+          const pubLen = reader.readVarint();
+          result.publicKey = reader.readBytes(pubLen).toString('base64');
+          break;
         default:
           reader.skipField(wireType);
       }
@@ -678,21 +830,86 @@ export function decodeUser(buffer) {
   return result;
 }
 
-// --- Telemetry message (from TELEMETRY_APP) ---
-// message Telemetry {
-//   fixed32 time = 1;
-//   oneof variant {
-//     DeviceMetrics device_metrics = 2;
-//     EnvironmentMetrics environment_metrics = 3;
-//   }
+// --- Waypoint message (from WAYPOINT_APP) ---
+// message Waypoint {
+//   uint32 id = 1;
+//   optional sfixed32 latitude_i = 2;
+//   optional sfixed32 longitude_i = 3;
+//   uint32 expire = 4;     // seconds since 1970, 0 = never; past = deleted
+//   uint32 locked_to = 5;  // node allowed to edit it, 0 = anyone
+//   string name = 6;
+//   string description = 7;
+//   fixed32 icon = 8;      // unicode codepoint of an emoji
 // }
 
-export function decodeTelemetry(buffer) {
+export function encodeWaypoint({
+  id,
+  latitudeI,
+  longitudeI,
+  expire = 0,
+  lockedTo = 0,
+  name = '',
+  description = '',
+  icon = 0,
+}) {
+  const parts = [];
+
+  // Field 1: id (uint32)
+  parts.push(encodeTag(1, VARINT));
+  parts.push(encodeVarint(id));
+
+  // Field 2: latitude_i (sfixed32)
+  parts.push(encodeTag(2, FIXED32));
+  parts.push(encodeSFixed32(latitudeI));
+
+  // Field 3: longitude_i (sfixed32)
+  parts.push(encodeTag(3, FIXED32));
+  parts.push(encodeSFixed32(longitudeI));
+
+  // Field 4: expire (uint32)
+  if (expire) {
+    parts.push(encodeTag(4, VARINT));
+    parts.push(encodeVarint(expire));
+  }
+
+  // Field 5: locked_to (uint32)
+  if (lockedTo) {
+    parts.push(encodeTag(5, VARINT));
+    parts.push(encodeVarint(lockedTo));
+  }
+
+  // Field 6: name (string)
+  if (name) {
+    parts.push(encodeTag(6, LENGTH_DELIMITED));
+    parts.push(encodeString(name));
+  }
+
+  // Field 7: description (string)
+  if (description) {
+    parts.push(encodeTag(7, LENGTH_DELIMITED));
+    parts.push(encodeString(description));
+  }
+
+  // Field 8: icon (fixed32)
+  if (icon) {
+    parts.push(encodeTag(8, FIXED32));
+    parts.push(encodeFixed32(icon));
+  }
+
+  return Buffer.concat(parts);
+}
+
+export function decodeWaypoint(buffer) {
   const reader = new ProtoReader(buffer);
   const result = {
-    time: 0,
-    deviceMetrics: null,
-    environmentMetrics: null,
+    id: 0,
+    latitudeI: 0,
+    longitudeI: 0,
+    expire: 0,
+    lockedTo: 0,
+    name: '',
+    description: '',
+    icon: 0,
   };
 
   while (reader.hasMore()) {
@@ -702,18 +919,33 @@ export function decodeTelemetry(buffer) {
 
     try {
       switch (fieldNumber) {
-        case 1: // time
-          result.time = reader.readFixed32();
+        case 1: // id
+          result.id = reader.readVarint();
           break;
-        case 2: // device_metrics
-          const dmLen = reader.readVarint();
-          result.deviceMetrics = decodeDeviceMetrics(reader.readBytes(dmLen));
-          propagateChildDecodeError(result, fieldNumber, result.deviceMetrics, 'device_metrics');
+        case 2: // latitude_i (sfixed32)
+          result.latitudeI = reader.buffer.readInt32LE(reader.pos);
+          reader.pos += 4;
           break;
-        case 3: // environment_metrics
-          const emLen = reader.readVarint();
-          result.environmentMetrics = decodeEnvironmentMetrics(reader.readBytes(emLen));
-          propagateChildDecodeError(result, fieldNumber, result.environmentMetrics, 'environment_metrics');
+        case 3: // longitude_i (sfixed32)
+          result.longitudeI = reader.buffer.readInt32LE(reader.pos);
+          reader.pos += 4;
+          break;
+        case 4: // expire
+          result.expire = reader.readVarint();
+          break;
+        case 5: // locked_to
+          result.lockedTo = reader.readVarint();
+          break;
+        case 6: // name
+          const nameLen = reader.readVarint();
+          result.name = reader.readString(nameLen);
+          break;
+        case 7: // description
+          const descLen = reader.readVarint();
+          result.description = reader.readString(descLen);
+          break;
+        case 8: // icon (fixed32)
+          result.icon = reader.readFixed32();
           break;
         default:
           reader.skipField(wireType);
@@ -724,46 +956,167 @@ export function decodeTelemetry(buffer) {
     }
   }
 
+  // Convert to decimal degrees
+  result.latitude = result.latitudeI / 1e7;
+  result.longitude = result.longitudeI / 1e7;
+
   return result;
 }
 
-function decodeDeviceMetrics(buffer) {
+// --- Telemetry message (from TELEMETRY_APP) ---
+// message Telemetry {
+//   fixed32 time = 1;
+//   oneof variant {
+//     DeviceMetrics device_metrics = 2;
+//     EnvironmentMetrics environment_metrics = 3;
+//     AirQualityMetrics air_quality_metrics = 4;
+//     PowerMetrics power_metrics = 5;
+//     LocalStats local_stats = 6;
+//     HealthMetrics health_metrics = 7;
+//     HostMetrics host_metrics = 8;
+//   }
+// }
+//
+// Every variant is a flat message of (mostly optional) scalars, so each is
+// described as fieldNumber -> [name, type] and decoded by decodeMetrics.
+// Only fields present on the wire are reported: a missing sensor reading
+// stays undefined instead of showing up as 0.
+
+const DEVICE_METRICS_FIELDS = {
+  1: ['batteryLevel', 'uint32'],
+  2: ['voltage', 'float'],
+  3: ['channelUtilization', 'float'],
+  4: ['airUtilTx', 'float'],
+  5: ['uptimeSeconds', 'uint32'],
+};
+
+const ENVIRONMENT_METRICS_FIELDS = {
+  1: ['temperature', 'float'],
+  2: ['relativeHumidity', 'float'],
+  3: ['barometricPressure', 'float'],
+  4: ['gasResistance', 'float'],
+  5: ['voltage', 'float'],
+  6: ['current', 'float'],
+  7: ['iaq', 'uint32'],
+  8: ['distance', 'float'],
+  9: ['lux', 'float'],
+  10: ['whiteLux', 'float'],
+  11: ['irLux', 'float'],
+  12: ['uvLux', 'float'],
+  13: ['windDirection', 'uint32'],
+  14: ['windSpeed', 'float'],
+  15: ['weight', 'float'],
+  16: ['windGust', 'float'],
+  17: ['windLull', 'float'],
+  18: ['radiation', 'float'],
+  19: ['rainfall1h', 'float'],
+  20: ['rainfall24h', 'float'],
+  21: ['soilMoisture', 'uint32'],
+  22: ['soilTemperature', 'float'],
+};
+
+const AIR_QUALITY_METRICS_FIELDS = {
+  1: ['pm10Standard', 'uint32'],
+  2: ['pm25Standard', 'uint32'],
+  3: ['pm100Standard', 'uint32'],
+  4: ['pm10Environmental', 'uint32'],
+  5: ['pm25Environmental', 'uint32'],
+  6: ['pm100Environmental', 'uint32'],
+  7: ['particles03um', 'uint32'],
+  8: ['particles05um', 'uint32'],
+  9: ['particles10um', 'uint32'],
+  10: ['particles25um', 'uint32'],
+  11: ['particles50um', 'uint32'],
+  12: ['particles100um', 'uint32'],
+  13: ['co2', 'uint32'],
+  14: ['co2Temperature', 'float'],
+  15: ['co2Humidity', 'float'],
+};
+
+// INA monitors report voltage/current pairs: channel n uses fields 2n-1 and 2n
+const POWER_METRICS_FIELDS = {};
+for (let ch = 1; ch <= 8; ch++) {
+  POWER_METRICS_FIELDS[2 * ch - 1] = [`ch${ch}Voltage`, 'float'];
+  POWER_METRICS_FIELDS[2 * ch] = [`ch${ch}Current`, 'float'];
+}
+
+// Mesh statistics a node sends about itself (plain proto3, but firmware
+// always fills them in)
+const LOCAL_STATS_FIELDS = {
+  1: ['uptimeSeconds', 'uint32'],
+  2: ['channelUtilization', 'float'],
+  3: ['airUtilTx', 'float'],
+  4: ['numPacketsTx', 'uint32'],
+  5: ['numPacketsRx', 'uint32'],
+  6: ['numPacketsRxBad', 'uint32'],
+  7: ['numOnlineNodes', 'uint32'],
+  8: ['numTotalNodes', 'uint32'],
+  9: ['numRxDupe', 'uint32'],
+  10: ['numTxRelay', 'uint32'],
+  11: ['numTxRelayCanceled', 'uint32'],
+  12: ['heapTotalBytes', 'uint32'],
+  13: ['heapFreeBytes', 'uint32'],
+  14: ['numTxDropped', 'uint32'],
+};
+
+const HEALTH_METRICS_FIELDS = {
+  1: ['heartBpm', 'uint32'],
+  2: ['spO2', 'uint32'],
+  3: ['temperature', 'float'],
+};
+
+// Linux-native (meshtasticd) host statistics
+const HOST_METRICS_FIELDS = {
+  1: ['uptimeSeconds', 'uint32'],
+  2: ['freememBytes', 'uint64'],
+  3: ['diskfree1Bytes', 'uint64'],
+  4: ['diskfree2Bytes', 'uint64'],
+  5: ['diskfree3Bytes', 'uint64'],
+  6: ['load1', 'uint32'],
+  7: ['load5', 'uint32'],
+  8: ['load15', 'uint32'],
+  9: ['userString', 'string'],
+};
+
+const TELEMETRY_VARIANTS = {
+  2: ['deviceMetrics', 'device_metrics', DEVICE_METRICS_FIELDS],
+  3: ['environmentMetrics', 'environment_metrics', ENVIRONMENT_METRICS_FIELDS],
+  4: ['airQualityMetrics', 'air_quality_metrics', AIR_QUALITY_METRICS_FIELDS],
+  5: ['powerMetrics', 'power_metrics', POWER_METRICS_FIELDS],
+  6: ['localStats', 'local_stats', LOCAL_STATS_FIELDS],
+  7: ['healthMetrics', 'health_metrics', HEALTH_METRICS_FIELDS],
+  8: ['hostMetrics', 'host_metrics', HOST_METRICS_FIELDS],
+};
+
+const METRIC_WIRE_TYPES = {
+  float: FIXED32,
+  uint32: VARINT,
+  uint64: VARINT,
+  bool: VARINT,
+  string: LENGTH_DELIMITED,
+};
+
+export function decodeTelemetry(buffer) {
   const reader = new ProtoReader(buffer);
-  const result = {
-    batteryLevel: 0,
-    voltage: 0,
-    channelUtilization: 0,
-    airUtilTx: 0,
-    uptimeSeconds: 0,
-  };
+  const result = { time: 0 };
+  for (const [key] of Object.values(TELEMETRY_VARIANTS)) result[key] = null;
 
   while (reader.hasMore()) {
     const tag = reader.readVarint();
     const fieldNumber = tag >>> 3;
     const wireType = tag & 0x7;
+    const variant = TELEMETRY_VARIANTS[fieldNumber];
 
     try {
-      switch (fieldNumber) {
-        case 1: // battery_level
-          result.batteryLevel = reader.readVarint();
-          break;
-        case 2: // voltage (float)
-          result.voltage = reader.buffer.readFloatLE(reader.pos);
-          reader.pos += 4;
-          break;
-        case 3: // channel_utilization (float)
-          result.channelUtilization = reader.buffer.readFloatLE(reader.pos);
-          reader.pos += 4;
-          break;
-        case 4: // air_util_tx (float)
-          result.airUtilTx = reader.buffer.readFloatLE(reader.pos);
-          reader.pos += 4;
-          break;
-        case 5: // uptime_seconds
-          result.uptimeSeconds = reader.readVarint();
-          break;
-        default:
-          reader.skipField(wireType);
+      if (fieldNumber === 1) { // time
+        result.time = reader.readFixed32();
+      } else if (variant && wireType === LENGTH_DELIMITED) {
+        const [key, label, fields] = variant;
+        const len = reader.readVarint();
+        result[key] = decodeMetrics(reader.readBytes(len), fields);
+        propagateChildDecodeError(result, fieldNumber, result[key], label);
+      } else {
+        reader.skipField(wireType);
       }
     } catch (e) {
       recordDecodeError(result, fieldNumber, e);
@@ -774,40 +1127,38 @@ function decodeDeviceMetrics(buffer) {
   return result;
 }
 
-function decodeEnvironmentMetrics(buffer) {
+function decodeMetrics(buffer, fields) {
   const reader = new ProtoReader(buffer);
-  const result = {
-    temperature: 0,
-    relativeHumidity: 0,
-    barometricPressure: 0,
-    gasResistance: 0,
-  };
+  const result = {};
 
   while (reader.hasMore()) {
     const tag = reader.readVarint();
     const fieldNumber = tag >>> 3;
     const wireType = tag & 0x7;
+    const [name, type] = fields[fieldNumber] || [];
 
     try {
-      switch (fieldNumber) {
-        case 1: // temperature (float)
-          result.temperature = reader.buffer.readFloatLE(reader.pos);
-          reader.pos += 4;
+      if (!name || METRIC_WIRE_TYPES[type] !== wireType) {
+        reader.skipField(wireType);
+        continue;
+      }
+      switch (type) {
+        case 'float':
+          result[name] = reader.readBytes(4).readFloatLE(0);
           break;
-        case 2: // relative_humidity (float)
-          result.relativeHumidity = reader.buffer.readFloatLE(reader.pos);
-          reader.pos += 4;
+        case 'uint32':
+          result[name] = reader.readVarint();
           break;
-        case 3: // barometric_pressure (float)
-          result.barometricPressure = reader.buffer.readFloatLE(reader.pos);
-          reader.pos += 4;
+        case 'uint64':
+          // Byte counts; Number keeps them JSON-serialisable
+          result[name] = Number(reader.readVarint64());
           break;
-        case 4: // gas_resistance (float)
-          result.gasResistance = reader.buffer.readFloatLE(reader.pos);
-          reader.pos += 4;
+        case 'bool':
+          result[name] = reader.readVarint() !== 0;
+          break;
+        case 'string':
+          result[name] = reader.readString(reader.readVarint());
           break;
-        default:
-          reader.skipField(wireType);
       }
     } catch (e) {
       recordDecodeError(result, fieldNumber, e);
@@ -835,21 +1186,6 @@ export function decodeRouting(buffer) {
     routeReply: null,
   };
 
-  const errorNames = {
-    0: 'NONE',
-    1: 'NO_ROUTE',
-    2: 'GOT_NAK',
-    3: 'TIMEOUT',
-    4: 'NO_INTERFACE',
-    5: 'MAX_RETRANSMIT',
-    6: 'NO_CHANNEL',
-    7: 'TOO_LARGE',
-    8: 'NO_RESPONSE',
-    9: 'DUTY_CYCLE_LIMIT',
-    32: 'BAD_REQUEST',
-    33: 'NOT_AUTHORIZED',
-  };
-
   while (reader.hasMore()) {
     const tag = reader.readVarint();
     const fieldNumber = tag >>> 3;
@@ -869,7 +1205,7 @@ export function decodeRouting(buffer) {
           break;
         case 3: // error_reason
           result.errorReason = reader.readVarint();
-          result.errorName = errorNames[result.errorReason] || `ERROR_${result.errorReason}`;
+          result.errorName = enumName(RoutingError, result.errorReason, 'ERROR');
           break;
         default:
           reader.skipField(wireType);
@@ -1041,7 +1377,77 @@ export function decodeTraceroute(buffer) {
   return decodeRouteDiscovery(buffer);
 }
 
-// --- MapReport message (from MAP_REPORT_APP) ---
+// --- MapReport message (from MAP_REPORT_APP, published on <root>/2/map/) ---
+// message MapReport {
+//   string long_name = 1;
+//   string short_name = 2;
+//   Config.DeviceConfig.Role role = 3;
+//   HardwareModel hw_model = 4;
+//   string firmware_version = 5;
+//   Config.LoRaConfig.RegionCode region = 6;
+//   Config.LoRaConfig.ModemPreset modem_preset = 7;
+//   bool has_default_channel = 8;
+//   sfixed32 latitude_i = 9;
+//   sfixed32 longitude_i = 10;
+//   int32 altitude = 11;
+//   uint32 position_precision = 12;
+//   uint32 num_online_local_nodes = 13;
+// }
+
+export function encodeMapReport({
+  longName = '',
+  shortName = '',
+  role = 0,
+  hwModel = 0,
+  firmwareVersion = '',
+  region = 0,
+  modemPreset = 0,
+  hasDefaultChannel = false,
+  latitudeI,
+  longitudeI,
+  altitude = 0,
+  positionPrecision = 0,
+  numOnlineLocalNodes = 0,
+}) {
+  const parts = [];
+  const pushString = (field, value) => {
+    if (!value) return;
+    parts.push(encodeTag(field, LENGTH_DELIMITED));
+    parts.push(encodeString(value));
+  };
+  const pushVarint = (field, value) => {
+    if (!value) return;
+    parts.push(encodeTag(field, VARINT));
+    parts.push(encodeVarint(value));
+  };
+
+  pushString(1, longName);
+  pushString(2, shortName);
+  pushVarint(3, role);
+  pushVarint(4, hwModel);
+  pushString(5, firmwareVersion);
+  pushVarint(6, region);
+  pushVarint(7, modemPreset);
+  pushVarint(8, hasDefaultChannel ? 1 : 0);
+
+  // Fields 9/10: latitude_i / longitude_i (sfixed32)
+  parts.push(encodeTag(9, FIXED32));
+  parts.push(encodeSFixed32(latitudeI));
+  parts.push(encodeTag(10, FIXED32));
+  parts.push(encodeSFixed32(longitudeI));
+
+  // Field 11: altitude (int32)
+  if (altitude) {
+    parts.push(encodeTag(11, VARINT));
+    parts.push(encodeInt32Varint(altitude));
+  }
+
+  pushVarint(12, positionPrecision);
+  pushVarint(13, numOnlineLocalNodes);
+
+  return Buffer.concat(parts);
+}
+
 export function decodeMapReport(buffer) {
   const reader = new ProtoReader(buffer);
   const result = {
@@ -1126,3 +1532,142 @@ export function decodeMapReport(buffer) {
 
   return result;
 }
+
+// --- StoreAndForward message (from STORE_FORWARD_APP) ---
+// message StoreAndForward {
+//   RequestResponse rr = 1;
+//   oneof variant {
+//     Statistics stats = 2;
+//     History history = 3;
+//     Heartbeat heartbeat = 4;
+//     bytes text = 5;    // a stored text replayed by ROUTER_TEXT_DIRECT/_BROADCAST
+//   }
+// }
+//
+// Values below 64 are sent by routers, the rest by clients.
+
+export const StoreForwardRR = {
+  UNSET: 0,
+  ROUTER_ERROR: 1,
+  ROUTER_HEARTBEAT: 2,
+  ROUTER_PING: 3,
+  ROUTER_PONG: 4,
+  ROUTER_BUSY: 5,
+  ROUTER_HISTORY: 6,
+  ROUTER_STATS: 7,
+  ROUTER_TEXT_DIRECT: 8,
+  ROUTER_TEXT_BROADCAST: 9,
+  CLIENT_ERROR: 64,
+  CLIENT_HISTORY: 65,
+  CLIENT_STATS: 66,
+  CLIENT_PING: 67,
+  CLIENT_PONG: 68,
+  CLIENT_ABORT: 106,
+};
+
+const STORE_FORWARD_RR_NAMES = Object.fromEntries(Object.entries(StoreForwardRR).map(([name, value]) => [value, name]));
+
+const STORE_FORWARD_STATS_FIELDS = {
+  1: ['messagesTotal', 'uint32'],
+  2: ['messagesSaved', 'uint32'],
+  3: ['messagesMax', 'uint32'],
+  4: ['upTime', 'uint32'],
+  5: ['requests', 'uint32'],
+  6: ['requestsHistory', 'uint32'],
+  7: ['heartbeat', 'bool'],
+  8: ['returnMax', 'uint32'],
+  9: ['returnWindow', 'uint32'],
+};
+
+const STORE_FORWARD_HISTORY_FIELDS = {
+  1: ['historyMessages', 'uint32'],
+  2: ['window', 'uint32'], // minutes
+  3: ['lastRequest', 'uint32'],
+};
+
+const STORE_FORWARD_HEARTBEAT_FIELDS = {
+  1: ['period', 'uint32'], // seconds
+  2: ['secondary', 'uint32'],
+};
+
+const STORE_FORWARD_VARIANTS = {
+  2: ['stats', 'stats', STORE_FORWARD_STATS_FIELDS],
+  3: ['history', 'history', STORE_FORWARD_HISTORY_FIELDS],
+  4: ['heartbeat', 'heartbeat', STORE_FORWARD_HEARTBEAT_FIELDS],
+};
+
+export function encodeStoreAndForward({ rr, history = null }) {
+  const parts = [];
+
+  // Field 1: rr (enum)
+  parts.push(encodeTag(1, VARINT));
+  parts.push(encodeVarint(rr));
+
+  // Field 3: history (a CLIENT_HISTORY request carries the window in minutes)
+  if (history) {
+    const historyParts = [];
+    if (history.window) {
+      historyParts.push(encodeTag(2, VARINT));
+      historyParts.push(encodeVarint(history.window));
+    }
+    if (history.lastRequest) {
+      historyParts.push(encodeTag(3, VARINT));
+      historyParts.push(encodeVarint(history.lastRequest));
+    }
+    parts.push(encodeTag(3, LENGTH_DELIMITED));
+    parts.push(encodeBytes(Buffer.concat(historyParts)));
+  }
+
+  return Buffer.concat(parts);
+}
+
+export function decodeStoreAndForward(buffer) {
+  const reader = new ProtoReader(buffer);
+  const result = { rr: 0, rrName: 'UNSET', stats: null, history: null, heartbeat: null, text: null };
+
+  while (reader.hasMore()) {
+    const tag = reader.readVarint();
+    const fieldNumber = tag >>> 3;
+    const wireType = tag & 0x7;
+    const variant = STORE_FORWARD_VARIANTS[fieldNumber];
+
+    try {
+      if (fieldNumber === 1) { // rr
+        result.rr = reader.readVarint();
+        result.rrName = STORE_FORWARD_RR_NAMES[result.rr] || `RR_${result.rr}`;
+      } else if (variant && wireType === LENGTH_DELIMITED) {
+        const [key, label, fields] = variant;
+        const len = reader.readVarint();
+        result[key] = decodeMetrics(reader.readBytes(len), fields);
+        propagateChildDecodeError(result, fieldNumber, result[key], label);
+      } else if (fieldNumber === 5 && wireType === LENGTH_DELIMITED) { // text
+        const len = reader.readVarint();
+        result.text = reader.readString(len);
+      } else {
+        reader.skipField(wireType);
+      }
+    } catch (e) {
+      recordDecodeError(result, fieldNumber, e);
+      break;
+    }
+  }
+
+  return result;
+}
+
+// --- Paxcount message (from PAXCOUNTER_APP) ---
+// message Paxcount {
+//   uint32 wifi = 1;   // devices seen over WiFi
+//   uint32 ble = 2;    // devices seen over BLE
+//   uint32 uptime = 3; // seconds
+// }
+
+const PAXCOUNT_FIELDS = {
+  1: ['wifi', 'uint32'],
+  2: ['ble', 'uint32'],
+  3: ['uptime', 'uint32'],
+};
+
+export function decodePaxcount(buffer) {
+  return { wifi: 0, ble: 0, uptime: 0, ...decodeMetrics(buffer, PAXCOUNT_FIELDS) };
+}
@@ -0,0 +1,466 @@
+// Unishox2 — the short-string compression Meshtastic firmware uses for
+// TEXT_MESSAGE_COMPRESSED_APP, with the firmware's default preset
+// (unishox2_compress_simple / unishox2_decompress_simple).
+// Based on https://github.com/siara-cc/Unishox2 (Apache-2.0)
+//
+// A stream starts with one magic bit, then variable-length codes: a
+// "horizontal" code picks a character set (alpha, symbols, numbers,
+// dictionary back-reference, unicode delta) and a "vertical" code picks the
+// character within it. Decoding follows the reference decoder completely;
+// encoding covers the plain-character subset (no dictionary, template or
+// hex runs), which every decoder accepts.
+
+const ALPHA = 0;
+const SYM = 1;
+const NUM = 2;
+const DICT = 3;
+const DELTA = 4;
+
+// Returned by the readers when the input runs out mid-code
+const END = -1;
+
+const MAGIC_BIT_LEN = 1;
+const NICE_LEN = 5;
+// Text payloads are tiny; stop runaway repeat counts in corrupt input
+const MAX_OUTPUT_BYTES = 4096;
+
+// Codes are left-aligned in a byte with their length alongside
+const HCODES = [0x00, 0x40, 0x80, 0xc0, 0xe0];
+const HCODE_LENS = [2, 2, 2, 3, 3];
+const VCODES = [
+  0x00, 0x40, 0x60, 0x80, 0x90, 0xa0, 0xb0,
+  0xc0, 0xd0, 0xd8, 0xe0, 0xe4, 0xe8, 0xec,
+  0xee, 0xf0, 0xf2, 0xf4, 0xf6, 0xf7, 0xf8,
+  0xf9, 0xfa, 0xfb, 0xfc, 0xfd, 0xfe, 0xff,
+];
+const VCODE_LENS = [
+  2, 3, 3, 4, 4, 4, 4,
+  4, 5, 5, 6, 6, 6, 7,
+  7, 7, 7, 7, 8, 8, 8,
+  8, 8, 8, 8, 8, 8, 8,
+];
+
+// Character sets by vertical code; '\0' entries are switch/special codes
+const SETS = [
+  '\0 etaoinsrlcdhupmbgwfyvkqjxz',
+  '"{}_<>:\n\0[]\\;\'\t@*&?!^|\r~`\0\0\0',
+  '\0,.01925-/34678() =+$%#\0\0\0\0\0',
+];
+const FREQ_SEQ = ['": "', '": ', '</', '="', '":"', '://'];
+// f: lowercase hex nibble, F: uppercase, r/t/o: 3/2/1-bit digit
+const TEMPLATES = ['tfff-of-tfTtf:rf:rf.fffZ', 'tfff-of-tf', '(fff) fff-ffff', 'tf:rf:rf'];
+
+const COUNT_BIT_LENS = [2, 4, 7, 11, 16];
+const COUNT_ADDER = [4, 20, 148, 2196, 67732];
+const COUNT_CODES = [0x01, 0x82, 0xc3, 0xe4, 0xf4]; // code in the top 5 bits, length in the low 3
+const UNI_BIT_LENS = [6, 12, 14, 16, 21];
+const UNI_ADDER = [0, 64, 4160, 20544, 86080];
+const UNI_CODES = [0x01, 0x82, 0xc3, 0xe4, 0xf5];
+
+// (set << 5) + vertical index of the special codes used below
+const LF_CODE = (SYM << 5) + 7;
+const CRLF_CODE = (SYM << 5) + 8;
+const TAB_CODE = (SYM << 5) + 14;
+const CR_CODE = (SYM << 5) + 22;
+const NUM_SPACE_VCODE = 17;
+const RPT_VCODE = 26;
+const TERM_VCODE = 27;
+
+// Printable ASCII ('!'..'~') -> (set << 5) + vertical index; letters share
+// their lowercase code and get an upper-case prefix when encoded
+const ASCII_CODES = new Map();
+SETS.forEach((set, setIdx) => {
+  for (let v = 0; v < set.length; v++) {
+    const c = set.charCodeAt(v);
+    if (c <= 32) continue;
+    ASCII_CODES.set(c, (setIdx << 5) + v);
+    if (c >= 0x61 && c <= 0x7a) ASCII_CODES.set(c - 32, (setIdx << 5) + v);
+  }
+});
+
+function prefixMask(len) {
+  return (0xff << (8 - len)) & 0xff;
+}
+
+class BitReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.len = buffer.length * 8;
+    this.pos = MAGIC_BIT_LEN;
+  }
+
+  bit() {
+    const bit = (this.buffer[this.pos >> 3] >> (7 - (this.pos & 7))) & 1;
+    this.pos++;
+    return bit;
+  }
+
+  // The next 8 bits without consuming them, padded with ones past the end
+  peek8() {
+    const shift = this.pos & 7;
+    const idx = this.pos >> 3;
+    let code = (this.buffer[idx] << shift) & 0xff;
+    code |= idx + 1 < this.buffer.length ? this.buffer[idx + 1] >> (8 - shift) : 0xff >> (8 - shift);
+    return code;
+  }
+
+  // Unsigned number from `count` bits, or END when the input runs out
+  number(count) {
+    if (this.pos + count > this.len) return END;
+    let value = 0;
+    for (let i = 0; i < count; i++) value = value * 2 + this.bit();
+    return value;
+  }
+
+  prefixCode(codes, lens) {
+    if (this.pos >= this.len) return END;
+    const code = this.peek8();
+    for (let i = 0; i < codes.length; i++) {
+      if (lens[i] > 0 && (code & prefixMask(lens[i])) === codes[i]) {
+        this.pos += lens[i];
+        return i;
+      }
+    }
+    return END;
+  }
+
+  hcode() {
+    return this.prefixCode(HCODES, HCODE_LENS);
+  }
+
+  vcode() {
+    const v = this.prefixCode(VCODES, VCODE_LENS);
+    return this.pos > this.len ? END : v;
+  }
+
+  // Count of leading one bits (consuming the closing zero), capped at `limit`
+  step(limit) {
+    let idx = 0;
+    while (this.pos < this.len) {
+      if (!this.bit()) return idx;
+      if (++idx === limit) return idx;
+    }
+    return END;
+  }
+
+  count() {
+    const idx = this.step(4);
+    if (idx === END || this.pos + COUNT_BIT_LENS[idx] > this.len) return END;
+    return this.number(COUNT_BIT_LENS[idx]) + (idx > 0 ? COUNT_ADDER[idx - 1] : 0);
+  }
+
+  // Signed code point delta, or { special } for the codes the delta state
+  // reserves for space, comma, period, newline and set switches
+  unicode() {
+    const idx = this.step(5);
+    if (idx === END) return { special: END };
+    if (idx === 5) return { special: this.step(4) };
+    const negative = this.pos < this.len ? this.bit() : 0;
+    if (this.pos + UNI_BIT_LENS[idx] > this.len) return { special: END };
+    const value = this.number(UNI_BIT_LENS[idx]) + UNI_ADDER[idx];
+    return { delta: negative ? -value : value };
+  }
+}
+
+function pushString(out, str) {
+  for (let i = 0; i < str.length; i++) out.push(str.charCodeAt(i));
+}
+
+function pushCodePoint(out, cp) {
+  out.push(...Buffer.from(String.fromCodePoint(cp), 'utf-8'));
+}
+
+function hexChar(nibble, upper) {
+  const c = nibble.toString(16);
+  return upper ? c.toUpperCase() : c;
+}
+
+// Back-reference: copy an earlier run of the output
+function decodeRepeat(reader, out) {
+  const len = reader.count();
+  const dist = reader.count();
+  if (len === END || dist === END) return false;
+  const start = out.length - (dist + NICE_LEN - 1);
+  if (start < 0) return false;
+  out.push(...out.slice(start, start + len + NICE_LEN));
+  return true;
+}
+
+// Escape after the numeric set's code 0: templates, raw bytes and hex runs
+function decodeNumberEscape(reader, out) {
+  const idx = reader.step(5);
+  if (idx === END) return false;
+
+  if (idx === 0) {
+    const template = TEMPLATES[reader.step(4)];
+    const missing = reader.count();
+    if (!template || missing === END || missing > template.length) return false;
+    for (const c of template.slice(0, template.length - missing)) {
+      const bits = { f: 4, F: 4, r: 3, t: 2, o: 1 }[c];
+      if (!bits) {
+        out.push(c.charCodeAt(0));
+        continue;
+      }
+      const nibble = reader.number(bits);
+      if (nibble === END) return false;
+      pushString(out, hexChar(nibble, c !== 'f'));
+    }
+    return true;
+  }
+
+  if (idx === 5) {
+    const count = reader.count();
+    if (count === END || count === 0) return false;
+    for (let i = 0; i < count; i++) {
+      const byte = reader.number(8);
+      if (byte === END) break;
+      out.push(byte);
+    }
+    return true;
+  }
+
+  // 1/3: hex run of a given length, 2/4: GUID (lowercase/uppercase)
+  const guid = idx === 2 || idx === 4;
+  const count = guid ? 32 : reader.count();
+  if (count === END || count === 0) return false;
+  for (let remaining = count; remaining > 0; remaining--) {
+    const nibble = reader.number(4);
+    if (nibble === END) return false;
+    pushString(out, hexChar(nibble, idx >= 3));
+    if (guid && [25, 21, 17, 13].includes(remaining)) out.push(0x2d);
+  }
+  return true;
+}
+
+/**
+ * Decompress a Unishox2 payload (default preset) to a string.
+ * Stops quietly at the terminator or when the input runs out.
+ */
+export function unishox2Decompress(input) {
+  const reader = new BitReader(Buffer.from(input));
+  const out = [];
+  let dstate = ALPHA;
+  let h = ALPHA;
+  let isAllUpper = false;
+  let prevUni = 0;
+
+  while (reader.pos < reader.len && out.length < MAX_OUTPUT_BYTES) {
+    let v;
+    if (dstate === DELTA || h === DELTA) {
+      if (dstate !== DELTA) h = dstate;
+      const { delta, special } = reader.unicode();
+      if (special !== undefined) {
+        if (special === END) break;
+        if (special === 0) { out.push(0x20); continue; }
+        if (special === 2) { out.push(0x2c); continue; }
+        if (special === 3) { out.push(0x2e); continue; }
+        if (special === 4) { out.push(0x0a); continue; }
+        // 1: set switch
+        h = reader.hcode();
+        if (h === END) break;
+        if (h === DELTA || h === ALPHA) {
+          dstate = h;
+          continue;
+        }
+        if (h === DICT) {
+          if (!decodeRepeat(reader, out)) break;
+          h = dstate;
+          continue;
+        }
+      } else {
+        prevUni += delta;
+        if (prevUni > 0 && prevUni <= 0x10ffff) pushCodePoint(out, prevUni);
+      }
+      if (dstate === DELTA && h === DELTA) continue;
+    } else {
+      h = dstate;
+    }
+
+    let isUpper = isAllUpper;
+    v = reader.vcode();
+    if (v === END) break;
+
+    if (v === 0 && h !== SYM) {
+      if (reader.pos >= reader.len) break;
+      if (h !== NUM || dstate !== DELTA) {
+        h = reader.hcode();
+        if (h === END || reader.pos >= reader.len) break;
+      }
+      if (h === ALPHA) {
+        if (dstate !== ALPHA) {
+          dstate = ALPHA;
+          continue;
+        }
+        // Switch to alpha while in alpha: upper case (twice: caps lock, toggled)
+        if (isAllUpper) {
+          isAllUpper = false;
+          continue;
+        }
+        v = reader.vcode();
+        if (v === END) break;
+        if (v === 0) {
+          h = reader.hcode();
+          if (h === END) break;
+          if (h === ALPHA) {
+            isAllUpper = true;
+            continue;
+          }
+        }
+        isUpper = true;
+      } else if (h === DICT) {
+        if (!decodeRepeat(reader, out)) break;
+        continue;
+      } else if (h === DELTA) {
+        continue;
+      } else {
+        if (h !== NUM || dstate !== DELTA) v = reader.vcode();
+        if (v === END) break;
+        if (h === NUM && v === 0) {
+          if (!decodeNumberEscape(reader, out)) break;
+          if (dstate === DELTA) h = DELTA;
+          continue;
+        }
+      }
+    }
+
+    // Upper-case space switches to continuous unicode delta coding
+    if (isUpper && v === 1) {
+      h = dstate = DELTA;
+      continue;
+    }
+
+    const c = h < 3 && v < 28 ? SETS[h].charCodeAt(v) : 0;
+    if (c >= 0x61 && c <= 0x7a) {
+      dstate = ALPHA;
+      out.push(isUpper ? c - 32 : c);
+    } else if (c !== 0) {
+      if (c >= 0x30 && c <= 0x39) dstate = NUM;
+      out.push(c);
+    } else if (h === SYM && v === 8) {
+      pushString(out, '\r\n');
+    } else if (h === NUM && v === RPT_VCODE) {
+      const count = reader.count();
+      if (count === END || out.length === 0) break;
+      const last = out[out.length - 1];
+      for (let i = Math.min(count + 4, MAX_OUTPUT_BYTES - out.length); i > 0; i--) out.push(last);
+    } else if (h === SYM && v > 24) {
+      pushString(out, FREQ_SEQ[v - 25]);
+    } else if (h === NUM && v > 22 && v < 26) {
+      pushString(out, FREQ_SEQ[v - 20]);
+    } else {
+      break; // terminator
+    }
+    if (dstate === DELTA) h = DELTA;
+  }
+
+  return Buffer.from(out).toString('utf-8');
+}
+
+class BitWriter {
+  constructor() {
+    this.bits = [];
+  }
+
+  // `code` left-aligned in a byte, as in the tables above
+  code(code, len) {
+    for (let i = 0; i < len; i++) this.bits.push((code >> (7 - i)) & 1);
+  }
+
+  number(value, len) {
+    for (let i = len - 1; i >= 0; i--) this.bits.push(Math.floor(value / 2 ** i) & 1);
+  }
+
+  // Pad to whole bytes with `fill`, dropping anything past `byteLength`
+  toBuffer(byteLength, fill) {
+    const bytes = Buffer.alloc(byteLength, 0);
+    for (let i = 0; i < byteLength * 8; i++) {
+      const bit = i < this.bits.length ? this.bits[i] : fill;
+      if (bit) bytes[i >> 3] |= 0x80 >> (i & 7);
+    }
+    return bytes;
+  }
+}
+
+/**
+ * Compress text with Unishox2 (default preset). Returns null for text the
+ * encoder does not handle (ASCII control characters other than tab/CR/LF).
+ */
+export function unishox2Compress(text) {
+  const w = new BitWriter();
+  let state = ALPHA;
+  let prevUni = 0;
+
+  const switchTo = (set) => {
+    w.code(HCODES[ALPHA], HCODE_LENS[ALPHA]); // a vertical 0 in any set means "switch"
+    w.code(HCODES[set], HCODE_LENS[set]);
+  };
+  const appendCode = (code) => {
+    const set = code >> 5;
+    const v = code & 0x1f;
+    if (set === ALPHA && state !== ALPHA) {
+      switchTo(ALPHA);
+      state = ALPHA;
+    } else if (set === SYM) {
+      switchTo(SYM);
+    } else if (set === NUM && state !== NUM) {
+      switchTo(NUM);
+      const c = SETS[NUM].charCodeAt(v);
+      if (c >= 0x30 && c <= 0x39) state = NUM;
+    }
+    w.code(VCODES[v], VCODE_LENS[v]);
+  };
+
+  w.code(0x80, MAGIC_BIT_LEN);
+  const chars = [...text];
+  for (let i = 0; i < chars.length; i++) {
+    const cp = chars[i].codePointAt(0);
+
+    if (cp >= 0x41 && cp <= 0x5a) {
+      if (state === NUM) {
+        switchTo(ALPHA);
+        state = ALPHA;
+      }
+      switchTo(ALPHA);
+    }
+
+    if (cp === 0x20) {
+      const v = state === NUM ? NUM_SPACE_VCODE : 1;
+      w.code(VCODES[v], VCODE_LENS[v]);
+    } else if (cp > 0x20 && cp < 0x7f) {
+      appendCode(ASCII_CODES.get(cp));
+    } else if (cp === 0x0d && chars[i + 1] === '\n') {
+      appendCode(CRLF_CODE);
+      i++;
+    } else if (cp === 0x0a) {
+      appendCode(LF_CODE);
+    } else if (cp === 0x0d) {
+      appendCode(CR_CODE);
+    } else if (cp === 0x09) {
+      appendCode(TAB_CODE);
+    } else if (cp >= 0x80) {
+      // One code point as a delta from the previous one, then back to `state`
+      switchTo(DELTA);
+      const diff = Math.abs(cp - prevUni);
+      let till = 0;
+      for (let idx = 0; idx < UNI_BIT_LENS.length; idx++) {
+        till += 2 ** UNI_BIT_LENS[idx];
+        if (diff < till) {
+          w.code(UNI_CODES[idx] & 0xf8, UNI_CODES[idx] & 0x07);
+          w.number(prevUni > cp ? 1 : 0, 1);
+          w.number(diff - UNI_ADDER[idx], UNI_BIT_LENS[idx]);
+          break;
+        }
+      }
+      prevUni = cp;
+    } else {
+      return null;
+    }
+  }
+
+  // The terminator only needs to fill the last partial byte: the decoder
+  // stops at the end of input anyway
+  const byteLength = Math.ceil(w.bits.length / 8);
+  if (state !== NUM) switchTo(NUM);
+  w.code(VCODES[TERM_VCODE], VCODE_LENS[TERM_VCODE]);
+  return w.toBuffer(byteLength, 1);
+}
@@ -1,192 +1,218 @@
-import { encrypt, generatePacketId, generateChannelHash } from './crypto.js';
-import { config } from './config.js';
-import { encodeServiceEnvelope, encodeData, PortNum } from './protobuf.js';
-import { parseNodeId, formatNodeId } from '../shared/node-id.js';
-import { rememberChannelKey } from './packet-decoder.js';
-
-function buildTopic({ root, region, path, channel, gatewayId }) {
-  return `${root}/${region}/${path}/${channel}/${gatewayId}`;
-}
-
-async function publishProtobufMessage(mqttClient, ws, {
-  root,
-  region,
-  path,
-  channel,
-  gatewayId,
-  from,
-  to,
-  text,
-  key,
-}) {
-  const fromNode = parseNodeId(from || gatewayId);
-  const toNode = parseNodeId(to);
-  const packetId = generatePacketId();
-  // key: undefined/null = not specified (use default), '' = no encryption
-  const effectiveKey = key === '' ? null : (key || config.meshtastic.defaultKey);
-  if (effectiveKey) {
-    rememberChannelKey(channel, effectiveKey);
+import { generatePkiKeyPair } from './crypto.js';
+import { OPEN_ACCESS_USER, canPublish } from './auth.js';
+import { rememberNodePrivateKey } from './packet-decoder.js';
+import { parseHistoryFilters } from './packet-store.js';
+import {
+  publishText,
+  publishPosition,
+  publishNodeInfo,
+  publishMapReport,
+  publishWaypoint,
+  publishTraceroute,
+  publishStoreForwardHistory,
+  publishCustomPacket,
+  encodeCustomPreview,
+  subscribeTopic,
+  unsubscribeTopic,
+  resolveNetworkTarget,
+  subscriptionsMessage,
+} from './mqtt-actions.js';
+
+// The only requests a viewer account may make; everything else publishes,
+// subscribes or touches keys
+const VIEWER_MESSAGE_TYPES = new Set(['get_history', 'get_subscriptions']);
+
+async function handleClientMessage(brokers, ws, msg, broadcast, packetStore, deliveryTracker, user, scheduler) {
+  if (!canPublish(user) && !VIEWER_MESSAGE_TYPES.has(msg.type)) {
+    throw new Error(`Viewer accounts cannot ${msg.type?.replace(/_/g, ' ') || 'do that'}`);
   }
 
-  // Build topic: msh/EU_868/2/e/LongFast/!gateway
-  const topic = buildTopic({ root, region, path, channel, gatewayId });
-
-  // Compute channel hash (XOR of channel name and key bytes)
-  const channelHash = generateChannelHash(channel, effectiveKey || '');
-
-  // Create Data message (portnum 1 = TEXT_MESSAGE_APP)
-  const dataMessage = encodeData({
-    portnum: PortNum.TEXT_MESSAGE_APP,
-    payload: Buffer.from(text, 'utf-8'),
-    bitfield: 1, // Indicates sender capabilities
-  });
-
-  // Encrypt the Data message (or pass plaintext if no key)
-  const encryptedData = effectiveKey
-    ? encrypt(dataMessage, effectiveKey, packetId, fromNode)
-    : dataMessage;
-
-  // Create ServiceEnvelope with MeshPacket
-  const envelope = encodeServiceEnvelope({
-    packet: {
-      from: fromNode,
-      to: toNode,
-      id: packetId,
-      channel: channelHash, // Hash of channel name XOR key
-      hopLimit: 0, // Zero-hop policy for public MQTT broker
-      hopStart: 0, // Original hop count (0 = won't propagate beyond direct nodes)
-      wantAck: false,
-      viaMqtt: true, // Indicates message came from MQTT gateway
-      encrypted: encryptedData,
-    },
-    channelId: channel,
-    gatewayId: gatewayId,
-  });
-
-  // Publish to MQTT
-  await mqttClient.publish(topic, envelope);
-
-  console.log(`[MQTT] Published protobuf to ${topic} (packet ${packetId})`);
-  ws.send(JSON.stringify({
-    type: 'published',
-    mode: 'protobuf',
-    topic,
-    packetId,
-    from: formatNodeId(fromNode),
-    to: formatNodeId(toNode),
-    text,
-  }));
-}
-
-async function publishJsonMessage(mqttClient, ws, { root, region, channel, gatewayId, from, to, text }) {
-  const fromNode = parseNodeId(from || gatewayId);
-  const toNode = parseNodeId(to);
-
-  // JSON mode always uses '2/json' path and typically 'mqtt' channel
-  // Build topic: msh/EU_868/2/json/mqtt/!gateway
-  const topic = buildTopic({ root, region, path: '2/json', channel, gatewayId });
-
-  // JSON downlink payload format
-  // See: https://meshtastic.org/docs/software/integrations/mqtt/
-  const payload = {
-    from: fromNode,
-    to: toNode,
-    type: 'sendtext',
-    payload: text,
-  };
-
-  // Publish JSON string to MQTT
-  await mqttClient.publish(topic, JSON.stringify(payload));
-
-  console.log(`[MQTT] Published JSON to ${topic}`);
-  ws.send(JSON.stringify({
-    type: 'published',
-    mode: 'json',
-    topic,
-    from: formatNodeId(fromNode),
-    to: formatNodeId(toNode),
-    text,
-  }));
-}
-
-async function handleClientMessage(mqttClient, ws, msg, broadcast) {
   switch (msg.type) {
     case 'publish': {
-      // Extract parameters with defaults for backward compatibility
-      const {
-        root = config.meshtastic.mqttRoot,
-        region = config.meshtastic.region,
-        path = config.meshtastic.defaultPath,
-        channel,
-        gatewayId,
-        from,
-        to,
-        text,
-        key,
-      } = msg;
-
-      // Route based on path - JSON mode or Protobuf mode
-      if (path === '2/json') {
-        await publishJsonMessage(mqttClient, ws, { root, region, channel, gatewayId, from, to, text });
-      } else {
-        await publishProtobufMessage(
-          mqttClient,
-          ws,
-          { root, region, path, channel, gatewayId, from, to, text, key }
-        );
-      }
+      ws.send(JSON.stringify(await publishText(brokers, msg, { deliveryTracker })));
+      break;
+    }
+
+    case 'publish_position': {
+      const { mqttClient, root, region, path } = resolveNetworkTarget(brokers, msg);
+      const { channel, gatewayId, from, to, key, position } = msg;
+
+      await publishPosition(
+        mqttClient,
+        ws,
+        { root, region, path, channel, gatewayId, from, to, key, position }
+      );
+      break;
+    }
+
+    case 'publish_nodeinfo': {
+      const { mqttClient, root, region, path } = resolveNetworkTarget(brokers, msg);
+      const { channel, gatewayId, from, to = '^all', key, user } = msg;
+
+      ws.send(JSON.stringify(await publishNodeInfo(
+        mqttClient,
+        { root, region, path, channel, gatewayId, from, to, key, user }
+      )));
+      break;
+    }
+
+    case 'publish_map_report': {
+      const { mqttClient, root, region } = resolveNetworkTarget(brokers, msg);
+      const { channel, gatewayId, from, report } = msg;
+
+      ws.send(JSON.stringify(await publishMapReport(mqttClient, { root, region, channel, gatewayId, from, report })));
+      break;
+    }
+
+    case 'publish_waypoint': {
+      const { mqttClient, root, region, path } = resolveNetworkTarget(brokers, msg);
+      const { channel, gatewayId, from, to = '^all', key, waypoint } = msg;
+
+      await publishWaypoint(
+        mqttClient,
+        ws,
+        { root, region, path, channel, gatewayId, from, to, key, waypoint }
+      );
+      break;
+    }
+
+    case 'publish_traceroute': {
+      const { mqttClient, root, region, path } = resolveNetworkTarget(brokers, msg);
+      const { channel, gatewayId, from, to, key } = msg;
+
+      await publishTraceroute(
+        mqttClient,
+        ws,
+        { root, region, path, channel, gatewayId, from, to, key }
+      );
+      break;
+    }
+
+    case 'publish_store_forward_history': {
+      const { mqttClient, root, region, path } = resolveNetworkTarget(brokers, msg);
+      const { channel, gatewayId, from, to, key, window } = msg;
+
+      await publishStoreForwardHistory(
+        mqttClient,
+        ws,
+        { root, region, path, channel, gatewayId, from, to, key, window }
+      );
+      break;
+    }
+
+    case 'publish_custom': {
+      const { mqttClient, root, region, path } = resolveNetworkTarget(brokers, msg);
+      ws.send(JSON.stringify(await publishCustomPacket(mqttClient, { ...msg, root, region, path }, deliveryTracker)));
+      break;
+    }
+
+    case 'encode_custom': {
+      const { path } = resolveNetworkTarget(brokers, msg);
+      ws.send(JSON.stringify(encodeCustomPreview({ ...msg, path })));
+      break;
+    }
+
+    case 'generate_keypair': {
+      ws.send(JSON.stringify({ type: 'keypair', ...generatePkiKeyPair() }));
+      break;
+    }
+
+    case 'register_pki_keys': {
+      // [{ nodeId, privateKey }] for the browser's catalog nodes
+      const keys = Array.isArray(msg.keys) ? msg.keys : [];
+      const registered = keys.filter(({ nodeId, privateKey } = {}) => rememberNodePrivateKey(nodeId, privateKey));
+      ws.send(JSON.stringify({ type: 'pki_keys_registered', count: registered.length }));
+      break;
+    }
+
+    case 'set_schedules': {
+      // One browser's periodic announcements; the server sends them from now
+      // on. Each browser owns its entries, so its push leaves the others alone.
+      if (!scheduler) throw new Error('Scheduled announcements are not available');
+      if (typeof msg.clientId !== 'string' || !msg.clientId) throw new Error('Schedules need a clientId');
+      const count = scheduler.replace(`${user.username ?? ''}:${msg.clientId}`, msg.schedules);
+      ws.send(JSON.stringify({ type: 'schedules_set', count }));
+      await scheduler.tick();
       break;
     }
 
     case 'subscribe': {
-      const topic = msg.topic || `${config.meshtastic.mqttRoot}/${config.meshtastic.region}/#`;
-      if (msg.channel && msg.key) {
-        rememberChannelKey(msg.channel, msg.key);
-      }
-      await mqttClient.subscribe(topic);
-      ws.send(JSON.stringify({ type: 'subscribed', topic }));
-      broadcast({ type: 'subscriptions', topics: mqttClient.getSubscriptions() });
+      const topic = await subscribeTopic(brokers, broadcast, msg);
+      ws.send(JSON.stringify({ type: 'subscribed', networkId: brokers.get(msg.networkId).networkId, topic }));
       break;
     }
 
     case 'unsubscribe': {
-      const topic = msg.topic;
+      const { networkId, topic } = msg;
       if (topic) {
-        await mqttClient.unsubscribe(topic);
-        ws.send(JSON.stringify({ type: 'unsubscribed', topic }));
-        broadcast({ type: 'subscriptions', topics: mqttClient.getSubscriptions() });
+        await unsubscribeTopic(brokers, broadcast, { networkId, topic });
+        ws.send(JSON.stringify({ type: 'unsubscribed', networkId: brokers.get(networkId).networkId, topic }));
       }
       break;
     }
 
+    case 'get_history': {
+      // Browsers ask on every connect; answer quietly when storage is off
+      if (!packetStore) {
+        ws.send(JSON.stringify({ type: 'history', messages: [], truncated: false, disabled: true }));
+        break;
+      }
+      const { limit, ...filters } = parseHistoryFilters(msg);
+      const { messages, truncated } = await packetStore.query({ ...filters, limit });
+      ws.send(JSON.stringify({ type: 'history', ...filters, messages, truncated }));
+      break;
+    }
+
     case 'get_subscriptions': {
-      ws.send(JSON.stringify({ type: 'subscriptions', topics: mqttClient.getSubscriptions() }));
+      const clients = msg.networkId ? [brokers.get(msg.networkId)] : brokers.list();
+      for (const mqttClient of clients) {
+        ws.send(JSON.stringify(subscriptionsMessage(mqttClient)));
+      }
       break;
     }
   }
 }
 
-export function createWsHandlers({ mqttClient, broadcast, wsClients }) {
-  function handleConnection(ws) {
-    console.log('[WS] Client connected');
+export function createWsHandlers({ brokers, broadcast, wsClients, packetStore = null, deliveryTracker = null, auth = null, scheduler = null }) {
+  // ws `verifyClient` hook: refuse the upgrade unless the session cookie or
+  // token identifies a user, and hand that user to handleConnection
+  function verifyClient({ req }, done) {
+    const user = auth ? auth.authenticate(req) : OPEN_ACCESS_USER;
+    if (!user) {
+      console.log('[WS] Rejected unauthenticated connection');
+      done(false, 401, 'Unauthorized');
+      return;
+    }
+    req.user = user;
+    done(true);
+  }
+
+  function handleConnection(ws, req) {
+    // verifyClient attaches the user; only open access may do without one
+    const user = req?.user || (auth?.enabled ? null : OPEN_ACCESS_USER);
+    if (!user) {
+      console.log('[WS] Closed connection without an authenticated user');
+      ws.close(1008, 'Unauthorized');
+      return;
+    }
+    console.log(`[WS] Client connected${user.username ? ` (${user.username}, ${user.role})` : ''}`);
     wsClients.add(ws);
 
-    // Send current connection status
+    // Send current connection status of every broker
     ws.send(JSON.stringify({
       type: 'status',
-      connected: mqttClient.connected,
+      ...brokers.status(),
     }));
 
-    // Send active subscriptions
-    ws.send(JSON.stringify({
-      type: 'subscriptions',
-      topics: mqttClient.getSubscriptions(),
-    }));
+    // Send active subscriptions, one message per broker
+    for (const mqttClient of brokers.list()) {
+      ws.send(JSON.stringify(subscriptionsMessage(mqttClient)));
+    }
 
     ws.on('message', async (data) => {
       try {
         const msg = JSON.parse(data.toString());
-        await handleClientMessage(mqttClient, ws, msg, broadcast);
+        await handleClientMessage(brokers, ws, msg, broadcast, packetStore, deliveryTracker, user, scheduler);
       } catch (err) {
         console.error('[WS] Error handling message:', err);
         ws.send(JSON.stringify({ type: 'error', message: err.message }));
@@ -199,5 +225,5 @@ export function createWsHandlers({ mqttClient, broadcast, wsClients }) {
     });
   }
 
-  return { handleConnection };
+  return { verifyClient, handleConnection };
 }
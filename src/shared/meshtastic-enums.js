@@ -0,0 +1,300 @@
+// Meshtastic protobuf enums shared by the server (decoding, validation) and
+// the browser (labels, form options). Names and values follow
+// https://github.com/meshtastic/protobufs; values missing here still decode
+// and show as "<PREFIX>_<n>".
+
+// PortNum enum (from portnums.proto)
+export const PortNum = {
+  UNKNOWN_APP: 0,
+  TEXT_MESSAGE_APP: 1,
+  REMOTE_HARDWARE_APP: 2,
+  POSITION_APP: 3,
+  NODEINFO_APP: 4,
+  ROUTING_APP: 5,
+  ADMIN_APP: 6,
+  TEXT_MESSAGE_COMPRESSED_APP: 7,
+  WAYPOINT_APP: 8,
+  AUDIO_APP: 9,
+  DETECTION_SENSOR_APP: 10,
+  REPLY_APP: 32,
+  IP_TUNNEL_APP: 33,
+  PAXCOUNTER_APP: 34,
+  SERIAL_APP: 64,
+  STORE_FORWARD_APP: 65,
+  RANGE_TEST_APP: 66,
+  TELEMETRY_APP: 67,
+  ZPS_APP: 68,
+  SIMULATOR_APP: 69,
+  TRACEROUTE_APP: 70,
+  NEIGHBORINFO_APP: 71,
+  ATAK_PLUGIN: 72,
+  MAP_REPORT_APP: 73,
+  PRIVATE_APP: 256,
+  ATAK_FORWARDER: 257,
+  MAX: 511,
+};
+
+// MeshPacket.Priority enum (from mesh.proto)
+export const Priority = {
+  UNSET: 0,
+  MIN: 1,
+  BACKGROUND: 10,
+  DEFAULT: 64,
+  RELIABLE: 70,
+  RESPONSE: 80,
+  HIGH: 100,
+  ALERT: 110,
+  ACK: 120,
+  MAX: 127,
+};
+
+// HardwareModel enum (from mesh.proto)
+export const HardwareModel = {
+  UNSET: 0,
+  TLORA_V2: 1,
+  TLORA_V1: 2,
+  TLORA_V2_1_1P6: 3,
+  TBEAM: 4,
+  HELTEC_V2_0: 5,
+  TBEAM_V0P7: 6,
+  T_ECHO: 7,
+  TLORA_V1_1P3: 8,
+  RAK4631: 9,
+  HELTEC_V2_1: 10,
+  HELTEC_V1: 11,
+  LILYGO_TBEAM_S3_CORE: 12,
+  RAK11200: 13,
+  NANO_G1: 14,
+  TLORA_V2_1_1P8: 15,
+  TLORA_T3_S3: 16,
+  NANO_G1_EXPLORER: 17,
+  NANO_G2_ULTRA: 18,
+  LORA_TYPE: 19,
+  WIPHONE: 20,
+  WIO_WM1110: 21,
+  RAK2560: 22,
+  HELTEC_HRU_3601: 23,
+  HELTEC_WIRELESS_BRIDGE: 24,
+  STATION_G1: 25,
+  RAK11310: 26,
+  SENSELORA_RP2040: 27,
+  SENSELORA_S3: 28,
+  CANARYONE: 29,
+  RP2040_LORA: 30,
+  STATION_G2: 31,
+  LORA_RELAY_V1: 32,
+  NRF52840DK: 33,
+  PPR: 34,
+  GENIEBLOCKS: 35,
+  NRF52_UNKNOWN: 36,
+  PORTDUINO: 37,
+  ANDROID_SIM: 38,
+  DIY_V1: 39,
+  NRF52840_PCA10059: 40,
+  DR_DEV: 41,
+  M5STACK: 42,
+  HELTEC_V3: 43,
+  HELTEC_WSL_V3: 44,
+  BETAFPV_2400_TX: 45,
+  BETAFPV_900_NANO_TX: 46,
+  RPI_PICO: 47,
+  HELTEC_WIRELESS_TRACKER: 48,
+  HELTEC_WIRELESS_PAPER: 49,
+  T_DECK: 50,
+  T_WATCH_S3: 51,
+  PICOMPUTER_S3: 52,
+  HELTEC_HT62: 53,
+  EBYTE_ESP32_S3: 54,
+  ESP32_S3_PICO: 55,
+  CHATTER_2: 56,
+  HELTEC_WIRELESS_PAPER_V1_0: 57,
+  HELTEC_WIRELESS_TRACKER_V1_0: 58,
+  UNPHONE: 59,
+  TD_LORAC: 60,
+  CDEBYTE_EORA_S3: 61,
+  TWC_MESH_V4: 62,
+  NRF52_PROMICRO_DIY: 63,
+  RADIOMASTER_900_BANDIT_NANO: 64,
+  HELTEC_CAPSULE_SENSOR_V3: 65,
+  HELTEC_VISION_MASTER_T190: 66,
+  HELTEC_VISION_MASTER_E213: 67,
+  HELTEC_VISION_MASTER_E290: 68,
+  HELTEC_MESH_NODE_T114: 69,
+  SENSECAP_INDICATOR: 70,
+  TRACKER_T1000_E: 71,
+  RAK3172: 72,
+  WIO_E5: 73,
+  RADIOMASTER_900_BANDIT: 74,
+  ME25LS01_4Y10TD: 75,
+  RP2040_FEATHER_RFM95: 76,
+  M5STACK_COREBASIC: 77,
+  M5STACK_CORE2: 78,
+  RPI_PICO2: 79,
+  M5STACK_CORES3: 80,
+  SEEED_XIAO_S3: 81,
+  MS24SF1: 82,
+  TLORA_C6: 83,
+  WISMESH_TAP: 84,
+  ROUTASTIC: 85,
+  MESH_TAB: 86,
+  MESHLINK: 87,
+  XIAO_NRF52_KIT: 88,
+  THINKNODE_M1: 89,
+  THINKNODE_M2: 90,
+  T_ETH_ELITE: 91,
+  HELTEC_SENSOR_HUB: 92,
+  RESERVED_FRIED_CHICKEN: 93,
+  HELTEC_MESH_POCKET: 94,
+  SEEED_SOLAR_NODE: 95,
+  NOMADSTAR_METEOR_PRO: 96,
+  CROWPANEL: 97,
+  LINK_32: 98,
+  SEEED_WIO_TRACKER_L1: 99,
+  SEEED_WIO_TRACKER_L1_EINK: 100,
+  PRIVATE_HW: 255,
+};
+
+// Config.DeviceConfig.Role enum (from config.proto)
+export const Role = {
+  CLIENT: 0,
+  CLIENT_MUTE: 1,
+  ROUTER: 2,
+  ROUTER_CLIENT: 3,
+  REPEATER: 4,
+  TRACKER: 5,
+  SENSOR: 6,
+  TAK: 7,
+  CLIENT_HIDDEN: 8,
+  LOST_AND_FOUND: 9,
+  TAK_TRACKER: 10,
+  ROUTER_LATE: 11,
+  CLIENT_BASE: 12,
+};
+
+export const ROLE_LABELS = {
+  CLIENT: 'Client',
+  CLIENT_MUTE: 'Client (mute, does not rebroadcast)',
+  ROUTER: 'Router',
+  ROUTER_CLIENT: 'Router + Client (deprecated)',
+  REPEATER: 'Repeater (deprecated)',
+  TRACKER: 'Tracker',
+  SENSOR: 'Sensor',
+  TAK: 'TAK',
+  CLIENT_HIDDEN: 'Client (hidden)',
+  LOST_AND_FOUND: 'Lost and Found',
+  TAK_TRACKER: 'TAK Tracker',
+  ROUTER_LATE: 'Router (late rebroadcast)',
+  CLIENT_BASE: 'Client Base',
+};
+
+// Config.LoRaConfig.RegionCode enum (from config.proto); the names match the
+// region segment of MQTT topics
+export const RegionCode = {
+  UNSET: 0,
+  US: 1,
+  EU_433: 2,
+  EU_868: 3,
+  CN: 4,
+  JP: 5,
+  ANZ: 6,
+  KR: 7,
+  TW: 8,
+  RU: 9,
+  IN: 10,
+  NZ_865: 11,
+  TH: 12,
+  LORA_24: 13,
+  UA_433: 14,
+  UA_868: 15,
+  MY_433: 16,
+  MY_919: 17,
+  SG_923: 18,
+  PH_433: 19,
+  PH_868: 20,
+  PH_915: 21,
+  ANZ_433: 22,
+  KZ_433: 23,
+  KZ_863: 24,
+  NP_865: 25,
+  BR_902: 26,
+};
+
+// Config.LoRaConfig.ModemPreset enum (from config.proto)
+export const ModemPreset = {
+  LONG_FAST: 0,
+  LONG_SLOW: 1,
+  VERY_LONG_SLOW: 2,
+  MEDIUM_SLOW: 3,
+  MEDIUM_FAST: 4,
+  SHORT_SLOW: 5,
+  SHORT_FAST: 6,
+  LONG_MODERATE: 7,
+  SHORT_TURBO: 8,
+};
+
+// The display names firmware gives each preset, also its default channel name
+export const MODEM_PRESET_LABELS = {
+  LONG_FAST: 'LongFast',
+  LONG_SLOW: 'LongSlow',
+  VERY_LONG_SLOW: 'VLongSlow',
+  MEDIUM_SLOW: 'MediumSlow',
+  MEDIUM_FAST: 'MediumFast',
+  SHORT_SLOW: 'ShortSlow',
+  SHORT_FAST: 'ShortFast',
+  LONG_MODERATE: 'LongMod',
+  SHORT_TURBO: 'ShortTurbo',
+};
+
+// Routing.Error enum (from mesh.proto), the reason a ROUTING_APP packet NAKs
+export const RoutingError = {
+  NONE: 0,
+  NO_ROUTE: 1,
+  GOT_NAK: 2,
+  TIMEOUT: 3,
+  NO_INTERFACE: 4,
+  MAX_RETRANSMIT: 5,
+  NO_CHANNEL: 6,
+  TOO_LARGE: 7,
+  NO_RESPONSE: 8,
+  DUTY_CYCLE_LIMIT: 9,
+  BAD_REQUEST: 32,
+  NOT_AUTHORIZED: 33,
+  PKI_FAILED: 34,
+  PKI_UNKNOWN_PUBKEY: 35,
+  ADMIN_BAD_SESSION_KEY: 36,
+  ADMIN_PUBLIC_KEY_UNAUTHORIZED: 37,
+  RATE_LIMIT_EXCEEDED: 38,
+};
+
+export const ROUTING_ERROR_LABELS = {
+  NONE: 'Delivered',
+  NO_ROUTE: 'No route to the destination',
+  GOT_NAK: 'A relay refused the packet',
+  TIMEOUT: 'Timed out',
+  NO_INTERFACE: 'No interface to send on',
+  MAX_RETRANSMIT: 'No ACK after the maximum retransmissions',
+  NO_CHANNEL: 'Destination does not have this channel',
+  TOO_LARGE: 'Packet too large',
+  NO_RESPONSE: 'No app answered the request',
+  DUTY_CYCLE_LIMIT: 'Regional duty cycle limit reached',
+  BAD_REQUEST: 'Bad request',
+  NOT_AUTHORIZED: 'Not authorized',
+  PKI_FAILED: 'PKI encryption failed',
+  PKI_UNKNOWN_PUBKEY: 'Destination public key unknown',
+  ADMIN_BAD_SESSION_KEY: 'Admin session key invalid',
+  ADMIN_PUBLIC_KEY_UNAUTHORIZED: 'Admin key not authorized',
+  RATE_LIMIT_EXCEEDED: 'Rate limit exceeded',
+};
+
+const reverseTables = new WeakMap();
+
+// Name of an enum value, e.g. enumName(HardwareModel, 9) === 'RAK4631'.
+// Values the table does not know come back as "<prefix>_<value>".
+export function enumName(values, value, prefix = 'UNKNOWN') {
+  let names = reverseTables.get(values);
+  if (!names) {
+    names = new Map(Object.entries(values).map(([name, v]) => [v, name]));
+    reverseTables.set(values, names);
+  }
+  return names.get(value) ?? `${prefix}_${value}`;
+}
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSeries, renderLineChart } from '../../src/public/js/charts.js';
+
+const battery = entry => entry.deviceMetrics?.batteryLevel;
+
+test('buildSeries keeps entries in range that carry the value, oldest first', () => {
+  const points = buildSeries([
+    { _ts: 3000, deviceMetrics: { batteryLevel: 80 } },
+    { _ts: 1000, deviceMetrics: { batteryLevel: 90 } },
+    { _ts: 2000, environmentMetrics: { temperature: 20 } },
+    { _ts: 500, deviceMetrics: { batteryLevel: 99 } },
+  ], battery, 1000);
+
+  assert.deepEqual(points, [{ t: 1000, v: 90 }, { t: 3000, v: 80 }]);
+});
+
+test('renderLineChart returns nothing without points', () => {
+  assert.equal(renderLineChart([]), '');
+});
+
+test('renderLineChart labels the value range and breaks the line at long gaps', () => {
+  const points = [0, 10, 20, 30, 200, 210].map((t, i) => ({ t, v: 50 + i }));
+  const svg = renderLineChart(points, {
+    since: 0,
+    until: 210,
+    format: v => `${v}%`,
+    timeLabel: t => `t${t}`,
+  });
+
+  assert.match(svg, />55%</);
+  assert.match(svg, />50%</);
+  assert.match(svg, />t0</);
+  assert.match(svg, />t210</);
+  const path = svg.match(/ d="([^"]+)"/)[1];
+  assert.equal(path.match(/M/g).length, 2);
+});
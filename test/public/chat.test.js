@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ChatState } from '../../src/public/js/chat.js';
+
+const OWN = '!0000aaaa';
+
+function textEvent(overrides = {}) {
+  return {
+    ts: 1000,
+    direction: 'rx',
+    networkId: 'net_public',
+    topic: 'msh/EU_868/2/e/LongFast/!eeeeeeee',
+    gatewayId: '!eeeeeeee',
+    fromNodeId: '!11111111',
+    toNodeId: '^all',
+    packetId: 1,
+    portnum: 1,
+    text: 'hello',
+    ...overrides,
+  };
+}
+
+function createChat(readMarks) {
+  return new ChatState({ isOwnNode: nodeId => nodeId === OWN, readMarks });
+}
+
+test('chat groups broadcasts per channel and direct messages per peer', () => {
+  const chat = createChat();
+  chat.update(textEvent());
+  chat.update(textEvent({ packetId: 2, topic: 'msh/EU_868/2/e/MediumFast/!eeeeeeee', ts: 2000 }));
+  chat.update(textEvent({ packetId: 3, toNodeId: OWN, ts: 3000 }));
+  chat.update(textEvent({ packetId: 4, direction: 'tx', fromNodeId: OWN, toNodeId: '!11111111', ts: 4000 }));
+
+  const ids = chat.list().map(c => c.id);
+  assert.deepEqual(ids, ['dm:net_public:!11111111', 'channel:net_public:MediumFast', 'channel:net_public:LongFast']);
+
+  const dm = chat.get('dm:net_public:!11111111');
+  assert.equal(dm.ownNodeId, OWN);
+  assert.equal(dm.channelName, 'LongFast');
+  assert.deepEqual(dm.messages.map(m => [m.text, m.own]), [['hello', false], ['hello', true]]);
+});
+
+test('chat collapses gateway duplicates and the echo of our own send', () => {
+  const chat = createChat();
+  chat.update(textEvent({ direction: 'tx', fromNodeId: OWN, gatewayId: null }));
+  assert.equal(chat.update(textEvent({ fromNodeId: OWN, gatewayId: '!00000001' })), null);
+  chat.update(textEvent({ packetId: 2, gatewayId: '!00000001' }));
+  chat.update(textEvent({ packetId: 2, gatewayId: '!00000002' }));
+
+  const [conversation] = chat.list();
+  assert.equal(conversation.messages.length, 2);
+  assert.equal(conversation.messages[1].gatewayIds.size, 2);
+});
+
+test('chat counts unread messages from others until marked read', () => {
+  const chat = createChat({ 'channel:net_public:LongFast': 1500 });
+  chat.update(textEvent());
+  chat.update(textEvent({ packetId: 2, ts: 2000 }));
+  chat.update(textEvent({ packetId: 3, ts: 3000, direction: 'tx', fromNodeId: OWN }));
+
+  assert.equal(chat.totalUnread(), 1);
+  assert.equal(chat.markRead('channel:net_public:LongFast'), true);
+  assert.equal(chat.totalUnread(), 0);
+  assert.deepEqual(chat.readMarks, { 'channel:net_public:LongFast': 3000 });
+});
+
+test('chat replies to PKI direct messages over PKI', () => {
+  const chat = createChat();
+  chat.update(textEvent({ toNodeId: OWN, topic: 'msh/EU_868/2/e/PKI/!eeeeeeee' }));
+
+  const dm = chat.get('dm:net_public:!11111111');
+  assert.equal(dm.pki, true);
+  assert.equal(dm.channelName, null);
+  assert.equal(chat.update(textEvent({ packetId: 9, portnum: 67 })), null);
+});
+
+test('chat attaches reactions to the message they react to', () => {
+  const chat = createChat();
+  chat.update(textEvent({ packetId: 10 }));
+  const reaction = { packetId: 11, fromNodeId: '!22222222', text: '\u{1F44D}', replyId: 10, emoji: true };
+  chat.update(textEvent(reaction));
+  assert.equal(chat.update(textEvent({ ...reaction, gatewayId: '!00000002' })), null);
+  chat.update(textEvent({ packetId: 12, text: 'agreed', replyId: 10 }));
+
+  const [conversation] = chat.list();
+  assert.deepEqual(conversation.messages.map(m => m.text), ['hello', 'agreed']);
+  assert.deepEqual(conversation.messages[0].reactions, [{ emoji: '\u{1F44D}', fromNodeId: '!22222222', own: false }]);
+  assert.equal(conversation.messages[1].replyId, 10);
+});
+
+test('chat shows texts replayed by a Store & Forward router in their conversation', () => {
+  const chat = createChat();
+  chat.update(textEvent({ packetId: 20 }));
+  const replay = {
+    packetId: 21, portnum: 65, text: null, toNodeId: OWN, decodedPayload: { rr: 9, text: 'while you were away' },
+  };
+  chat.update(textEvent(replay));
+  chat.update(textEvent({ ...replay, packetId: 20, decodedPayload: { rr: 9, text: 'hello' } }));
+
+  const [conversation] = chat.list();
+  assert.equal(conversation.id, 'channel:net_public:LongFast');
+  assert.deepEqual(conversation.messages.map(m => [m.text, m.storeForward]), [['hello', false], ['while you were away', true]]);
+});
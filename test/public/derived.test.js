@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { DerivedState } from '../../src/public/js/derived.js';
+import { DerivedState, buildTracerouteHops } from '../../src/public/js/derived.js';
 
 // Helper to create a minimal observation event
 function makeEvent(overrides = {}) {
@@ -170,6 +170,31 @@ test('rfLinks: traceroute SNR values are correctly assigned to hop pairs', () =>
   assert.equal(link23.snrSamples.length, 0);
 });
 
+test('buildTracerouteHops: lists forward and back hops of a reply with their SNR', () => {
+  const hops = buildTracerouteHops({
+    from: '!00000003',
+    to: '!00000001',
+    payload: {
+      route: [0x00000002],
+      snrTowards: [6.25, -32],
+      routeBack: [0x00000002],
+      snrBack: [4, -2.5],
+    },
+  });
+
+  assert.deepEqual(hops.forward, [
+    { nodeId: '!00000001', snr: null },
+    { nodeId: '!00000002', snr: 6.25 },
+    { nodeId: '!00000003', snr: null }, // INT8_MIN: unknown
+  ]);
+  assert.deepEqual(hops.back, [
+    { nodeId: '!00000003', snr: null },
+    { nodeId: '!00000002', snr: 4 },
+    { nodeId: '!00000001', snr: -2.5 },
+  ]);
+  assert.deepEqual(buildTracerouteHops({ from: '!00000003', to: '!00000001', payload: { route: [] } }).back, []);
+});
+
 test('rfLinks: portnum 70 does not create general packet link', () => {
   const derived = new DerivedState();
   derived.update(makeEvent({
@@ -321,3 +346,138 @@ test('rfLinks: rebuildFromObservations clears and rebuilds', () => {
   assert.equal(derived.getRfLinks().length, 1);
   assert.equal(derived.getRfLinks()[0].packetCount, 1);
 });
+
+test('rebuildFromObservations replaces state and notifies with a null event', () => {
+  const derived = new DerivedState();
+  derived.update(makeEvent({ fromNodeId: '!0000dead' }));
+
+  const notified = [];
+  derived.onChange(event => notified.push(event));
+  derived.rebuildFromObservations([makeEvent({ fromNodeId: '!00000001' })]);
+
+  assert.equal(derived.nodes['!0000dead'], undefined);
+  assert.ok(derived.nodes['!00000001']);
+  assert.deepEqual(notified, [null]);
+});
+
+// --- Waypoints ---
+
+function makeWaypointEvent(payload, overrides = {}) {
+  return makeEvent({
+    portnum: 8,
+    toNodeId: '^all',
+    decodedPayload: { id: 7, latitude: 48.1, longitude: 11.5, name: 'Camp', expire: 0, lockedTo: 0, ...payload },
+    ...overrides,
+  });
+}
+
+test('waypoints: active list drops expired and deleted waypoints', () => {
+  const ds = new DerivedState();
+  const nowSec = Math.floor(Date.now() / 1000);
+  ds.update(makeWaypointEvent({ id: 1 }));
+  ds.update(makeWaypointEvent({ id: 2, expire: nowSec + 3600 }));
+  ds.update(makeWaypointEvent({ id: 3, expire: nowSec - 10 }));
+
+  assert.deepEqual(ds.getActiveWaypoints().map(wp => wp.id).sort(), [1, 2]);
+  // Deleting re-sends the waypoint with expire = 1
+  ds.update(makeWaypointEvent({ id: 1, expire: 1 }));
+  assert.deepEqual(ds.getActiveWaypoints().map(wp => wp.id), [2]);
+});
+
+test('waypoints: locked waypoints only change when the locking node sends', () => {
+  const ds = new DerivedState();
+  ds.update(makeWaypointEvent({ lockedTo: 0xaabbccdd }, { ts: 1000 }));
+  ds.update(makeWaypointEvent({ name: 'Hijacked', expire: 1 }, { fromNodeId: '!11111111', ts: 2000 }));
+  assert.equal(ds.waypoints[7].name, 'Camp');
+
+  ds.update(makeWaypointEvent({ name: 'Moved', lockedTo: 0xaabbccdd }, { ts: 3000 }));
+  assert.equal(ds.waypoints[7].name, 'Moved');
+});
+
+test('waypoints: older replayed versions do not overwrite newer ones', () => {
+  const ds = new DerivedState();
+  ds.rebuildFromObservations([
+    makeWaypointEvent({ name: 'New' }, { ts: 2000 }),
+    makeWaypointEvent({ name: 'Old' }, { ts: 1000 }),
+  ]);
+  assert.equal(ds.waypoints[7].name, 'New');
+});
+
+test('mergeTelemetryHistory adds fetched readings in time order and skips known packets', () => {
+  const derived = new DerivedState();
+  derived.update(makeEvent({
+    ts: 3000,
+    packetId: 30,
+    portnum: 67,
+    decodedPayload: { deviceMetrics: { batteryLevel: 70 } },
+  }));
+
+  const added = derived.mergeTelemetryHistory('!aabbccdd', [
+    { deviceMetrics: { batteryLevel: 90 }, _ts: 1000, _packetId: 10 },
+    { deviceMetrics: { batteryLevel: 70 }, _ts: 3001, _packetId: 30 },
+  ]);
+
+  assert.equal(added, 1);
+  const history = derived.getNodeStats('!aabbccdd').telemetryHistory;
+  assert.deepEqual(history.map(h => h._packetId), [10, 30]);
+});
+
+test('storeForward: router packets mark the sender as a router, replayed texts do not', () => {
+  const ds = new DerivedState();
+  ds.update(makeEvent({ portnum: 65, decodedPayload: { rr: 2, rrName: 'ROUTER_HEARTBEAT', heartbeat: { period: 900 } } }));
+  ds.update(makeEvent({ portnum: 65, decodedPayload: { rr: 7, rrName: 'ROUTER_STATS', stats: { messagesSaved: 12 } } }));
+  ds.update(makeEvent({ fromNodeId: '!11111111', portnum: 65, decodedPayload: { rr: 9, text: 'stored' } }));
+
+  const { storeForward } = ds.getNodeStats('!aabbccdd');
+  assert.equal(storeForward.lastRrName, 'ROUTER_STATS');
+  assert.deepEqual(storeForward.heartbeat, { period: 900 });
+  assert.deepEqual(storeForward.stats, { messagesSaved: 12 });
+  assert.equal(ds.getNodeStats('!11111111').storeForward, null);
+});
+
+test('detection and paxcounter packets keep the latest reading and a history', () => {
+  const ds = new DerivedState();
+  const detection = { portnum: 10, packetId: 7, decodedPayload: { text: 'Motion detected' } };
+  ds.update(makeEvent({ ...detection, ts: 1000 }));
+  ds.update(makeEvent({ ...detection, ts: 1100, gatewayId: '!00000002', duplicate: true }));
+  ds.update(makeEvent({ portnum: 34, ts: 2000, decodedPayload: { wifi: 4, ble: 11, uptime: 60 } }));
+  ds.update(makeEvent({ portnum: 34, ts: 3000, decodedPayload: { wifi: 6, ble: 9, uptime: 960 } }));
+
+  const node = ds.getNodeStats('!aabbccdd');
+  assert.deepEqual(node.lastDetection, { text: 'Motion detected', _ts: 1000, _packetId: 7 });
+  assert.equal(node.detectionHistory.length, 1);
+  assert.deepEqual(node.lastPaxcount, { wifi: 6, ble: 9, uptime: 960, _ts: 3000 });
+  assert.deepEqual(node.paxHistory.map(p => p.wifi), [4, 6]);
+});
+
+test('gateway coverage: direct vs relayed receptions, nodes heard and gaps', () => {
+  const ds = new DerivedState();
+  const gw = '!00000009';
+  const T = 1_000_000;
+  ds.update(makeEvent({ ts: T, gatewayId: gw, fromNodeId: '!00000001', hopStart: 3, hopLimit: 3, rxSnr: 6, rxRssi: -80 }));
+  ds.update(makeEvent({ ts: T + 60_000, gatewayId: gw, fromNodeId: '!00000001', hopStart: 3, hopLimit: 3, rxSnr: 2, rxRssi: -100 }));
+  ds.update(makeEvent({ ts: T + 120_000, gatewayId: gw, fromNodeId: '!00000002', hopStart: 3, hopLimit: 1, rxSnr: -4, duplicate: true }));
+  // Own packets, MQTT-bridged packets and missing hop info are not coverage
+  ds.update(makeEvent({ ts: T + 180_000, gatewayId: gw, fromNodeId: gw, hopStart: 3, hopLimit: 3 }));
+  ds.update(makeEvent({ ts: T + 240_000, gatewayId: gw, fromNodeId: '!00000003', hopStart: 3, hopLimit: 3, viaMqtt: true }));
+  ds.update(makeEvent({ ts: T + 2 * 3600_000, gatewayId: gw, fromNodeId: '!00000004' }));
+
+  const coverage = ds.getGatewayCoverage(gw);
+  assert.equal(coverage.packetsPerHour, 3);
+  assert.equal(coverage.nodesHeard, 3);
+  assert.deepEqual(coverage.directNodes.map(n => [n.nodeId, n.directCount, n.lastSnr]), [['!00000001', 2, 2]]);
+  assert.equal(coverage.directRatio, 2 / 3);
+  assert.equal(coverage.avgDirectSnr, 4);
+  assert.equal(coverage.avgDirectRssi, -90);
+  assert.deepEqual(coverage.gaps, [{ from: T + 240_000, to: T + 2 * 3600_000 }]);
+});
+
+test('gateway status keeps the newest announcement across rebuilds', () => {
+  const ds = new DerivedState();
+  assert.equal(ds.updateGatewayStatus({ gatewayId: '!00000009', status: 'offline', timestamp: 2000 }), true);
+  assert.equal(ds.updateGatewayStatus({ gatewayId: '!00000009', status: 'online', timestamp: 1000 }), false);
+  ds.rebuildFromObservations([]);
+
+  assert.deepEqual(ds.getGatewayStatus('!00000009'), { status: 'offline', ts: 2000, networkId: null });
+  assert.equal(ds.getGatewayStatus('!00000001'), null);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observations } from '../../src/public/js/observations.js';
+
+function rxEvent(overrides = {}) {
+  return {
+    ts: 1000,
+    direction: 'rx',
+    networkId: 'net_public',
+    gatewayId: '!00000001',
+    fromNodeId: '!11111111',
+    toNodeId: '^all',
+    packetId: 42,
+    portnum: 1,
+    rxSnr: 6,
+    rxRssi: -80,
+    hopStart: 3,
+    hopLimit: 3,
+    text: 'hello',
+    ...overrides,
+  };
+}
+
+test('observations keep copies of a packet from several gateways as one', () => {
+  const observations = new Observations();
+  const first = observations.append(rxEvent());
+  const copy = observations.append(rxEvent({ ts: 1500, gatewayId: '!00000002', rxSnr: -4, hopLimit: 1 }));
+
+  assert.equal(observations.length, 1);
+  assert.equal(first.duplicate, undefined);
+  assert.equal(copy.duplicate, true);
+  assert.equal(copy.gatewayId, '!00000002');
+  assert.equal(copy.text, 'hello');
+  assert.deepEqual(first.receptions.map(r => [r.gatewayId, r.rxSnr, r.hopLimit, r.ts]), [
+    ['!00000001', 6, 3, 1000],
+    ['!00000002', -4, 1, 1500],
+  ]);
+  assert.deepEqual(observations.getAllReceptions().map(e => [e.gatewayId, !!e.duplicate]), [
+    ['!00000001', false],
+    ['!00000002', true],
+  ]);
+});
+
+test('observations treat a reused packet id after the window as a new packet', () => {
+  const observations = new Observations();
+  observations.append(rxEvent());
+  observations.append(rxEvent({ fromNodeId: '!22222222' }));
+  observations.append(rxEvent({ ts: 1000 + 6 * 60 * 1000 }));
+  observations.append(rxEvent({ direction: 'tx' }));
+
+  assert.equal(observations.length, 4);
+});
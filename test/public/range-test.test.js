@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RangeTestState, getSessionStats, sessionToCsv } from '../../src/public/js/range-test.js';
+
+function rangeEvent(seq, overrides = {}) {
+  return {
+    ts: 1000 + seq * 60_000,
+    direction: 'rx',
+    networkId: 'net_public',
+    gatewayId: '!eeeeeeee',
+    fromNodeId: '!11111111',
+    packetId: 100 + seq,
+    portnum: 66,
+    rxSnr: 5.5,
+    rxRssi: -90,
+    hopStart: 3,
+    hopLimit: 3,
+    decodedPayload: { text: `seq ${seq}`, seq },
+    ...overrides,
+  };
+}
+
+test('range test sessions count received and missed sequence numbers', () => {
+  const rangeTest = new RangeTestState({ distanceKm: () => 1.5 });
+  for (const seq of [1, 2, 4, 7]) rangeTest.update(rangeEvent(seq));
+  rangeTest.update(rangeEvent(2, { gatewayId: '!00000002', rxSnr: -3 }));
+
+  const [session] = rangeTest.list();
+  assert.deepEqual(getSessionStats(session), {
+    firstSeq: 1, lastSeq: 7, received: 4, expected: 7, missed: [3, 5, 6], lossPercent: (3 / 7) * 100,
+  });
+  const receptions = session.packets.get(2).receptions;
+  assert.deepEqual(receptions.map(r => [r.gatewayId, r.rxSnr, r.distanceKm]), [['!eeeeeeee', 5.5, 1.5], ['!00000002', -3, 1.5]]);
+});
+
+test('range test starts a new session when the sender restarts its sequence', () => {
+  const rangeTest = new RangeTestState();
+  rangeTest.update(rangeEvent(1));
+  rangeTest.update(rangeEvent(2));
+  rangeTest.update(rangeEvent(1, { packetId: 999, ts: 500_000 }));
+  rangeTest.update(rangeEvent(3, { ts: 500_000 + 31 * 60_000 }));
+  rangeTest.update(rangeEvent(5, { portnum: 1 }));
+
+  assert.deepEqual(rangeTest.list().map(s => [...s.packets.keys()]), [[3], [1], [1, 2]]);
+});
+
+test('sessionToCsv writes one row per reception', () => {
+  const rangeTest = new RangeTestState({ distanceKm: (from, gatewayId) => (gatewayId === '!eeeeeeee' ? 2.25 : null) });
+  rangeTest.update(rangeEvent(1, { ts: 0 }));
+  rangeTest.update(rangeEvent(1, { ts: 0, gatewayId: '!00000002', rxRssi: null }));
+
+  assert.equal(sessionToCsv(rangeTest.list()[0]), [
+    'seq,time,packet_id,from,gateway,rx_snr,rx_rssi,hops,distance_km',
+    '1,1970-01-01T00:00:00.000Z,101,!11111111,!eeeeeeee,5.5,-90,0,2.250',
+    '1,1970-01-01T00:00:00.000Z,101,!11111111,!00000002,5.5,,0,',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,205 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createAnnounceScheduler } from '../../src/server/announce-scheduler.js';
+import { createNodeRegistry } from '../../src/server/node-registry.js';
+import { decodeServiceEnvelope, decodeData, decodeUser, decodeMapReport, PortNum } from '../../src/server/protobuf.js';
+
+const MINUTE = 60 * 1000;
+
+function setup(t, { file = null, nodeRegistry = null } = {}) {
+  const mqttClient = {
+    networkId: 'net_public',
+    connected: true,
+    published: [],
+    async publish(topic, payload) {
+      this.published.push({ topic, payload });
+    },
+  };
+  const brokers = {
+    get: () => mqttClient,
+    getNetwork: () => ({ root: 'msh', region: 'EU_868', path: '2/e' }),
+  };
+  const events = [];
+  const scheduler = createAnnounceScheduler({ brokers, broadcast: (msg) => events.push(msg), nodeRegistry, file });
+  t.after(() => scheduler.close());
+  return { scheduler, mqttClient, events };
+}
+
+function nodeInfoSchedule(overrides = {}) {
+  return {
+    kind: 'nodeinfo',
+    intervalMin: 30,
+    channel: 'LongFast',
+    gatewayId: '!aabbccdd',
+    from: '!aabbccdd',
+    key: '',
+    user: { longName: 'Roof Node', shortName: 'ROOF' },
+    ...overrides,
+  };
+}
+
+test('scheduler announces each node once per interval', async (t) => {
+  const { scheduler, mqttClient, events } = setup(t);
+  assert.equal(scheduler.replace('browser-a', [nodeInfoSchedule()]), 1);
+
+  assert.equal(await scheduler.tick(1000 * MINUTE), 1);
+  // A second tab pushing the same schedule does not reset the clock
+  scheduler.replace('browser-a', [nodeInfoSchedule()]);
+  assert.equal(await scheduler.tick(1010 * MINUTE), 0);
+  assert.equal(await scheduler.tick(1030 * MINUTE), 1);
+
+  assert.equal(mqttClient.published.length, 2);
+  assert.equal(mqttClient.published[0].topic, 'msh/EU_868/2/e/LongFast/!aabbccdd');
+  const data = decodeData(decodeServiceEnvelope(mqttClient.published[0].payload).packet.encrypted);
+  assert.equal(data.portnum, PortNum.NODEINFO_APP);
+  assert.equal(decodeUser(data.payload).longName, 'Roof Node');
+  assert.equal(events[0].type, 'published');
+  assert.equal(events[0].scheduled, true);
+});
+
+test('scheduler drops nodes missing from a new schedule and clamps short intervals', async (t) => {
+  const { scheduler } = setup(t);
+  scheduler.replace('browser-a', [nodeInfoSchedule(), nodeInfoSchedule({ from: '!11223344', gatewayId: '!11223344', intervalMin: 1 })]);
+  assert.deepEqual(scheduler.list().map(e => [e.request.from, e.intervalMin]), [['!aabbccdd', 30], ['!11223344', 5]]);
+
+  scheduler.replace('browser-a', [nodeInfoSchedule({ from: '!11223344', gatewayId: '!11223344' }), { kind: 'unknown', from: '!aabbccdd' }]);
+  assert.deepEqual(scheduler.list().map(e => e.request.from), ['!11223344']);
+});
+
+test('scheduler keeps other browsers\' entries when one browser pushes its schedule', async (t) => {
+  const { scheduler } = setup(t);
+  const other = nodeInfoSchedule({ from: '!11223344', gatewayId: '!11223344' });
+  scheduler.replace('browser-a', [nodeInfoSchedule(), other]);
+  // A fresh browser with an empty catalog cancels nothing
+  assert.equal(scheduler.replace('browser-b', []), 0);
+  assert.equal(scheduler.list().length, 2);
+
+  // Both schedule the same node: it stays until neither lists it
+  scheduler.replace('browser-b', [other]);
+  scheduler.replace('browser-a', []);
+  assert.deepEqual(scheduler.list().map(e => [e.request.from, e.owners]), [['!11223344', ['browser-b']]]);
+  scheduler.replace('browser-b', []);
+  assert.deepEqual(scheduler.list(), []);
+});
+
+test('scheduler publishes once when tabs push their schedules at the same time', async (t) => {
+  const { scheduler, mqttClient } = setup(t);
+  const publish = mqttClient.publish;
+  mqttClient.publish = async function (...args) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return publish.apply(this, args);
+  };
+
+  // Every tab's set_schedules is a replace() followed by a tick()
+  const pushes = ['browser-a', 'browser-a', 'browser-b'].map((owner) => {
+    scheduler.replace(owner, [nodeInfoSchedule()]);
+    return scheduler.tick(1000 * MINUTE);
+  });
+  // A push that lands while the check awaits the broker is still picked up
+  await new Promise(resolve => setTimeout(resolve, 1));
+  scheduler.replace('browser-c', [nodeInfoSchedule({ from: '!11223344', gatewayId: '!11223344' })]);
+  pushes.push(scheduler.tick(1000 * MINUTE));
+
+  assert.deepEqual(await Promise.all(pushes), [2, 2, 2, 2]);
+  assert.equal(mqttClient.published.length, 2);
+  assert.equal(await scheduler.tick(1001 * MINUTE), 0);
+});
+
+test('scheduler waits for the broker and retries failed announcements', async (t) => {
+  const { scheduler, mqttClient, events } = setup(t);
+  scheduler.replace('browser-a', [nodeInfoSchedule()]);
+
+  mqttClient.connected = false;
+  assert.equal(await scheduler.tick(1000 * MINUTE), 0);
+
+  mqttClient.connected = true;
+  const publish = mqttClient.publish;
+  mqttClient.publish = async () => { throw new Error('Broker gone'); };
+  assert.equal(await scheduler.tick(1001 * MINUTE), 0);
+
+  mqttClient.publish = publish;
+  assert.equal(await scheduler.tick(1002 * MINUTE), 1);
+  assert.equal(events.length, 1);
+});
+
+test('scheduled MapReports count the nodes the gateway heard and fall back to its last position', async (t) => {
+  const nodeRegistry = createNodeRegistry();
+  const { scheduler, mqttClient } = setup(t, { nodeRegistry });
+  scheduler.replace('browser-a', [{
+    kind: 'map_report',
+    intervalMin: 60,
+    channel: 'LongFast',
+    gatewayId: '!aabbccdd',
+    from: '!aabbccdd',
+    report: { longName: 'Roof Gateway', shortName: 'ROOF' },
+  }]);
+
+  // No configured position and none heard yet: wait for one
+  assert.equal(await scheduler.tick(1000 * MINUTE), 0);
+
+  nodeRegistry.observe({
+    type: 'message', from: '!aabbccdd', gatewayId: '!aabbccdd', portnum: PortNum.POSITION_APP,
+    payload: { latitude: 52.5, longitude: 13.4, altitude: 40 }, timestamp: 1000 * MINUTE,
+  });
+  nodeRegistry.observe({ type: 'message', from: '!11223344', gatewayId: '!aabbccdd', portnum: 1, timestamp: 1000 * MINUTE });
+  // Heard more than two hours before the report: no longer online
+  nodeRegistry.observe({ type: 'message', from: '!55667788', gatewayId: '!aabbccdd', portnum: 1, timestamp: 800 * MINUTE });
+  assert.equal(await scheduler.tick(1001 * MINUTE), 1);
+
+  const { topic, payload } = mqttClient.published[0];
+  assert.equal(topic, 'msh/EU_868/2/map/');
+  const report = decodeMapReport(decodeServiceEnvelope(payload).packet.decoded.payload);
+  assert.deepEqual(
+    [report.longName, report.latitude, report.longitude, report.altitude, report.numOnlineLocalNodes],
+    ['Roof Gateway', 52.5, 13.4, 40, 1]
+  );
+});
+
+test('scheduled MapReports go out once per gateway across browsers and concurrent pushes', async (t) => {
+  const { scheduler, mqttClient } = setup(t);
+  const publish = mqttClient.publish;
+  mqttClient.publish = async function (...args) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return publish.apply(this, args);
+  };
+  const mapReport = {
+    kind: 'map_report',
+    intervalMin: 60,
+    channel: 'LongFast',
+    gatewayId: '!aabbccdd',
+    from: '!aabbccdd',
+    report: { longName: 'Roof Gateway', latitude: 52.5, longitude: 13.4 },
+  };
+
+  const pushes = ['browser-a', 'browser-b', 'browser-b'].map((owner) => {
+    scheduler.replace(owner, [mapReport]);
+    return scheduler.tick(1000 * MINUTE);
+  });
+  assert.deepEqual(await Promise.all(pushes), [1, 1, 1]);
+  assert.equal(mqttClient.published.length, 1);
+  assert.equal(mqttClient.published[0].topic, 'msh/EU_868/2/map/');
+
+  // One browser dropping the gateway leaves the other's MapReport scheduled
+  scheduler.replace('browser-a', []);
+  assert.deepEqual(scheduler.list().map(e => [e.kind, e.owners]), [['map_report', ['browser-b']]]);
+  assert.equal(await scheduler.tick(1060 * MINUTE), 1);
+});
+
+test('scheduler keeps its entries and send times across restarts', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'announce-scheduler-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, 'nested', 'schedules.json');
+
+  const first = setup(t, { file });
+  first.scheduler.replace('browser-a', [nodeInfoSchedule()]);
+  await first.scheduler.tick(1000 * MINUTE);
+
+  const second = setup(t, { file });
+  assert.deepEqual(second.scheduler.list().map(e => [e.request.from, e.lastSentAt]), [['!aabbccdd', 1000 * MINUTE]]);
+  assert.equal(await second.scheduler.tick(1010 * MINUTE), 0);
+  assert.equal(await second.scheduler.tick(1030 * MINUTE), 1);
+});
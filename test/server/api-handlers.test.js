@@ -0,0 +1,325 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createHttpServer } from '../../src/server/http-server.js';
+import { createApiHandlers } from '../../src/server/api-handlers.js';
+import { createMqttBrokers } from '../../src/server/mqtt-brokers.js';
+import { createAuth } from '../../src/server/auth.js';
+import { createNodeRegistry } from '../../src/server/node-registry.js';
+import { createPacketStore } from '../../src/server/packet-store.js';
+import { decodeServiceEnvelope } from '../../src/server/protobuf.js';
+
+const NETWORKS = [
+  { id: 'net_public', name: 'Public', host: 'mqtt.example.org', port: 1883, root: 'msh', region: 'EU_868', path: '2/e' },
+  { id: 'net_private', name: 'Private', host: 'mosquitto.local', port: 1883, root: 'home', region: 'EU_868', path: '2/e' },
+];
+
+function createMockMqttClient({ networkId }) {
+  const subscriptions = new Set();
+  return {
+    networkId,
+    connected: true,
+    published: [],
+    async publish(topic, payload) {
+      this.published.push({ topic, payload });
+    },
+    async subscribe(topic) {
+      subscriptions.add(topic);
+    },
+    async unsubscribe(topic) {
+      subscriptions.delete(topic);
+    },
+    getSubscriptions() {
+      return Array.from(subscriptions);
+    },
+  };
+}
+
+async function startApi(t, { withStore = true, deliveryTracker = null, auth = null } = {}) {
+  const brokers = createMqttBrokers({ networks: NETWORKS, defaultNetworkId: 'net_public', connect: createMockMqttClient });
+  const mqttClient = brokers.get('net_public');
+  const broadcasts = [];
+  const nodeRegistry = createNodeRegistry();
+  let packetStore = null;
+
+  if (withStore) {
+    const dir = mkdtempSync(join(tmpdir(), 'api-store-'));
+    packetStore = createPacketStore({ dir, maxSegmentBytes: 1024 * 1024, maxSegments: 4 });
+    t.after(async () => {
+      await packetStore.close();
+      rmSync(dir, { recursive: true, force: true });
+    });
+  }
+
+  const api = createApiHandlers({
+    brokers,
+    broadcast: (msg) => broadcasts.push(msg),
+    packetStore,
+    nodeRegistry,
+    deliveryTracker,
+    auth,
+  });
+  const server = createHttpServer({ api, auth });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  async function request(method, path, body, headers = {}) {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+    });
+    return { status: res.status, body: await res.json(), cookie: res.headers.get('set-cookie') };
+  }
+
+  return { request, brokers, mqttClient, broadcasts, nodeRegistry, packetStore };
+}
+
+function makeMessage(overrides = {}) {
+  return {
+    type: 'message',
+    channelId: 'LongFast',
+    gatewayId: '!11111111',
+    from: '!aabbccdd',
+    to: '^all',
+    portnum: 1,
+    text: 'hello',
+    timestamp: 1000,
+    ...overrides,
+  };
+}
+
+test('GET /api/nodes lists observed nodes and /api/nodes/:id returns one', async (t) => {
+  const { request, nodeRegistry } = await startApi(t);
+  nodeRegistry.observe(makeMessage({ timestamp: 1000 }));
+  nodeRegistry.observe(makeMessage({
+    from: '!00000042',
+    portnum: 4,
+    payload: { id: '!00000042', longName: 'Base', shortName: 'BASE' },
+    timestamp: 2000,
+  }));
+
+  const list = await request('GET', '/api/nodes');
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.nodes.map(n => n.nodeId), ['!00000042', '!aabbccdd']);
+
+  const node = await request('GET', '/api/nodes/0x42');
+  assert.equal(node.status, 200);
+  assert.equal(node.body.user.longName, 'Base');
+  assert.deepEqual(node.body.gateways, ['!11111111']);
+
+  const byHex = await request('GET', '/api/nodes/aabbccdd');
+  assert.equal(byHex.body.nodeId, '!aabbccdd');
+
+  const missing = await request('GET', '/api/nodes/!deadbeef');
+  assert.equal(missing.status, 404);
+  assert.match(missing.body.error, /!deadbeef/);
+});
+
+test('GET /api/messages filters stored packets by channel and since', async (t) => {
+  const { request, packetStore } = await startApi(t);
+  packetStore.append(makeMessage({ text: 'old', timestamp: 1000 }));
+  packetStore.append(makeMessage({ text: 'other', channelId: 'MediumFast', timestamp: 2000 }));
+  packetStore.append(makeMessage({ text: 'new', timestamp: 3000 }));
+
+  const { status, body } = await request('GET', '/api/messages?channel=LongFast&since=2000');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.messages.map(m => m.text), ['new']);
+  assert.equal(body.channelId, 'LongFast');
+  assert.equal(body.truncated, false);
+});
+
+test('GET /api/messages rejects a non-numeric since or until', async (t) => {
+  const { request } = await startApi(t);
+
+  const since = await request('GET', '/api/messages?since=yesterday');
+  assert.equal(since.status, 400);
+  assert.equal(since.body.error, '"since" must be a timestamp in milliseconds');
+
+  const until = await request('GET', '/api/messages?until=12abc');
+  assert.equal(until.status, 400);
+});
+
+test('GET /api/messages returns 503 when the packet store is disabled', async (t) => {
+  const { request } = await startApi(t, { withStore: false });
+  const { status, body } = await request('GET', '/api/messages');
+  assert.equal(status, 503);
+  assert.match(body.error, /disabled/);
+});
+
+test('POST /api/messages publishes an encrypted text message', async (t) => {
+  const { request, mqttClient } = await startApi(t);
+
+  const { status, body } = await request('POST', '/api/messages', {
+    channel: 'LongFast',
+    gatewayId: '!d844b556',
+    to: '!aabbccdd',
+    text: 'from a script',
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.mode, 'protobuf');
+  assert.equal(body.to, '!aabbccdd');
+  assert.equal(body.text, 'from a script');
+  assert.equal(body.type, undefined);
+  assert.equal(mqttClient.published.length, 1);
+  assert.equal(mqttClient.published[0].topic, body.topic);
+
+  const envelope = decodeServiceEnvelope(mqttClient.published[0].payload);
+  assert.equal(envelope.packet.id, body.packetId);
+  assert.equal(envelope.channelId, 'LongFast');
+});
+
+test('POST /api/messages rejects missing text and invalid JSON', async (t) => {
+  const { request, mqttClient } = await startApi(t);
+
+  const noText = await request('POST', '/api/messages', { channel: 'LongFast' });
+  assert.equal(noText.status, 400);
+  assert.match(noText.body.error, /text/);
+
+  const badJson = await request('POST', '/api/messages', '{not json');
+  assert.equal(badJson.status, 400);
+  assert.match(badJson.body.error, /JSON/);
+
+  const pkiJson = await request('POST', '/api/messages', { path: '2/json', pki: true, text: 'x', to: '!aabbccdd' });
+  assert.equal(pkiJson.status, 400);
+  assert.match(pkiJson.body.error, /protobuf mode/);
+
+  assert.equal(mqttClient.published.length, 0);
+});
+
+test('POST /api/messages reports broker trouble as 503 / 502, not as a bad request', async (t) => {
+  const { request, mqttClient } = await startApi(t);
+
+  mqttClient.connected = false;
+  const offline = await request('POST', '/api/messages', { text: 'anyone?' });
+  assert.equal(offline.status, 503);
+  assert.match(offline.body.error, /not connected/);
+
+  mqttClient.connected = true;
+  mqttClient.publish = async () => { throw new Error('Connection closed'); };
+  const failed = await request('POST', '/api/messages', { text: 'anyone?' });
+  assert.equal(failed.status, 502);
+  assert.equal(failed.body.error, 'MQTT publish failed: Connection closed');
+});
+
+test('POST /api/messages with wantAck flags the packet and tracks delivery', async (t) => {
+  const tracked = [];
+  const { request, mqttClient } = await startApi(t, { deliveryTracker: { track: (p) => tracked.push(p) } });
+
+  const { status, body } = await request('POST', '/api/messages', {
+    gatewayId: '!d844b556',
+    to: '!aabbccdd',
+    text: 'ack me',
+    wantAck: true,
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.wantAck, true);
+  assert.equal(decodeServiceEnvelope(mqttClient.published[0].payload).packet.wantAck, true);
+  assert.equal(tracked.length, 1);
+  assert.equal(tracked[0].packetId, body.packetId);
+  assert.deepEqual(tracked[0].envelope, mqttClient.published[0].payload);
+
+  const broadcastAck = await request('POST', '/api/messages', { text: 'ack me', wantAck: true });
+  assert.equal(broadcastAck.status, 400);
+  assert.match(broadcastAck.body.error, /direct message/);
+});
+
+test('subscription endpoints subscribe, list and unsubscribe topics', async (t) => {
+  const { request, broadcasts } = await startApi(t);
+
+  const created = await request('POST', '/api/subscriptions', { topic: 'msh/EU_868/2/e/LongFast/#' });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.topics, ['msh/EU_868/2/e/LongFast/#']);
+  assert.deepEqual(broadcasts.at(-1), { type: 'subscriptions', networkId: 'net_public', topics: ['msh/EU_868/2/e/LongFast/#'] });
+
+  const listed = await request('GET', '/api/subscriptions');
+  assert.deepEqual(listed.body.topics, ['msh/EU_868/2/e/LongFast/#']);
+
+  const removed = await request('DELETE', `/api/subscriptions/${encodeURIComponent('msh/EU_868/2/e/LongFast/#')}`);
+  assert.equal(removed.status, 200);
+  assert.deepEqual(removed.body.topics, []);
+
+  const again = await request('DELETE', `/api/subscriptions/${encodeURIComponent('msh/EU_868/2/e/LongFast/#')}`);
+  assert.equal(again.status, 404);
+});
+
+test('requests are routed to the broker of the named network', async (t) => {
+  const { request, brokers, mqttClient } = await startApi(t);
+  const privateClient = brokers.get('net_private');
+
+  const sent = await request('POST', '/api/messages', { networkId: 'net_private', gatewayId: '!d844b556', text: 'home' });
+  assert.equal(sent.status, 201);
+  assert.equal(sent.body.networkId, 'net_private');
+  assert.equal(sent.body.topic, 'home/EU_868/2/e/LongFast/!d844b556');
+  assert.equal(privateClient.published.length, 1);
+  assert.equal(mqttClient.published.length, 0);
+
+  const subscribed = await request('POST', '/api/subscriptions', { networkId: 'net_private' });
+  assert.equal(subscribed.body.topic, 'home/EU_868/#');
+  assert.deepEqual(privateClient.getSubscriptions(), ['home/EU_868/#']);
+  assert.deepEqual((await request('GET', '/api/subscriptions')).body.topics, []);
+  assert.deepEqual((await request('GET', '/api/subscriptions?network=net_private')).body.topics, ['home/EU_868/#']);
+
+  const unknown = await request('POST', '/api/messages', { networkId: 'net_nope', text: 'lost' });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /net_nope/);
+});
+
+test('with auth enabled the API needs a login and viewers cannot publish', async (t) => {
+  const auth = createAuth({ token: 'watch-token', tokenRole: 'viewer', sessionTtlMs: 60_000 });
+  const { request, mqttClient } = await startApi(t, { auth });
+
+  const anonymous = await request('GET', '/api/nodes');
+  assert.equal(anonymous.status, 401);
+
+  const failed = await request('POST', '/api/login', { token: 'wrong' });
+  assert.equal(failed.status, 401);
+
+  const login = await request('POST', '/api/login', { token: 'watch-token' });
+  assert.equal(login.status, 200);
+  assert.match(login.cookie, /HttpOnly/);
+  const cookie = login.cookie.split(';')[0];
+
+  const session = await request('GET', '/api/session', undefined, { cookie });
+  assert.deepEqual(session.body, { authEnabled: true, username: 'token', role: 'viewer' });
+
+  const config = await request('GET', '/api/config', undefined, { cookie });
+  assert.equal(config.body.defaultKey, null);
+  assert.deepEqual(config.body.catalogSeed.keys, []);
+
+  const publish = await request('POST', '/api/messages', { text: 'nope' }, { cookie });
+  assert.equal(publish.status, 403);
+  assert.equal(mqttClient.published.length, 0);
+
+  const bearer = await request('GET', '/api/nodes', undefined, { authorization: 'Bearer watch-token' });
+  assert.equal(bearer.status, 200);
+});
+
+test('GET /api/config points the browser at the same-origin WebSocket path', async (t) => {
+  const { request } = await startApi(t);
+
+  const direct = await request('GET', '/api/config');
+  assert.match(direct.body.wsUrl, /^ws:\/\/127\.0\.0\.1:\d+\/ws$/);
+
+  const proxied = await request('GET', '/api/config', undefined, { 'x-forwarded-host': 'mesh.example.org', 'x-forwarded-proto': 'https' });
+  assert.equal(proxied.body.wsUrl, 'wss://mesh.example.org/ws');
+});
+
+test('unknown endpoints and methods return JSON errors', async (t) => {
+  const { request } = await startApi(t);
+
+  const unknown = await request('GET', '/api/nope');
+  assert.equal(unknown.status, 404);
+  assert.match(unknown.body.error, /Unknown endpoint/);
+
+  const wrongMethod = await request('DELETE', '/api/nodes');
+  assert.equal(wrongMethod.status, 405);
+  assert.match(wrongMethod.body.error, /DELETE/);
+});
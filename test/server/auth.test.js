@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createAuth, hashPassword, verifyPassword, OPEN_ACCESS_USER } from '../../src/server/auth.js';
+
+function writeUsersFile(t, users) {
+  const dir = mkdtempSync(join(tmpdir(), 'auth-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, 'users.json');
+  writeFileSync(file, JSON.stringify(users));
+  return file;
+}
+
+function request({ cookie, authorization, url = '/' } = {}) {
+  return { url, headers: { ...(cookie && { cookie }), ...(authorization && { authorization }) } };
+}
+
+test('hashPassword produces salted scrypt hashes that verifyPassword accepts', () => {
+  const hash = hashPassword('large4cats');
+
+  assert.match(hash, /^scrypt\$/);
+  assert.notEqual(hash, hashPassword('large4cats'));
+  assert.equal(verifyPassword('large4cats', hash), true);
+  assert.equal(verifyPassword('small4dogs', hash), false);
+  assert.equal(verifyPassword('large4cats', 'plaintext'), false);
+  // Hash parts that decode to nothing or to the wrong length never match
+  assert.equal(verifyPassword('anything', 'scrypt$c2FsdA==$!!!!'), false);
+  assert.equal(verifyPassword('anything', 'scrypt$c2FsdA==$c2hvcnQ='), false);
+});
+
+test('auth is open access when neither users file nor token is set', () => {
+  const auth = createAuth({ sessionTtlMs: 1000 });
+
+  assert.equal(auth.enabled, false);
+  assert.equal(auth.authenticate(request()), OPEN_ACCESS_USER);
+});
+
+test('users file login issues a session cookie carrying the role', (t) => {
+  const usersFile = writeUsersFile(t, [
+    { username: 'alice', passwordHash: hashPassword('secret'), role: 'admin' },
+    { username: 'bob', passwordHash: hashPassword('watch'), role: 'viewer' },
+  ]);
+  const auth = createAuth({ usersFile, sessionTtlMs: 60_000 });
+
+  assert.equal(auth.login({ username: 'alice', password: 'wrong' }), null);
+  assert.equal(auth.authenticate(request()), null);
+
+  const { sessionId, user } = auth.login({ username: 'bob', password: 'watch' });
+  assert.deepEqual(user, { username: 'bob', role: 'viewer' });
+
+  const cookie = auth.sessionCookie(sessionId).split(';')[0];
+  assert.deepEqual(auth.authenticate(request({ cookie })), { username: 'bob', role: 'viewer' });
+
+  auth.logout(request({ cookie }));
+  assert.equal(auth.authenticate(request({ cookie })), null);
+});
+
+test('session cookies are Secure only for requests that arrived over HTTPS', () => {
+  const auth = createAuth({ token: 's3cret', sessionTtlMs: 60_000 });
+  const plain = { headers: {}, socket: {} };
+  const tls = { headers: {}, socket: { encrypted: true } };
+  const proxied = { headers: { 'x-forwarded-proto': 'https' }, socket: {} };
+
+  assert.doesNotMatch(auth.sessionCookie('abc', plain), /Secure/);
+  assert.match(auth.sessionCookie('abc', tls), /; Secure/);
+  assert.match(auth.sessionCookie('abc', proxied), /; Secure/);
+  assert.match(auth.clearedSessionCookie(proxied), /; Secure; Max-Age=0$/);
+  // The proxy's scheme wins over the hop to us
+  assert.doesNotMatch(auth.sessionCookie('abc', { headers: { 'x-forwarded-proto': 'http' }, socket: { encrypted: true } }), /Secure/);
+});
+
+test('static token authenticates via bearer header, query string or login', () => {
+  const auth = createAuth({ token: 's3cret', tokenRole: 'viewer', sessionTtlMs: 60_000 });
+
+  assert.deepEqual(auth.authenticate(request({ authorization: 'Bearer s3cret' })), { username: 'token', role: 'viewer' });
+  assert.deepEqual(auth.authenticate(request({ url: '/?token=s3cret' })), { username: 'token', role: 'viewer' });
+  assert.equal(auth.authenticate(request({ authorization: 'Bearer nope' })), null);
+  assert.equal(auth.login({ token: 'nope' }), null);
+  assert.equal(auth.login({ token: 's3cret' }).user.role, 'viewer');
+});
+
+test('createAuth rejects unknown roles', (t) => {
+  const usersFile = writeUsersFile(t, [{ username: 'eve', passwordHash: hashPassword('x'), role: 'root' }]);
+
+  assert.throws(() => createAuth({ usersFile, sessionTtlMs: 1000 }), /Unknown role "root"/);
+  assert.throws(() => createAuth({ token: 't', tokenRole: 'root', sessionTtlMs: 1000 }), /AUTH_TOKEN_ROLE/);
+});
@@ -61,3 +61,90 @@ test('buildCatalogSeed merges catalog JSON and ignores entries without ids', asy
   assert.equal(seed.channels.some((channel) => channel.name === 'Missing id'), false);
   assert.equal(seed.defaults.sendChannelId, 'ch_custom');
 });
+
+test('getBrokerNetworks returns one connection per network and the seed hides credentials', async () => {
+  process.env.MQTT_HOST = 'mqtt.example.org';
+  process.env.MQTT_USERNAME = 'meshdev';
+  process.env.MQTT_PASSWORD = 'large4cats';
+  process.env.MQTT_REGION = 'EU_868';
+  process.env.CATALOG_NETWORKS_JSON = JSON.stringify([{
+    id: 'net_home',
+    name: 'Home',
+    mqttHost: 'mosquitto.local',
+    mqttPort: '1884',
+    mqttRoot: 'home',
+    mqttUsername: 'mesh',
+    mqttPassword: 'secret',
+  }]);
+
+  const { buildCatalogSeed, getBrokerNetworks } = await import(`../../src/server/config.js?cacheBust=${Date.now()}`);
+  const { networks, defaultNetworkId } = getBrokerNetworks();
+
+  assert.equal(defaultNetworkId, 'net_eu_868_public');
+  assert.deepEqual(networks.map(n => [n.id, n.host, n.port, n.username, n.password, n.root]), [
+    ['net_eu_868_public', 'mqtt.example.org', 1883, 'meshdev', 'large4cats', 'msh'],
+    ['net_home', 'mosquitto.local', 1884, 'mesh', 'secret', 'home'],
+  ]);
+
+  const seedNetwork = buildCatalogSeed().networks.find(n => n.id === 'net_home');
+  assert.equal(seedNetwork.mqttHost, 'mosquitto.local');
+  assert.equal('mqttPassword' in seedNetwork, false);
+  assert.equal('mqttUsername' in seedNetwork, false);
+});
+
+test('config falls back to the default packet store limits for invalid values', async () => {
+  process.env.PACKET_STORE_SEGMENT_MB = 'lots';
+  process.env.PACKET_STORE_MAX_SEGMENTS = '0';
+
+  const { config } = await import(`../../src/server/config.js?cacheBust=${Date.now()}`);
+
+  assert.equal(config.packetStore.maxSegmentBytes, 16 * 1024 * 1024);
+  assert.equal(config.packetStore.maxSegments, 32);
+});
+
+test('config keeps the default session lifetime for an invalid AUTH_SESSION_HOURS', async () => {
+  process.env.AUTH_SESSION_HOURS = 'forever';
+  let { config } = await import(`../../src/server/config.js?cacheBust=${Date.now()}`);
+  assert.equal(config.auth.sessionTtlMs, 12 * 60 * 60 * 1000);
+
+  process.env.AUTH_SESSION_HOURS = '2';
+  ({ config } = await import(`../../src/server/config.js?cacheBust=${Date.now() + 1}`));
+  assert.equal(config.auth.sessionTtlMs, 2 * 60 * 60 * 1000);
+});
+
+test('config validates the acknowledged-send timeout and retry count', async () => {
+  process.env.ACK_TIMEOUT_SECONDS = 'abc';
+  process.env.ACK_MAX_RETRIES = '-1';
+  let { config } = await import(`../../src/server/config.js?cacheBust=${Date.now()}`);
+  assert.equal(config.delivery.ackTimeoutMs, 30 * 1000);
+  assert.equal(config.delivery.maxRetries, 2);
+
+  process.env.ACK_TIMEOUT_SECONDS = '0';
+  process.env.ACK_MAX_RETRIES = '0';
+  ({ config } = await import(`../../src/server/config.js?cacheBust=${Date.now() + 1}`));
+  assert.equal(config.delivery.ackTimeoutMs, 30 * 1000);
+  assert.equal(config.delivery.maxRetries, 0);
+});
+
+test('config announces the gateway on its stat topic only when MQTT_PUBLISH_STAT opts in', async (t) => {
+  const original = { GATEWAY_ID: process.env.GATEWAY_ID, MQTT_PUBLISH_STAT: process.env.MQTT_PUBLISH_STAT };
+  t.after(() => {
+    for (const [key, value] of Object.entries(original)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  process.env.GATEWAY_ID = '0xd844b556';
+  delete process.env.MQTT_PUBLISH_STAT;
+  let { config } = await import(`../../src/server/config.js?cacheBust=${Date.now()}`);
+  assert.equal(config.meshtastic.statGatewayId, null);
+
+  process.env.MQTT_PUBLISH_STAT = 'true';
+  ({ config } = await import(`../../src/server/config.js?cacheBust=${Date.now() + 1}`));
+  assert.equal(config.meshtastic.statGatewayId, '!d844b556');
+
+  delete process.env.GATEWAY_ID;
+  ({ config } = await import(`../../src/server/config.js?cacheBust=${Date.now() + 2}`));
+  assert.equal(config.meshtastic.statGatewayId, null);
+});
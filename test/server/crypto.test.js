@@ -4,9 +4,14 @@ import assert from 'node:assert/strict';
 import {
   decodeMeshtasticKey,
   decrypt,
+  decryptPki,
+  derivePkiPublicKey,
   encrypt,
+  encryptPki,
   generateChannelHash,
   generatePacketId,
+  generatePkiKeyPair,
+  PKI_OVERHEAD,
 } from '../../src/server/crypto.js';
 
 const DEFAULT_KEY_B64 = '1PG7OiApB1nwvP+rz05pAQ==';
@@ -106,3 +111,40 @@ test('generatePacketId returns an unsigned 32-bit integer', () => {
     assert.equal(id <= 0xffffffff, true);
   }
 });
+
+test('decryptPki matches the firmware Curve25519 test vector', () => {
+  // From firmware test/test_crypto: packet 0x13b2d662 from node 0x0929
+  const privateKey = Buffer.from('a00330633e63522f8a4d81ec6d9d1e6617f6c8ffd3a4c698229537d44e522277', 'hex').toString('base64');
+  const publicKey = Buffer.from('db18fc50eea47f00251cb784819a3cf5fc361882597f589f0d7ff820e8064457', 'hex').toString('base64');
+  const radioPayload = Buffer.from('40df24abfcc30a17a3d9046726099e796a1c036a792b', 'hex');
+
+  const decrypted = decryptPki(radioPayload, { privateKey, publicKey }, 0x13b2d662, 0x0929);
+
+  assert.equal(decrypted.toString('hex'), '08011204746573744800');
+});
+
+test('encryptPki/decryptPki roundtrip between two generated keypairs', () => {
+  const alice = generatePkiKeyPair();
+  const bob = generatePkiKeyPair();
+  const plaintext = Buffer.from('direct hello', 'utf-8');
+
+  const encrypted = encryptPki(plaintext, { privateKey: alice.privateKey, publicKey: bob.publicKey }, 42, 0x11223344);
+  assert.equal(encrypted.length, plaintext.length + PKI_OVERHEAD);
+
+  const decrypted = decryptPki(encrypted, { privateKey: bob.privateKey, publicKey: alice.publicKey }, 42, 0x11223344);
+  assert.deepEqual(decrypted, plaintext);
+});
+
+test('decryptPki rejects payloads for a different recipient', () => {
+  const alice = generatePkiKeyPair();
+  const bob = generatePkiKeyPair();
+  const eve = generatePkiKeyPair();
+  const encrypted = encryptPki(Buffer.from('secret'), { privateKey: alice.privateKey, publicKey: bob.publicKey }, 1, 2);
+
+  assert.throws(() => decryptPki(encrypted, { privateKey: eve.privateKey, publicKey: alice.publicKey }, 1, 2));
+});
+
+test('derivePkiPublicKey returns the public half of a generated keypair', () => {
+  const { publicKey, privateKey } = generatePkiKeyPair();
+  assert.equal(derivePkiPublicKey(privateKey), publicKey);
+});
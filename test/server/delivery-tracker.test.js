@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDeliveryTracker } from '../../src/server/delivery-tracker.js';
+import { PortNum } from '../../src/server/protobuf.js';
+
+const FROM = 0xd844b556;
+const TO = 0xaabbccdd;
+
+function setup(t, { timeoutMs = 1000, maxRetries = 2 } = {}) {
+  const published = [];
+  const events = [];
+  const brokers = {
+    get: (networkId) => ({
+      async publish(topic, payload) {
+        published.push({ networkId, topic, payload });
+      },
+    }),
+  };
+  const tracker = createDeliveryTracker({
+    brokers,
+    broadcast: (msg) => events.push(msg),
+    timeoutMs,
+    maxRetries,
+  });
+  t.after(() => tracker.close());
+
+  tracker.track({ networkId: 'net_private', packetId: 42, topic: 'msh/EU_868/2/e/LongFast/!d844b556', envelope: Buffer.from([1, 2, 3]), fromNode: FROM, toNode: TO });
+  return { tracker, published, events };
+}
+
+function routingReply(overrides = {}) {
+  return {
+    type: 'message',
+    from: '!aabbccdd',
+    to: '!d844b556',
+    portnum: PortNum.ROUTING_APP,
+    requestId: 42,
+    payload: { errorReason: 0, routeRequest: null, routeReply: null },
+    ...overrides,
+  };
+}
+
+function waitFor(predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting'));
+      setTimeout(poll, 5);
+    };
+    poll();
+  });
+}
+
+test('delivery tracker reports an ack from the receiver', (t) => {
+  const { tracker, events } = setup(t);
+
+  tracker.observe(routingReply());
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'delivery');
+  assert.equal(events[0].packetId, 42);
+  assert.equal(events[0].status, 'acked');
+  assert.equal(events[0].ackFrom, '!aabbccdd');
+  assert.equal(events[0].attempt, 1);
+
+  // A late duplicate ack is ignored once settled
+  tracker.observe(routingReply());
+  assert.equal(events.length, 1);
+});
+
+test('delivery tracker reports a NAK with the routing error name', (t) => {
+  const { tracker, events } = setup(t);
+
+  tracker.observe(routingReply({ payload: { errorReason: 1, errorName: 'NO_ROUTE' } }));
+
+  assert.equal(events[0].status, 'nak');
+  assert.equal(events[0].errorReason, 1);
+  assert.equal(events[0].errorName, 'NO_ROUTE');
+});
+
+test('delivery tracker ignores replies for other packets or other senders', (t) => {
+  const { tracker, events } = setup(t);
+
+  tracker.observe(routingReply({ requestId: 43 }));
+  tracker.observe(routingReply({ to: '!11111111' }));
+  tracker.observe(routingReply({ portnum: PortNum.TEXT_MESSAGE_APP }));
+  tracker.observe(routingReply({ networkId: 'net_public' }));
+
+  assert.equal(events.length, 0);
+});
+
+test('delivery tracker re-publishes the same envelope and then times out', async (t) => {
+  const { events, published } = setup(t, { timeoutMs: 10, maxRetries: 2 });
+
+  await waitFor(() => events.some(e => e.status === 'timeout'));
+
+  assert.deepEqual(events.map(e => [e.status, e.attempt]), [['retrying', 2], ['retrying', 3], ['timeout', 3]]);
+  assert.equal(published.length, 2);
+  assert.deepEqual(published[0].payload, Buffer.from([1, 2, 3]));
+  assert.equal(published[0].networkId, 'net_private');
+  assert.equal(events[0].maxAttempts, 3);
+});
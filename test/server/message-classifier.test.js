@@ -131,3 +131,14 @@ test('buildPacketMeta formats node IDs from packet', () => {
   assert.equal(meta.hopLimit, 3);
   assert.equal(meta.viaMqtt, true);
 });
+
+test('classifyIncomingPayload reads gateway online/offline from stat topics', () => {
+  const online = classifyIncomingPayload('msh/EU_868/2/stat/!AABBCCDD', Buffer.from('online'));
+  assert.equal(online.kind, 'meshtastic.stat');
+  assert.equal(online.gatewayId, '!aabbccdd');
+  assert.equal(online.status, 'online');
+
+  const unknown = classifyIncomingPayload('msh/EU_868/2/stat/!aabbccdd', Buffer.from('rebooting'));
+  assert.equal(unknown.kind, 'text/plain');
+  assert.ok(unknown.decodeError.includes('Unknown gateway status'));
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMqttBrokers } from '../../src/server/mqtt-brokers.js';
+
+const NETWORKS = [
+  { id: 'net_public', name: 'Public', host: 'mqtt.example.org', port: 1883, root: 'msh', region: 'EU_868', path: '2/e' },
+  { id: 'net_private', name: 'Private', host: 'mosquitto.local', port: 1884, root: 'home', region: 'US', path: '2/e' },
+];
+
+function setup({ defaultNetworkId = 'net_public' } = {}) {
+  const connections = [];
+  const received = [];
+  let statusChanges = 0;
+  const brokers = createMqttBrokers({
+    networks: NETWORKS,
+    defaultNetworkId,
+    onMessage: (topic, message, networkId) => received.push({ topic, networkId }),
+    onStatusChange: () => statusChanges++,
+    connect(options) {
+      const client = { ...options, connected: false, end() { this.ended = true; } };
+      connections.push(client);
+      return client;
+    },
+  });
+  return { brokers, connections, received, statusChanges: () => statusChanges };
+}
+
+test('mqtt brokers open one connection per network with its own settings', () => {
+  const { connections } = setup();
+
+  assert.deepEqual(connections.map(c => [c.networkId, c.host, c.port]), [
+    ['net_public', 'mqtt.example.org', 1883],
+    ['net_private', 'mosquitto.local', 1884],
+  ]);
+  assert.equal(connections[1].defaultTopic, 'home/US/2/e/LongFast/#');
+  assert.equal(connections[1].statSubscription, 'home/US/2/stat/+');
+});
+
+test('mqtt brokers route by network id and fall back to the default network', () => {
+  const { brokers, connections } = setup({ defaultNetworkId: 'net_private' });
+
+  assert.equal(brokers.get('net_public'), connections[0]);
+  assert.equal(brokers.get(null), connections[1]);
+  assert.equal(brokers.getNetwork().root, 'home');
+  assert.throws(() => brokers.get('net_nope'), /net_nope has no broker connection/);
+});
+
+test('mqtt brokers tag received messages and report per-broker status', () => {
+  const { brokers, connections, received, statusChanges } = setup();
+
+  connections[1].onMessage('home/US/2/e/LongFast/!aabbccdd', Buffer.alloc(0));
+  assert.deepEqual(received, [{ topic: 'home/US/2/e/LongFast/!aabbccdd', networkId: 'net_private' }]);
+
+  connections[1].connected = true;
+  connections[1].onConnect();
+  assert.equal(statusChanges(), 1);
+  assert.deepEqual(brokers.status(), {
+    connected: true,
+    brokers: [
+      { networkId: 'net_public', name: 'Public', host: 'mqtt.example.org', port: 1883, connected: false },
+      { networkId: 'net_private', name: 'Private', host: 'mosquitto.local', port: 1884, connected: true },
+    ],
+  });
+
+  brokers.end();
+  assert.ok(connections.every(c => c.ended));
+});
@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { createMqttMessageHandler } from '../../src/server/mqtt-handlers.js';
-import { encodeServiceEnvelope, encodeData, PortNum } from '../../src/server/protobuf.js';
+import { encodeServiceEnvelope, encodeData, encodeMapReport, PortNum } from '../../src/server/protobuf.js';
 import { encrypt, generateChannelHash } from '../../src/server/crypto.js';
 import { rememberChannelKey } from '../../src/server/packet-decoder.js';
 
@@ -71,6 +71,16 @@ test('handleMqttMessage broadcasts decoded protobuf messages', () => {
   assert.equal(messages[0].from, '!d844b556');
 });
 
+test('handleMqttMessage tags messages with the network they arrived on', () => {
+  const messages = [];
+  const handler = createMqttMessageHandler({ broadcast: (msg) => messages.push(msg) });
+
+  handler('home/EU_868/2/json/LongFast/!aabbccdd', Buffer.from(JSON.stringify({ type: 'text', payload: 'hi', from: '!d844b556' })), 'net_private');
+  handler('home/EU_868/2/e/LongFast/!aabbccdd', Buffer.from([0xff, 0x00]), 'net_private');
+
+  assert.deepEqual(messages.map(m => [m.type, m.networkId]), [['message', 'net_private'], ['raw_message', 'net_private']]);
+});
+
 test('handleMqttMessage broadcasts raw_message for undecoded payloads', () => {
   const messages = [];
   const broadcast = (msg) => messages.push(msg);
@@ -103,3 +113,132 @@ test('handleMqttMessage broadcasts raw_message for invalid JSON on json topic',
   assert.equal(messages.length, 1);
   assert.equal(messages[0].type, 'raw_message');
 });
+
+test('handleMqttMessage appends decoded messages to the packet store', () => {
+  const stored = [];
+  const messages = [];
+  const handler = createMqttMessageHandler({
+    broadcast: (msg) => messages.push(msg),
+    packetStore: { append: (msg) => stored.push(msg) },
+  });
+
+  handler('msh/EU_868/2/json/LongFast/!aabbccdd', Buffer.from(JSON.stringify({
+    type: 'text',
+    payload: 'persist me',
+    from: '!d844b556',
+  })));
+
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].text, 'persist me');
+  assert.deepEqual(stored[0], messages[0]);
+});
+
+test('handleMqttMessage passes routing acks with request_id to the delivery tracker', () => {
+  const observed = [];
+  const handler = createMqttMessageHandler({
+    broadcast: () => {},
+    deliveryTracker: { observe: (msg) => observed.push(msg) },
+  });
+
+  const key = 'AQ==';
+  const packetId = 88888;
+  const fromNode = 0xaabbccdd;
+  rememberChannelKey('LongFast', key);
+
+  const dataPayload = encodeData({
+    portnum: PortNum.ROUTING_APP,
+    payload: Buffer.alloc(0), // Routing { error_reason: NONE }
+    requestId: 0xcafef00d,
+  });
+  const envelope = encodeServiceEnvelope({
+    packet: {
+      from: fromNode,
+      to: 0xd844b556,
+      id: packetId,
+      channel: generateChannelHash('LongFast', key),
+      encrypted: encrypt(dataPayload, key, packetId, fromNode),
+    },
+    channelId: 'LongFast',
+    gatewayId: '!aabbccdd',
+  });
+
+  handler('msh/EU_868/2/e/LongFast/!aabbccdd', Buffer.from(envelope));
+
+  assert.equal(observed.length, 1);
+  assert.equal(observed[0].portnum, PortNum.ROUTING_APP);
+  assert.equal(observed[0].requestId, 0xcafef00d);
+  assert.equal(observed[0].to, '!d844b556');
+  assert.equal(observed[0].payload.errorReason, 0);
+});
+
+test('handleMqttMessage decodes copies of a packet once, retrying copies that failed', () => {
+  const messages = [];
+  const handler = createMqttMessageHandler({ broadcast: (msg) => messages.push(msg) });
+
+  const key = Buffer.alloc(16, 0x5a).toString('base64');
+  const packetId = 88888;
+  const fromNode = 0xd844b556;
+  const encrypted = encrypt(
+    encodeData({ portnum: PortNum.TEXT_MESSAGE_APP, payload: Buffer.from('heard twice'), bitfield: 1 }),
+    key,
+    packetId,
+    fromNode
+  );
+  const copy = (gatewayId, packetBytes) => encodeServiceEnvelope({
+    packet: {
+      from: fromNode, to: 0xffffffff, id: packetId, channel: generateChannelHash('Dedupe', key), hopLimit: 0, encrypted: packetBytes,
+    },
+    channelId: 'Dedupe',
+    gatewayId,
+  });
+
+  // The first copy arrives before the channel key is known; that failure is not reused
+  handler('msh/EU_868/2/e/Dedupe/!00000001', copy('!00000001', encrypted));
+  rememberChannelKey('Dedupe', key);
+  handler('msh/EU_868/2/e/Dedupe/!00000002', copy('!00000002', encrypted));
+  // Garbage ciphertext proves the next copy reuses the successful decode
+  handler('msh/EU_868/2/e/Dedupe/!00000003', copy('!00000003', Buffer.alloc(encrypted.length)));
+
+  assert.deepEqual(messages.map(m => [m.gatewayId, m.decryptionStatus, m.text]), [
+    ['!00000001', 'failed', null],
+    ['!00000002', 'success', 'heard twice'],
+    ['!00000003', 'success', 'heard twice'],
+  ]);
+});
+
+test('handleMqttMessage stores gateway status changes and skips retained repeats', () => {
+  const messages = [];
+  const stored = [];
+  const handler = createMqttMessageHandler({ broadcast: msg => messages.push(msg), packetStore: { append: msg => stored.push(msg) } });
+
+  handler('msh/EU_868/2/stat/!aabbccdd', Buffer.from('online'), 'net_public');
+  handler('msh/EU_868/2/stat/!aabbccdd', Buffer.from('online'), 'net_public');
+  handler('msh/EU_868/2/stat/!aabbccdd', Buffer.from('offline'), 'net_public');
+
+  assert.deepEqual(messages.map(m => [m.type, m.gatewayId, m.status, m.networkId]), [
+    ['gateway_status', '!aabbccdd', 'online', 'net_public'],
+    ['gateway_status', '!aabbccdd', 'offline', 'net_public'],
+  ]);
+  assert.equal(stored.length, 2);
+});
+
+test('handleMqttMessage decodes map reports from the 2/map topic', () => {
+  const messages = [];
+  const handler = createMqttMessageHandler({ broadcast: msg => messages.push(msg) });
+
+  const report = encodeMapReport({ longName: 'Hilltop', shortName: 'HILL', latitudeI: 525000000, longitudeI: 134000000, region: 3 });
+  const envelope = encodeServiceEnvelope({
+    packet: { from: 0x11223344, to: 0xffffffff, id: 4242, hopLimit: 0, decoded: { portnum: PortNum.MAP_REPORT_APP, payload: report } },
+    channelId: '',
+    gatewayId: '',
+  });
+  handler('msh/EU_868/2/map/', envelope, 'net_public');
+
+  assert.equal(messages.length, 1);
+  const [msg] = messages;
+  assert.equal(msg.type, 'message');
+  assert.equal(msg.portName, 'MAP_REPORT');
+  assert.equal(msg.gatewayId, '!11223344');
+  assert.equal(msg.channelId, null);
+  assert.deepEqual([msg.payload.longName, msg.payload.latitude, msg.payload.longitude], ['Hilltop', 52.5, 13.4]);
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createNodeRegistry } from '../../src/server/node-registry.js';
+
+test('node registry tracks last seen, gateways and decoded payloads', () => {
+  const registry = createNodeRegistry();
+  registry.observe({ type: 'message', from: '!aabbccdd', gatewayId: '!00000001', portnum: 1, timestamp: 2000 });
+  registry.observe({
+    type: 'message',
+    from: '!aabbccdd',
+    gatewayId: '!00000002',
+    channelId: 'LongFast',
+    portnum: 3,
+    payload: { latitude: 48.1, longitude: 11.5, altitude: 520 },
+    timestamp: 3000,
+  });
+  // Replayed out of order: updates firstSeenAt but not the "last" fields
+  registry.observe({ type: 'message', from: '!aabbccdd', gatewayId: '!00000003', portnum: 1, timestamp: 1000 });
+
+  const node = registry.get('!aabbccdd');
+  assert.equal(node.packetCount, 3);
+  assert.equal(node.firstSeenAt, 1000);
+  assert.equal(node.lastSeenAt, 3000);
+  assert.equal(node.lastGatewayId, '!00000002');
+  assert.equal(node.lastChannelId, 'LongFast');
+  assert.deepEqual(node.gateways, ['!00000001', '!00000002', '!00000003']);
+  assert.deepEqual(node.position, { latitude: 48.1, longitude: 11.5, altitude: 520, updatedAt: 3000 });
+});
+
+test('node registry ignores raw messages and broadcast pseudo nodes', () => {
+  const registry = createNodeRegistry();
+  registry.observe({ type: 'raw_message', from: '!aabbccdd' });
+  registry.observe({ type: 'message', from: '^all' });
+  registry.observe({ type: 'message', from: '?' });
+
+  assert.deepEqual(registry.list(), []);
+  assert.equal(registry.get('!aabbccdd'), null);
+});
+
+test('node registry keeps the latest reading of each telemetry variant', () => {
+  const registry = createNodeRegistry();
+  const telemetry = (payload, timestamp) => registry.observe({
+    type: 'message',
+    from: '!aabbccdd',
+    portnum: 67,
+    payload: { time: 0, deviceMetrics: null, environmentMetrics: null, ...payload },
+    timestamp,
+  });
+  telemetry({ deviceMetrics: { batteryLevel: 90 } }, 1000);
+  telemetry({ environmentMetrics: { temperature: 20 } }, 2000);
+  telemetry({ deviceMetrics: { batteryLevel: 85 } }, 3000);
+
+  const { telemetry: latest } = registry.get('!aabbccdd');
+  assert.deepEqual(latest.deviceMetrics, { batteryLevel: 85 });
+  assert.deepEqual(latest.environmentMetrics, { temperature: 20 });
+  assert.equal(latest.updatedAt, 3000);
+});
+
+test('node registry counts the nodes a gateway heard over the air', () => {
+  const registry = createNodeRegistry();
+  const heard = (from, timestamp, extra = {}) => registry.observe({ type: 'message', from, gatewayId: '!00000001', portnum: 1, timestamp, ...extra });
+  heard('!aabbccdd', 1000);
+  heard('!aabbccdd', 5000);
+  heard('!11223344', 2000);
+  // Uplinked over MQTT by someone else, or the gateway's own packets
+  heard('!55667788', 6000, { viaMqtt: true });
+  heard('!00000001', 6000);
+
+  assert.equal(registry.countHeardBy('!00000001', 0), 2);
+  assert.equal(registry.countHeardBy('!00000001', 3000), 1);
+  assert.equal(registry.countHeardBy('!00000002', 0), 0);
+});
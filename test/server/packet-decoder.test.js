@@ -2,12 +2,15 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import {
   rememberChannelKey,
+  rememberNodePrivateKey,
+  getNodePublicKey,
   decodeMeshtasticJsonMessage,
   decodePacketContent,
   getPortName,
 } from '../../src/server/packet-decoder.js';
-import { PortNum, encodeData } from '../../src/server/protobuf.js';
-import { encrypt } from '../../src/server/crypto.js';
+import { PortNum, encodeData, encodeUser, encodeWaypoint } from '../../src/server/protobuf.js';
+import { encrypt, encryptPki, generatePkiKeyPair } from '../../src/server/crypto.js';
+import { unishox2Compress } from '../../src/server/unishox2.js';
 
 // --- getPortName ---
 
@@ -87,6 +90,39 @@ test('decodeMeshtasticJsonMessage handles position payload normalization', () =>
   assert.equal(result.payload.longitude, 11.5);
 });
 
+test('decodeMeshtasticJsonMessage normalizes waypoint payloads', () => {
+  const topic = 'msh/EU_868/2/json/LongFast/!aabbccdd';
+  const json = {
+    type: 'waypoint',
+    payload: { id: 42, latitude_i: 485000000, longitude_i: 115000000, expire: 1800000000, locked_to: 1, name: 'Camp' },
+    from: 1,
+  };
+  const result = decodeMeshtasticJsonMessage(topic, json);
+  assert.equal(result.portnum, PortNum.WAYPOINT_APP);
+  assert.equal(result.payload.latitude, 48.5);
+  assert.equal(result.payload.lockedTo, 1);
+  assert.equal(result.payload.name, 'Camp');
+});
+
+test('decodeMeshtasticJsonMessage normalizes paxcounter payloads', () => {
+  const topic = 'msh/EU_868/2/json/LongFast/!aabbccdd';
+  const json = { type: 'paxcounter', payload: { wifi_count: 12, ble_count: 30, uptime: 600 }, from: 1 };
+  const result = decodeMeshtasticJsonMessage(topic, json);
+  assert.equal(result.portnum, PortNum.PAXCOUNTER_APP);
+  assert.equal(result.portName, 'PAXCOUNTER');
+  assert.equal(result.payload.wifi, 12);
+  assert.equal(result.payload.ble, 30);
+});
+
+test('decodeMeshtasticJsonMessage names the hardware model and role of nodeinfo', () => {
+  const topic = 'msh/EU_868/2/json/LongFast/!aabbccdd';
+  const json = { type: 'nodeinfo', payload: { id: '!00000001', longname: 'Hill', hardware: 71, role: 5 }, from: 1 };
+  const result = decodeMeshtasticJsonMessage(topic, json);
+  assert.equal(result.payload.hwModel, 71);
+  assert.equal(result.payload.hwModelName, 'TRACKER_T1000_E');
+  assert.equal(result.payload.roleName, 'TRACKER');
+});
+
 test('decodeMeshtasticJsonMessage handles unknown type', () => {
   const topic = 'msh/EU_868/2/json/LongFast/!aabbccdd';
   const json = { type: 'somethingNew', payload: { data: 1 }, from: 1 };
@@ -120,6 +156,22 @@ test('decodePacketContent decodes plaintext packet', () => {
   assert.equal(result.portnum, PortNum.TEXT_MESSAGE_APP);
 });
 
+test('decodePacketContent decodes waypoint payloads', () => {
+  const result = decodePacketContent({
+    from: 0xd844b556,
+    to: 0xffffffff,
+    id: 101,
+    decoded: {
+      portnum: PortNum.WAYPOINT_APP,
+      payload: encodeWaypoint({ id: 5, latitudeI: 485000000, longitudeI: 115000000, name: 'Hut' }),
+    },
+  });
+  assert.equal(result.portnum, PortNum.WAYPOINT_APP);
+  assert.equal(result.decodedPayload.name, 'Hut');
+  assert.equal(result.decodedPayload.latitude, 48.5);
+  assert.equal(result.decodeError, null);
+});
+
 test('decodePacketContent decodes encrypted packet with default key', () => {
   const key = 'AQ==';
   const packetId = 12345;
@@ -142,6 +194,85 @@ test('decodePacketContent decodes encrypted packet with default key', () => {
   assert.equal(result.decodedText, 'Secret message');
 });
 
+test('decodePacketContent exposes reply_id and emoji of a reaction', () => {
+  const result = decodePacketContent({
+    from: 0x11223344,
+    to: 0xffffffff,
+    id: 7,
+    decoded: {
+      portnum: PortNum.TEXT_MESSAGE_APP,
+      payload: Buffer.from('\u{1F44D}'),
+      replyId: 4242,
+      emoji: 1,
+    },
+  });
+  assert.equal(result.decodedText, '\u{1F44D}');
+  assert.equal(result.replyId, 4242);
+  assert.equal(result.emoji, true);
+});
+
+test('decodePacketContent decompresses TEXT_MESSAGE_COMPRESSED_APP into text', () => {
+  const result = decodePacketContent({
+    from: 0x11223344,
+    to: 0xffffffff,
+    id: 8,
+    decoded: {
+      portnum: PortNum.TEXT_MESSAGE_COMPRESSED_APP,
+      payload: unishox2Compress('Hello from the mesh'),
+    },
+  });
+  assert.equal(result.portnum, PortNum.TEXT_MESSAGE_APP);
+  assert.equal(result.compressed, true);
+  assert.equal(result.decodedText, 'Hello from the mesh');
+});
+
+test('decodePacketContent reads the sequence number of a range test packet', () => {
+  const result = decodePacketContent({
+    from: 0x11223344,
+    to: 0xffffffff,
+    id: 9,
+    decoded: { portnum: PortNum.RANGE_TEST_APP, payload: Buffer.from('seq 42') },
+  });
+  assert.equal(result.decodedText, null);
+  assert.deepEqual(result.decodedPayload, { text: 'seq 42', seq: 42 });
+});
+
+test('decodePacketContent decodes detection sensor text and paxcounts', () => {
+  const detection = decodePacketContent({
+    from: 0x11223344,
+    to: 0xffffffff,
+    id: 11,
+    decoded: { portnum: PortNum.DETECTION_SENSOR_APP, payload: Buffer.from('Motion detected') },
+  });
+  assert.equal(detection.decodedText, null);
+  assert.deepEqual(detection.decodedPayload, { text: 'Motion detected' });
+
+  const pax = decodePacketContent({
+    from: 0x11223344,
+    to: 0xffffffff,
+    id: 12,
+    // wifi = 5, ble = 17
+    decoded: { portnum: PortNum.PAXCOUNTER_APP, payload: Buffer.from([0x08, 0x05, 0x10, 0x11]) },
+  });
+  assert.deepEqual(pax.decodedPayload, { wifi: 5, ble: 17, uptime: 0 });
+});
+
+test('decodePacketContent shows a Store & Forward replay as the original text', () => {
+  const result = decodePacketContent({
+    from: 0x11223344,
+    to: 0x55667788,
+    id: 10,
+    decoded: {
+      portnum: PortNum.STORE_FORWARD_APP,
+      // rr = ROUTER_TEXT_DIRECT, text = "stored"
+      payload: Buffer.from([0x08, 0x08, 0x2a, 0x06, ...Buffer.from('stored')]),
+    },
+  });
+  assert.equal(result.portnum, PortNum.STORE_FORWARD_APP);
+  assert.equal(result.decodedText, 'stored');
+  assert.equal(result.decodedPayload.rrName, 'ROUTER_TEXT_DIRECT');
+});
+
 test('decodePacketContent returns failed for wrong key', () => {
   const key = 'AQ==';
   const wrongKey = 'Ag==';
@@ -185,3 +316,84 @@ test('decodePacketContent handles plaintext in encrypted field', () => {
   assert.equal(result.decryptionStatus, 'plaintext');
   assert.equal(result.decodedText, 'Plaintext in encrypted');
 });
+
+// --- PKI direct messages ---
+
+test('decodePacketContent decrypts PKI direct message for a registered node', () => {
+  const sender = generatePkiKeyPair();
+  const recipient = generatePkiKeyPair();
+  const fromNode = 0x0a0b0c0d;
+  const toNode = 0x01020304;
+  const packetId = 777;
+
+  assert.equal(rememberNodePrivateKey('!01020304', recipient.privateKey), true);
+
+  const dataPayload = encodeData({ portnum: PortNum.TEXT_MESSAGE_APP, payload: Buffer.from('psst') });
+  const encrypted = encryptPki(
+    dataPayload,
+    { privateKey: sender.privateKey, publicKey: recipient.publicKey },
+    packetId,
+    fromNode
+  );
+
+  const result = decodePacketContent(
+    {
+      from: fromNode,
+      to: toNode,
+      id: packetId,
+      encrypted,
+      pkiEncrypted: true,
+      publicKey: Buffer.from(sender.publicKey, 'base64'),
+    },
+    { channelId: 'PKI' }
+  );
+
+  assert.equal(result.decryptionStatus, 'pki');
+  assert.equal(result.decodedText, 'psst');
+  assert.equal(getNodePublicKey('!0a0b0c0d'), sender.publicKey);
+});
+
+test('decodePacketContent reports missing private key for PKI packets', () => {
+  const result = decodePacketContent(
+    { from: 1, to: 0x0badf00d, id: 1, encrypted: Buffer.alloc(24, 7), pkiEncrypted: true },
+    { channelId: 'PKI' }
+  );
+  assert.equal(result.decryptionStatus, 'failed');
+  assert.match(result.decodeError, /no private key for !0badf00d/);
+});
+
+test('decodePacketContent learns public keys from NodeInfo', () => {
+  const { publicKey } = generatePkiKeyPair();
+  const payload = encodeUser({ id: '!00c0ffee', longName: 'Peer', publicKey });
+
+  const result = decodePacketContent({
+    from: 0x00c0ffee,
+    to: 0xffffffff,
+    id: 5,
+    decoded: { portnum: PortNum.NODEINFO_APP, payload },
+  });
+
+  assert.equal(result.decodedPayload.publicKey, publicKey);
+  assert.equal(getNodePublicKey('!00c0ffee'), publicKey);
+});
+
+test('decodePacketContent names enum fields of NodeInfo and Routing payloads', () => {
+  const nodeInfo = decodePacketContent({
+    from: 1,
+    to: 0xffffffff,
+    id: 400,
+    decoded: { portnum: PortNum.NODEINFO_APP, payload: encodeUser({ id: '!00000001', longName: 'Roof', hwModel: 43, role: 11 }) },
+  });
+  assert.equal(nodeInfo.decodedPayload.hwModelName, 'HELTEC_V3');
+  assert.equal(nodeInfo.decodedPayload.roleName, 'ROUTER_LATE');
+
+  // Routing { error_reason: PKI_FAILED }
+  const routing = decodePacketContent({
+    from: 1,
+    to: 2,
+    id: 401,
+    decoded: { portnum: PortNum.ROUTING_APP, payload: Buffer.from([0x18, 34]) },
+  });
+  assert.equal(routing.decodedPayload.errorReason, 34);
+  assert.equal(routing.decodedPayload.errorName, 'PKI_FAILED');
+});
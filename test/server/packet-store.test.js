@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createPacketStore } from '../../src/server/packet-store.js';
+
+function makeStore(t, options = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'packet-store-'));
+  const store = createPacketStore({ dir, maxSegmentBytes: 1024 * 1024, maxSegments: 4, ...options });
+  t.after(async () => {
+    await store.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+  return { dir, store };
+}
+
+function makeMessage(overrides = {}) {
+  return {
+    type: 'message',
+    channelId: 'LongFast',
+    from: '!aabbccdd',
+    to: '^all',
+    portnum: 1,
+    text: 'hello',
+    timestamp: 1_700_000_000_000,
+    ...overrides,
+  };
+}
+
+test('packet store returns appended messages oldest first', async (t) => {
+  const { store } = makeStore(t);
+  store.append(makeMessage({ text: 'one', timestamp: 1000 }));
+  store.append(makeMessage({ text: 'two', timestamp: 2000 }));
+
+  const { messages, truncated } = await store.query();
+
+  assert.deepEqual(messages.map(m => m.text), ['one', 'two']);
+  assert.equal(truncated, false);
+});
+
+test('packet store filters by time range, channel and node', async (t) => {
+  const { store } = makeStore(t);
+  store.append(makeMessage({ text: 'old', timestamp: 1000 }));
+  store.append(makeMessage({ text: 'other-channel', channelId: 'MediumFast', timestamp: 2000 }));
+  store.append(makeMessage({ text: 'dm', from: '!11111111', to: '!22222222', timestamp: 3000 }));
+  store.append(makeMessage({ text: 'late', timestamp: 9000 }));
+  store.append(makeMessage({ text: 'telemetry', portnum: 67, timestamp: 9500 }));
+
+  const byTime = await store.query({ since: 1500, until: 5000 });
+  assert.deepEqual(byTime.messages.map(m => m.text), ['other-channel', 'dm']);
+
+  const byChannel = await store.query({ channelId: 'MediumFast' });
+  assert.deepEqual(byChannel.messages.map(m => m.text), ['other-channel']);
+
+  const byNode = await store.query({ nodeId: '!22222222' });
+  assert.deepEqual(byNode.messages.map(m => m.text), ['dm']);
+
+  const byPort = await store.query({ portnum: 67 });
+  assert.deepEqual(byPort.messages.map(m => m.text), ['telemetry']);
+});
+
+test('packet store keeps the newest messages when the limit is exceeded', async (t) => {
+  const { store } = makeStore(t);
+  for (let i = 1; i <= 5; i++) store.append(makeMessage({ text: `m${i}`, timestamp: i }));
+
+  const { messages, truncated } = await store.query({ limit: 2 });
+
+  assert.deepEqual(messages.map(m => m.text), ['m4', 'm5']);
+  assert.equal(truncated, true);
+});
+
+test('packet store rotates segments and prunes the oldest', async (t) => {
+  const { dir, store } = makeStore(t, { maxSegmentBytes: 300, maxSegments: 2 });
+  for (let i = 1; i <= 12; i++) {
+    store.append(makeMessage({ text: `message number ${i}`, timestamp: i * 1000 }));
+  }
+
+  const { messages } = await store.query();
+  const segments = readdirSync(dir).filter(name => name.endsWith('.jsonl'));
+
+  assert.equal(segments.length, 2);
+  assert.equal(messages[messages.length - 1].text, 'message number 12');
+  assert.ok(messages.length < 12);
+});
+
+test('packet store resumes the newest segment after reopening', async (t) => {
+  const { dir, store } = makeStore(t);
+  store.append(makeMessage({ text: 'before restart', timestamp: 1000 }));
+  await store.close();
+
+  const reopened = createPacketStore({ dir, maxSegmentBytes: 1024 * 1024, maxSegments: 4 });
+  reopened.append(makeMessage({ text: 'after restart', timestamp: 2000 }));
+  const { messages } = await reopened.query();
+  await reopened.close();
+
+  assert.deepEqual(messages.map(m => m.text), ['before restart', 'after restart']);
+  assert.equal(readdirSync(dir).length, 1);
+});
+
+test('packet store scan streams every matching message oldest first', async (t) => {
+  const { store } = makeStore(t, { maxSegmentBytes: 400 });
+  for (let i = 1; i <= 5; i++) {
+    store.append(makeMessage({ text: `m${i}`, timestamp: i * 1000, from: i % 2 ? '!aabbccdd' : '!00000001' }));
+  }
+
+  const seen = [];
+  for await (const msg of store.scan({ nodeId: '!aabbccdd' })) seen.push(msg.text);
+
+  assert.deepEqual(seen, ['m1', 'm3', 'm5']);
+});
+
+test('packet store stops persisting instead of throwing when the data dir is unusable', async (t) => {
+  const { dir, store } = makeStore(t);
+  rmSync(dir, { recursive: true, force: true });
+  writeFileSync(dir, '');
+
+  assert.doesNotThrow(() => store.append(makeMessage()));
+  assert.doesNotThrow(() => store.append(makeMessage({ text: 'second' })));
+  await store.flush();
+});
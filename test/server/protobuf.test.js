@@ -4,14 +4,24 @@ import assert from 'node:assert/strict';
 import {
   decodeData,
   decodeMeshPacket,
+  decodeStoreAndForward,
+  decodePosition,
   decodeServiceEnvelope,
+  decodeTelemetry,
   decodeTraceroute,
+  decodeUser,
   encodeData,
   encodeMeshPacket,
+  encodePosition,
   encodeServiceEnvelope,
+  encodeStoreAndForward,
+  encodeUser,
+  encodeWaypoint,
+  decodeWaypoint,
   formatNodeId,
   parseNodeId,
   PortNum,
+  StoreForwardRR,
 } from '../../src/server/protobuf.js';
 
 test('encodeData/decodeData roundtrip preserves text payload and wantResponse', () => {
@@ -29,6 +39,20 @@ test('encodeData/decodeData roundtrip preserves text payload and wantResponse',
   assert.equal(decoded.payload.toString('utf-8'), 'hello world');
 });
 
+test('encodeData/decodeData roundtrip preserves request_id above 2^31', () => {
+  const encoded = encodeData({
+    portnum: PortNum.ROUTING_APP,
+    payload: Buffer.alloc(0),
+    requestId: 0xdeadbeef,
+  });
+
+  const decoded = decodeData(encoded);
+
+  assert.equal(decoded.portnum, PortNum.ROUTING_APP);
+  assert.equal(decoded.requestId, 0xdeadbeef);
+  assert.equal(decodeData(encodeData({ portnum: 1, payload: Buffer.from('x') })).requestId, 0);
+});
+
 test('encodeMeshPacket/decodeMeshPacket roundtrip for encrypted payload', () => {
   const encoded = encodeMeshPacket({
     from: 0xd844b556,
@@ -230,3 +254,190 @@ test('decodeTraceroute roundtrip preserves route with SNR', () => {
   assert.deepEqual(result.route, [0x01020304]);
   assert.deepEqual(result.snrTowards, [7]);
 });
+
+test('encodePosition/decodePosition roundtrip preserves coordinates and metadata', () => {
+  const encoded = encodePosition({
+    latitudeI: 481351000,
+    longitudeI: -1158200,
+    altitude: -12,
+    time: 1700000000,
+    locationSource: 1,
+    precisionBits: 13,
+  });
+
+  const decoded = decodePosition(encoded);
+
+  assert.equal(decoded.latitudeI, 481351000);
+  assert.equal(decoded.longitudeI, -1158200);
+  assert.equal(decoded.latitude, 48.1351);
+  assert.equal(decoded.longitude, -0.11582);
+  assert.equal(decoded.altitude, -12);
+  assert.equal(decoded.time, 1700000000);
+  assert.equal(decoded.locationSource, 1);
+  assert.equal(decoded.precisionBits, 13);
+});
+
+test('decodePosition reads firmware field numbers for speed, track and satellites', () => {
+  // Field 15 ground_speed=5 (0x78), field 16 ground_track=90 (0x80 0x01), field 19 sats_in_view=7 (0x98 0x01)
+  const buf = Buffer.from([0x78, 0x05, 0x80, 0x01, 0x5a, 0x98, 0x01, 0x07]);
+  const decoded = decodePosition(buf);
+  assert.equal(decoded.groundSpeed, 5);
+  assert.equal(decoded.groundTrack, 90);
+  assert.equal(decoded.satsInView, 7);
+});
+
+test('encodeUser/decodeUser roundtrip preserves names, hardware and role', () => {
+  const encoded = encodeUser({
+    id: '!a1b2c3d4',
+    longName: 'MQTT Relay München',
+    shortName: 'MQR',
+    hwModel: 255,
+    role: 2,
+  });
+
+  const decoded = decodeUser(encoded);
+
+  assert.equal(decoded.id, '!a1b2c3d4');
+  assert.equal(decoded.longName, 'MQTT Relay München');
+  assert.equal(decoded.shortName, 'MQR');
+  assert.equal(decoded.hwModel, 255);
+  assert.equal(decoded.role, 2);
+});
+
+test('encodeUser omits default enum fields', () => {
+  const decoded = decodeUser(encodeUser({ id: '!00000001', longName: 'Node' }));
+  assert.equal(decoded.hwModel, 0);
+  assert.equal(decoded.role, 0);
+  assert.equal(decoded.shortName, '');
+});
+
+test('encodeWaypoint/decodeWaypoint roundtrip preserves all fields', () => {
+  const encoded = encodeWaypoint({
+    id: 0x9abcdef0,
+    latitudeI: 481351000,
+    longitudeI: -1158200,
+    expire: 1800000000,
+    lockedTo: 0xd844b556,
+    name: 'Gipfelkreuz',
+    description: 'Meet at the summit cross',
+    icon: 0x1f3d4, // 🏔
+  });
+
+  const decoded = decodeWaypoint(encoded);
+
+  assert.equal(decoded.id, 0x9abcdef0);
+  assert.equal(decoded.latitude, 48.1351);
+  assert.equal(decoded.longitude, -0.11582);
+  assert.equal(decoded.expire, 1800000000);
+  assert.equal(decoded.lockedTo, 0xd844b556);
+  assert.equal(decoded.name, 'Gipfelkreuz');
+  assert.equal(decoded.description, 'Meet at the summit cross');
+  assert.equal(decoded.icon, 0x1f3d4);
+});
+
+test('decodeWaypoint defaults omitted fields', () => {
+  const decoded = decodeWaypoint(encodeWaypoint({ id: 7, latitudeI: 1, longitudeI: 2 }));
+  assert.equal(decoded.expire, 0);
+  assert.equal(decoded.lockedTo, 0);
+  assert.equal(decoded.name, '');
+  assert.equal(decoded.icon, 0);
+  assert.equal(decoded._decodeError, undefined);
+});
+
+// Minimal protobuf writers for hand-built Telemetry payloads
+function varint(value) {
+  const bytes = [];
+  let v = BigInt(value);
+  while (v > 0x7fn) {
+    bytes.push(Number(v & 0x7fn) | 0x80);
+    v >>= 7n;
+  }
+  bytes.push(Number(v));
+  return Buffer.from(bytes);
+}
+
+function floatField(fieldNumber, value) {
+  const buf = Buffer.alloc(4);
+  buf.writeFloatLE(value);
+  return Buffer.concat([varint((fieldNumber << 3) | 5), buf]);
+}
+
+function varintField(fieldNumber, value) {
+  return Buffer.concat([varint(fieldNumber << 3), varint(value)]);
+}
+
+function messageField(fieldNumber, ...parts) {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([varint((fieldNumber << 3) | 2), varint(body.length), body]);
+}
+
+test('decodeTelemetry only reports device metrics that are present', () => {
+  const decoded = decodeTelemetry(Buffer.concat([
+    Buffer.from([0x0d]), Buffer.from([0x10, 0x27, 0x00, 0x00]), // time = 10000
+    messageField(2, varintField(1, 87), varintField(5, 3600)),
+  ]));
+
+  assert.equal(decoded.time, 10000);
+  assert.deepEqual(decoded.deviceMetrics, { batteryLevel: 87, uptimeSeconds: 3600 });
+  assert.equal(decoded.environmentMetrics, null);
+});
+
+test('decodeTelemetry decodes the full environment_metrics field set', () => {
+  const decoded = decodeTelemetry(messageField(3,
+    floatField(1, 21.5),
+    varintField(7, 45),
+    floatField(9, 320),
+    varintField(13, 270),
+    floatField(14, 4.5),
+    floatField(20, 12.25),
+    varintField(21, 33),
+  ));
+
+  assert.deepEqual(decoded.environmentMetrics, {
+    temperature: 21.5,
+    iaq: 45,
+    lux: 320,
+    windDirection: 270,
+    windSpeed: 4.5,
+    rainfall24h: 12.25,
+    soilMoisture: 33,
+  });
+});
+
+test('decodeTelemetry decodes power, air quality, local stats, health and host variants', () => {
+  assert.deepEqual(decodeTelemetry(messageField(5, floatField(1, 5), floatField(2, 0.5), floatField(15, 12))).powerMetrics,
+    { ch1Voltage: 5, ch1Current: 0.5, ch8Voltage: 12 });
+  assert.deepEqual(decodeTelemetry(messageField(4, varintField(2, 12), varintField(13, 415))).airQualityMetrics,
+    { pm25Standard: 12, co2: 415 });
+  assert.deepEqual(decodeTelemetry(messageField(6, varintField(4, 120), varintField(7, 9), floatField(2, 12.5))).localStats,
+    { numPacketsTx: 120, numOnlineNodes: 9, channelUtilization: 12.5 });
+  assert.deepEqual(decodeTelemetry(messageField(7, varintField(1, 72), varintField(2, 98))).healthMetrics,
+    { heartBpm: 72, spO2: 98 });
+  assert.deepEqual(decodeTelemetry(messageField(8, varintField(2, 2n ** 33n), varintField(6, 150))).hostMetrics,
+    { freememBytes: 2 ** 33, load1: 150 });
+});
+
+test('decodeTelemetry skips unknown metric fields and mismatched wire types', () => {
+  const decoded = decodeTelemetry(messageField(3, varintField(99, 1), varintField(1, 5), floatField(2, 40)));
+  assert.deepEqual(decoded.environmentMetrics, { relativeHumidity: 40 });
+  assert.equal(decoded._decodeError, undefined);
+});
+
+test('decodeStoreAndForward reads router heartbeats, stats and replayed texts', () => {
+  const heartbeat = decodeStoreAndForward(Buffer.concat([varintField(1, 2), messageField(4, varintField(1, 900))]));
+  assert.equal(heartbeat.rrName, 'ROUTER_HEARTBEAT');
+  assert.deepEqual(heartbeat.heartbeat, { period: 900 });
+
+  const stats = decodeStoreAndForward(Buffer.concat([varintField(1, 7), messageField(2, varintField(2, 40), varintField(7, 1))]));
+  assert.deepEqual(stats.stats, { messagesSaved: 40, heartbeat: true });
+
+  const text = decodeStoreAndForward(Buffer.concat([varintField(1, 9), messageField(5, Buffer.from('missed you'))]));
+  assert.equal(text.rr, StoreForwardRR.ROUTER_TEXT_BROADCAST);
+  assert.equal(text.text, 'missed you');
+});
+
+test('encodeStoreAndForward builds a client history request', () => {
+  const decoded = decodeStoreAndForward(encodeStoreAndForward({ rr: StoreForwardRR.CLIENT_HISTORY, history: { window: 120 } }));
+  assert.equal(decoded.rrName, 'CLIENT_HISTORY');
+  assert.deepEqual(decoded.history, { window: 120 });
+});
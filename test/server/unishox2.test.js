@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { unishox2Compress, unishox2Decompress } from '../../src/server/unishox2.js';
+
+test('unishox2Decompress decodes firmware-compressed text', () => {
+  // Produced by the reference unishox2_compress_simple
+  assert.equal(unishox2Decompress(Buffer.from('8767c71483deb7c745fe', 'hex')), 'Hello World');
+  // Dictionary back-references
+  assert.equal(unishox2Decompress(Buffer.from('84766a3b35067018c05f', 'hex')), 'The the the the the the');
+  // Unicode deltas and the timestamp template
+  assert.equal(
+    unishox2Decompress(Buffer.from('8733f0781528fe028c911008090212081809197f', 'hex')),
+    'Café \u{1F44D} 2024-01-02T10:20:30.123Z'
+  );
+});
+
+test('unishox2Compress round-trips and saves space on plain text', () => {
+  for (const text of ['Meet at 10:30, ok?', 'line one\nline two\r\n\tTAB', 'Grüße \u{1F44B} aus Berlin', '']) {
+    assert.equal(unishox2Decompress(unishox2Compress(text)), text);
+  }
+  const text = 'The quick brown fox jumps over the lazy dog.';
+  assert.ok(unishox2Compress(text).length < Buffer.byteLength(text));
+});
+
+test('unishox2Compress refuses control characters', () => {
+  assert.equal(unishox2Compress('bell\x07'), null);
+});
@@ -0,0 +1,299 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWsHandlers } from '../../src/server/ws-handlers.js';
+import { createAuth } from '../../src/server/auth.js';
+import { createAnnounceScheduler } from '../../src/server/announce-scheduler.js';
+import { decodeServiceEnvelope, decodeData, decodeStoreAndForward, decodeMapReport, PortNum } from '../../src/server/protobuf.js';
+import { unishox2Decompress } from '../../src/server/unishox2.js';
+
+function createMockWs() {
+  const handlers = {};
+  return {
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    receive(msg) {
+      return handlers.message(Buffer.from(JSON.stringify(msg)));
+    },
+    close(code, reason) {
+      this.closed = { code, reason };
+    },
+  };
+}
+
+function setup() {
+  const mqttClient = {
+    networkId: 'net_public',
+    connected: true,
+    subscribed: [],
+    published: [],
+    async publish(topic, payload) {
+      this.published.push({ topic, payload });
+    },
+    async subscribe(topic) {
+      this.subscribed.push(topic);
+    },
+    getSubscriptions() {
+      return this.subscribed;
+    },
+  };
+  const brokers = {
+    get: () => mqttClient,
+    getNetwork: () => ({ root: 'msh', region: 'EU_868', path: '2/e' }),
+    list: () => [mqttClient],
+    status: () => ({ connected: true, brokers: [] }),
+  };
+  const auth = createAuth({ token: 'view-only', tokenRole: 'viewer', sessionTtlMs: 60_000 });
+  const scheduler = createAnnounceScheduler({ brokers, broadcast: () => {} });
+  const handlers = createWsHandlers({ brokers, broadcast: () => {}, wsClients: new Set(), auth, scheduler });
+  return { handlers, mqttClient, scheduler };
+}
+
+test('verifyClient refuses the upgrade without a session or token', () => {
+  const { handlers } = setup();
+  const results = [];
+
+  handlers.verifyClient({ req: { url: '/', headers: {} } }, (...args) => results.push(args));
+  const req = { url: '/?token=view-only', headers: {} };
+  handlers.verifyClient({ req }, (...args) => results.push(args));
+
+  assert.deepEqual(results, [[false, 401, 'Unauthorized'], [true]]);
+  assert.deepEqual(req.user, { username: 'token', role: 'viewer' });
+});
+
+test('handleConnection closes connections that carry no user while auth is enabled', () => {
+  const { handlers } = setup();
+  const ws = createMockWs();
+
+  handlers.handleConnection(ws, {});
+
+  assert.deepEqual(ws.closed, { code: 1008, reason: 'Unauthorized' });
+  assert.deepEqual(ws.sent, []);
+});
+
+test('viewer connections may read history but not subscribe', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'bob', role: 'viewer' } });
+
+  await ws.receive({ type: 'subscribe', topic: 'msh/EU_868/#' });
+  await ws.receive({ type: 'get_history' });
+
+  assert.deepEqual(mqttClient.subscribed, []);
+  assert.deepEqual(ws.sent.at(-2), { type: 'error', message: 'Viewer accounts cannot subscribe' });
+  assert.equal(ws.sent.at(-1).type, 'history');
+});
+
+test('publish_nodeinfo publishes a NODEINFO_APP packet for admins', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+
+  await ws.receive({
+    type: 'publish_nodeinfo',
+    channel: 'LongFast',
+    gatewayId: '!aabbccdd',
+    user: { longName: 'Test Node', shortName: 'TN' },
+  });
+
+  const reply = ws.sent.at(-1);
+  assert.equal(reply.type, 'published');
+  assert.equal(reply.portnum, 4);
+  assert.equal(reply.networkId, 'net_public');
+  assert.equal(mqttClient.published[0].topic, 'msh/EU_868/2/e/LongFast/!aabbccdd');
+});
+
+test('set_schedules hands auto-announcements to the server scheduler', async () => {
+  const { handlers, mqttClient, scheduler } = setup();
+  const viewer = createMockWs();
+  handlers.handleConnection(viewer, { user: { username: 'bob', role: 'viewer' } });
+  await viewer.receive({ type: 'set_schedules', schedules: [] });
+  assert.deepEqual(viewer.sent.at(-1), { type: 'error', message: 'Viewer accounts cannot set schedules' });
+
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+  await ws.receive({ type: 'set_schedules', schedules: [] });
+  assert.deepEqual(ws.sent.at(-1), { type: 'error', message: 'Schedules need a clientId' });
+
+  await ws.receive({
+    type: 'set_schedules',
+    clientId: 'client_1',
+    schedules: [{
+      kind: 'nodeinfo', intervalMin: 180, channel: 'LongFast', gatewayId: '!aabbccdd', from: '!aabbccdd', key: '', user: { longName: 'Test Node' },
+    }],
+  });
+
+  assert.deepEqual(ws.sent.at(-1), { type: 'schedules_set', count: 1 });
+  assert.deepEqual(scheduler.list().map(e => e.owners), [['alice:client_1']]);
+  // Due right away, so the first announcement goes out immediately
+  assert.equal(mqttClient.published.length, 1);
+});
+
+test('publish_traceroute asks the destination for a route reply', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+
+  await ws.receive({ type: 'publish_traceroute', channel: 'LongFast', gatewayId: '!aabbccdd', to: '^all' });
+  assert.deepEqual(ws.sent.at(-1), { type: 'error', message: 'Traceroute needs a single destination node' });
+
+  await ws.receive({ type: 'publish_traceroute', channel: 'LongFast', gatewayId: '!aabbccdd', to: '!11223344', key: '' });
+  const reply = ws.sent.at(-1);
+  assert.equal(reply.type, 'published');
+  assert.equal(reply.portnum, 70);
+  assert.equal(reply.to, '!11223344');
+
+  const { packet } = decodeServiceEnvelope(mqttClient.published[0].payload);
+  const data = decodeData(packet.encrypted);
+  assert.equal(packet.id, reply.packetId);
+  assert.equal(data.portnum, 70);
+  assert.equal(data.wantResponse, true);
+});
+
+test('publish carries reply_id and emoji for replies and reactions', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+
+  await ws.receive({ type: 'publish', channel: 'LongFast', gatewayId: '!aabbccdd', to: '^all', text: '+1', emoji: true });
+  assert.deepEqual(ws.sent.at(-1), { type: 'error', message: 'A reaction needs the id of the message it reacts to' });
+
+  await ws.receive({
+    type: 'publish', channel: 'LongFast', gatewayId: '!aabbccdd', to: '^all', text: '+1', key: '', replyId: 4242, emoji: true,
+  });
+  const reply = ws.sent.at(-1);
+  assert.equal(reply.type, 'published');
+  assert.equal(reply.replyId, 4242);
+  assert.equal(reply.emoji, true);
+
+  const { packet } = decodeServiceEnvelope(mqttClient.published[0].payload);
+  const data = decodeData(packet.encrypted);
+  assert.equal(data.replyId, 4242);
+  assert.equal(data.emoji, 1);
+});
+
+test('publish compresses text only when it gets shorter', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+
+  const target = { type: 'publish', channel: 'LongFast', gatewayId: '!aabbccdd', to: '^all', key: '', compress: true };
+  await ws.receive({ ...target, text: 'The quick brown fox jumps over the lazy dog.' });
+  assert.equal(ws.sent.at(-1).compressed, true);
+  assert.equal(ws.sent.at(-1).portnum, PortNum.TEXT_MESSAGE_APP);
+  const data = decodeData(decodeServiceEnvelope(mqttClient.published[0].payload).packet.encrypted);
+  assert.equal(data.portnum, PortNum.TEXT_MESSAGE_COMPRESSED_APP);
+  assert.equal(unishox2Decompress(data.payload), 'The quick brown fox jumps over the lazy dog.');
+
+  await ws.receive({ ...target, text: 'OK' });
+  assert.equal(ws.sent.at(-1).compressed, false);
+  assert.equal(decodeData(decodeServiceEnvelope(mqttClient.published[1].payload).packet.encrypted).portnum, PortNum.TEXT_MESSAGE_APP);
+});
+
+test('publish_store_forward_history asks a router for the last minutes of texts', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+
+  const request = { type: 'publish_store_forward_history', channel: 'Private', gatewayId: '!aabbccdd', key: '' };
+  await ws.receive({ ...request, to: '^all' });
+  assert.deepEqual(ws.sent.at(-1), { type: 'error', message: 'Store & Forward requests need a router node' });
+
+  await ws.receive({ ...request, to: '!12345678', window: 90 });
+  assert.equal(ws.sent.at(-1).portName, 'STORE_FORWARD');
+  const { packet } = decodeServiceEnvelope(mqttClient.published[0].payload);
+  assert.equal(packet.to, 0x12345678);
+  const data = decodeData(packet.encrypted);
+  assert.equal(data.portnum, PortNum.STORE_FORWARD_APP);
+  assert.deepEqual(decodeStoreAndForward(data.payload).history, { window: 90 });
+});
+
+test('publish_custom sends any portnum with a raw payload and packet options', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+
+  const request = {
+    type: 'publish_custom', channel: 'LongFast', gatewayId: '!aabbccdd', to: '^all', key: '', portnum: 300,
+  };
+  await ws.receive({ ...request, encoding: 'hex', payload: 'zz' });
+  assert.deepEqual(ws.sent.at(-1), { type: 'error', message: 'Invalid hex payload (expected pairs of hex digits)' });
+
+  await ws.receive({
+    ...request, encoding: 'hex', payload: 'de ad be ef', wantResponse: true, dest: '!12345678', hopLimit: 3, priority: 'HIGH', channelHash: 42,
+  });
+  const reply = ws.sent.at(-1);
+  assert.equal(reply.portnum, 300);
+  assert.deepEqual(reply.payload, { size: 4, hex: 'deadbeef' });
+
+  const { packet } = decodeServiceEnvelope(mqttClient.published[0].payload);
+  assert.equal(packet.channel, 42);
+  assert.equal(packet.hopLimit, 3);
+  assert.equal(packet.hopStart, 3);
+  assert.equal(packet.priority, 100);
+  const data = decodeData(packet.encrypted);
+  assert.equal(data.portnum, 300);
+  assert.equal(data.payload.toString('hex'), 'deadbeef');
+  assert.equal(data.wantResponse, true);
+  assert.equal(data.dest, 0x12345678);
+});
+
+test('encode_custom previews the exact Data bytes, including JSON-described messages', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+
+  const request = { type: 'encode_custom', requestId: 7, channel: 'LongFast', gatewayId: '!aabbccdd', key: '' };
+  await ws.receive({ ...request, portnum: PortNum.TEXT_MESSAGE_APP, encoding: 'json', payload: '{"text":"hi"}' });
+  const preview = ws.sent.at(-1);
+  assert.equal(preview.requestId, 7);
+  assert.equal(preview.payloadHex, '6869');
+  // portnum 1, payload "hi", bitfield 1
+  assert.equal(preview.dataHex, '0801120268694801');
+
+  await ws.receive({ ...request, portnum: PortNum.TRACEROUTE_APP, encoding: 'json', payload: '{}' });
+  assert.equal(ws.sent.at(-1).error, 'No JSON encoding for TRACEROUTE; use hex, base64 or UTF-8');
+  assert.deepEqual(mqttClient.published, []);
+});
+
+test('publish_map_report sends an unencrypted MapReport to the 2/map topic', async () => {
+  const { handlers, mqttClient } = setup();
+  const ws = createMockWs();
+  handlers.handleConnection(ws, { user: { username: 'alice', role: 'admin' } });
+
+  await ws.receive({
+    type: 'publish_map_report',
+    channel: 'MediumFast',
+    gatewayId: '!aabbccdd',
+    report: { longName: 'Roof Gateway', shortName: 'ROOF', latitude: 52.5, longitude: 13.4, altitude: 40, numOnlineLocalNodes: 7 },
+  });
+
+  assert.equal(ws.sent.at(-1).portnum, PortNum.MAP_REPORT_APP);
+  const { topic, payload } = mqttClient.published[0];
+  assert.equal(topic, 'msh/EU_868/2/map/');
+  const envelope = decodeServiceEnvelope(payload);
+  assert.equal(envelope.gatewayId, '!aabbccdd');
+  assert.equal(envelope.packet.decoded.portnum, PortNum.MAP_REPORT_APP);
+  const report = decodeMapReport(envelope.packet.decoded.payload);
+  assert.deepEqual(
+    [report.longName, report.region, report.modemPreset, report.hasDefaultChannel, report.latitude, report.longitude, report.altitude, report.numOnlineLocalNodes],
+    ['Roof Gateway', 3, 4, true, 52.5, 13.4, 40, 7]
+  );
+
+  await ws.receive({
+    type: 'publish_map_report',
+    channel: 'toString',
+    gatewayId: '!aabbccdd',
+    report: { longName: 'Roof Gateway', latitude: 52.5, longitude: 13.4 },
+  });
+  const custom = decodeMapReport(decodeServiceEnvelope(mqttClient.published[1].payload).packet.decoded.payload);
+  assert.deepEqual([custom.modemPreset, custom.hasDefaultChannel], [0, false]);
+
+  await ws.receive({ type: 'publish_map_report', gatewayId: '!aabbccdd', report: { longName: 'Roof Gateway' } });
+  assert.deepEqual(ws.sent.at(-1), { type: 'error', message: 'Invalid latitude: undefined' });
+});